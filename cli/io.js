@@ -0,0 +1,258 @@
+/**
+ * CLI Input/Output Helpers
+ *
+ * Every command reads its input from `--text`, `--in <file>` or stdin and
+ * writes its result to stdout or `--out <file>`, so the CLI composes in shell
+ * pipelines:
+ *
+ *   cat notes.txt | encryption-vault caesar -s 5 > out.txt
+ *
+ * Stateless character-by-character transforms (Caesar, ROT13) are streamed
+ * chunk by chunk, and Base64 streams raw bytes so binary files of any size
+ * work; everything else is read into memory first.
+ */
+
+import fs from 'fs';
+import { Transform, pipeline as pipelineCallback } from 'stream';
+import { promisify } from 'util';
+
+const pipeline = promisify(pipelineCallback);
+
+/**
+ * Add the shared --in/--out options to a command
+ * @param {import('commander').Command} command - Command to extend
+ * @returns {import('commander').Command} The same command
+ */
+function addIOOptions(command) {
+  return command
+    .option('--in <file>', 'Read input from a file (default: stdin when no text is given)')
+    .option('--out <file>', 'Write the result to a file');
+}
+
+/**
+ * Check the input options for conflicts
+ * @private
+ * @param {Object} options - Parsed command options
+ * @throws {Error} If both --text and --in are given
+ */
+function validateSource(options) {
+  if (options.text !== undefined && options.in !== undefined) {
+    throw new Error('Use either --text or --in, not both');
+  }
+}
+
+/**
+ * Whether the result should be written raw (no decoration)
+ *
+ * Input from a file or pipe, or output to a file, means the result is data
+ * for another program rather than a message for a person.
+ * @param {Object} options - Parsed command options
+ * @returns {boolean} True for raw output
+ */
+function isRawOutput(options) {
+  return options.text === undefined || options.out !== undefined;
+}
+
+/**
+ * Open the input source as a readable stream
+ * @private
+ * @param {Object} options - Parsed command options
+ * @returns {import('stream').Readable} Input stream
+ * @throws {Error} If no input was provided
+ */
+function openInput(options) {
+  if (options.in !== undefined) {
+    return fs.createReadStream(options.in);
+  }
+  if (process.stdin.isTTY) {
+    throw new Error('No input provided. Use --text, --in <file> or pipe data to stdin');
+  }
+  return process.stdin;
+}
+
+/**
+ * Read the whole input as a string
+ *
+ * A single trailing newline (as added by echo or most editors) is removed.
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<string>} Input text
+ * @throws {Error} If no input was provided or the file cannot be read
+ */
+async function readInput(options) {
+  validateSource(options);
+  if (options.text !== undefined) {
+    return options.text;
+  }
+
+  const input = openInput(options);
+  input.setEncoding('utf8');
+
+  let text = '';
+  // eslint-disable-next-line no-restricted-syntax
+  for await (const chunk of input) {
+    text += chunk;
+  }
+  return text.replace(/\r?\n$/, '');
+}
+
+/**
+ * Prompt for a secret on the terminal without echoing it
+ *
+ * The prompt is written to stderr so stdout stays clean for the result.
+ * @param {string} prompt - Text shown before the input
+ * @returns {Promise<string>} The entered text
+ * @throws {Error} If stdin is not a terminal or the prompt is interrupted
+ */
+function promptSecret(prompt) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('Cannot prompt for a password: stdin is not a terminal'));
+  }
+
+  return new Promise((resolve, reject) => {
+    let value = '';
+    const finish = (error) => {
+      process.stdin.setRawMode(false);
+      process.stdin.pause();
+      process.stdin.removeListener('data', onData); // eslint-disable-line no-use-before-define
+      process.stderr.write('\n');
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+    const onData = (chunk) => {
+      Array.from(chunk).some((character) => {
+        if (character === '\r' || character === '\n' || character === '\u0004') {
+          finish();
+          return true;
+        }
+        if (character === '\u0003') {
+          finish(new Error('Interrupted'));
+          return true;
+        }
+        if (character === '\u007f' || character === '\b') {
+          value = value.slice(0, -1);
+        } else {
+          value += character;
+        }
+        return false;
+      });
+    };
+
+    process.stderr.write(prompt);
+    process.stdin.setEncoding('utf8');
+    process.stdin.setRawMode(true);
+    process.stdin.on('data', onData);
+    process.stdin.resume();
+  });
+}
+
+/**
+ * Write a result to --out or stdout, followed by a newline
+ * @param {Object} options - Parsed command options
+ * @param {string} text - Result to write
+ * @returns {Promise<void>}
+ */
+async function writeOutput(options, text) {
+  if (options.out !== undefined) {
+    await fs.promises.writeFile(options.out, `${text}\n`);
+  } else {
+    process.stdout.write(`${text}\n`);
+  }
+}
+
+/**
+ * Stream the input through a stateless per-character transform
+ *
+ * Chunks are decoded as UTF-8 before transforming so multi-byte characters
+ * split across chunk boundaries are handled correctly. As with readInput and
+ * writeOutput, a single trailing newline is removed from the input and the
+ * output ends with a newline, so streamed and buffered results are identical.
+ * @param {Object} options - Parsed command options
+ * @param {function(string): string} transform - Transform applied to each chunk
+ * @returns {Promise<void>}
+ */
+async function streamTransform(options, transform) {
+  validateSource(options);
+  const input = openInput(options);
+  input.setEncoding('utf8');
+
+  const output = options.out !== undefined ? fs.createWriteStream(options.out) : process.stdout;
+  // Line break characters at the end of the text so far, held back in case
+  // they end the input
+  let held = '';
+  const transformer = new Transform({
+    decodeStrings: false,
+    transform(chunk, _encoding, callback) {
+      try {
+        const text = held + chunk;
+        [held] = /\r?\n?$/.exec(text);
+        callback(null, transform(text.slice(0, text.length - held.length)));
+      } catch (error) {
+        callback(error);
+      }
+    },
+    flush(callback) {
+      try {
+        callback(null, `${transform(held.replace(/\r?\n$/, ''))}\n`);
+      } catch (error) {
+        callback(error);
+      }
+    },
+  });
+
+  if (output === process.stdout) {
+    // Never end process.stdout, other output may still follow
+    transformer.pipe(process.stdout, { end: false });
+    await pipeline(input, transformer);
+    return;
+  }
+  await pipeline(input, transformer, output);
+}
+
+/**
+ * Stream the input bytes through a Transform stream
+ *
+ * Unlike streamTransform the input is not decoded as text, so binary data
+ * passes through unchanged.
+ * @param {Object} options - Parsed command options
+ * @param {Transform} transformer - Stream the bytes go through
+ * @param {Object} [settings] - Stream settings
+ * @param {boolean} [settings.newline=false] - End the output with a newline
+ * @returns {Promise<void>}
+ */
+async function streamBytes(options, transformer, { newline = false } = {}) {
+  validateSource(options);
+  const input = openInput(options);
+  const output = options.out !== undefined ? fs.createWriteStream(options.out) : process.stdout;
+  const stages = [transformer];
+  if (newline) {
+    stages.push(new Transform({
+      transform(chunk, _encoding, callback) {
+        callback(null, chunk);
+      },
+      flush(callback) {
+        callback(null, '\n');
+      },
+    }));
+  }
+
+  if (output === process.stdout) {
+    // Never end process.stdout, other output may still follow
+    stages[stages.length - 1].pipe(process.stdout, { end: false });
+    await pipeline(input, ...stages);
+    return;
+  }
+  await pipeline(input, ...stages, output);
+}
+
+export {
+  addIOOptions,
+  isRawOutput,
+  readInput,
+  promptSecret,
+  writeOutput,
+  streamTransform,
+  streamBytes,
+};
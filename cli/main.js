@@ -6,113 +6,948 @@
  * This module provides command-line interface for all encryption utilities.
  */
 
+import os from 'os';
+import path from 'path';
+
 import { program } from 'commander';
 import chalk from 'chalk';
 
 import {
   encrypt as caesarEncrypt,
   decrypt as caesarDecrypt,
-  bruteForce,
+  crack as caesarCrack,
 } from '../src/caesarCipher.js';
 
-import { encode as rot13Encode, decode as rot13Decode } from '../src/rot13.js';
+import { encode as rot13Encode } from '../src/rot13.js';
+
+import {
+  MIME_LINE_LENGTH,
+  encode as base64Encode,
+  decode as base64Decode,
+  createEncodeStream as createBase64EncodeStream,
+  createDecodeStream as createBase64DecodeStream,
+} from '../src/base64Encoder.js';
+
+import {
+  encrypt as vigenereEncrypt,
+  decrypt as vigenereDecrypt,
+  analyze as vigenereAnalyze,
+  crack as vigenereCrack,
+} from '../src/vigenereCipher.js';
+
+import {
+  HASH_ALGORITHMS,
+  hashPassword,
+  verifyPassword,
+  hashPasswordScrypt,
+  hashPasswordBcrypt,
+  hashPasswordArgon2id,
+  checkPasswordStrength,
+  suggestPasswordImprovements,
+  hashMultiplePasswordsAsync,
+} from '../src/passwordHasher.js';
+
+import { generatePassword, generatePassphrase } from '../src/passwordGenerator.js';
+
+import { loadPolicyFile, listPolicies } from '../src/passwordPolicy.js';
+
+import { textToMorse, morseToText, getMorseStats } from '../src/morseCode.js';
+
+import { textToBraille, brailleToText, getBrailleStats } from '../src/brailleConverter.js';
+
+import {
+  reverseText,
+  shiftCharacters,
+  toLeetspeak,
+  fromLeetspeak,
+  insertRandomCharacters,
+  replaceVowels,
+  restoreVowels,
+  multiObfuscate,
+  interleaveCharacters,
+  deinterleaveCharacters,
+  toHomoglyph,
+  calculateObfuscationStrength,
+} from '../src/textObfuscator.js';
+
+import {
+  analyzeQRContent,
+  detectContentType,
+  estimateQRVersion,
+  decodeQRImage,
+  getQRStats,
+  extractURL,
+  extractEmail,
+  extractPhone,
+  extractWiFi,
+  extractContact,
+} from '../src/qrDecoder.js';
+
+import { identify } from '../src/cipherIdentifier.js';
+
+import {
+  initStore,
+  putSecret,
+  getSecret,
+  listSecrets,
+  removeSecret,
+  rekeyStore,
+} from '../src/secretStore.js';
+
+import {
+  addIOOptions,
+  readInput,
+  promptSecret,
+  streamTransform,
+  streamBytes,
+} from './io.js';
 
-import { encode as base64Encode, decode as base64Decode } from '../src/base64Encoder.js';
+import {
+  UsageError,
+  EXIT_CODES,
+  objectLines,
+  reportOutcome,
+  reportError,
+} from './output.js';
 
 const packageVersion = '1.0.0';
 
-program
-  .name('encryption-vault')
-  .description('String-Encryption-Vault: Encryption/Decryption Utilities')
-  .version(packageVersion);
+/**
+ * Wrap a command handler with input tracking and output reporting
+ *
+ * The handler receives the command options (including global --json/--quiet),
+ * a context on which it records the input and parameters it used, and the
+ * command's positional arguments, then returns an outcome for the reporter.
+ * @param {string} name - Command name used in JSON output
+ * @param {function(Object, Object, Array<string>): Promise<Object>} handler - Command handler
+ * @returns {function} Commander action
+ */
+function run(name, handler) {
+  return async (...args) => {
+    const command = args[args.length - 1];
+    const options = command.optsWithGlobals();
+    const context = { input: undefined, parameters: {} };
 
-// Caesar Cipher Command
-program
-  .command('caesar')
-  .description('Caesar Cipher encryption/decryption')
-  .option('-m, --mode <mode>', 'encrypt or decrypt', 'encrypt')
-  .option('-t, --text <text>', 'Text to process')
-  .option('-s, --shift <number>', 'Shift value (1-25)', '3')
-  .action((options) => {
     try {
-      const shift = parseInt(options.shift, 10);
-      let result;
-
-      if (options.mode === 'encrypt') {
-        result = caesarEncrypt(options.text, shift);
-        console.log(chalk.green(`✓ Encrypted: ${result}`));
-      } else if (options.mode === 'decrypt') {
-        result = caesarDecrypt(options.text, shift);
-        console.log(chalk.green(`✓ Decrypted: ${result}`));
-      } else {
-        console.error(chalk.red('Invalid mode. Use "encrypt" or "decrypt"'));
+      const outcome = await handler(options, context, command.args);
+      await reportOutcome(name, options, {
+        input: context.input,
+        parameters: context.parameters,
+        ...outcome,
+      });
+      if (outcome.exitCode) {
+        process.exitCode = outcome.exitCode;
       }
     } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
+      await reportError(name, options, error, context);
     }
-  });
+  };
+}
+
+/**
+ * Read the command input and record it on the context
+ * @param {Object} options - Parsed command options
+ * @param {Object} context - Command context
+ * @param {Object} [settings] - Read settings
+ * @param {boolean} [settings.mask=false] - Record a mask instead of the input (passwords)
+ * @returns {Promise<string>} Input text
+ */
+async function read(options, context, { mask = false } = {}) {
+  const text = await readInput(options);
+  context.input = mask ? '***masked***' : text;
+  return text;
+}
 
-// ROT13 Command
 program
-  .command('rot13')
-  .description('ROT13 encoder/decoder')
-  .option('-t, --text <text>', 'Text to process')
-  .action((options) => {
-    try {
-      const result = rot13Encode(options.text);
-      console.log(chalk.green(`✓ Result: ${result}`));
-    } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
-    }
+  .name('encryption-vault')
+  .description('String-Encryption-Vault: Encryption/Decryption Utilities')
+  .version(packageVersion)
+  .option('--json', 'Print a machine-readable JSON document')
+  .option('-q, --quiet', 'Print only the bare result')
+  .exitOverride((error) => {
+    process.exit(error.exitCode === 0 ? 0 : EXIT_CODES.UsageError);
   });
 
+// Caesar Cipher Command
+addIOOptions(
+  program
+    .command('caesar')
+    .description('Caesar Cipher encryption/decryption')
+    .option('-m, --mode <mode>', 'encrypt or decrypt', 'encrypt')
+    .option('-t, --text <text>', 'Text to process')
+    .option('-s, --shift <number>', 'Shift value (1-25)', '3'),
+).action(run('caesar', async (options, context) => {
+  const shift = parseInt(options.shift, 10);
+  context.parameters = { mode: options.mode, shift };
+  let transform;
+
+  if (options.mode === 'encrypt') {
+    transform = (text) => caesarEncrypt(text, shift);
+  } else if (options.mode === 'decrypt') {
+    transform = (text) => caesarDecrypt(text, shift);
+  } else {
+    throw new UsageError('Invalid mode. Use "encrypt" or "decrypt"');
+  }
+
+  if (options.text === undefined && !options.json) {
+    transform(''); // validate the shift before streaming
+    await streamTransform(options, transform);
+    return { streamed: true };
+  }
+
+  const result = transform(await read(options, context));
+  const label = options.mode === 'encrypt' ? 'Encrypted' : 'Decrypted';
+  return { result, message: chalk.green(`✓ ${label}: ${result}`) };
+}));
+
+// ROT13 Command
+addIOOptions(
+  program
+    .command('rot13')
+    .description('ROT13 encoder/decoder')
+    .option('-t, --text <text>', 'Text to process'),
+).action(run('rot13', async (options, context) => {
+  if (options.text === undefined && !options.json) {
+    await streamTransform(options, rot13Encode);
+    return { streamed: true };
+  }
+
+  const result = rot13Encode(await read(options, context));
+  return { result, message: chalk.green(`✓ Result: ${result}`) };
+}));
+
 // Base64 Command
-program
-  .command('base64')
-  .description('Base64 encoding/decoding')
-  .option('-m, --mode <mode>', 'encode or decode', 'encode')
-  .option('-t, --text <text>', 'Text to process')
-  .action((options) => {
+addIOOptions(
+  program
+    .command('base64')
+    .description('Base64 encoding/decoding')
+    .option('-m, --mode <mode>', 'encode or decode', 'encode')
+    .option('-t, --text <text>', 'Text to process')
+    .option('--url', 'Use the URL-safe alphabet (RFC 4648 §5)')
+    .option('--padding', 'Add "=" padding (decode: require it with --strict)')
+    .option('--no-padding', 'Leave out "=" padding (decode: forbid it with --strict)')
+    .option('--wrap [columns]', `Wrap encoded lines (default: ${MIME_LINE_LENGTH}, as in MIME)`)
+    .option('--strict', 'Reject invalid characters and bad padding when decoding'),
+).action(run('base64', async (options, context) => {
+  if (options.mode !== 'encode' && options.mode !== 'decode') {
+    throw new UsageError('Invalid mode. Use "encode" or "decode"');
+  }
+  const lineLength = options.wrap === true ? MIME_LINE_LENGTH : Number(options.wrap || 0);
+  if (!Number.isInteger(lineLength) || lineLength < 0) {
+    throw new UsageError('--wrap must be a non-negative number of columns');
+  }
+  const settings = {
+    alphabet: options.url ? 'url' : 'standard',
+    padding: options.padding,
+    lineLength,
+    strict: Boolean(options.strict),
+  };
+  context.parameters = { mode: options.mode, ...settings };
+
+  // Files and piped input are streamed as raw bytes, so binary data survives
+  if (options.text === undefined && !options.json) {
+    if (options.mode === 'encode') {
+      await streamBytes(options, createBase64EncodeStream(settings), { newline: true });
+    } else {
+      await streamBytes(options, createBase64DecodeStream(settings));
+    }
+    return { streamed: true };
+  }
+
+  const text = await read(options, context);
+
+  if (options.mode === 'encode') {
+    const result = base64Encode(text, settings);
+    return { result, message: chalk.green(`✓ Encoded: ${result}`) };
+  }
+  const result = base64Decode(text, settings);
+  return { result, message: chalk.green(`✓ Decoded: ${result}`) };
+}));
+
+// Brute Force Command
+addIOOptions(
+  program
+    .command('brute-force')
+    .description('Brute force Caesar Cipher')
+    .option('-t, --text <text>', 'Ciphertext to crack')
+    .option('-l, --language <code>', 'Language of the plaintext (en, es, de, fr)', 'en'),
+).action(run('brute-force', async (options, context) => {
+  context.parameters = { language: options.language };
+  const cracked = caesarCrack(await read(options, context), { language: options.language });
+  const byShift = [...cracked.candidates].sort((a, b) => a.shift - b.shift);
+  return {
+    result: cracked,
+    title: 'Possible plaintexts:',
+    lines: byShift.map(({ shift, plaintext, confidence }) => {
+      const line = `Shift ${String(shift).padStart(2)}: ${plaintext}`;
+      return shift === cracked.shift
+        ? `${line}  ← most likely (${(confidence * 100).toFixed(1)}% confidence)`
+        : line;
+    }),
+    highlight: cracked.shift - 1,
+    bare: [cracked.plaintext],
+  };
+}));
+
+// Vigenère Cipher Command
+addIOOptions(
+  program
+    .command('vigenere')
+    .description('Vigenère Cipher encryption/decryption/analysis')
+    .option('-m, --mode <mode>', 'encrypt, decrypt, analyze or crack', 'encrypt')
+    .option('-t, --text <text>', 'Text to process')
+    .option('-k, --key <key>', 'Keyword (encrypt/decrypt)')
+    .option('-l, --language <code>', 'Language of the plaintext when cracking', 'en'),
+).action(run('vigenere', async (options, context) => {
+  context.parameters = { mode: options.mode };
+  const text = await read(options, context);
+
+  if (options.mode === 'encrypt') {
+    const result = vigenereEncrypt(text, options.key);
+    return { result, message: chalk.green(`✓ Encrypted: ${result}`) };
+  }
+  if (options.mode === 'decrypt') {
+    const result = vigenereDecrypt(text, options.key);
+    return { result, message: chalk.green(`✓ Decrypted: ${result}`) };
+  }
+  if (options.mode === 'analyze') {
+    const result = vigenereAnalyze(text);
+    return { result, title: 'Kasiski analysis:', lines: objectLines(result) };
+  }
+  if (options.mode === 'crack') {
+    context.parameters.language = options.language;
+    const result = vigenereCrack(text, { language: options.language });
+    return {
+      result,
+      title: 'Cracked key:',
+      lines: [
+        `key: ${result.key} (length ${result.keyLength})`,
+        `confidence: ${(result.confidence * 100).toFixed(1)}%`,
+        `plaintext: ${result.plaintext}`,
+        'key lengths tried (IoC / Kasiski):',
+        ...result.keyLengths.map(({ length, ioc, kasiski }) => (
+          `  ${String(length).padStart(2)}: ${ioc.toFixed(4)} / ${(kasiski * 100).toFixed(0)}%`
+        )),
+      ],
+      highlight: 0,
+      bare: [result.plaintext],
+    };
+  }
+  throw new UsageError('Invalid mode. Use "encrypt", "decrypt", "analyze" or "crack"');
+}));
+
+// Password Hasher Command
+const hash = addIOOptions(
+  program
+    .command('hash')
+    .description('Password hashing, verification and strength checking')
+    .option('-m, --mode <mode>', 'hash, verify, strength or batch', 'hash')
+    .option('-t, --text <text>', 'Password to process (batch: one per line)')
+    .option('-a, --algorithm <algorithm>', 'pbkdf2, scrypt, bcrypt or argon2id', 'pbkdf2')
+    .option('--concurrency <n>', 'Passwords hashed at once on worker threads (batch)')
+    .option('--pepper-file <path>', 'JSON pepper keyring or secret (pbkdf2 and scrypt)')
+    .option('--hash <hash>', 'Stored hash to verify; its format picks the algorithm')
+    .option('--breach-corpus <path>', 'Local Pwned Passwords corpus to check against (strength)'),
+);
+
+/**
+ * Read the pepper named by --pepper-file
+ *
+ * The file holds JSON: a keyring such as {"current": 2, "peppers": {"1": "...",
+ * "2": "..."}} or a single secret string (pepper version 1).
+ * @param {Object} options - Parsed command options
+ * @returns {Promise<string|Object|undefined>} Pepper for the passwordHasher functions
+ */
+async function readPepper(options) {
+  if (options.pepperFile === undefined) {
+    return undefined;
+  }
+  const text = await readInput({ in: options.pepperFile });
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new UsageError(`Pepper file must hold a JSON keyring or string: ${error.message}`);
+  }
+}
+
+hash.action(run('hash', async (options, context) => {
+  context.parameters = { mode: options.mode, algorithm: options.algorithm };
+  if (!HASH_ALGORITHMS.includes(options.algorithm)) {
+    throw new UsageError(`Invalid algorithm. Use one of: ${HASH_ALGORITHMS.join(', ')}`);
+  }
+  if (options.mode === 'verify' && options.hash === undefined) {
+    throw new UsageError('--hash is required to verify a password');
+  }
+  const pepper = await readPepper(options);
+  const password = await read(options, context, { mask: true });
+
+  if (options.mode === 'hash') {
+    const hashers = {
+      pbkdf2: (text) => hashPassword(text, null, undefined, { pepper }),
+      scrypt: (text) => hashPasswordScrypt(text, null, undefined, { pepper }),
+      bcrypt: hashPasswordBcrypt,
+      argon2id: hashPasswordArgon2id,
+    };
+    if (pepper !== undefined && !['pbkdf2', 'scrypt'].includes(options.algorithm)) {
+      throw new UsageError('--pepper-file only works with pbkdf2 and scrypt');
+    }
+    const { phc: result } = hashers[options.algorithm](password);
+    return { result, message: chalk.green(`✓ Hash: ${result}`) };
+  }
+  if (options.mode === 'verify') {
+    // The stored hash names its own algorithm, so --algorithm does not apply
+    const matches = verifyPassword(password, options.hash, { pepper });
+    return {
+      result: matches,
+      message: matches
+        ? chalk.green('✓ Password matches')
+        : chalk.red('✗ Password does not match'),
+      exitCode: matches ? 0 : EXIT_CODES.VerificationFailed,
+      errors: matches
+        ? []
+        : [{
+          name: 'VerificationFailed',
+          message: 'Password does not match',
+          exitCode: EXIT_CODES.VerificationFailed,
+        }],
+    };
+  }
+  if (options.mode === 'strength') {
+    const strength = checkPasswordStrength(password, { breachCorpus: options.breachCorpus });
+    const suggestions = suggestPasswordImprovements(password);
+    return {
+      result: { ...strength, suggestions },
+      title: `${strength.valid ? '✓' : '✗'} Score: ${strength.score}/100`,
+      lines: [
+        `Guesses: ~10^${Math.log10(strength.guesses).toFixed(1)} (${strength.entropy} bits)`,
+        `Offline crack time: ${strength.crackTimes.offlineSlowHash.display}`,
+        ...(strength.breaches === null ? [] : [`Breaches: ${strength.breaches}`]),
+        ...strength.errors.map((message) => `- ${message}`),
+        ...(suggestions.length ? ['Suggestions:'] : []),
+        ...suggestions.map((suggestion) => `- ${suggestion}`),
+      ],
+      bare: [String(strength.score)],
+    };
+  }
+  if (options.mode === 'batch') {
+    const passwords = password.split(/\r?\n/).filter((line) => line !== '');
+    const progress = process.stderr.isTTY && !options.quiet && !options.json;
+    const controller = new AbortController();
+    const stop = () => controller.abort();
+    process.once('SIGINT', stop);
+    let results;
     try {
-      let result;
-
-      if (options.mode === 'encode') {
-        result = base64Encode(options.text);
-        console.log(chalk.green(`✓ Encoded: ${result}`));
-      } else if (options.mode === 'decode') {
-        result = base64Decode(options.text);
-        console.log(chalk.green(`✓ Decoded: ${result}`));
-      } else {
-        console.error(chalk.red('Invalid mode. Use "encode" or "decode"'));
+      results = await hashMultiplePasswordsAsync(passwords, options.algorithm, {
+        concurrency: options.concurrency === undefined
+          ? undefined
+          : parseInt(options.concurrency, 10),
+        signal: controller.signal,
+        onProgress: ({ completed, total }) => {
+          if (progress) {
+            process.stderr.write(`\rHashed ${completed}/${total}`);
+          }
+        },
+      });
+    } finally {
+      process.removeListener('SIGINT', stop);
+      if (progress && passwords.length > 0) {
+        process.stderr.write('\n');
       }
-    } catch (error) {
-      console.error(chalk.red(`✗ Error: ${error.message}`));
-      process.exit(1);
     }
-  });
+    const hashed = results.filter((entry) => entry.error === undefined).length;
+    const mark = hashed === results.length ? '✓' : '✗';
+    return {
+      result: results.map(({ phc, error }) => (error === undefined ? { phc } : { error })),
+      title: `${mark} Hashed ${hashed} of ${results.length} passwords`,
+      lines: results.map(({ phc, error }, index) => (
+        error === undefined ? phc : `line ${index + 1}: ${error}`
+      )),
+    };
+  }
+  throw new UsageError('Invalid mode. Use "hash", "verify", "strength" or "batch"');
+}));
 
-// Brute Force Command
+/**
+ * Pick the password policy named by --policy, loading --policy-file first
+ *
+ * Without --policy the first profile in the file is used, and without either
+ * option the default policy.
+ * @param {Object} options - Parsed command options
+ * @returns {string|undefined} Policy name
+ */
+function selectPolicy(options) {
+  if (options.policyFile === undefined) {
+    return options.policy;
+  }
+  const [first] = loadPolicyFile(options.policyFile);
+  return options.policy === undefined && first ? first.name : options.policy;
+}
+
+const hashPolicy = hash
+  .command('policy')
+  .description('Password policies (NIST 800-63B, PCI-DSS or custom JSON profiles)');
+
+addIOOptions(
+  hashPolicy
+    .command('check')
+    .description('Check a password against a password policy')
+    .option('-t, --text <text>', 'Password to check')
+    .option('-p, --policy <name>', 'Policy name (default, nist-800-63b, pci-dss or custom)')
+    .option('--policy-file <path>', 'JSON file with custom policy profiles')
+    .option('--history <file>', 'Previous password hashes, one per line, most recent first')
+    .option('--pepper-file <path>', 'JSON pepper keyring or secret for the history hashes')
+    .option('--breach-corpus <path>', 'Local Pwned Passwords corpus to check against'),
+).action(run('hash policy check', async (options, context) => {
+  const policy = selectPolicy(options);
+  context.parameters = { policy: policy || 'default' };
+  const history = options.history === undefined
+    ? []
+    : (await readInput({ in: options.history })).split(/\r?\n/).filter(Boolean);
+  const pepper = await readPepper(options);
+  const password = await read(options, context, { mask: true });
+
+  const settings = {
+    policy,
+    history,
+    pepper,
+    breachCorpus: options.breachCorpus,
+  };
+  const { valid, errors, policy: name } = checkPasswordStrength(password, settings);
+  const suggestions = valid ? [] : suggestPasswordImprovements(password, settings);
+  return {
+    result: {
+      valid,
+      policy: name,
+      errors,
+      suggestions,
+    },
+    title: valid ? `✓ Meets the ${name} policy` : `✗ Does not meet the ${name} policy`,
+    lines: [
+      ...errors.map((message) => `- ${message}`),
+      ...(suggestions.length ? ['Suggestions:'] : []),
+      ...suggestions.map((suggestion) => `- ${suggestion}`),
+    ],
+    bare: errors,
+    exitCode: valid ? 0 : EXIT_CODES.PolicyViolation,
+    errors: errors.map((message) => ({
+      name: 'PolicyViolation',
+      message,
+      exitCode: EXIT_CODES.PolicyViolation,
+    })),
+  };
+}));
+
+hashPolicy
+  .command('list')
+  .description('List the available password policies')
+  .option('--policy-file <path>', 'JSON file with custom policy profiles')
+  .action(run('hash policy list', async (options) => {
+    if (options.policyFile !== undefined) {
+      loadPolicyFile(options.policyFile);
+    }
+    const policies = listPolicies();
+    return {
+      result: policies,
+      title: 'Password policies:',
+      lines: policies.map(({ name, description }) => `${name.padEnd(16)} ${description}`),
+      bare: policies.map(({ name }) => name),
+    };
+  }));
+
+// Password Generator Command
 program
-  .command('brute-force')
-  .description('Brute force Caesar Cipher')
-  .option('-t, --text <text>', 'Ciphertext to crack')
-  .action((options) => {
-    try {
-      const results = bruteForce(options.text);
-      console.log(chalk.blue('Possible plaintexts:'));
-      Object.entries(results).forEach(([shift, plaintext]) => {
-        console.log(`  Shift ${String(shift).padStart(2)}: ${plaintext}`);
+  .command('generate')
+  .description('Generate a random password or Diceware passphrase')
+  .option('-m, --mode <mode>', 'password or passphrase', 'password')
+  .option('-l, --length <number>', 'Password length', '16')
+  .option('-w, --words <number>', 'Passphrase word count', '6')
+  .option('--separator <text>', 'Text between passphrase words', '-')
+  .option('--capitalize', 'Capitalize passphrase words')
+  .option('--no-lowercase', 'Leave out lowercase letters (password)')
+  .option('--no-uppercase', 'Leave out uppercase letters (password)')
+  .option('--no-numbers', 'Leave out numbers (password)')
+  .option('--no-special', 'Leave out special characters (password)')
+  .option('--exclude-ambiguous', 'Leave out look-alike characters such as l, 1 and O (password)')
+  .option('--strict', 'Guarantee the result passes the default strength check')
+  .option('-p, --policy <name>', 'Guarantee the result meets a password policy')
+  .option('--policy-file <path>', 'JSON file with custom policy profiles')
+  .option('--breach-corpus <path>', 'Local Pwned Passwords corpus the result must not be in')
+  .action(run('generate', async (options, context) => {
+    context.parameters = { mode: options.mode };
+    const policy = selectPolicy(options);
+    const checked = options.strict || policy !== undefined;
+    const requirements = checked || options.breachCorpus
+      ? {
+        ...(checked ? { policy } : {
+          minLength: 1,
+          requireUppercase: false,
+          requireLowercase: false,
+          requireNumbers: false,
+          requireSpecial: false,
+        }),
+        ...(options.breachCorpus ? { breachCorpus: options.breachCorpus } : {}),
+      }
+      : undefined;
+
+    if (options.mode === 'password') {
+      const { password, entropy } = generatePassword({
+        length: parseInt(options.length, 10),
+        lowercase: options.lowercase,
+        uppercase: options.uppercase,
+        numbers: options.numbers,
+        special: options.special,
+        excludeAmbiguous: Boolean(options.excludeAmbiguous),
+        requirements,
       });
-    } catch (error) {
-      console.error(chalk.red(`Error: ${error.message}`));
-      process.exit(1);
+      return {
+        result: password,
+        message: chalk.green(`✓ Password: ${password} (${entropy} bits)`),
+      };
+    }
+    if (options.mode === 'passphrase') {
+      const { passphrase, entropy } = generatePassphrase({
+        words: parseInt(options.words, 10),
+        separator: options.separator,
+        capitalize: Boolean(options.capitalize),
+        requirements,
+      });
+      return {
+        result: passphrase,
+        message: chalk.green(`✓ Passphrase: ${passphrase} (${entropy} bits)`),
+      };
+    }
+    throw new UsageError('Invalid mode. Use "password" or "passphrase"');
+  }));
+
+// Morse Code Command
+addIOOptions(
+  program
+    .command('morse')
+    .description('Morse code encoding/decoding')
+    .option('-m, --mode <mode>', 'encode, decode or stats', 'encode')
+    .option('-t, --text <text>', 'Text to process'),
+).action(run('morse', async (options, context) => {
+  context.parameters = { mode: options.mode };
+  const text = await read(options, context);
+
+  if (options.mode === 'encode') {
+    const result = textToMorse(text);
+    return { result, message: chalk.green(`✓ Encoded: ${result}`) };
+  }
+  if (options.mode === 'decode') {
+    const result = morseToText(text);
+    return { result, message: chalk.green(`✓ Decoded: ${result}`) };
+  }
+  if (options.mode === 'stats') {
+    const result = getMorseStats(text);
+    return { result, title: 'Morse statistics:', lines: objectLines(result) };
+  }
+  throw new UsageError('Invalid mode. Use "encode", "decode" or "stats"');
+}));
+
+// Braille Command
+addIOOptions(
+  program
+    .command('braille')
+    .description('Braille encoding/decoding')
+    .option('-m, --mode <mode>', 'encode, decode or stats', 'encode')
+    .option('-t, --text <text>', 'Text to process'),
+).action(run('braille', async (options, context) => {
+  context.parameters = { mode: options.mode };
+  const text = await read(options, context);
+
+  if (options.mode === 'encode') {
+    const result = textToBraille(text);
+    return { result, message: chalk.green(`✓ Encoded: ${result}`) };
+  }
+  if (options.mode === 'decode') {
+    const result = brailleToText(text);
+    return { result, message: chalk.green(`✓ Decoded: ${result}`) };
+  }
+  if (options.mode === 'stats') {
+    const result = getBrailleStats(text);
+    return { result, title: 'Braille statistics:', lines: objectLines(result) };
+  }
+  throw new UsageError('Invalid mode. Use "encode", "decode" or "stats"');
+}));
+
+// Text Obfuscator Command
+const obfuscateModes = {
+  reverse: (text) => reverseText(text),
+  shift: (text, options) => shiftCharacters(text, parseInt(options.shift, 10)),
+  leet: (text, options) => toLeetspeak(text, parseInt(options.intensity, 10)),
+  unleet: (text) => fromLeetspeak(text),
+  vowels: (text) => replaceVowels(text),
+  'restore-vowels': (text) => restoreVowels(text),
+  random: (text, options) => insertRandomCharacters(text, parseFloat(options.density)),
+  interleave: (text, options) => interleaveCharacters(text, options.separator),
+  deinterleave: (text, options) => deinterleaveCharacters(text, options.separator),
+  homoglyph: (text) => toHomoglyph(text),
+  multi: (text, options) => multiObfuscate(text, options.techniques.split(',')),
+};
+
+addIOOptions(
+  program
+    .command('obfuscate')
+    .description('Text obfuscation')
+    .option('-m, --mode <mode>', Object.keys(obfuscateModes).join(', '), 'multi')
+    .option('-t, --text <text>', 'Text to process')
+    .option('-s, --shift <number>', 'Shift value (shift)', '5')
+    .option('-i, --intensity <number>', 'Leetspeak intensity 1-3 (leet)', '1')
+    .option('-d, --density <number>', 'Inserted character ratio 0-1 (random)', '0.2')
+    .option('--separator <separator>', 'Separator (interleave/deinterleave)', ' ')
+    .option('--techniques <list>', 'Comma-separated techniques (multi)', 'reverse,vowels,leet'),
+).action(run('obfuscate', async (options, context) => {
+  const obfuscate = obfuscateModes[options.mode];
+  if (!obfuscate) {
+    throw new UsageError(`Invalid mode. Use one of: ${Object.keys(obfuscateModes).join(', ')}`);
+  }
+  context.parameters = {
+    mode: options.mode,
+    shift: options.shift,
+    intensity: options.intensity,
+    density: options.density,
+    separator: options.separator,
+    techniques: options.techniques,
+  };
+
+  const text = await read(options, context);
+  const result = obfuscate(text, options);
+  const strength = calculateObfuscationStrength(text, result);
+  const summary = chalk.blue(`  Obfuscation strength: ${strength}/100`);
+  return { result, message: `${chalk.green(`✓ Result: ${result}`)}\n${summary}` };
+}));
+
+// QR Code Command
+const qrExtractors = {
+  url: extractURL,
+  email: extractEmail,
+  phone: extractPhone,
+  wifi: extractWiFi,
+  contact: extractContact,
+};
+
+addIOOptions(
+  program
+    .command('qr')
+    .description('QR code content analysis')
+    .option('-m, --mode <mode>', 'analyze, detect, extract, estimate, decode or stats', 'analyze')
+    .option('-t, --text <text>', 'QR content (or image data for decode/stats)')
+    .option('-e, --ec-level <level>', 'Error correction level (L, M, Q, H)', 'M'),
+).action(run('qr', async (options, context) => {
+  context.parameters = { mode: options.mode, ecLevel: options.ecLevel };
+  const text = await read(options, context);
+  const report = (title, result) => ({ result, title, lines: objectLines(result) });
+
+  if (options.mode === 'analyze') {
+    return report('QR content analysis:', analyzeQRContent(text));
+  }
+  if (options.mode === 'detect') {
+    return report('QR content type:', detectContentType(text));
+  }
+  if (options.mode === 'extract') {
+    const { primaryType } = detectContentType(text);
+    const extract = qrExtractors[primaryType];
+    if (!extract) {
+      return {
+        result: { type: primaryType, found: false },
+        title: `No structured data found (type: ${primaryType})`,
+        lines: [],
+      };
+    }
+    return report(`Extracted ${primaryType}:`, { type: primaryType, ...extract(text) });
+  }
+  if (options.mode === 'estimate') {
+    return report('QR version estimate:', estimateQRVersion(text, options.ecLevel));
+  }
+  if (options.mode === 'decode') {
+    return report('QR image:', decodeQRImage(text));
+  }
+  if (options.mode === 'stats') {
+    return report('QR data statistics:', getQRStats(text));
+  }
+  throw new UsageError(
+    'Invalid mode. Use "analyze", "detect", "extract", "estimate", "decode" or "stats"',
+  );
+}));
+
+// Cipher Identification Command
+addIOOptions(
+  program
+    .command('identify')
+    .description('Guess which cipher or encoding produced a string')
+    .option('-t, --text <text>', 'String to identify')
+    .option('-l, --language <code>', 'Expected language of the plaintext (en, es, de, fr)', 'en'),
+).action(run('identify', async (options, context) => {
+  context.parameters = { language: options.language };
+  const hypotheses = identify(await read(options, context), { language: options.language });
+  if (hypotheses.length === 0) {
+    return { result: hypotheses, title: 'No scheme recognised', lines: [] };
+  }
+
+  return {
+    result: hypotheses,
+    title: 'Most likely schemes:',
+    lines: hypotheses.map(({
+      scheme,
+      confidence,
+      decoded,
+      params,
+    }) => {
+      const label = Object.keys(params).length > 0
+        ? `${scheme} ${JSON.stringify(params)}`
+        : scheme;
+      const preview = decoded.length > 60 ? `${decoded.slice(0, 57)}...` : decoded;
+      return `${(confidence * 100).toFixed(1).padStart(5)}%  ${label.padEnd(20)} → ${preview}`;
+    }),
+    highlight: 0,
+    bare: [hypotheses[0].decoded],
+  };
+}));
+
+// Secret Store Commands
+const vault = program
+  .command('vault')
+  .description('Encrypted store of named secrets')
+  .option(
+    '--store <file>',
+    'Store file (default: $VAULT_STORE or ~/.encryption-vault.json)',
+    process.env.VAULT_STORE || path.join(os.homedir(), '.encryption-vault.json'),
+  )
+  .option('-p, --password <password>', 'Master password (default: $VAULT_PASSWORD or a prompt)');
+
+/**
+ * Get the master password from --password, $VAULT_PASSWORD or a prompt
+ * @param {Object} options - Parsed command options
+ * @param {Object} [settings] - Prompt settings
+ * @param {boolean} [settings.confirm=false] - Ask twice when prompting
+ * @returns {Promise<string>} Master password
+ * @throws {UsageError} If the two prompted passwords differ
+ */
+async function masterPassword(options, { confirm = false } = {}) {
+  if (options.password !== undefined) {
+    return options.password;
+  }
+  if (process.env.VAULT_PASSWORD) {
+    return process.env.VAULT_PASSWORD;
+  }
+
+  const password = await promptSecret('Master password: ');
+  if (confirm && password !== await promptSecret('Repeat master password: ')) {
+    throw new UsageError('Passwords do not match');
+  }
+  return password;
+}
+
+vault
+  .command('init')
+  .description('Create a new, empty store')
+  .option('-c, --cost <cost>', 'scrypt cost factor (N = 2^cost)', '15')
+  .option('--cipher <cipher>', 'aes-256-gcm or chacha20-poly1305', 'aes-256-gcm')
+  .action(run('vault init', async (options, context) => {
+    const cost = parseInt(options.cost, 10);
+    context.parameters = { store: options.store, cost, cipher: options.cipher };
+    const password = await masterPassword(options, { confirm: true });
+    const result = initStore(options.store, password, { cost, cipher: options.cipher });
+    return { result, title: `✓ Created store at ${options.store}`, lines: [] };
+  }));
+
+addIOOptions(
+  vault
+    .command('put <name>')
+    .description('Encrypt a secret and save it under a name')
+    .option('-t, --text <text>', 'Secret value (default: --in, stdin or a prompt)'),
+).action(run('vault put', async (options, context, [name]) => {
+  context.parameters = { store: options.store, name };
+  const password = await masterPassword(options);
+  const prompt = options.text === undefined && options.in === undefined && process.stdin.isTTY;
+  const value = prompt ? await promptSecret(`Value for ${name}: `) : await readInput(options);
+  context.input = '***masked***';
+
+  const result = putSecret(options.store, password, name, value);
+  return { result, title: `✓ ${result.created ? 'Saved' : 'Updated'} ${name}`, lines: [] };
+}));
+
+vault
+  .command('get <name>')
+  .description('Decrypt and print a secret')
+  .option('--out <file>', 'Write the secret to a file')
+  .action(run('vault get', async (options, context, [name]) => {
+    context.parameters = { store: options.store, name };
+    const password = await masterPassword(options);
+    return { result: getSecret(options.store, password, name) };
+  }));
+
+vault
+  .command('list')
+  .description('List the names of stored secrets')
+  .action(run('vault list', async (options, context) => {
+    context.parameters = { store: options.store };
+    const entries = listSecrets(options.store);
+    return {
+      result: entries,
+      title: entries.length > 0 ? `${entries.length} secret(s):` : 'The store is empty',
+      lines: entries.map(({ name, updated }) => `${name.padEnd(30)} updated ${updated}`),
+      bare: entries.map(({ name }) => name),
+    };
+  }));
+
+vault
+  .command('rm <name>')
+  .description('Delete a secret')
+  .action(run('vault rm', async (options, context, [name]) => {
+    context.parameters = { store: options.store, name };
+    const password = await masterPassword(options);
+    const result = removeSecret(options.store, password, name);
+    return { result, title: `✓ Removed ${name}`, lines: [] };
+  }));
+
+vault
+  .command('rekey')
+  .description('Change the master password or KDF cost and re-encrypt every secret')
+  .option(
+    '--new-password <password>',
+    'New master password (default: $VAULT_NEW_PASSWORD or a prompt)',
+  )
+  .option('--keep-password', 'Keep the master password, only change the settings')
+  .option('-c, --cost <cost>', 'New scrypt cost factor (N = 2^cost)')
+  .option('--cipher <cipher>', 'New cipher: aes-256-gcm or chacha20-poly1305')
+  .action(run('vault rekey', async (options, context) => {
+    const settings = {};
+    if (options.cost !== undefined) {
+      settings.cost = parseInt(options.cost, 10);
+    }
+    if (options.cipher !== undefined) {
+      settings.cipher = options.cipher;
+    }
+    context.parameters = {
+      store: options.store,
+      keepPassword: Boolean(options.keepPassword),
+      ...settings,
+    };
+
+    const password = await masterPassword(options);
+    if (options.newPassword !== undefined) {
+      settings.newPassword = options.newPassword;
+    } else if (process.env.VAULT_NEW_PASSWORD) {
+      settings.newPassword = process.env.VAULT_NEW_PASSWORD;
+    } else if (!options.keepPassword) {
+      settings.newPassword = await promptSecret('New master password: ');
+      if (settings.newPassword !== await promptSecret('Repeat new master password: ')) {
+        throw new UsageError('Passwords do not match');
+      }
     }
-  });
 
-program.parse(process.argv);
+    const result = rekeyStore(options.store, password, settings);
+    return {
+      result,
+      title: `✓ Re-encrypted ${result.entries} secret(s)`,
+      lines: objectLines(result.encryption),
+    };
+  }));
 
 if (!process.argv.slice(2).length) {
   program.outputHelp();
+} else {
+  await program.parseAsync(process.argv);
 }
@@ -0,0 +1,217 @@
+/**
+ * CLI Output Reporting
+ *
+ * Every command returns an outcome describing its input, parameters and
+ * result. The reporter renders it as coloured prose (default), as the bare
+ * result (`--quiet`) or as a JSON document (`--json`), and maps errors to
+ * distinct exit codes so scripts can tell failures apart without scraping
+ * messages.
+ */
+
+import chalk from 'chalk';
+
+import { isRawOutput, writeOutput } from './io.js';
+
+class UsageError extends Error {
+  constructor(message = 'Invalid usage') {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Exit codes by error class name
+ *
+ * Errors are matched along their prototype chain, so a subclass without its
+ * own entry exits with its parent's code.
+ */
+const EXIT_CODES = {
+  Error: 1,
+  UsageError: 2,
+  TypeError: 3,
+  VerificationFailed: 4,
+  IOError: 5,
+  PolicyViolation: 6,
+  InvalidShiftError: 10,
+  CaesarCipherError: 11,
+  InvalidBase64Error: 12,
+  Base64Error: 13,
+  ROT13Error: 14,
+  RegistryError: 15,
+  InvalidParameterError: 16,
+  UnknownTransformError: 17,
+  PipelineError: 18,
+  IrreversiblePipelineError: 19,
+  LanguageModelError: 20,
+  UnknownLanguageError: 21,
+  EncryptionError: 22,
+  InvalidEnvelopeError: 23,
+  TamperedDataError: 24,
+  SecretStoreError: 25,
+  EntryNotFoundError: 26,
+  WrongMasterPasswordError: 27,
+  StoreLockedError: 28,
+  RekeyError: 29,
+  BreachCorpusError: 30,
+  PasswordGeneratorError: 31,
+  PolicyError: 32,
+  UnknownPolicyError: 33,
+  HashPoolError: 34,
+};
+
+const IO_ERROR_CODES = ['ENOENT', 'EACCES', 'EISDIR', 'ENOTDIR', 'EEXIST', 'EPERM'];
+
+/**
+ * Find the exit code for an error
+ * @param {Error} error - The error thrown by a command
+ * @returns {number} Process exit code
+ * @example
+ * exitCodeFor(new InvalidShiftError()); // 10
+ */
+function exitCodeFor(error) {
+  if (error && IO_ERROR_CODES.includes(error.code)) {
+    return EXIT_CODES.IOError;
+  }
+
+  let proto = error ? Object.getPrototypeOf(error) : null;
+  while (proto && proto !== Object.prototype) {
+    const name = proto.constructor && proto.constructor.name;
+    if (name && EXIT_CODES[name] !== undefined) {
+      return EXIT_CODES[name];
+    }
+    proto = Object.getPrototypeOf(proto);
+  }
+  return EXIT_CODES.Error;
+}
+
+/**
+ * Print a heading followed by indented lines, or write them to --out
+ * @param {Object} options - Parsed command options
+ * @param {string} title - Heading printed above the lines
+ * @param {Array<string>} lines - Lines to print
+ * @param {number} [highlight] - Index of a line to emphasise on the terminal
+ * @returns {Promise<void>}
+ */
+async function emitLines(options, title, lines, highlight) {
+  if (options.out !== undefined) {
+    await writeOutput(options, [title, ...lines.map((line) => `  ${line}`)].join('\n'));
+    return;
+  }
+  console.log(chalk.blue(title));
+  lines.forEach((line, index) => {
+    console.log(index === highlight ? chalk.green.bold(`  ${line}`) : `  ${line}`);
+  });
+}
+
+/**
+ * Format an object as key/value lines
+ * @param {Object} data - Values to format
+ * @returns {Array<string>} One "key: value" line per property
+ */
+function objectLines(data) {
+  return Object.entries(data).map(([key, value]) => {
+    const printable = typeof value === 'object' && value !== null ? JSON.stringify(value) : value;
+    return `${key}: ${printable}`;
+  });
+}
+
+/**
+ * Write a JSON document to --out or stdout
+ * @private
+ * @param {Object} options - Parsed command options
+ * @param {Object} document - Document to write
+ * @returns {Promise<void>}
+ */
+function writeJson(options, document) {
+  return writeOutput(options, JSON.stringify(document, null, 2));
+}
+
+/**
+ * Render a successful command outcome
+ *
+ * @param {string} command - Command name
+ * @param {Object} options - Parsed command options (including globals)
+ * @param {Object} outcome - What the command produced
+ * @param {*} outcome.input - Input echoed in JSON output
+ * @param {Object} [outcome.parameters] - Parameters echoed in JSON output
+ * @param {*} outcome.result - The result
+ * @param {string} [outcome.message] - Decorated message for a terminal user
+ * @param {string} [outcome.title] - Heading for line-based reports
+ * @param {Array<string>} [outcome.lines] - Lines for line-based reports
+ * @param {number} [outcome.highlight] - Index of the line to emphasise
+ * @param {Array<string>} [outcome.bare] - What --quiet prints for a line-based
+ *   report, one value per line (default: the lines without the title)
+ * @param {boolean} [outcome.streamed] - The result was already written
+ * @returns {Promise<void>}
+ */
+async function reportOutcome(command, options, outcome) {
+  if (outcome.streamed) {
+    return;
+  }
+
+  if (options.json) {
+    await writeJson(options, {
+      command,
+      input: outcome.input,
+      parameters: outcome.parameters || {},
+      result: outcome.result,
+      errors: outcome.errors || [],
+    });
+    return;
+  }
+
+  if (outcome.lines) {
+    if (!options.quiet) {
+      await emitLines(options, outcome.title, outcome.lines, outcome.highlight);
+      return;
+    }
+    const bare = outcome.bare || outcome.lines;
+    if (bare.length > 0) {
+      await writeOutput(options, bare.join('\n'));
+    }
+    return;
+  }
+
+  if (options.quiet || isRawOutput(options) || outcome.message === undefined) {
+    await writeOutput(options, String(outcome.result));
+  } else {
+    console.log(outcome.message);
+  }
+}
+
+/**
+ * Render a failed command and set the exit code
+ *
+ * @param {string} command - Command name
+ * @param {Object} options - Parsed command options (including globals)
+ * @param {Error} error - The error thrown
+ * @param {Object} [context] - Input and parameters gathered before the failure
+ * @returns {Promise<void>}
+ */
+async function reportError(command, options, error, context = {}) {
+  const exitCode = exitCodeFor(error);
+
+  if (options.json) {
+    await writeJson(options, {
+      command,
+      input: context.input === undefined ? null : context.input,
+      parameters: context.parameters || {},
+      result: null,
+      errors: [{ name: error.name, message: error.message, exitCode }],
+    });
+  } else if (!options.quiet) {
+    console.error(chalk.red(`✗ Error: ${error.message}`));
+  }
+
+  process.exitCode = exitCode;
+}
+
+export {
+  UsageError,
+  EXIT_CODES,
+  exitCodeFor,
+  emitLines,
+  objectLines,
+  reportOutcome,
+  reportError,
+};
@@ -0,0 +1,551 @@
+/**
+ * Argon2 Implementation
+ * Pure JavaScript Argon2 (RFC 9106) with the BLAKE2b hash (RFC 7693) it is
+ * built on. Argon2id is what passwordHasher emits; Argon2i and Argon2d are
+ * computed as well so existing hashes of either type can be verified.
+ *
+ * 64-bit words are held as (low, high) pairs of 32-bit integers in
+ * Uint32Arrays: word i lives at [2i] and [2i + 1].
+ *
+ * @module argon2
+ */
+
+/* eslint-disable no-bitwise */
+
+export const ARGON2_TYPES = ['argon2d', 'argon2i', 'argon2id'];
+
+export const ARGON2_VERSION = 0x13;
+
+// Largest memory cost accepted, in KiB (1 GiB)
+export const MAX_MEMORY_COST = 1024 * 1024;
+
+const BLOCK_WORDS = 256; // 1024-byte block as 32-bit words
+const SYNC_POINTS = 4;
+const ADDRESSES_PER_BLOCK = 128;
+
+const BLAKE2B_IV = Uint32Array.from([
+  0xf3bcc908, 0x6a09e667, 0x84caa73b, 0xbb67ae85, 0xfe94f82b, 0x3c6ef372, 0x5f1d36f1, 0xa54ff53a,
+  0xade682d1, 0x510e527f, 0x2b3e6c1f, 0x9b05688c, 0xfb41bd6b, 0x1f83d9ab, 0x137e2179, 0x5be0cd19,
+]);
+
+const BLAKE2B_SIGMA = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+  [11, 8, 12, 0, 5, 2, 15, 13, 10, 14, 3, 6, 7, 1, 9, 4],
+  [7, 9, 3, 1, 13, 12, 11, 14, 2, 6, 5, 10, 4, 0, 15, 8],
+  [9, 0, 5, 7, 2, 4, 10, 15, 14, 1, 11, 12, 6, 8, 3, 13],
+  [2, 12, 6, 10, 0, 11, 8, 3, 4, 13, 7, 5, 15, 14, 1, 9],
+  [12, 5, 1, 15, 14, 13, 4, 10, 0, 7, 6, 3, 9, 2, 8, 11],
+  [13, 11, 7, 14, 12, 1, 3, 9, 5, 0, 15, 4, 8, 6, 2, 10],
+  [6, 15, 14, 9, 11, 3, 0, 8, 12, 2, 13, 7, 1, 4, 10, 5],
+  [10, 2, 8, 4, 7, 6, 1, 5, 15, 11, 9, 14, 3, 12, 13, 0],
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15],
+  [14, 10, 4, 8, 9, 15, 13, 6, 1, 12, 0, 2, 11, 7, 5, 3],
+];
+
+// Word positions (a, b, c, d) of the eight G applications in one round
+const ROUND_POSITIONS = [
+  [0, 4, 8, 12], [1, 5, 9, 13], [2, 6, 10, 14], [3, 7, 11, 15],
+  [0, 5, 10, 15], [1, 6, 11, 12], [2, 7, 8, 13], [3, 4, 9, 14],
+];
+
+/**
+ * Rotates 64-bit word i of v right by 32, 24, 16 or 63 bits
+ *
+ * @param {Uint32Array} v - Words
+ * @param {number} i - Word index
+ * @param {number} bits - Rotation
+ * @private
+ */
+function rotateRight(v, i, bits) {
+  const low = v[2 * i];
+  const high = v[2 * i + 1];
+  if (bits === 32) {
+    v[2 * i] = high;
+    v[2 * i + 1] = low;
+  } else if (bits === 63) {
+    v[2 * i] = (low << 1) | (high >>> 31);
+    v[2 * i + 1] = (high << 1) | (low >>> 31);
+  } else {
+    v[2 * i] = (low >>> bits) | (high << (32 - bits));
+    v[2 * i + 1] = (high >>> bits) | (low << (32 - bits));
+  }
+}
+
+/**
+ * Sets v[d] ^= v[a] (64-bit)
+ *
+ * @param {Uint32Array} v - Words
+ * @param {number} d - Destination word index
+ * @param {number} a - Source word index
+ * @private
+ */
+function xorWord(v, d, a) {
+  v[2 * d] ^= v[2 * a];
+  v[2 * d + 1] ^= v[2 * a + 1];
+}
+
+/**
+ * Sets v[a] += v[b] + extra (64-bit, wrapping)
+ *
+ * @param {Uint32Array} v - Words
+ * @param {number} a - Destination word index
+ * @param {number} b - Added word index
+ * @param {number} extraLow - Low half of an extra addend
+ * @param {number} extraHigh - High half of an extra addend
+ * @private
+ */
+function addWords(v, a, b, extraLow, extraHigh) {
+  const low = v[2 * a] + v[2 * b] + extraLow;
+  v[2 * a + 1] += v[2 * b + 1] + extraHigh + Math.floor(low / 0x100000000);
+  v[2 * a] = low;
+}
+
+/**
+ * High 32 bits of the 64-bit product of two unsigned 32-bit integers
+ *
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @returns {number} High word of a * b
+ * @private
+ */
+function multiplyHigh(a, b) {
+  const aLow = a & 0xffff;
+  const aHigh = a >>> 16;
+  const bLow = b & 0xffff;
+  const bHigh = b >>> 16;
+  const lowLow = aLow * bLow;
+  const lowHigh = aLow * bHigh;
+  const highLow = aHigh * bLow;
+  const middle = (lowLow >>> 16) + (lowHigh & 0xffff) + (highLow & 0xffff);
+  return (aHigh * bHigh + (lowHigh >>> 16) + (highLow >>> 16) + (middle >>> 16)) >>> 0;
+}
+
+/**
+ * BLAKE2b compression function
+ *
+ * @param {Uint32Array} h - Chain value (8 words, updated)
+ * @param {Uint32Array} m - Message block (16 words)
+ * @param {number} counter - Bytes hashed so far, including this block
+ * @param {boolean} last - Whether this is the final block
+ * @private
+ */
+function blake2bCompress(h, m, counter, last) {
+  const v = new Uint32Array(32);
+  v.set(h);
+  v.set(BLAKE2B_IV, 16);
+  v[24] ^= counter >>> 0;
+  v[25] ^= Math.floor(counter / 0x100000000);
+  if (last) {
+    v[28] = ~v[28];
+    v[29] = ~v[29];
+  }
+
+  BLAKE2B_SIGMA.forEach((sigma) => {
+    ROUND_POSITIONS.forEach(([a, b, c, d], index) => {
+      const x = sigma[2 * index];
+      const y = sigma[2 * index + 1];
+      addWords(v, a, b, m[2 * x], m[2 * x + 1]);
+      xorWord(v, d, a);
+      rotateRight(v, d, 32);
+      addWords(v, c, d, 0, 0);
+      xorWord(v, b, c);
+      rotateRight(v, b, 24);
+      addWords(v, a, b, m[2 * y], m[2 * y + 1]);
+      xorWord(v, d, a);
+      rotateRight(v, d, 16);
+      addWords(v, c, d, 0, 0);
+      xorWord(v, b, c);
+      rotateRight(v, b, 63);
+    });
+  });
+
+  for (let i = 0; i < 16; i += 1) {
+    h[i] ^= v[i] ^ v[i + 16];
+  }
+}
+
+/**
+ * BLAKE2b hash (unkeyed) with a variable output length
+ *
+ * @param {Buffer|Uint8Array} input - Data to hash
+ * @param {number} [outputLength=64] - Digest length in bytes (1-64)
+ * @returns {Buffer} Digest
+ * @throws {Error} If the output length is out of range
+ *
+ * @example
+ * blake2b(Buffer.from('abc'), 32).toString('hex')
+ * // Returns 'bddd813c634239723171ef3fee98579b94964e3bb1cb3e427262c8c068d52319'
+ */
+export function blake2b(input, outputLength = 64) {
+  if (!Number.isInteger(outputLength) || outputLength < 1 || outputLength > 64) {
+    throw new Error('BLAKE2b output length must be between 1 and 64 bytes');
+  }
+
+  const h = Uint32Array.from(BLAKE2B_IV);
+  h[0] ^= 0x01010000 | outputLength;
+
+  const data = Buffer.from(input);
+  const block = Buffer.alloc(128);
+  const words = new Uint32Array(32);
+  const blockCount = Math.max(1, Math.ceil(data.length / 128));
+  for (let index = 0; index < blockCount; index += 1) {
+    const last = index === blockCount - 1;
+    block.fill(0);
+    data.copy(block, 0, index * 128, (index + 1) * 128);
+    for (let i = 0; i < 32; i += 1) {
+      words[i] = block.readUInt32LE(i * 4);
+    }
+    blake2bCompress(h, words, last ? data.length : (index + 1) * 128, last);
+  }
+
+  const output = Buffer.alloc(64);
+  h.forEach((word, i) => output.writeUInt32LE(word, i * 4));
+  return output.subarray(0, outputLength);
+}
+
+/**
+ * 32-bit little-endian encoding
+ *
+ * @param {number} value - Unsigned integer
+ * @returns {Buffer} Four bytes
+ * @private
+ */
+function le32(value) {
+  const bytes = Buffer.alloc(4);
+  bytes.writeUInt32LE(value >>> 0);
+  return bytes;
+}
+
+/**
+ * Argon2's variable-length hash H'
+ *
+ * @param {Buffer} input - Data to hash
+ * @param {number} length - Output length in bytes
+ * @returns {Buffer} Digest
+ * @private
+ */
+function hashLong(input, length) {
+  const seeded = Buffer.concat([le32(length), input]);
+  if (length <= 64) {
+    return blake2b(seeded, length);
+  }
+
+  const pieces = Math.ceil(length / 32) - 2;
+  const output = [];
+  let v = blake2b(seeded, 64);
+  output.push(v.subarray(0, 32));
+  for (let i = 1; i < pieces; i += 1) {
+    v = blake2b(v, 64);
+    output.push(v.subarray(0, 32));
+  }
+  output.push(blake2b(v, length - 32 * pieces));
+  return Buffer.concat(output);
+}
+
+/**
+ * Word indexes (within a block) of the 16 words each row and column
+ * permutation works on. A block is an 8x8 matrix of 16-byte registers.
+ * @private
+ */
+const ROW_INDEXES = Array.from({ length: 8 }, (_, row) => (
+  Array.from({ length: 16 }, (__, i) => 16 * row + i)
+));
+const COLUMN_INDEXES = Array.from({ length: 8 }, (_, column) => (
+  Array.from({ length: 16 }, (__, i) => 2 * column + 16 * (i >> 1) + (i & 1))
+));
+
+/**
+ * Argon2's G: the BLAKE2b round function with multiplications mixed into
+ * each addition (a = a + b + 2 * lo(a) * lo(b))
+ *
+ * @param {Uint32Array} v - Block being permuted
+ * @param {number} a - Word index
+ * @param {number} b - Word index
+ * @private
+ */
+function multiplyAdd(v, a, b) {
+  const aLow = v[2 * a];
+  const bLow = v[2 * b];
+  const productLow = Math.imul(aLow, bLow) >>> 0;
+  const productHigh = multiplyHigh(aLow, bLow);
+  addWords(
+    v,
+    a,
+    b,
+    (productLow << 1) >>> 0,
+    ((productHigh << 1) | (productLow >>> 31)) >>> 0,
+  );
+}
+
+/**
+ * Applies the Argon2 permutation P to 16 words of a block
+ *
+ * @param {Uint32Array} v - Block
+ * @param {Array<number>} w - Word indexes to permute
+ * @private
+ */
+function permute(v, w) {
+  ROUND_POSITIONS.forEach(([ia, ib, ic, id]) => {
+    const a = w[ia];
+    const b = w[ib];
+    const c = w[ic];
+    const d = w[id];
+    multiplyAdd(v, a, b);
+    xorWord(v, d, a);
+    rotateRight(v, d, 32);
+    multiplyAdd(v, c, d);
+    xorWord(v, b, c);
+    rotateRight(v, b, 24);
+    multiplyAdd(v, a, b);
+    xorWord(v, d, a);
+    rotateRight(v, d, 16);
+    multiplyAdd(v, c, d);
+    xorWord(v, b, c);
+    rotateRight(v, b, 63);
+  });
+}
+
+/**
+ * The compression function G: out = P(x ^ y) ^ x ^ y (^ out when xoring)
+ *
+ * @param {Uint32Array} memory - All blocks
+ * @param {number} x - Offset of the first input block (in words)
+ * @param {number} y - Offset of the second input block
+ * @param {number} out - Offset of the output block
+ * @param {boolean} withXor - Xor the result into the existing output block
+ * @param {object} scratch - { r, t } work blocks
+ * @private
+ */
+function compress(memory, x, y, out, withXor, { r, t }) {
+  for (let i = 0; i < BLOCK_WORDS; i += 1) {
+    r[i] = memory[x + i] ^ memory[y + i];
+    t[i] = withXor ? r[i] ^ memory[out + i] : r[i];
+  }
+  ROW_INDEXES.forEach((indexes) => permute(r, indexes));
+  COLUMN_INDEXES.forEach((indexes) => permute(r, indexes));
+  for (let i = 0; i < BLOCK_WORDS; i += 1) {
+    memory[out + i] = t[i] ^ r[i];
+  }
+}
+
+/**
+ * Checks Argon2 inputs and fills in defaults
+ *
+ * @param {Buffer} salt - Salt
+ * @param {object} options - Options passed to argon2()
+ * @returns {object} Normalised parameters
+ * @throws {Error} If a parameter is out of range
+ * @private
+ */
+function normalizeOptions(salt, options) {
+  const {
+    type = 'argon2id',
+    memoryCost = 19456,
+    timeCost = 2,
+    parallelism = 1,
+    hashLength = 32,
+    secret = Buffer.alloc(0),
+    associatedData = Buffer.alloc(0),
+    version = ARGON2_VERSION,
+  } = options;
+
+  if (!ARGON2_TYPES.includes(type)) {
+    throw new Error(`Argon2 type must be one of: ${ARGON2_TYPES.join(', ')}`);
+  }
+  if (version !== 0x10 && version !== 0x13) {
+    throw new Error('Argon2 version must be 16 (0x10) or 19 (0x13)');
+  }
+  if (!Number.isInteger(parallelism) || parallelism < 1 || parallelism > 0xffffff) {
+    throw new Error('Argon2 parallelism must be between 1 and 16777215');
+  }
+  if (!Number.isInteger(memoryCost) || memoryCost < 8 * parallelism
+    || memoryCost > MAX_MEMORY_COST) {
+    throw new Error(
+      `Argon2 memory cost must be between 8 x parallelism and ${MAX_MEMORY_COST} KiB`,
+    );
+  }
+  if (!Number.isInteger(timeCost) || timeCost < 1) {
+    throw new Error('Argon2 time cost must be a positive integer');
+  }
+  if (!Number.isInteger(hashLength) || hashLength < 4) {
+    throw new Error('Argon2 hash length must be at least 4 bytes');
+  }
+  if (!(salt instanceof Uint8Array) || salt.length < 8) {
+    throw new Error('Argon2 salt must be at least 8 bytes');
+  }
+
+  return {
+    typeCode: ARGON2_TYPES.indexOf(type),
+    memoryCost,
+    timeCost,
+    parallelism,
+    hashLength,
+    secret: Buffer.from(secret),
+    associatedData: Buffer.from(associatedData),
+    version,
+  };
+}
+
+/**
+ * Computes an Argon2 hash
+ *
+ * @param {string|Buffer} password - Password (strings as UTF-8)
+ * @param {Buffer} salt - Salt (at least 8 bytes, 16 recommended)
+ * @param {object} [options] - Argon2 parameters
+ * @param {string} [options.type='argon2id'] - 'argon2id', 'argon2i' or 'argon2d'
+ * @param {number} [options.memoryCost=19456] - Memory in KiB (m)
+ * @param {number} [options.timeCost=2] - Number of passes (t)
+ * @param {number} [options.parallelism=1] - Number of lanes (p), computed sequentially
+ * @param {number} [options.hashLength=32] - Output length in bytes
+ * @param {Buffer} [options.secret] - Optional secret key (K)
+ * @param {Buffer} [options.associatedData] - Optional associated data (X)
+ * @param {number} [options.version=0x13] - Algorithm version, 0x13 or the older 0x10
+ * @returns {Buffer} The hash
+ * @throws {Error} If a parameter is out of range
+ *
+ * @example
+ * argon2('password', Buffer.from('somesalt'), { memoryCost: 64, timeCost: 2 })
+ * // Returns a 32-byte Buffer
+ */
+export function argon2(password, salt, options = {}) {
+  const {
+    typeCode,
+    memoryCost,
+    timeCost,
+    parallelism,
+    hashLength,
+    secret,
+    associatedData,
+    version,
+  } = normalizeOptions(salt, options);
+  const passwordBytes = Buffer.from(password);
+
+  const h0 = blake2b(Buffer.concat([
+    le32(parallelism),
+    le32(hashLength),
+    le32(memoryCost),
+    le32(timeCost),
+    le32(version),
+    le32(typeCode),
+    le32(passwordBytes.length),
+    passwordBytes,
+    le32(salt.length),
+    Buffer.from(salt),
+    le32(secret.length),
+    secret,
+    le32(associatedData.length),
+    associatedData,
+  ]), 64);
+
+  const segmentLength = Math.floor(memoryCost / (SYNC_POINTS * parallelism));
+  const laneLength = segmentLength * SYNC_POINTS;
+  const memory = new Uint32Array(laneLength * parallelism * BLOCK_WORDS);
+  const scratch = { r: new Uint32Array(BLOCK_WORDS), t: new Uint32Array(BLOCK_WORDS) };
+
+  for (let lane = 0; lane < parallelism; lane += 1) {
+    [0, 1].forEach((column) => {
+      const block = hashLong(Buffer.concat([h0, le32(column), le32(lane)]), 1024);
+      const offset = (lane * laneLength + column) * BLOCK_WORDS;
+      for (let i = 0; i < BLOCK_WORDS; i += 1) {
+        memory[offset + i] = block.readUInt32LE(i * 4);
+      }
+    });
+  }
+
+  const zero = new Uint32Array(BLOCK_WORDS);
+  const input = new Uint32Array(BLOCK_WORDS);
+  const addresses = new Uint32Array(BLOCK_WORDS * 2);
+
+  const fillSegment = (pass, lane, slice) => {
+    const independent = typeCode === 1 || (typeCode === 2 && pass === 0 && slice < 2);
+    const nextAddresses = () => {
+      input[12] += 1;
+      // Address blocks are G(0, G(0, input)); compress works on one array,
+      // so the zero block, input and output are laid out side by side
+      addresses.set(zero, 0);
+      addresses.set(input, BLOCK_WORDS);
+      compress(addresses, 0, BLOCK_WORDS, BLOCK_WORDS, false, scratch);
+      compress(addresses, 0, BLOCK_WORDS, BLOCK_WORDS, false, scratch);
+    };
+
+    if (independent) {
+      input.fill(0);
+      input[0] = pass;
+      input[2] = lane;
+      input[4] = slice;
+      input[6] = laneLength * parallelism;
+      input[8] = timeCost;
+      input[10] = typeCode;
+    }
+
+    const start = pass === 0 && slice === 0 ? 2 : 0;
+    if (independent && start === 2) {
+      nextAddresses();
+    }
+
+    for (let index = start; index < segmentLength; index += 1) {
+      const current = lane * laneLength + slice * segmentLength + index;
+      const previous = current % laneLength === 0 ? current + laneLength - 1 : current - 1;
+
+      let j1;
+      let j2;
+      if (independent) {
+        if (index % ADDRESSES_PER_BLOCK === 0) {
+          nextAddresses();
+        }
+        const word = BLOCK_WORDS + 2 * (index % ADDRESSES_PER_BLOCK);
+        j1 = addresses[word];
+        j2 = addresses[word + 1];
+      } else {
+        j1 = memory[previous * BLOCK_WORDS];
+        j2 = memory[previous * BLOCK_WORDS + 1];
+      }
+
+      const referenceLane = pass === 0 && slice === 0 ? lane : j2 % parallelism;
+      const sameLane = referenceLane === lane;
+      const finished = pass === 0 ? slice * segmentLength : laneLength - segmentLength;
+      let areaSize;
+      if (sameLane) {
+        areaSize = finished + index - 1;
+      } else {
+        areaSize = finished + (index === 0 ? -1 : 0);
+      }
+
+      const relative = areaSize - 1 - multiplyHigh(areaSize, multiplyHigh(j1, j1));
+      const startPosition = pass === 0 || slice === SYNC_POINTS - 1
+        ? 0
+        : (slice + 1) * segmentLength;
+      const reference = referenceLane * laneLength + ((startPosition + relative) % laneLength);
+
+      compress(
+        memory,
+        previous * BLOCK_WORDS,
+        reference * BLOCK_WORDS,
+        current * BLOCK_WORDS,
+        pass > 0 && version === 0x13,
+        scratch,
+      );
+    }
+  };
+
+  for (let pass = 0; pass < timeCost; pass += 1) {
+    for (let slice = 0; slice < SYNC_POINTS; slice += 1) {
+      for (let lane = 0; lane < parallelism; lane += 1) {
+        fillSegment(pass, lane, slice);
+      }
+    }
+  }
+
+  const final = new Uint32Array(BLOCK_WORDS);
+  for (let lane = 0; lane < parallelism; lane += 1) {
+    const offset = (lane * laneLength + laneLength - 1) * BLOCK_WORDS;
+    for (let i = 0; i < BLOCK_WORDS; i += 1) {
+      final[i] ^= memory[offset + i];
+    }
+  }
+
+  const finalBytes = Buffer.alloc(1024);
+  final.forEach((word, i) => finalBytes.writeUInt32LE(word, i * 4));
+  return hashLong(finalBytes, hashLength);
+}
@@ -0,0 +1,339 @@
+/**
+ * Authenticated Encryption
+ * Password-based encryption with AES-256-GCM or ChaCha20-Poly1305. Keys are
+ * stretched with the PBKDF2/scrypt code from passwordHasher, and the result is
+ * a self-describing JSON envelope that carries everything needed to decrypt
+ * it again except the password
+ *
+ * An envelope has the shape:
+ * {
+ *   version: 1,
+ *   cipher: 'aes-256-gcm',
+ *   kdf: { algorithm: 'scrypt', cost: 15, salt: '...' },
+ *   nonce: '...', tag: '...', ciphertext: '...'
+ * }
+ *
+ * Binary fields are base64. The header (everything but tag and ciphertext) is
+ * authenticated as associated data, so editing any field is detected.
+ *
+ * @module authenticatedEncryption
+ */
+
+import crypto from 'crypto';
+
+import { deriveKey } from './passwordHasher.js';
+
+export const ENVELOPE_VERSION = 1;
+
+export const CIPHERS = ['aes-256-gcm', 'chacha20-poly1305'];
+
+export const KDF_ALGORITHMS = ['scrypt', 'pbkdf2'];
+
+const KEY_LENGTH = 32;
+const NONCE_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+// Upper bound on PBKDF2 iterations accepted from an envelope, so a crafted
+// envelope cannot pin the CPU (scrypt is already bounded by its memory limit)
+const MAX_ITERATIONS = 10000000;
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]*={0,2}$/;
+
+export class EncryptionError extends Error {
+  constructor(message = 'Encryption Error') {
+    super(message);
+    this.name = 'EncryptionError';
+  }
+}
+
+export class InvalidEnvelopeError extends EncryptionError {
+  constructor(message = 'Invalid envelope') {
+    super(message);
+    this.name = 'InvalidEnvelopeError';
+  }
+}
+
+export class TamperedDataError extends EncryptionError {
+  constructor(
+    message = 'Authentication failed: wrong password or the data has been tampered with',
+  ) {
+    super(message);
+    this.name = 'TamperedDataError';
+  }
+}
+
+/**
+ * Decodes a base64 envelope field, checking its alphabet and length
+ *
+ * @param {*} value - Field value
+ * @param {string} field - Field name (for error messages)
+ * @param {number} [length] - Required decoded length in bytes
+ * @returns {Buffer} Decoded bytes
+ * @throws {InvalidEnvelopeError} If the field is missing or malformed
+ * @private
+ */
+function decodeField(value, field, length) {
+  if (typeof value !== 'string' || !BASE64_PATTERN.test(value) || value.length % 4 !== 0) {
+    throw new InvalidEnvelopeError(`Envelope field "${field}" must be base64`);
+  }
+
+  const bytes = Buffer.from(value, 'base64');
+  if (length !== undefined && bytes.length !== length) {
+    throw new InvalidEnvelopeError(`Envelope field "${field}" must be ${length} bytes`);
+  }
+  return bytes;
+}
+
+/**
+ * Validates the KDF description of an envelope
+ *
+ * @param {*} kdf - The envelope's kdf field
+ * @returns {object} { algorithm, salt, iterations|cost }
+ * @throws {InvalidEnvelopeError} If the description is malformed
+ * @private
+ */
+function parseKdf(kdf) {
+  if (typeof kdf !== 'object' || kdf === null || Array.isArray(kdf)) {
+    throw new InvalidEnvelopeError('Envelope field "kdf" must be an object');
+  }
+  if (!KDF_ALGORITHMS.includes(kdf.algorithm)) {
+    throw new InvalidEnvelopeError(`Unsupported key derivation: ${kdf.algorithm}`);
+  }
+
+  decodeField(kdf.salt, 'kdf.salt');
+
+  if (kdf.algorithm === 'pbkdf2') {
+    const { iterations } = kdf;
+    if (!Number.isInteger(iterations) || iterations < 1000 || iterations > MAX_ITERATIONS) {
+      throw new InvalidEnvelopeError(
+        `PBKDF2 iterations must be between 1000 and ${MAX_ITERATIONS}`,
+      );
+    }
+    return { algorithm: kdf.algorithm, iterations, salt: kdf.salt };
+  }
+
+  if (!Number.isInteger(kdf.cost) || kdf.cost < 4 || kdf.cost > 31) {
+    throw new InvalidEnvelopeError('scrypt cost must be between 4 and 31');
+  }
+  return { algorithm: kdf.algorithm, cost: kdf.cost, salt: kdf.salt };
+}
+
+/**
+ * Builds the associated data that binds the header to the ciphertext
+ *
+ * @param {object} envelope - Envelope (header fields are read)
+ * @param {string|Buffer} [associatedData] - Extra caller-supplied context
+ * @returns {Buffer} Associated data
+ * @private
+ */
+function headerBytes(envelope, associatedData) {
+  const header = Buffer.from(JSON.stringify([
+    envelope.version,
+    envelope.cipher,
+    envelope.kdf.algorithm,
+    envelope.kdf.cost,
+    envelope.kdf.iterations,
+    envelope.kdf.salt,
+    envelope.nonce,
+  ]));
+
+  if (associatedData === undefined) {
+    return header;
+  }
+  return Buffer.concat([header, Buffer.from(associatedData)]);
+}
+
+/**
+ * Converts plaintext input to bytes
+ *
+ * @param {string|Buffer|Uint8Array} value - Input
+ * @param {string} label - Name used in the error message
+ * @returns {Buffer} Bytes
+ * @throws {TypeError} If the input is neither a string nor bytes
+ * @private
+ */
+function toBytes(value, label) {
+  if (typeof value === 'string') {
+    return Buffer.from(value, 'utf8');
+  }
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value);
+  }
+  throw new TypeError(`${label} must be a string, Buffer or Uint8Array`);
+}
+
+/**
+ * Validates an envelope and returns it as an object
+ *
+ * @param {string|object} envelope - Envelope JSON or an already parsed envelope
+ * @returns {object} The validated envelope
+ * @throws {InvalidEnvelopeError} If the envelope is malformed or of an unknown version
+ *
+ * @example
+ * parseEnvelope(encrypt('secret', 'pw')).cipher
+ * // Returns 'aes-256-gcm'
+ */
+export function parseEnvelope(envelope) {
+  let parsed = envelope;
+  if (typeof envelope === 'string') {
+    try {
+      parsed = JSON.parse(envelope);
+    } catch (error) {
+      throw new InvalidEnvelopeError('Envelope is not valid JSON');
+    }
+  }
+
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw new InvalidEnvelopeError('Envelope must be a JSON object');
+  }
+  if (parsed.version !== ENVELOPE_VERSION) {
+    throw new InvalidEnvelopeError(`Unsupported envelope version: ${parsed.version}`);
+  }
+  if (!CIPHERS.includes(parsed.cipher)) {
+    throw new InvalidEnvelopeError(`Unsupported cipher: ${parsed.cipher}`);
+  }
+
+  const kdf = parseKdf(parsed.kdf);
+  decodeField(parsed.nonce, 'nonce', NONCE_LENGTH);
+  decodeField(parsed.tag, 'tag', TAG_LENGTH);
+  decodeField(parsed.ciphertext, 'ciphertext');
+
+  return {
+    version: parsed.version,
+    cipher: parsed.cipher,
+    kdf,
+    nonce: parsed.nonce,
+    tag: parsed.tag,
+    ciphertext: parsed.ciphertext,
+  };
+}
+
+/**
+ * Encrypts data under a password
+ *
+ * @param {string|Buffer|Uint8Array} plaintext - Data to encrypt (strings as UTF-8)
+ * @param {string} password - Password the key is derived from
+ * @param {object} [options] - Encryption options
+ * @param {string} [options.cipher='aes-256-gcm'] - 'aes-256-gcm' or 'chacha20-poly1305'
+ * @param {string} [options.kdf='scrypt'] - Key derivation, 'scrypt' or 'pbkdf2'
+ * @param {number} [options.cost=15] - scrypt cost factor
+ * @param {number} [options.iterations=100000] - PBKDF2 iterations
+ * @param {string|Buffer} [options.associatedData] - Context that must match on decryption
+ * @returns {string} The envelope as JSON
+ * @throws {TypeError} If the plaintext or password has the wrong type
+ * @throws {EncryptionError} If the cipher or key derivation is not supported
+ *
+ * @example
+ * const envelope = encrypt('launch codes', 'correct horse battery staple')
+ * decrypt(envelope, 'correct horse battery staple')
+ * // Returns 'launch codes'
+ */
+export function encrypt(plaintext, password, options = {}) {
+  const {
+    cipher = 'aes-256-gcm',
+    kdf = 'scrypt',
+    cost = 15,
+    iterations = 100000,
+    associatedData,
+  } = options;
+
+  const data = toBytes(plaintext, 'Plaintext');
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new TypeError('Password must be a non-empty string');
+  }
+  if (!CIPHERS.includes(cipher)) {
+    throw new EncryptionError(`Unsupported cipher: ${cipher}. Use one of: ${CIPHERS.join(', ')}`);
+  }
+  if (!KDF_ALGORITHMS.includes(kdf)) {
+    throw new EncryptionError(`Unsupported key derivation: ${kdf}. Use scrypt or pbkdf2`);
+  }
+
+  let derived;
+  try {
+    derived = deriveKey(password, {
+      algorithm: kdf,
+      cost,
+      iterations,
+      keyLength: KEY_LENGTH,
+    });
+  } catch (error) {
+    throw new EncryptionError(error.message);
+  }
+
+  const envelope = {
+    version: ENVELOPE_VERSION,
+    cipher,
+    kdf: kdf === 'pbkdf2'
+      ? { algorithm: kdf, iterations, salt: derived.salt }
+      : { algorithm: kdf, cost, salt: derived.salt },
+    nonce: crypto.randomBytes(NONCE_LENGTH).toString('base64'),
+  };
+
+  const engine = crypto.createCipheriv(
+    cipher,
+    derived.key,
+    Buffer.from(envelope.nonce, 'base64'),
+    { authTagLength: TAG_LENGTH },
+  );
+  engine.setAAD(headerBytes(envelope, associatedData), { plaintextLength: data.length });
+  const ciphertext = Buffer.concat([engine.update(data), engine.final()]);
+
+  return JSON.stringify({
+    ...envelope,
+    tag: engine.getAuthTag().toString('base64'),
+    ciphertext: ciphertext.toString('base64'),
+  });
+}
+
+/**
+ * Decrypts an envelope produced by encrypt()
+ *
+ * @param {string|object} envelope - Envelope JSON or parsed envelope
+ * @param {string} password - Password used for encryption
+ * @param {object} [options] - Decryption options
+ * @param {string|Buffer} [options.associatedData] - Context given to encrypt()
+ * @param {string} [options.encoding='utf8'] - Output encoding, or 'buffer' for raw bytes
+ * @returns {string|Buffer} The plaintext
+ * @throws {TypeError} If the password is not a string
+ * @throws {InvalidEnvelopeError} If the envelope is malformed
+ * @throws {TamperedDataError} If the password is wrong or any part of the envelope was altered
+ *
+ * @example
+ * decrypt(envelope, 'wrong password')
+ * // Throws TamperedDataError
+ */
+export function decrypt(envelope, password, options = {}) {
+  const { associatedData, encoding = 'utf8' } = options;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new TypeError('Password must be a non-empty string');
+  }
+
+  const parsed = parseEnvelope(envelope);
+
+  let derived;
+  try {
+    derived = deriveKey(password, { ...parsed.kdf, keyLength: KEY_LENGTH });
+  } catch (error) {
+    throw new InvalidEnvelopeError(`Cannot derive key: ${error.message}`);
+  }
+
+  const ciphertext = Buffer.from(parsed.ciphertext, 'base64');
+  const engine = crypto.createDecipheriv(
+    parsed.cipher,
+    derived.key,
+    Buffer.from(parsed.nonce, 'base64'),
+    { authTagLength: TAG_LENGTH },
+  );
+  engine.setAAD(headerBytes(parsed, associatedData), { plaintextLength: ciphertext.length });
+  engine.setAuthTag(Buffer.from(parsed.tag, 'base64'));
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([engine.update(ciphertext), engine.final()]);
+  } catch (error) {
+    throw new TamperedDataError();
+  }
+
+  return encoding === 'buffer' ? plaintext : plaintext.toString(encoding);
+}
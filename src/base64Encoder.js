@@ -13,8 +13,27 @@
  * - NOT ENCRYPTION - easily reversible
  * - Used for data format/transmission, not security
  * - Always ensure security layer above Base64
+ *
+ * encode/decode work on text (UTF-8). encodeBytes/decodeBytes work on raw
+ * bytes, and createEncodeStream/createDecodeStream handle files and inputs too
+ * large to hold in memory.
+ *
+ * All of them take the same options:
+ * - alphabet: 'standard' (+ and /) or 'url' (- and _, RFC 4648 §5)
+ * - padding: whether encoding adds "=" padding (default: only for the
+ *   standard alphabet). When decoding strictly, true requires padding and
+ *   false forbids it; by default either is accepted.
+ * - lineLength, lineSeparator: wrap encoded output into lines, e.g.
+ *   MIME_LINE_LENGTH (76) columns joined by CRLF as in RFC 2045
+ * - strict: decoding throws InvalidBase64Error, with the position of the
+ *   problem, for characters outside the alphabet and bad padding instead of
+ *   skipping them. Line breaks are allowed so wrapped text still decodes.
  */
 
+/* eslint-disable no-bitwise */
+
+import { Transform } from 'stream';
+
 class Base64Error extends Error {
   constructor(message = 'Base64 Error') {
     super(message);
@@ -23,73 +42,445 @@ class Base64Error extends Error {
 }
 
 class InvalidBase64Error extends Base64Error {
-  constructor(message = 'Invalid Base64 string') {
+  constructor(message = 'Invalid Base64 string', position = null) {
     super(message);
     this.name = 'InvalidBase64Error';
+    this.position = position;
+  }
+}
+
+const BASE64_ALPHABETS = ['standard', 'url'];
+
+const MIME_LINE_LENGTH = 76;
+
+const ALPHABET_CHARACTERS = {
+  standard: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/',
+  url: 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_',
+};
+
+// Character -> 6-bit value, per alphabet
+const ALPHABET_VALUES = Object.fromEntries(
+  BASE64_ALPHABETS.map((name) => [
+    name,
+    new Map(Array.from(ALPHABET_CHARACTERS[name], (character, value) => [character, value])),
+  ]),
+);
+
+/**
+ * Check and complete the encoding options
+ * @private
+ * @param {Object} options - Options as given
+ * @returns {Object} {alphabet, padding, lineLength, lineSeparator, strict}
+ * @throws {TypeError} If an option has an invalid value
+ */
+function resolveOptions(options) {
+  if (options === null || typeof options !== 'object') {
+    throw new TypeError('Options must be an object');
+  }
+  const {
+    alphabet = 'standard',
+    padding,
+    lineLength = 0,
+    lineSeparator = '\r\n',
+    strict = false,
+  } = options;
+
+  if (!BASE64_ALPHABETS.includes(alphabet)) {
+    throw new TypeError(`Alphabet must be one of: ${BASE64_ALPHABETS.join(', ')}`);
+  }
+  if (padding !== undefined && typeof padding !== 'boolean') {
+    throw new TypeError('Padding must be a boolean');
+  }
+  if (!Number.isInteger(lineLength) || lineLength < 0) {
+    throw new TypeError('Line length must be a non-negative integer');
+  }
+  if (typeof lineSeparator !== 'string') {
+    throw new TypeError('Line separator must be a string');
+  }
+
+  return {
+    alphabet,
+    padding,
+    lineLength,
+    lineSeparator,
+    strict: Boolean(strict),
+  };
+}
+
+/**
+ * Rewrite standard padded Base64 for the chosen alphabet and padding
+ * @private
+ * @param {string} base64 - Output of Buffer#toString('base64')
+ * @param {Object} settings - Resolved options
+ * @returns {string} Base64 in the requested form, not yet wrapped
+ */
+function applyAlphabet(base64, settings) {
+  let text = settings.alphabet === 'url'
+    ? base64.replace(/\+/g, '-').replace(/\//g, '_')
+    : base64;
+  const padding = settings.padding === undefined
+    ? settings.alphabet === 'standard'
+    : settings.padding;
+  if (!padding) {
+    text = text.replace(/=+$/, '');
   }
+  return text;
+}
+
+/**
+ * Break encoded text into lines, continuing a line already started
+ * @private
+ * @param {string} text - Encoded text
+ * @param {Object} settings - Resolved options
+ * @param {number} [column=0] - Characters already on the current line
+ * @returns {{text: string, column: number}} Wrapped text and the new column
+ */
+function wrapLines(text, settings, column = 0) {
+  const { lineLength, lineSeparator } = settings;
+  if (lineLength === 0 || text === '') {
+    return { text, column };
+  }
+
+  let wrapped = '';
+  let current = column;
+  let index = 0;
+  while (index < text.length) {
+    if (current === lineLength) {
+      wrapped += lineSeparator;
+      current = 0;
+    }
+    const take = Math.min(lineLength - current, text.length - index);
+    wrapped += text.slice(index, index + take);
+    current += take;
+    index += take;
+  }
+  return { text: wrapped, column: current };
+}
+
+/**
+ * Create a strict-mode checker that can be fed the input in pieces
+ *
+ * check() throws at the first character that cannot appear where it does,
+ * and finish() throws if the input ended in an incomplete group, without the
+ * required padding or with non-zero bits after the last byte.
+ * @private
+ * @param {Object} settings - Resolved options
+ * @returns {{check: function(string, number): void, finish: function(number): void}}
+ *   check(text, offset) takes the next piece and its position in the input;
+ *   finish(length) takes the input's total length
+ */
+function createValidator(settings) {
+  const values = ALPHABET_VALUES[settings.alphabet];
+  let symbols = 0;
+  let padCount = 0;
+  let last = null;
+
+  function check(text, offset) {
+    for (let index = 0; index < text.length; index += 1) {
+      const character = text[index];
+      const position = offset + index;
+      if (character === '=') {
+        if (settings.padding === false) {
+          throw new InvalidBase64Error(`Unexpected padding at position ${position}`, position);
+        }
+        padCount += 1;
+        if (symbols % 4 < 2 || (symbols % 4) + padCount > 4) {
+          throw new InvalidBase64Error(`Unexpected padding at position ${position}`, position);
+        }
+      } else if (values.has(character)) {
+        if (padCount > 0) {
+          throw new InvalidBase64Error(
+            `Unexpected character "${character}" after padding at position ${position}`,
+            position,
+          );
+        }
+        symbols += 1;
+        last = { value: values.get(character), position };
+      } else if (character !== '\r' && character !== '\n') {
+        throw new InvalidBase64Error(
+          `Invalid character "${character}" at position ${position}`,
+          position,
+        );
+      }
+    }
+  }
+
+  function finish(length) {
+    const remainder = symbols % 4;
+    if (remainder === 1) {
+      throw new InvalidBase64Error(
+        `Incomplete final group at position ${last.position}`,
+        last.position,
+      );
+    }
+    if (remainder > 0 && remainder + padCount !== 4
+      && (padCount > 0 || settings.padding === true)) {
+      throw new InvalidBase64Error(`Missing padding at position ${length}`, length);
+    }
+    const unusedBits = remainder === 2 ? 0x0f : 0x03;
+    if (remainder > 0 && (last.value & unusedBits) !== 0) {
+      throw new InvalidBase64Error(
+        `Non-zero trailing bits at position ${last.position}`,
+        last.position,
+      );
+    }
+  }
+
+  return { check, finish };
+}
+
+/**
+ * Encode a Buffer under resolved options
+ * @private
+ * @param {Buffer} buffer - Bytes to encode
+ * @param {Object} settings - Resolved options
+ * @returns {string} Base64 encoded string
+ */
+function encodeBuffer(buffer, settings) {
+  return wrapLines(applyAlphabet(buffer.toString('base64'), settings), settings).text;
+}
+
+/**
+ * Decode Base64 under resolved options, checking it first in strict mode
+ * @private
+ * @param {string} encodedText - Base64 encoded string
+ * @param {Object} settings - Resolved options
+ * @returns {Buffer} Decoded bytes
+ * @throws {InvalidBase64Error} In strict mode, if the Base64 string is invalid
+ */
+function decodeToBuffer(encodedText, settings) {
+  if (settings.strict) {
+    const validator = createValidator(settings);
+    validator.check(encodedText, 0);
+    validator.finish(encodedText.length);
+  }
+  return Buffer.from(encodedText, settings.alphabet === 'url' ? 'base64url' : 'base64');
 }
 
 /**
  * Encode text to Base64
  * @param {string} text - Text to encode
+ * @param {Object} [options] - alphabet, padding, lineLength and lineSeparator
  * @returns {string} Base64 encoded string
- * @throws {TypeError} If text is not a string
+ * @throws {TypeError} If text is not a string or an option is invalid
  * @example
  * encode("HELLO"); // "SEVMTE8="
  * encode("HELLO WORLD"); // "SEVMTE8gV09STEQ="
+ * encode("<<???>>", { alphabet: 'url' }); // "PDw_Pz8-Pg"
  */
-function encode(text) {
+function encode(text, options = {}) {
   if (typeof text !== 'string') {
     throw new TypeError('Text must be a string');
   }
 
-  try {
-    return Buffer.from(text, 'utf-8').toString('base64');
-  } catch (e) {
-    throw new Base64Error(`Encoding failed: ${e.message}`);
-  }
+  return encodeBuffer(Buffer.from(text, 'utf-8'), resolveOptions(options));
 }
 
 /**
  * Decode Base64 text
  * @param {string} encodedText - Base64 encoded string
+ * @param {Object} [options] - alphabet, padding and strict
  * @returns {string} Decoded text
- * @throws {InvalidBase64Error} If Base64 string is invalid
- * @throws {TypeError} If input is not a string
+ * @throws {InvalidBase64Error} In strict mode, if the Base64 string is invalid
+ * @throws {TypeError} If input is not a string or an option is invalid
  * @example
  * decode("SEVMTE8="); // "HELLO"
  * decode("SEVMTE8gV09STEQ="); // "HELLO WORLD"
+ * decode("SEV!MTE8=", { strict: true }); // throws InvalidBase64Error (position 3)
  */
-function decode(encodedText) {
+function decode(encodedText, options = {}) {
   if (typeof encodedText !== 'string') {
     throw new TypeError('Encoded text must be a string');
   }
 
-  try {
-    return Buffer.from(encodedText, 'base64').toString('utf-8');
-  } catch (e) {
-    throw new InvalidBase64Error(`Decoding failed: ${e.message}`);
+  return decodeToBuffer(encodedText, resolveOptions(options)).toString('utf-8');
+}
+
+/**
+ * Convert a Uint8Array to a Buffer without copying
+ * @private
+ * @param {Uint8Array} bytes - Bytes to wrap
+ * @returns {Buffer} Buffer over the same memory
+ */
+function toBuffer(bytes) {
+  return Buffer.isBuffer(bytes)
+    ? bytes
+    : Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+/**
+ * Encode raw bytes to Base64
+ * @param {Uint8Array} bytes - Bytes to encode (a Buffer or any Uint8Array)
+ * @param {Object} [options] - alphabet, padding, lineLength and lineSeparator
+ * @returns {string} Base64 encoded string
+ * @throws {TypeError} If bytes is not a Uint8Array or an option is invalid
+ * @example
+ * encodeBytes(new Uint8Array([0xff, 0x00, 0x10])); // "/wAQ"
+ * encodeBytes(pdf, { lineLength: MIME_LINE_LENGTH }); // "JVBERi0xLjcK...\r\n..."
+ */
+function encodeBytes(bytes, options = {}) {
+  if (!(bytes instanceof Uint8Array)) {
+    throw new TypeError('Bytes must be a Buffer or Uint8Array');
   }
+
+  return encodeBuffer(toBuffer(bytes), resolveOptions(options));
+}
+
+/**
+ * Decode Base64 text to raw bytes
+ * @param {string} encodedText - Base64 encoded string
+ * @param {Object} [options] - alphabet, padding and strict
+ * @returns {Buffer} Decoded bytes
+ * @throws {InvalidBase64Error} In strict mode, if the Base64 string is invalid
+ * @throws {TypeError} If input is not a string or an option is invalid
+ * @example
+ * decodeBytes("/wAQ"); // <Buffer ff 00 10>
+ * decodeBytes("_wAQ", { alphabet: 'url', strict: true }); // <Buffer ff 00 10>
+ */
+function decodeBytes(encodedText, options = {}) {
+  if (typeof encodedText !== 'string') {
+    throw new TypeError('Encoded text must be a string');
+  }
+
+  return decodeToBuffer(encodedText, resolveOptions(options));
+}
+
+/**
+ * Create a Transform stream that encodes bytes to Base64
+ *
+ * Base64 encodes 3 bytes at a time, so up to 2 bytes of each chunk are held
+ * back and joined to the next one; the last group is padded when the input
+ * ends. Lines are wrapped across chunk boundaries. The output is the same as
+ * encodeBytes on the whole input.
+ * @param {Object} [options] - alphabet, padding, lineLength and lineSeparator
+ * @returns {Transform} Stream taking bytes (or strings, as UTF-8) and
+ *   producing Base64 text
+ * @throws {TypeError} If an option is invalid
+ * @example
+ * fs.createReadStream('photo.jpg')
+ *   .pipe(createEncodeStream({ lineLength: MIME_LINE_LENGTH }))
+ *   .pipe(fs.createWriteStream('photo.jpg.b64'));
+ */
+function createEncodeStream(options = {}) {
+  const settings = resolveOptions(options);
+  let carry = Buffer.alloc(0);
+  let column = 0;
+
+  const format = (bytes) => {
+    const wrapped = wrapLines(applyAlphabet(bytes.toString('base64'), settings), settings, column);
+    column = wrapped.column;
+    return wrapped.text || undefined;
+  };
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      const bytes = carry.length > 0 ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = bytes.length - (bytes.length % 3);
+      carry = Buffer.from(bytes.subarray(usable));
+      callback(null, format(bytes.subarray(0, usable)));
+    },
+    flush(callback) {
+      callback(null, format(carry));
+    },
+  });
+}
+
+/**
+ * Decode complete 4-character groups, each on its own once padding appears
+ * @private
+ * @param {string} text - Base64 text whose length is a multiple of 4
+ * @returns {Buffer} Decoded bytes
+ */
+function decodeGroups(text) {
+  if (!text.includes('=')) {
+    return Buffer.from(text, 'base64');
+  }
+  // Buffer.from stops at the first padding, which would drop concatenated inputs
+  return Buffer.concat(
+    (text.match(/.{4}/g) || []).map((group) => Buffer.from(group, 'base64')),
+  );
+}
+
+/**
+ * Create a Transform stream that decodes Base64 to bytes
+ *
+ * Line breaks and other characters outside the Base64 alphabet are skipped,
+ * as in decode; in strict mode only line breaks are, and the stream errors
+ * with InvalidBase64Error, whose position counts input bytes. Characters
+ * that do not complete a 4-character group are held back and joined to the
+ * next chunk, and a final unpadded group is decoded when the input ends.
+ * @param {Object} [options] - alphabet, padding and strict
+ * @returns {Transform} Stream taking Base64 text and producing bytes
+ * @throws {TypeError} If an option is invalid
+ * @example
+ * fs.createReadStream('photo.jpg.b64')
+ *   .pipe(createDecodeStream({ strict: true }))
+ *   .pipe(fs.createWriteStream('photo.jpg'));
+ */
+function createDecodeStream(options = {}) {
+  const settings = resolveOptions(options);
+  const validator = settings.strict ? createValidator(settings) : null;
+  let carry = '';
+  let offset = 0;
+
+  return new Transform({
+    transform(chunk, _encoding, callback) {
+      const raw = chunk.toString('latin1');
+      try {
+        if (validator) {
+          validator.check(raw, offset);
+        }
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      offset += raw.length;
+      const text = carry + raw.replace(/[^A-Za-z0-9+/=_-]/g, '');
+      const usable = text.length - (text.length % 4);
+      carry = text.slice(usable);
+      callback(null, usable > 0 ? decodeGroups(text.slice(0, usable)) : undefined);
+    },
+    flush(callback) {
+      try {
+        if (validator) {
+          validator.finish(offset);
+        }
+      } catch (error) {
+        callback(error);
+        return;
+      }
+      callback(null, carry.length > 0 ? Buffer.from(carry, 'base64') : undefined);
+    },
+  });
 }
 
 /**
  * Check if string is valid Base64
+ *
+ * Uses the same rules as strict decoding, so unpadded and line-wrapped input
+ * is accepted unless the options say otherwise.
  * @param {string} text - String to check
+ * @param {Object} [options] - alphabet and padding
  * @returns {boolean} True if valid Base64
  * @example
  * isBase64("SEVMTE8="); // true
+ * isBase64("SEVMTE8"); // true
+ * isBase64("SEVMTE8", { padding: true }); // false
  * isBase64("HELLO"); // false
  */
-function isBase64(text) {
+function isBase64(text, options = {}) {
   if (typeof text !== 'string') {
     return false;
   }
 
   try {
-    const encoded = Buffer.from(text, 'base64').toString('base64');
-    return encoded === text;
+    decodeBytes(text, { ...options, strict: true });
+    return true;
   } catch (e) {
-    return false;
+    if (e instanceof InvalidBase64Error) {
+      return false;
+    }
+    throw e;
   }
 }
 
@@ -117,4 +508,17 @@ function analyze(text) {
   };
 }
 
-export { encode, decode, isBase64, analyze, Base64Error, InvalidBase64Error };
+export {
+  BASE64_ALPHABETS,
+  MIME_LINE_LENGTH,
+  encode,
+  decode,
+  encodeBytes,
+  decodeBytes,
+  createEncodeStream,
+  createDecodeStream,
+  isBase64,
+  analyze,
+  Base64Error,
+  InvalidBase64Error,
+};
@@ -0,0 +1,270 @@
+/**
+ * Breached Passwords
+ * Offline lookups against a local copy of a breached-password corpus such as
+ * Have I Been Pwned's Pwned Passwords. Passwords are identified by their
+ * uppercase SHA-1 hash, split into a 5-character prefix and a 35-character
+ * suffix as in the HIBP range API (k-anonymity), so nothing ever leaves the
+ * machine and no network access is needed.
+ *
+ * Two corpus layouts are supported:
+ * - a directory of range files named <PREFIX>.txt (e.g. 5BAA6.txt), each
+ *   holding the range API response for that prefix, one SUFFIX:COUNT per
+ *   line. Only the bucket for the password's prefix is read.
+ * - a single file of HASH:COUNT lines sorted by hash, i.e. every range bucket
+ *   with its prefix put back, as written by the official downloader. It is
+ *   binary searched on disk, so the full multi-gigabyte corpus works too.
+ *
+ * Padding entries (count 0) and Windows line endings are ignored.
+ *
+ * @module breachedPasswords
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+export class BreachCorpusError extends Error {
+  constructor(message = 'Breach Corpus Error') {
+    super(message);
+    this.name = 'BreachCorpusError';
+  }
+}
+
+export const PREFIX_LENGTH = 5;
+
+const RANGE_LINE = /^([0-9A-F]{35}):(\d+)$/i;
+const HASH_LINE = /^([0-9A-F]{40}):(\d+)$/i;
+
+// Longest HASH:COUNT line, with room for a CR and generous counts
+const MAX_LINE_BYTES = 64;
+
+// Loaded corpora by resolved path, so a path can be passed on every call
+const corpora = new Map();
+
+/**
+ * Hashes a password and splits the hash as the range API does
+ *
+ * @param {string} password - The password
+ * @returns {object} {hash, prefix, suffix} in uppercase hex
+ * @throws {TypeError} If the password is not a string
+ *
+ * @example
+ * sha1Range('password')
+ * // Returns { hash: '5BAA61E4C9B9...', prefix: '5BAA6', suffix: '1E4C9B93F3F0...' }
+ */
+export function sha1Range(password) {
+  if (typeof password !== 'string') {
+    throw new TypeError('Password must be a string');
+  }
+  const hash = crypto.createHash('sha1').update(password, 'utf8').digest('hex').toUpperCase();
+  return { hash, prefix: hash.slice(0, PREFIX_LENGTH), suffix: hash.slice(PREFIX_LENGTH) };
+}
+
+/**
+ * Parses a range API response (one SUFFIX:COUNT per line)
+ *
+ * @param {string} text - Range response body
+ * @returns {Map<string, number>} Breach counts by uppercase suffix, padding entries left out
+ * @throws {BreachCorpusError} If a line is not SUFFIX:COUNT
+ *
+ * @example
+ * parseRange('1E4C9B93F3F0682250B6CF8331B7EE68FD8:9659365\r\n')
+ * // Returns Map { '1E4C9B93F3F0682250B6CF8331B7EE68FD8' => 9659365 }
+ */
+export function parseRange(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Range must be a string');
+  }
+
+  const counts = new Map();
+  text.split('\n').forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) {
+      return;
+    }
+    const match = line.match(RANGE_LINE);
+    if (!match) {
+      throw new BreachCorpusError(`Invalid range entry on line ${index + 1}: ${line.slice(0, 50)}`);
+    }
+    const count = Number(match[2]);
+    if (count > 0) {
+      counts.set(match[1].toUpperCase(), count);
+    }
+  });
+  return counts;
+}
+
+/**
+ * Reads the first line starting at or after a byte offset
+ *
+ * @param {number} fd - Open file descriptor
+ * @param {number} size - File size in bytes
+ * @param {number} offset - Byte offset
+ * @returns {object|null} {start, line} or null past the last line
+ * @throws {BreachCorpusError} If the line is too long to be a corpus entry
+ * @private
+ */
+function readLineAfter(fd, size, offset) {
+  const buffer = Buffer.alloc(MAX_LINE_BYTES * 2);
+  const from = Math.max(0, offset - 1);
+  const read = fs.readSync(fd, buffer, 0, buffer.length, from);
+  const text = buffer.toString('latin1', 0, read);
+  const atEnd = from + read >= size;
+
+  // The byte before offset tells whether offset already starts a line
+  const skip = offset === 0 ? 0 : text.indexOf('\n') + 1;
+  if (offset > 0 && skip === 0) {
+    if (atEnd) {
+      return null;
+    }
+    throw new BreachCorpusError('Corpus file is not a list of HASH:COUNT lines');
+  }
+
+  const start = from + skip;
+  if (start >= size) {
+    return null;
+  }
+  const end = text.indexOf('\n', skip);
+  if (end < 0 && !atEnd) {
+    throw new BreachCorpusError('Corpus file is not a list of HASH:COUNT lines');
+  }
+  return { start, line: text.slice(skip, end < 0 ? undefined : end).trim() };
+}
+
+/**
+ * Binary searches a sorted HASH:COUNT file for a hash
+ *
+ * @param {string} file - Corpus file
+ * @param {string} hash - Uppercase SHA-1 hash
+ * @returns {number} Breach count, 0 if the hash is not listed
+ * @private
+ */
+function searchHashFile(file, hash) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const { size } = fs.fstatSync(fd);
+    const keyOf = (entry) => entry.line.slice(0, hash.length).toUpperCase();
+
+    // Invariant: every line starting before low sorts below the hash, and the
+    // first line starting at or after high (if any) does not
+    let low = 0;
+    let high = size;
+    while (low < high) {
+      const mid = Math.floor((low + high) / 2);
+      const entry = readLineAfter(fd, size, mid);
+      if (!entry || keyOf(entry) >= hash) {
+        high = mid;
+      } else {
+        low = entry.start + 1;
+      }
+    }
+
+    const entry = readLineAfter(fd, size, low);
+    if (!entry || keyOf(entry) !== hash) {
+      return 0;
+    }
+    const match = entry.line.match(HASH_LINE);
+    if (!match) {
+      throw new BreachCorpusError(`Invalid corpus entry: ${entry.line.slice(0, 50)}`);
+    }
+    return Number(match[2]);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Opens a breach corpus and checks its layout
+ *
+ * @param {string} corpusPath - Directory of <PREFIX>.txt range files, or a sorted HASH:COUNT file
+ * @returns {object} Corpus handle {path, layout} for breachCount, layout being
+ *   'directory' or 'file'
+ * @throws {TypeError} If the path is not a non-empty string
+ * @throws {BreachCorpusError} If the path does not exist or is not a corpus
+ *
+ * @example
+ * loadBreachCorpus('/data/pwned-passwords')
+ * // Returns { path: '/data/pwned-passwords', layout: 'directory' }
+ */
+export function loadBreachCorpus(corpusPath) {
+  if (typeof corpusPath !== 'string' || corpusPath === '') {
+    throw new TypeError('Corpus path must be a non-empty string');
+  }
+
+  const resolved = path.resolve(corpusPath);
+  if (corpora.has(resolved)) {
+    return corpora.get(resolved);
+  }
+
+  let stats;
+  try {
+    stats = fs.statSync(resolved);
+  } catch (error) {
+    throw new BreachCorpusError(`No breach corpus at ${corpusPath}`);
+  }
+
+  let corpus;
+  if (stats.isDirectory()) {
+    corpus = { path: resolved, layout: 'directory' };
+  } else {
+    const fd = fs.openSync(resolved, 'r');
+    let first;
+    try {
+      first = readLineAfter(fd, stats.size, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    if (first && !HASH_LINE.test(first.line)) {
+      throw new BreachCorpusError(`${corpusPath} is not a list of HASH:COUNT lines`);
+    }
+    corpus = { path: resolved, layout: 'file' };
+  }
+
+  corpora.set(resolved, corpus);
+  return corpus;
+}
+
+/**
+ * Looks a password up in a breach corpus
+ *
+ * @param {string} password - The password
+ * @param {string|object} corpus - Corpus path or handle from loadBreachCorpus
+ * @returns {number} How often the password appears in the corpus (0 if never)
+ * @throws {TypeError} If the password is not a string
+ * @throws {BreachCorpusError} If the corpus is missing or malformed
+ *
+ * @example
+ * breachCount('password', '/data/pwned-passwords')
+ * // Returns 9659365
+ */
+export function breachCount(password, corpus) {
+  const { hash, prefix, suffix } = sha1Range(password);
+  const handle = typeof corpus === 'string' ? loadBreachCorpus(corpus) : corpus;
+
+  if (handle && handle.layout === 'file') {
+    return searchHashFile(handle.path, hash);
+  }
+  if (!handle || handle.layout !== 'directory') {
+    throw new BreachCorpusError('Corpus must be a path or a handle from loadBreachCorpus');
+  }
+
+  const file = path.join(handle.path, `${prefix}.txt`);
+  if (!fs.existsSync(file)) {
+    return 0;
+  }
+  return parseRange(fs.readFileSync(file, 'utf8')).get(suffix) || 0;
+}
+
+/**
+ * Reports whether a password appears in a breach corpus
+ *
+ * @param {string} password - The password
+ * @param {string|object} corpus - Corpus path or handle from loadBreachCorpus
+ * @returns {boolean} True if the password has been breached
+ *
+ * @example
+ * isBreached('password', '/data/pwned-passwords') // Returns true
+ */
+export function isBreached(password, corpus) {
+  return breachCount(password, corpus) > 0;
+}
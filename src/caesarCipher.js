@@ -14,6 +14,18 @@
  * - Use only for educational purposes
  */
 
+import {
+  DEFAULT_LANGUAGE,
+  NGRAM_ORDERS,
+  chiSquared,
+  fitness,
+  ngramScore,
+} from './languageModel.js';
+
+// Gap in per-letter fitness (averaged over the n-gram orders, as the cipher
+// identifier scores it) that makes one candidate e times likelier than another
+const CONFIDENCE_SCALE = 0.25;
+
 class CaesarCipherError extends Error {
   constructor(message) {
     super(message);
@@ -121,6 +133,56 @@ function bruteForce(ciphertext) {
   return results;
 }
 
+/**
+ * Recover the shift of a Caesar ciphertext by frequency analysis
+ *
+ * Every candidate plaintext is scored with languageModel fitness (letter,
+ * pair, triple and quad statistics). The scores are averaged per letter and
+ * n-gram order before they are turned into confidences that sum to 1 across
+ * all 25 candidates, so a long text does not make the best candidate certain
+ * and short or ambiguous texts get low confidence.
+ * @param {string} ciphertext - Text to crack
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Language of the plaintext
+ * @returns {Object} { shift, plaintext, confidence, candidates } where candidates
+ * are ranked best first and each has shift, plaintext, chiSquared, score and confidence
+ * @throws {TypeError} If ciphertext is not a string
+ * @throws {UnknownLanguageError} If the language is unknown
+ * @example
+ * crack("WKH TXLFN EURZQ IRA MXPSV RYHU WKH ODCB GRJ").shift; // 3
+ */
+function crack(ciphertext, { language = DEFAULT_LANGUAGE } = {}) {
+  if (typeof ciphertext !== 'string') {
+    throw new TypeError('Ciphertext must be a string');
+  }
+
+  const candidates = Object.entries(bruteForce(ciphertext)).map(([shift, plaintext]) => ({
+    shift: Number(shift),
+    plaintext,
+    chiSquared: chiSquared(plaintext, { language }),
+    score: fitness(plaintext, { language }),
+  }));
+
+  // Softmax over per-letter scores, shifted by the maximum for numerical stability
+  const { count } = ngramScore(ciphertext, 1, { language });
+  const perLetter = candidates.map((c) => c.score / (Math.max(count, 1) * NGRAM_ORDERS.length));
+  const best = Math.max(...perLetter);
+  const weights = perLetter.map((score) => Math.exp((score - best) / CONFIDENCE_SCALE));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  candidates.forEach((candidate, index) => {
+    candidate.confidence = weights[index] / total;
+  });
+
+  candidates.sort((a, b) => b.score - a.score || a.shift - b.shift);
+
+  return {
+    shift: candidates[0].shift,
+    plaintext: candidates[0].plaintext,
+    confidence: candidates[0].confidence,
+    candidates,
+  };
+}
+
 /**
  * Analyze text for Caesar Cipher properties
  * @param {string} text - Text to analyze
@@ -154,6 +216,7 @@ export {
   encrypt,
   decrypt,
   bruteForce,
+  crack,
   analyze,
   CaesarCipherError,
   InvalidShiftError,
@@ -0,0 +1,428 @@
+/**
+ * Cipher Identifier
+ * Guesses which scheme produced a string ("what is this?") by testing it
+ * against every module in the vault and ranking the hypotheses
+ *
+ * Encodings with a distinctive alphabet (Base64, hex, Morse, Braille) and the
+ * obfuscations (leetspeak, Cyrillic homoglyphs) are recognised from their
+ * characters. Classical ciphers are compared as competing models of the
+ * letters: unchanged plaintext, each Caesar shift (shift 13 is reported as
+ * ROT13) and the best Vigenère key, scored by languageModel fitness with a
+ * penalty for every key letter the model has to guess. Each hypothesis is
+ * finally weighted by how much its decoding reads like the chosen language.
+ *
+ * SCHEMES lists every scheme that can be reported. Each hypothesis has the shape:
+ * { scheme: 'caesar', confidence: 0.93, decoded: 'HELLO', params: { shift: 3 } }
+ * where scheme and params match the cipherRegistry transform that decodes it.
+ *
+ * @module cipherIdentifier
+ */
+
+import { isBase64 } from './base64Encoder.js';
+import { isValidMorse, morseToText } from './morseCode.js';
+import { isValidBraille, brailleToText } from './brailleConverter.js';
+import { fromLeetspeak, fromHomoglyph } from './textObfuscator.js';
+import { decrypt as caesarDecrypt } from './caesarCipher.js';
+import {
+  MIN_CRACK_LETTERS,
+  crack as vigenereCrack,
+  decrypt as vigenereDecrypt,
+} from './vigenereCipher.js';
+import {
+  DEFAULT_LANGUAGE,
+  NGRAM_ORDERS,
+  averageFitness,
+  fitness,
+} from './languageModel.js';
+
+export const SCHEMES = [
+  'plaintext',
+  'caesar',
+  'rot13',
+  'vigenere',
+  'base64',
+  'hex',
+  'morse',
+  'braille',
+  'leetspeak',
+  'homoglyph',
+];
+
+// Classical cryptanalysis only looks at this many characters of long inputs
+const SAMPLE_LENGTH = 2000;
+
+// Per-letter fitness, averaged over the n-gram orders, at which a decoding is
+// a coin flip between natural language and noise, and the width of that
+// transition
+const PLAUSIBLE_FITNESS = -6;
+const PLAUSIBLE_SPREAD = 0.4;
+
+// Cyrillic characters that toHomoglyph substitutes for Latin letters
+const HOMOGLYPHS = /[АВСЕНКМОРТХУасеһорх]/g;
+
+// Characters fromLeetspeak turns back into letters
+const LEET_CHARACTERS = /[0-9#]/;
+
+// Longer "words" are encoded blobs (Base64, hex) rather than leetspeak
+const MAX_LEET_WORD = 20;
+
+/**
+ * Logistic function
+ *
+ * @param {number} x - Input
+ * @returns {number} Value between 0 and 1
+ * @private
+ */
+function sigmoid(x) {
+  return 1 / (1 + Math.exp(-x));
+}
+
+/**
+ * Fitness on the scale of a single log-likelihood (in nats)
+ *
+ * fitness sums one log-likelihood per n-gram order; their mean can be traded
+ * off against the cost of a key.
+ *
+ * @param {string} text - Candidate decoding
+ * @param {string} language - Language code
+ * @returns {number} Mean log-likelihood over the n-gram orders
+ * @private
+ */
+function orderFitness(text, language) {
+  return fitness(text, { language }) / NGRAM_ORDERS.length;
+}
+
+/**
+ * Probability-like measure of how much a text reads like the language
+ *
+ * @param {string} text - Candidate decoding
+ * @param {string} language - Language code
+ * @returns {number} Value between 0 (noise) and 1 (natural language)
+ * @private
+ */
+function plausibility(text, language) {
+  const score = averageFitness(text, { language }) / NGRAM_ORDERS.length;
+  return score === -Infinity ? 0 : sigmoid((score - PLAUSIBLE_FITNESS) / PLAUSIBLE_SPREAD);
+}
+
+/**
+ * Share of characters that are printable text (no control bytes or U+FFFD)
+ *
+ * @param {string} text - Decoded text
+ * @returns {number} Share between 0 and 1
+ * @private
+ */
+function printableShare(text) {
+  if (text.length === 0) {
+    return 0;
+  }
+  const printable = text.match(/[\p{L}\p{N}\p{P}\p{S}\p{Zs}\t\r\n]/gu) || [];
+  const replaced = text.match(/\uFFFD/g) || [];
+  return (printable.length - replaced.length) / text.length;
+}
+
+/**
+ * Confidence for a byte encoding from how its decoding looks
+ * Printable output is likely; output that also reads as language is very likely
+ *
+ * @param {string} decoded - Decoded text
+ * @param {string} language - Language code
+ * @returns {number} Confidence between 0 and 1
+ * @private
+ */
+function decodingConfidence(decoded, language) {
+  const printable = printableShare(decoded);
+  if (printable < 0.95) {
+    return 0.25 * printable;
+  }
+  return 0.7 + 0.25 * plausibility(decoded, language);
+}
+
+/**
+ * Base64 hypothesis
+ *
+ * @param {string} text - Input
+ * @param {string} language - Language code
+ * @returns {Object|null} Hypothesis or null
+ * @private
+ */
+function testBase64(text, language) {
+  const compact = text.replace(/\s+/g, '');
+  // Unpadded input is accepted like the decoder does; words that happen to be
+  // valid Base64 decode to binary and get a low confidence
+  if (compact.length < 4 || !isBase64(compact)) {
+    return null;
+  }
+  const decoded = Buffer.from(compact, 'base64').toString('utf8');
+  return {
+    scheme: 'base64',
+    confidence: decodingConfidence(decoded, language),
+    decoded,
+    params: {},
+  };
+}
+
+/**
+ * Hexadecimal hypothesis
+ *
+ * @param {string} text - Input
+ * @param {string} language - Language code
+ * @returns {Object|null} Hypothesis or null
+ * @private
+ */
+function testHex(text, language) {
+  const compact = text.replace(/\s+/g, '').replace(/^0x/i, '');
+  if (compact.length < 2 || compact.length % 2 !== 0 || !/^[0-9a-f]+$/i.test(compact)) {
+    return null;
+  }
+  const decoded = Buffer.from(compact, 'hex').toString('utf8');
+  return {
+    scheme: 'hex',
+    confidence: decodingConfidence(decoded, language),
+    decoded,
+    params: {},
+  };
+}
+
+/**
+ * Morse code hypothesis
+ *
+ * @param {string} text - Input
+ * @returns {Object|null} Hypothesis or null
+ * @private
+ */
+function testMorse(text) {
+  if (!/[.-]/.test(text) || !isValidMorse(text)) {
+    return null;
+  }
+  const decoded = morseToText(text.trim());
+  const unknown = (decoded.match(/\?/g) || []).length;
+  return {
+    scheme: 'morse',
+    confidence: 0.95 * (1 - unknown / Math.max(decoded.length, 1)),
+    decoded,
+    params: {},
+  };
+}
+
+/**
+ * Braille hypothesis
+ *
+ * @param {string} text - Input
+ * @returns {Object|null} Hypothesis or null
+ * @private
+ */
+function testBraille(text) {
+  const cells = text.replace(/\s/g, '');
+  if (cells.length === 0 || !/^[\u2800-\u28FF]+$/.test(cells) || !isValidBraille(text)) {
+    return null;
+  }
+  return {
+    scheme: 'braille',
+    confidence: 0.95,
+    decoded: brailleToText(text),
+    params: {},
+  };
+}
+
+/**
+ * Cyrillic homoglyph hypothesis
+ * Homoglyphs mixed into Latin words are a strong signal; Cyrillic letters
+ * without a Latin look-alike suggest genuine Cyrillic text instead
+ *
+ * @param {string} text - Input
+ * @param {string} language - Language code
+ * @returns {Object|null} Hypothesis or null
+ * @private
+ */
+function testHomoglyph(text, language) {
+  const homoglyphs = (text.match(HOMOGLYPHS) || []).length;
+  if (homoglyphs === 0) {
+    return null;
+  }
+  const cyrillic = (text.match(/[\u0400-\u04FF]/g) || []).length;
+  const mixedWords = text.split(/\s+/)
+    .filter((word) => /[A-Za-z]/.test(word) && /[\u0400-\u04FF]/.test(word)).length;
+
+  const decoded = fromHomoglyph(text);
+  const purity = homoglyphs / cyrillic;
+  const mixing = mixedWords > 0 ? 0.9 : 0.5;
+  return {
+    scheme: 'homoglyph',
+    confidence: purity * mixing * (0.5 + 0.5 * plausibility(decoded, language)),
+    decoded,
+    params: {},
+  };
+}
+
+/**
+ * Leetspeak hypothesis: words mixing letters with digits that stand for letters
+ *
+ * @param {string} text - Input
+ * @param {string} language - Language code
+ * @returns {Object|null} Hypothesis or null
+ * @private
+ */
+function testLeetspeak(text, language) {
+  const words = text.split(/\s+/)
+    .filter((word) => /[A-Za-z]/.test(word) && word.length <= MAX_LEET_WORD);
+  const leetWords = words.filter((word) => LEET_CHARACTERS.test(word));
+  if (leetWords.length === 0) {
+    return null;
+  }
+
+  const decoded = fromLeetspeak(text);
+  const share = leetWords.length / words.length;
+  return {
+    scheme: 'leetspeak',
+    confidence: share * (0.3 + 0.65 * plausibility(decoded, language)),
+    decoded,
+    params: {},
+  };
+}
+
+/**
+ * Plaintext, Caesar, ROT13 and Vigenère hypotheses
+ *
+ * The competing models are scored by orderFitness minus the cost of their key
+ * (ln 25 for choosing a Caesar shift, ln 26 per Vigenère key letter) and
+ * normalised with a softmax, then weighted by plausibility and by the share of
+ * the input that is letters.
+ *
+ * @param {string} text - Input
+ * @param {string} language - Language code
+ * @returns {Array<Object>} Hypotheses
+ * @private
+ */
+function testClassical(text, language) {
+  const sample = text.slice(0, SAMPLE_LENGTH);
+  const letters = (sample.match(/[A-Za-z]/g) || []).length;
+  if (letters === 0) {
+    return [];
+  }
+
+  const models = [{
+    scheme: 'plaintext',
+    decoded: sample,
+    params: {},
+    score: orderFitness(sample, language),
+  }];
+
+  for (let shift = 1; shift < 26; shift += 1) {
+    const decoded = caesarDecrypt(sample, shift);
+    models.push({
+      scheme: shift === 13 ? 'rot13' : 'caesar',
+      decoded,
+      params: shift === 13 ? {} : { shift },
+      score: orderFitness(decoded, language) - Math.log(25),
+    });
+  }
+
+  if (letters >= MIN_CRACK_LETTERS) {
+    const cracked = vigenereCrack(sample, { language });
+    if (cracked.keyLength > 1) {
+      models.push({
+        scheme: 'vigenere',
+        decoded: cracked.plaintext,
+        params: { key: cracked.key },
+        score: orderFitness(cracked.plaintext, language) - cracked.key.length * Math.log(26),
+        // How sure the cracker is of this key, lower for short texts and long keys
+        weight: cracked.confidence,
+      });
+    }
+  }
+
+  const best = Math.max(...models.map((model) => model.score));
+  const total = models.reduce((sum, model) => sum + Math.exp(model.score - best), 0);
+  const visible = sample.replace(/\s+/g, '');
+  const letterShare = letters / visible.length;
+
+  return models.map(({ score, weight = 1, ...model }) => ({
+    ...model,
+    confidence: (Math.exp(score - best) / total)
+      * weight
+      * plausibility(model.decoded, language)
+      * letterShare,
+  }));
+}
+
+/**
+ * Decodes the whole input with a hypothesis found on a sample of it
+ *
+ * @param {string} text - Full input
+ * @param {Object} hypothesis - Hypothesis found on the sample
+ * @returns {string} Decoded text
+ * @private
+ */
+function decodeFull(text, { scheme, params, decoded }) {
+  if (text.length <= SAMPLE_LENGTH) {
+    return decoded;
+  }
+  if (scheme === 'plaintext') {
+    return text;
+  }
+  if (scheme === 'caesar' || scheme === 'rot13') {
+    return caesarDecrypt(text, params.shift || 13);
+  }
+  return vigenereDecrypt(text, params.key);
+}
+
+/**
+ * Identifies which scheme most likely produced a string
+ *
+ * Every detector runs; hypotheses are returned best first. Confidences are
+ * independent estimates between 0 and 1, not a distribution, and are most
+ * reliable for inputs of a sentence or more. Classical ciphers are assumed to
+ * encrypt text in the given language.
+ *
+ * @param {string} text - The string to identify
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Expected language of the plaintext
+ * @param {number} [options.minConfidence=0.01] - Drop hypotheses below this confidence
+ * @returns {Array<{scheme: string, confidence: number, decoded: string, params: Object}>}
+ * Ranked hypotheses
+ * @throws {TypeError} If text is not a string
+ * @throws {UnknownLanguageError} If the language is unknown
+ *
+ * @example
+ * identify('SGVsbG8gV29ybGQ=')[0]
+ * // Returns { scheme: 'base64', confidence: 0.94..., decoded: 'Hello World', params: {} }
+ *
+ * @example
+ * identify('Wkh txlfn eurzq ira')[0]
+ * // Returns {
+ * //   scheme: 'caesar', confidence: 0.85..., decoded: 'The quick brown fox', params: { shift: 3 },
+ * // }
+ */
+export function identify(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+
+  const { language = DEFAULT_LANGUAGE, minConfidence = 0.01 } = options;
+  if (text.trim().length === 0) {
+    return [];
+  }
+
+  const encodings = [
+    testBase64(text, language),
+    testHex(text, language),
+    testMorse(text),
+    testBraille(text),
+    testHomoglyph(text, language),
+    testLeetspeak(text, language),
+  ].filter(Boolean);
+
+  // A strong encoding match explains the input better than any cipher of its letters
+  const explained = Math.max(0, ...encodings.map((hypothesis) => hypothesis.confidence));
+  const classical = testClassical(text, language).map((hypothesis) => ({
+    scheme: hypothesis.scheme,
+    confidence: hypothesis.confidence * (1 - explained),
+    decoded: decodeFull(text, hypothesis),
+    params: hypothesis.params,
+  }));
+
+  return [...encodings, ...classical]
+    .filter((hypothesis) => hypothesis.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence);
+}
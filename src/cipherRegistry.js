@@ -0,0 +1,465 @@
+/**
+ * Cipher Registry
+ * A single catalogue of every text transform in the vault behind a common
+ * forward/inverse interface, so callers can enumerate and invoke transforms
+ * generically instead of importing each module by hand
+ *
+ * Each transform is described by:
+ * - id: unique identifier (e.g. 'caesar')
+ * - forward(text, params) / inverse(text, params): the transform functions
+ * - params: parameter schema ({ name: { type, default, min, max, enum, required } })
+ * - reversible: an inverse function exists
+ * - lossless: inverse(forward(x)) === x for every input (no case folding etc.)
+ * - keyed: the transform takes a secret key
+ * - deterministic: the same input and params always give the same output
+ *
+ * @module cipherRegistry
+ */
+
+import * as caesar from './caesarCipher.js';
+import * as rot13 from './rot13.js';
+import * as base64 from './base64Encoder.js';
+import * as vigenere from './vigenereCipher.js';
+import * as morse from './morseCode.js';
+import * as braille from './brailleConverter.js';
+import * as obfuscator from './textObfuscator.js';
+
+export class RegistryError extends Error {
+  constructor(message = 'Registry Error') {
+    super(message);
+    this.name = 'RegistryError';
+  }
+}
+
+export class UnknownTransformError extends RegistryError {
+  constructor(id) {
+    super(`Unknown transform: ${id}`);
+    this.name = 'UnknownTransformError';
+    this.transformId = id;
+  }
+}
+
+export class InvalidParameterError extends RegistryError {
+  constructor(message = 'Invalid transform parameter') {
+    super(message);
+    this.name = 'InvalidParameterError';
+  }
+}
+
+const PARAM_TYPES = ['integer', 'number', 'string', 'boolean'];
+
+const transforms = new Map();
+
+/**
+ * Validates a transform definition before it is stored
+ *
+ * @param {object} definition - Transform definition
+ * @throws {RegistryError} If the definition is malformed
+ * @private
+ */
+function validateDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw new TypeError('Transform definition must be an object');
+  }
+
+  const {
+    id,
+    forward,
+    inverse,
+    params = {},
+  } = definition;
+
+  if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(id)) {
+    throw new RegistryError('Transform id must be a lowercase string (a-z, 0-9, -)');
+  }
+
+  if (typeof forward !== 'function') {
+    throw new RegistryError(`Transform "${id}" must define a forward function`);
+  }
+
+  if (inverse !== undefined && inverse !== null && typeof inverse !== 'function') {
+    throw new RegistryError(`Transform "${id}" inverse must be a function`);
+  }
+
+  Object.entries(params).forEach(([name, schema]) => {
+    if (!PARAM_TYPES.includes(schema.type)) {
+      throw new RegistryError(
+        `Parameter "${name}" of "${id}" must have a type of: ${PARAM_TYPES.join(', ')}`,
+      );
+    }
+  });
+}
+
+/**
+ * Registers a transform under its id
+ *
+ * @param {object} definition - Transform definition
+ * @param {string} definition.id - Unique identifier
+ * @param {string} [definition.name] - Human readable name
+ * @param {string} [definition.description] - Short description
+ * @param {Function} definition.forward - (text, params) => string
+ * @param {Function} [definition.inverse] - (text, params) => string
+ * @param {object} [definition.params] - Parameter schema
+ * @param {boolean} [definition.lossless] - Whether the inverse restores input exactly
+ * @param {boolean} [definition.keyed=false] - Whether a secret key is required
+ * @param {boolean} [definition.deterministic=true] - Whether output is repeatable
+ * @param {object} [options] - Registration options
+ * @param {boolean} [options.replace=false] - Allow overwriting an existing id
+ * @returns {object} The stored transform
+ * @throws {RegistryError} If the definition is invalid or the id is taken
+ *
+ * @example
+ * registerTransform({
+ *   id: 'upper',
+ *   forward: (text) => text.toUpperCase(),
+ * });
+ */
+export function registerTransform(definition, options = {}) {
+  validateDefinition(definition);
+
+  const { replace = false } = options;
+  if (transforms.has(definition.id) && !replace) {
+    throw new RegistryError(`Transform already registered: ${definition.id}`);
+  }
+
+  const reversible = typeof definition.inverse === 'function';
+  const transform = Object.freeze({
+    id: definition.id,
+    name: definition.name || definition.id,
+    description: definition.description || '',
+    forward: definition.forward,
+    inverse: reversible ? definition.inverse : null,
+    params: Object.freeze({ ...(definition.params || {}) }),
+    reversible,
+    lossless: reversible && definition.lossless !== false,
+    keyed: Boolean(definition.keyed),
+    deterministic: definition.deterministic !== false,
+  });
+
+  transforms.set(transform.id, transform);
+  return transform;
+}
+
+/**
+ * Removes a transform from the registry
+ *
+ * @param {string} id - Transform id
+ * @returns {boolean} True if a transform was removed
+ *
+ * @example
+ * unregisterTransform('upper') // Returns true
+ */
+export function unregisterTransform(id) {
+  return transforms.delete(id);
+}
+
+/**
+ * Checks whether a transform is registered
+ *
+ * @param {string} id - Transform id
+ * @returns {boolean} True if registered
+ *
+ * @example
+ * hasTransform('caesar') // Returns true
+ */
+export function hasTransform(id) {
+  return transforms.has(id);
+}
+
+/**
+ * Gets a registered transform
+ *
+ * @param {string} id - Transform id
+ * @returns {object} The transform definition
+ * @throws {UnknownTransformError} If no transform has this id
+ *
+ * @example
+ * getTransform('caesar').reversible // Returns true
+ */
+export function getTransform(id) {
+  if (!transforms.has(id)) {
+    throw new UnknownTransformError(id);
+  }
+  return transforms.get(id);
+}
+
+/**
+ * Lists the metadata of every registered transform
+ *
+ * @param {object} [filter] - Only include transforms whose metadata matches
+ * @returns {Array<object>} Transform metadata (without functions)
+ *
+ * @example
+ * listTransforms({ keyed: true }).map((t) => t.id)
+ * // Returns ['caesar', 'vigenere', ...]
+ */
+export function listTransforms(filter = {}) {
+  return Array.from(transforms.values())
+    .filter((transform) => Object.entries(filter)
+      .every(([key, value]) => transform[key] === value))
+    .map(({ forward: _forward, inverse: _inverse, ...metadata }) => metadata);
+}
+
+/**
+ * Coerces a single parameter value to its declared type
+ *
+ * @param {string} id - Transform id (for error messages)
+ * @param {string} name - Parameter name
+ * @param {object} schema - Parameter schema
+ * @param {*} value - Raw value
+ * @returns {*} Coerced value
+ * @throws {InvalidParameterError} If the value does not fit the schema
+ * @private
+ */
+function coerceParam(id, name, schema, value) {
+  let coerced = value;
+
+  if ((schema.type === 'integer' || schema.type === 'number') && typeof value === 'string') {
+    coerced = value.trim() === '' ? NaN : Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    coerced = value === 'true';
+  }
+
+  const label = `Parameter "${name}" of "${id}"`;
+
+  if (schema.type === 'integer' && !Number.isInteger(coerced)) {
+    throw new InvalidParameterError(`${label} must be an integer`);
+  }
+  if (schema.type === 'number' && (typeof coerced !== 'number' || Number.isNaN(coerced))) {
+    throw new InvalidParameterError(`${label} must be a number`);
+  }
+  if (schema.type === 'string' && typeof coerced !== 'string') {
+    throw new InvalidParameterError(`${label} must be a string`);
+  }
+  if (schema.type === 'boolean' && typeof coerced !== 'boolean') {
+    throw new InvalidParameterError(`${label} must be a boolean`);
+  }
+  if (schema.min !== undefined && coerced < schema.min) {
+    throw new InvalidParameterError(`${label} must be >= ${schema.min}`);
+  }
+  if (schema.max !== undefined && coerced > schema.max) {
+    throw new InvalidParameterError(`${label} must be <= ${schema.max}`);
+  }
+  if (schema.enum && !schema.enum.includes(coerced)) {
+    throw new InvalidParameterError(`${label} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  return coerced;
+}
+
+/**
+ * Validates parameters against a transform's schema and fills in defaults
+ *
+ * @param {string} id - Transform id
+ * @param {object} [params] - Raw parameters (strings are coerced)
+ * @returns {object} Validated parameters
+ * @throws {UnknownTransformError} If the transform is not registered
+ * @throws {InvalidParameterError} If a parameter is missing, unknown or invalid
+ *
+ * @example
+ * resolveParams('caesar', { shift: '5' }) // Returns { shift: 5 }
+ * resolveParams('caesar') // Returns { shift: 3 }
+ */
+export function resolveParams(id, params = {}) {
+  const transform = getTransform(id);
+
+  Object.keys(params).forEach((name) => {
+    if (!transform.params[name]) {
+      throw new InvalidParameterError(`Unknown parameter "${name}" for "${id}"`);
+    }
+  });
+
+  const resolved = {};
+  Object.entries(transform.params).forEach(([name, schema]) => {
+    if (params[name] !== undefined) {
+      resolved[name] = coerceParam(id, name, schema, params[name]);
+    } else if (schema.default !== undefined) {
+      resolved[name] = schema.default;
+    } else if (schema.required) {
+      throw new InvalidParameterError(`Missing required parameter "${name}" for "${id}"`);
+    }
+  });
+
+  return resolved;
+}
+
+/**
+ * Applies a registered transform to text
+ *
+ * @param {string} id - Transform id
+ * @param {string} text - Input text
+ * @param {object} [params] - Transform parameters
+ * @param {object} [options] - Invocation options
+ * @param {string} [options.direction='forward'] - 'forward' or 'inverse'
+ * @returns {string} Transformed text
+ * @throws {UnknownTransformError} If the transform is not registered
+ * @throws {InvalidParameterError} If parameters are invalid
+ * @throws {RegistryError} If the inverse is requested for an irreversible transform
+ *
+ * @example
+ * applyTransform('caesar', 'HELLO', { shift: 3 }) // Returns 'KHOOR'
+ * applyTransform('caesar', 'KHOOR', { shift: 3 }, { direction: 'inverse' }) // Returns 'HELLO'
+ */
+export function applyTransform(id, text, params = {}, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+
+  const { direction = 'forward' } = options;
+  if (direction !== 'forward' && direction !== 'inverse') {
+    throw new RegistryError('Direction must be "forward" or "inverse"');
+  }
+
+  const transform = getTransform(id);
+  const resolved = resolveParams(id, params);
+
+  if (direction === 'inverse') {
+    if (!transform.reversible) {
+      throw new RegistryError(`Transform "${id}" is not reversible`);
+    }
+    return transform.inverse(text, resolved);
+  }
+
+  return transform.forward(text, resolved);
+}
+
+// Built-in transforms
+
+registerTransform({
+  id: 'caesar',
+  name: 'Caesar Cipher',
+  description: 'Shift every letter by a fixed number of positions',
+  forward: (text, { shift }) => caesar.encrypt(text, shift),
+  inverse: (text, { shift }) => caesar.decrypt(text, shift),
+  params: {
+    shift: {
+      type: 'integer', default: 3, min: 1, max: 25, description: 'Shift value (1-25)',
+    },
+  },
+  keyed: true,
+});
+
+registerTransform({
+  id: 'rot13',
+  name: 'ROT13',
+  description: 'Rotate every letter by 13 positions (self-inverse)',
+  forward: (text) => rot13.encode(text),
+  inverse: (text) => rot13.decode(text),
+});
+
+registerTransform({
+  id: 'base64',
+  name: 'Base64',
+  description: 'Encode UTF-8 text as Base64',
+  forward: (text) => base64.encode(text),
+  inverse: (text) => base64.decode(text),
+});
+
+registerTransform({
+  id: 'vigenere',
+  name: 'Vigenère Cipher',
+  description: 'Polyalphabetic substitution driven by a keyword',
+  forward: (text, { key }) => vigenere.encrypt(text, key),
+  inverse: (text, { key }) => vigenere.decrypt(text, key),
+  params: {
+    key: { type: 'string', required: true, description: 'Alphabetic keyword' },
+  },
+  keyed: true,
+});
+
+registerTransform({
+  id: 'morse',
+  name: 'Morse Code',
+  description: 'Convert text to dots and dashes (decodes to uppercase)',
+  forward: (text) => morse.textToMorse(text),
+  inverse: (text) => morse.morseToText(text),
+  lossless: false,
+});
+
+registerTransform({
+  id: 'braille',
+  name: 'Braille',
+  description: 'Convert text to Grade 1 Unicode Braille (decodes to uppercase)',
+  forward: (text) => braille.textToBraille(text),
+  inverse: (text) => braille.brailleToText(text),
+  lossless: false,
+});
+
+registerTransform({
+  id: 'reverse',
+  name: 'Reverse',
+  description: 'Reverse the text character by character',
+  forward: (text) => obfuscator.reverseText(text),
+  inverse: (text) => obfuscator.reverseText(text),
+});
+
+registerTransform({
+  id: 'shift',
+  name: 'Character Shift',
+  description: 'Shift letters (mod 26) and digits (mod 10) by a fixed offset',
+  forward: (text, { shift }) => obfuscator.shiftCharacters(text, shift),
+  // A shift of 130 - s undoes s for both letters and digits (lcm(26, 10) = 130)
+  inverse: (text, { shift }) => obfuscator.shiftCharacters(text, (130 - (shift % 130)) % 130),
+  params: {
+    shift: {
+      type: 'integer', default: 5, min: 0, description: 'Offset to shift by',
+    },
+  },
+  keyed: true,
+});
+
+registerTransform({
+  id: 'leetspeak',
+  name: 'Leetspeak',
+  description: 'Replace letters with look-alike digits and symbols (decodes to uppercase)',
+  forward: (text, { intensity }) => obfuscator.toLeetspeak(text, intensity),
+  inverse: (text) => obfuscator.fromLeetspeak(text),
+  params: {
+    intensity: {
+      type: 'integer', default: 1, min: 1, max: 3, description: 'Replacement intensity (1-3)',
+    },
+  },
+  lossless: false,
+});
+
+registerTransform({
+  id: 'vowels',
+  name: 'Vowel Replacement',
+  description: 'Replace vowels with digits (decodes to lowercase vowels)',
+  forward: (text) => obfuscator.replaceVowels(text),
+  inverse: (text) => obfuscator.restoreVowels(text),
+  lossless: false,
+});
+
+registerTransform({
+  id: 'interleave',
+  name: 'Interleave',
+  description: 'Insert a separator between every character',
+  forward: (text, { separator }) => obfuscator.interleaveCharacters(text, separator),
+  inverse: (text, { separator }) => obfuscator.deinterleaveCharacters(text, separator),
+  params: {
+    separator: { type: 'string', default: ' ', description: 'Separator to interleave' },
+  },
+  lossless: false,
+});
+
+registerTransform({
+  id: 'homoglyph',
+  name: 'Homoglyph',
+  description: 'Replace Latin letters with look-alike Cyrillic characters',
+  forward: (text) => obfuscator.toHomoglyph(text),
+});
+
+registerTransform({
+  id: 'random-insert',
+  name: 'Random Insertion',
+  description: 'Insert random punctuation throughout the text',
+  forward: (text, { density }) => obfuscator.insertRandomCharacters(text, density),
+  params: {
+    density: {
+      type: 'number', default: 0.2, min: 0, max: 1, description: 'Inserted/original ratio',
+    },
+  },
+  deterministic: false,
+});
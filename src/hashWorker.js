@@ -0,0 +1,24 @@
+/**
+ * Hash Worker
+ * Worker thread entry point for hashWorkerPool. Each message names a
+ * passwordHasher function and its arguments; the reply carries the result or
+ * the error it threw.
+ *
+ * @module hashWorker
+ */
+
+import { parentPort } from 'worker_threads';
+
+import { POOL_METHODS } from './hashWorkerPool.js';
+import * as passwordHasher from './passwordHasher.js';
+
+parentPort.on('message', ({ method, args }) => {
+  try {
+    if (!POOL_METHODS.includes(method)) {
+      throw new TypeError(`Method must be one of: ${POOL_METHODS.join(', ')}`);
+    }
+    parentPort.postMessage({ result: passwordHasher[method](...args) });
+  } catch (error) {
+    parentPort.postMessage({ error: { ...error, name: error.name, message: error.message } });
+  }
+});
@@ -0,0 +1,260 @@
+/**
+ * Hash Worker Pool
+ * Runs passwordHasher functions on worker threads so that PBKDF2, scrypt,
+ * bcrypt and Argon2id do not block the event loop.
+ *
+ * A pool starts workers as tasks arrive, up to its size, and queues the rest.
+ * Idle workers do not keep the process alive, so a pool only needs closing to
+ * free its threads early. A task given an AbortSignal is cancelled when the
+ * signal fires: a queued task is dropped, and a running one has its worker
+ * terminated (a fresh worker replaces it when needed).
+ *
+ * @module hashWorkerPool
+ */
+
+import os from 'os';
+import { Worker } from 'worker_threads';
+
+import { BreachCorpusError } from './breachedPasswords.js';
+import { PolicyError, UnknownPolicyError } from './passwordPolicy.js';
+
+export class HashPoolError extends Error {
+  constructor(message = 'Hash Pool Error') {
+    super(message);
+    this.name = 'HashPoolError';
+  }
+}
+
+// passwordHasher functions a worker will run
+export const POOL_METHODS = [
+  'hashPassword',
+  'hashPasswordScrypt',
+  'hashPasswordBcrypt',
+  'hashPasswordArgon2id',
+  'verifyPassword',
+  'verifyPasswordBcrypt',
+  'verifyAndUpgrade',
+];
+
+// One core is left to the main thread
+export const DEFAULT_POOL_SIZE = Math.max(
+  1,
+  (os.availableParallelism ? os.availableParallelism() : os.cpus().length) - 1,
+);
+
+const WORKER_URL = new URL('./hashWorker.js', import.meta.url);
+
+// Error classes passwordHasher throws, by name, so callers can still catch
+// them with instanceof and the CLI can map them to their exit codes
+const ERROR_CLASSES = {
+  TypeError,
+  RangeError,
+  BreachCorpusError,
+  PolicyError,
+  UnknownPolicyError,
+};
+
+/**
+ * Returns the error a cancelled task rejects with
+ *
+ * @param {AbortSignal} signal - The aborted signal
+ * @returns {Error} The signal's reason, or an AbortError
+ * @private
+ */
+function abortReason(signal) {
+  if (signal.reason !== undefined) {
+    return signal.reason;
+  }
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+/**
+ * Rebuilds an error sent back by a worker
+ *
+ * The error's constructor is not run again, as some take other arguments than
+ * a message; its own properties (such as a policy name) are copied instead.
+ *
+ * @param {object} details - {name, message} and own properties of the error
+ * @returns {Error} Error of the same class, name, message and properties
+ * @private
+ */
+function reviveError(details) {
+  const { name, message, ...properties } = details;
+  const ErrorClass = Object.prototype.hasOwnProperty.call(ERROR_CLASSES, name)
+    ? ERROR_CLASSES[name]
+    : Error;
+  const error = Reflect.construct(Error, [message], ErrorClass);
+  return Object.assign(error, properties, { name });
+}
+
+/**
+ * Creates a pool of hashing worker threads
+ *
+ * @param {object} [options] - Pool options
+ * @param {number} [options.size=DEFAULT_POOL_SIZE] - Most workers running at once
+ * @returns {object} Pool with size, run(method, args, {signal}) and close()
+ * @throws {TypeError} If the size is not a positive integer
+ *
+ * @example
+ * const pool = createHashWorkerPool({ size: 2 })
+ * const { phc } = await pool.run('hashPasswordArgon2id', ['myPassword123'])
+ * await pool.run('verifyPassword', ['myPassword123', phc]) // Returns true
+ * await pool.close()
+ */
+export function createHashWorkerPool(options = {}) {
+  const { size = DEFAULT_POOL_SIZE } = options;
+  if (!Number.isInteger(size) || size < 1) {
+    throw new TypeError('Pool size must be a positive integer');
+  }
+
+  const workers = new Set();
+  const idle = [];
+  const running = new Map();
+  const queue = [];
+  let closed = false;
+
+  function settle(task) {
+    if (task.signal) {
+      task.signal.removeEventListener('abort', task.onAbort);
+    }
+  }
+
+  function discard(worker) {
+    workers.delete(worker);
+    running.delete(worker);
+    if (idle.includes(worker)) {
+      idle.splice(idle.indexOf(worker), 1);
+    }
+    return worker.terminate();
+  }
+
+  function dispatch() {
+    while (queue.length > 0 && (idle.length > 0 || workers.size < size)) {
+      // eslint-disable-next-line no-use-before-define
+      const worker = idle.length > 0 ? idle.pop() : spawn();
+      const task = queue.shift();
+      running.set(worker, task);
+      worker.ref();
+      try {
+        worker.postMessage({ method: task.method, args: task.args });
+      } catch (error) {
+        running.delete(worker);
+        worker.unref();
+        idle.push(worker);
+        settle(task);
+        task.reject(error);
+      }
+    }
+  }
+
+  function spawn() {
+    const worker = new Worker(WORKER_URL);
+    workers.add(worker);
+    worker.unref();
+
+    worker.on('message', ({ result, error }) => {
+      const task = running.get(worker);
+      running.delete(worker);
+      worker.unref();
+      idle.push(worker);
+      if (task) {
+        settle(task);
+        if (error) {
+          task.reject(reviveError(error));
+        } else {
+          task.resolve(result);
+        }
+      }
+      dispatch();
+    });
+
+    // A worker that crashed or exited takes its task down with it
+    const fail = (error) => {
+      if (!workers.has(worker)) {
+        return;
+      }
+      const task = running.get(worker);
+      discard(worker);
+      if (task) {
+        settle(task);
+        task.reject(error);
+      }
+      dispatch();
+    };
+    worker.on('error', fail);
+    worker.on('exit', (code) => fail(new HashPoolError(`Hash worker exited with code ${code}`)));
+
+    return worker;
+  }
+
+  /**
+   * Runs a passwordHasher function on a worker
+   *
+   * @param {string} method - One of POOL_METHODS
+   * @param {Array} [args=[]] - Arguments for the function
+   * @param {object} [settings] - Task settings
+   * @param {AbortSignal} [settings.signal] - Cancels the task when aborted
+   * @returns {Promise<*>} What the function returns; rejects with what it throws
+   */
+  function run(method, args = [], { signal } = {}) {
+    if (!POOL_METHODS.includes(method)) {
+      return Promise.reject(new TypeError(`Method must be one of: ${POOL_METHODS.join(', ')}`));
+    }
+    if (!Array.isArray(args)) {
+      return Promise.reject(new TypeError('Arguments must be an array'));
+    }
+    if (closed) {
+      return Promise.reject(new HashPoolError('Hash worker pool is closed'));
+    }
+    if (signal && signal.aborted) {
+      return Promise.reject(abortReason(signal));
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        method,
+        args,
+        signal,
+        resolve,
+        reject,
+      };
+      if (signal) {
+        task.onAbort = () => {
+          if (queue.includes(task)) {
+            queue.splice(queue.indexOf(task), 1);
+          } else {
+            const entry = [...running].find(([, current]) => current === task);
+            if (entry) {
+              discard(entry[0]);
+              dispatch();
+            }
+          }
+          reject(abortReason(signal));
+        };
+        signal.addEventListener('abort', task.onAbort, { once: true });
+      }
+      queue.push(task);
+      dispatch();
+    });
+  }
+
+  /**
+   * Stops every worker; queued and running tasks reject with HashPoolError
+   *
+   * @returns {Promise<void>} Resolves once the workers have exited
+   */
+  async function close() {
+    closed = true;
+    const error = new HashPoolError('Hash worker pool was closed');
+    const pending = [...queue.splice(0), ...running.values()];
+    await Promise.all([...workers].map((worker) => discard(worker)));
+    pending.forEach((task) => {
+      settle(task);
+      task.reject(error);
+    });
+  }
+
+  return { size, run, close };
+}
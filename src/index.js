@@ -1,7 +1,44 @@
 /**
  * Index file - Export all cipher and encoder modules
+ *
+ * Every module is exposed as a namespace so that modules sharing function
+ * names (encode/decode/analyze) do not collide:
+ *
+ * @example
+ * import * as vault from 'string-encryption-vault';
+ * vault.caesar.encrypt('HELLO', 3); // "KHOOR"
+ * vault.base64.encode('HELLO'); // "SEVMTE8="
  */
 
-export * from './caesarCipher.js';
-export * from './rot13.js';
-export * from './base64Encoder.js';
+export * as caesar from './caesarCipher.js';
+export * as rot13 from './rot13.js';
+export * as base64 from './base64Encoder.js';
+export * as vigenere from './vigenereCipher.js';
+export * as passwordHasher from './passwordHasher.js';
+export * as morse from './morseCode.js';
+export * as braille from './brailleConverter.js';
+export * as obfuscator from './textObfuscator.js';
+export * as qr from './qrDecoder.js';
+export * as registry from './cipherRegistry.js';
+export * as pipeline from './transformPipeline.js';
+export * as languageModel from './languageModel.js';
+export * as identifier from './cipherIdentifier.js';
+export * as aead from './authenticatedEncryption.js';
+export * as secretStore from './secretStore.js';
+export * as passwordStrength from './passwordStrength.js';
+export * as breachedPasswords from './breachedPasswords.js';
+export * as passwordGenerator from './passwordGenerator.js';
+export * as passwordPolicy from './passwordPolicy.js';
+export * as hashWorkerPool from './hashWorkerPool.js';
+export * as legacyHashes from './legacyHashes.js';
+
+// Flat exports kept for backwards compatibility with the original entry point
+export {
+  encrypt,
+  decrypt,
+  bruteForce,
+  CaesarCipherError,
+  InvalidShiftError,
+} from './caesarCipher.js';
+export { isRot13Symmetric, ROT13Error } from './rot13.js';
+export { isBase64, Base64Error, InvalidBase64Error } from './base64Encoder.js';
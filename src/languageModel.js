@@ -0,0 +1,458 @@
+/**
+ * Language Models
+ * Letter n-gram statistics (unigrams to quadgrams) for scoring how much a
+ * candidate plaintext looks like natural language. The crackers in
+ * caesarCipher, vigenereCipher and rot13 all rank their candidates with the
+ * fitness function defined here.
+ *
+ * Built-in profiles for English (en), Spanish (es), German (de) and French (fr)
+ * live in ./languages/<code>.json and are loaded on first use. Further profiles
+ * can be built from any corpus with buildProfile and registered with
+ * loadLanguage or loadLanguageFile.
+ *
+ * A profile has the shape:
+ * {
+ *   code: 'en', name: 'English', source: '...',
+ *   totals: { 1: 8682, 2: 6958, 3: 5253, 4: 3897 },
+ *   ngrams: { 1: { E: 1079, ... }, 2: { TH: 200, ... }, 3: { ... }, 4: { ... } }
+ * }
+ * where ngrams holds counts and totals the number of n-grams in the corpus.
+ * Accents are folded (É -> E, ß -> SS) so every profile uses the letters A-Z.
+ *
+ * @module languageModel
+ */
+
+import fs from 'fs';
+
+export class LanguageModelError extends Error {
+  constructor(message = 'Language Model Error') {
+    super(message);
+    this.name = 'LanguageModelError';
+  }
+}
+
+export class UnknownLanguageError extends LanguageModelError {
+  constructor(code) {
+    super(`Unknown language: ${code}`);
+    this.name = 'UnknownLanguageError';
+    this.language = code;
+  }
+}
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const BUILT_IN_LANGUAGES = ['en', 'es', 'de', 'fr'];
+
+const ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// N-gram orders the models score; fitness sums one log-likelihood per order
+export const NGRAM_ORDERS = [1, 2, 3, 4];
+
+// Default number of n-grams kept per order when building a profile
+const DEFAULT_LIMITS = {
+  1: 26,
+  2: 400,
+  3: 1000,
+  4: 1500,
+};
+
+// Pseudo-count given to n-grams never seen in the corpus
+const UNSEEN_COUNT = 0.1;
+
+const languages = new Map();
+
+/**
+ * Uppercases text and folds accented letters onto A-Z
+ *
+ * @param {string} text - Text in any language
+ * @returns {string} Uppercase text; non-letters are kept as they are
+ * @private
+ */
+function foldText(text) {
+  return text
+    .replace(/ß/g, 'ss')
+    .replace(/æ/gi, 'ae')
+    .replace(/œ/gi, 'oe')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase();
+}
+
+/**
+ * Splits text into runs of the letters A-Z
+ * N-grams are only counted within a run, never across spaces or punctuation
+ *
+ * @param {string} text - Text in any language
+ * @returns {Array<string>} Letter runs
+ * @private
+ */
+function letterRuns(text) {
+  return foldText(text).match(/[A-Z]+/g) || [];
+}
+
+/**
+ * Calls fn for every n-gram of the given order in the text
+ *
+ * @param {Array<string>} runs - Letter runs from letterRuns
+ * @param {number} n - N-gram order
+ * @param {function(string): void} fn - Callback
+ * @private
+ */
+function forEachNgram(runs, n, fn) {
+  runs.forEach((run) => {
+    for (let i = 0; i + n <= run.length; i += 1) {
+      fn(run.substring(i, i + n));
+    }
+  });
+}
+
+/**
+ * Builds a language profile from a sample of text
+ * The larger and more varied the corpus, the better the profile
+ *
+ * @param {string} corpus - Sample text in the language
+ * @param {Object} [options] - Profile metadata and size limits
+ * @param {string} [options.code='custom'] - Language code
+ * @param {string} [options.name] - Human-readable name (defaults to the code)
+ * @param {string} [options.source] - Where the corpus came from
+ * @param {Object} [options.limits] - Most frequent n-grams kept per order ({ 2: 400, ... })
+ * @returns {Object} Profile ready for loadLanguage or JSON.stringify
+ * @throws {TypeError} If corpus is not a string
+ * @throws {LanguageModelError} If the corpus contains no letters
+ *
+ * @example
+ * const corpus = fs.readFileSync('corpus.txt', 'utf8');
+ * const profile = buildProfile(corpus, { code: 'nl', name: 'Dutch' });
+ * fs.writeFileSync('nl.json', JSON.stringify(profile));
+ */
+export function buildProfile(corpus, options = {}) {
+  if (typeof corpus !== 'string') {
+    throw new TypeError('Corpus must be a string');
+  }
+
+  const {
+    code = 'custom',
+    name = code,
+    source,
+    limits = {},
+  } = options;
+  const runs = letterRuns(corpus);
+  if (runs.length === 0) {
+    throw new LanguageModelError('Corpus contains no letters');
+  }
+
+  const totals = {};
+  const ngrams = {};
+  NGRAM_ORDERS.forEach((n) => {
+    const counts = new Map();
+    let total = 0;
+    forEachNgram(runs, n, (ngram) => {
+      counts.set(ngram, (counts.get(ngram) || 0) + 1);
+      total += 1;
+    });
+
+    const limit = limits[n] || DEFAULT_LIMITS[n];
+    const kept = Array.from(counts.entries())
+      .sort((a, b) => b[1] - a[1] || (a[0] < b[0] ? -1 : 1))
+      .slice(0, limit);
+
+    totals[n] = total;
+    ngrams[n] = Object.fromEntries(kept);
+  });
+
+  return {
+    code,
+    name,
+    ...(source === undefined ? {} : { source }),
+    totals,
+    ngrams,
+  };
+}
+
+/**
+ * Validates a profile and precomputes log-probabilities for scoring
+ *
+ * @param {Object} profile - Parsed profile
+ * @returns {Object} Frozen language model
+ * @throws {LanguageModelError} If the profile is malformed
+ * @private
+ */
+function compileProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    throw new LanguageModelError('Language profile must be an object');
+  }
+
+  const {
+    code,
+    name = code,
+    totals,
+    ngrams,
+  } = profile;
+  if (typeof code !== 'string' || !/^[a-z][a-z0-9-]*$/.test(code)) {
+    throw new LanguageModelError('Language code must be a lowercase string (a-z, 0-9, -)');
+  }
+  if (!totals || !ngrams || typeof totals !== 'object' || typeof ngrams !== 'object') {
+    throw new LanguageModelError(`Language "${code}" must define totals and ngrams`);
+  }
+
+  const logProbabilities = {};
+  const floors = {};
+  NGRAM_ORDERS.forEach((n) => {
+    const total = Number(totals[n]);
+    const counts = ngrams[n] || {};
+    if (!Number.isFinite(total) || total <= 0) {
+      throw new LanguageModelError(`Language "${code}" has no total for ${n}-grams`);
+    }
+
+    const table = new Map();
+    Object.entries(counts).forEach(([ngram, count]) => {
+      if (ngram.length !== n || !/^[A-Z]+$/.test(ngram) || !(count > 0)) {
+        throw new LanguageModelError(`Language "${code}" has an invalid ${n}-gram: ${ngram}`);
+      }
+      table.set(ngram, Math.log(count / total));
+    });
+    logProbabilities[n] = table;
+    floors[n] = Math.log(UNSEEN_COUNT / total);
+  });
+
+  const unigramTotal = Number(totals[1]);
+  const frequencies = ALPHABET.split('').map((letter) => (ngrams[1][letter] || 0) / unigramTotal);
+
+  return Object.freeze({
+    code,
+    name,
+    source: profile.source,
+    frequencies: Object.freeze(frequencies),
+    ioc: frequencies.reduce((sum, p) => sum + p * p, 0),
+    logProbabilities,
+    floors,
+  });
+}
+
+/**
+ * Registers a language profile, replacing any profile with the same code
+ *
+ * @param {string|Object} profile - Profile object or its JSON text
+ * @returns {Object} { code, name, source, ioc } of the registered language
+ * @throws {LanguageModelError} If the JSON or profile is malformed
+ *
+ * @example
+ * loadLanguage(buildProfile(dutchCorpus, { code: 'nl', name: 'Dutch' }))
+ * // Returns { code: 'nl', name: 'Dutch', source: undefined, ioc: 0.08... }
+ */
+export function loadLanguage(profile) {
+  let parsed = profile;
+  if (typeof profile === 'string') {
+    try {
+      parsed = JSON.parse(profile);
+    } catch (error) {
+      throw new LanguageModelError(`Invalid language profile JSON: ${error.message}`);
+    }
+  }
+
+  const model = compileProfile(parsed);
+  languages.set(model.code, model);
+  return {
+    code: model.code,
+    name: model.name,
+    source: model.source,
+    ioc: model.ioc,
+  };
+}
+
+/**
+ * Reads a JSON language profile from disk and registers it
+ *
+ * @param {string|URL} path - Path to the profile
+ * @returns {Object} { code, name, source, ioc } of the registered language
+ * @throws {LanguageModelError} If the profile is malformed
+ */
+export function loadLanguageFile(path) {
+  return loadLanguage(fs.readFileSync(path, 'utf8'));
+}
+
+/**
+ * Looks up a language model, loading built-in profiles on first use
+ *
+ * @param {string} [code='en'] - Language code
+ * @returns {Object} Compiled language model
+ * @throws {UnknownLanguageError} If no profile is registered under the code
+ * @private
+ */
+function getModel(code = DEFAULT_LANGUAGE) {
+  if (!languages.has(code) && BUILT_IN_LANGUAGES.includes(code)) {
+    loadLanguageFile(new URL(`./languages/${code}.json`, import.meta.url));
+  }
+  if (!languages.has(code)) {
+    throw new UnknownLanguageError(code);
+  }
+  return languages.get(code);
+}
+
+/**
+ * Lists the available languages (built-in and registered)
+ *
+ * @returns {Array<{code: string, name: string}>} Languages sorted by code
+ *
+ * @example
+ * listLanguages()
+ * // Returns [{ code: 'de', name: 'German' }, { code: 'en', name: 'English' }, ...]
+ */
+export function listLanguages() {
+  BUILT_IN_LANGUAGES.forEach((code) => getModel(code));
+  return Array.from(languages.values())
+    .map(({ code, name }) => ({ code, name }))
+    .sort((a, b) => (a.code < b.code ? -1 : 1));
+}
+
+/**
+ * Expected letter frequencies (A-Z, summing to 1) and index of coincidence of a language
+ *
+ * @param {string} [language='en'] - Language code
+ * @returns {Object} { frequencies, ioc }
+ * @throws {UnknownLanguageError} If the language is unknown
+ *
+ * @example
+ * letterFrequencies('en').frequencies[4] // Returns about 0.12 (E)
+ */
+export function letterFrequencies(language = DEFAULT_LANGUAGE) {
+  const { frequencies, ioc } = getModel(language);
+  return { frequencies, ioc };
+}
+
+/**
+ * Index of coincidence: the chance that two letters drawn from the text match
+ * About 0.067 for English, 0.0385 (1/26) for uniformly random letters
+ *
+ * @param {string} text - Text to measure (non-letters are ignored)
+ * @returns {number} Index of coincidence (0 for fewer than 2 letters)
+ *
+ * @example
+ * indexOfCoincidence('AABB') // Returns 0.3333
+ */
+export function indexOfCoincidence(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+
+  const letters = letterRuns(text).join('');
+  if (letters.length < 2) {
+    return 0;
+  }
+  const counts = new Array(26).fill(0);
+  for (let i = 0; i < letters.length; i += 1) {
+    counts[letters.charCodeAt(i) - 65] += 1;
+  }
+  const matches = counts.reduce((sum, count) => sum + count * (count - 1), 0);
+  return matches / (letters.length * (letters.length - 1));
+}
+
+/**
+ * Chi-squared distance between a text's letter counts and a language
+ *
+ * @param {string} text - Text to score (non-letters are ignored)
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Language code
+ * @returns {number} Chi-squared statistic (lower is closer; 0 for text without letters)
+ * @throws {UnknownLanguageError} If the language is unknown
+ *
+ * @example
+ * chiSquared('HELLO WORLD') < chiSquared('XQZJV KPWZY') // true
+ */
+export function chiSquared(text, { language = DEFAULT_LANGUAGE } = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+
+  const { frequencies } = getModel(language);
+  const letters = letterRuns(text).join('');
+  if (letters.length === 0) {
+    return 0;
+  }
+  const counts = new Array(26).fill(0);
+  for (let i = 0; i < letters.length; i += 1) {
+    counts[letters.charCodeAt(i) - 65] += 1;
+  }
+
+  return frequencies.reduce((sum, frequency, index) => {
+    // Letters the corpus never showed are treated as rare rather than impossible
+    const expected = Math.max(frequency, 1e-4) * letters.length;
+    return sum + ((counts[index] - expected) ** 2) / expected;
+  }, 0);
+}
+
+/**
+ * Log-likelihood of a text's n-grams under a language model
+ * N-grams are taken within words only; unseen n-grams get a small floor probability
+ *
+ * @param {string} text - Text to score
+ * @param {number} n - N-gram order (1-4)
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Language code
+ * @returns {{logLikelihood: number, count: number}} Summed natural log-probability and
+ * the number of n-grams scored
+ * @throws {LanguageModelError} If n is not 1-4
+ * @throws {UnknownLanguageError} If the language is unknown
+ *
+ * @example
+ * ngramScore('THE CAT', 2) // Returns { logLikelihood: -17.46..., count: 4 }
+ */
+export function ngramScore(text, n, { language = DEFAULT_LANGUAGE } = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+  if (!NGRAM_ORDERS.includes(n)) {
+    throw new LanguageModelError('N-gram order must be 1, 2, 3 or 4');
+  }
+
+  const model = getModel(language);
+  const table = model.logProbabilities[n];
+  const floor = model.floors[n];
+  let logLikelihood = 0;
+  let count = 0;
+  forEachNgram(letterRuns(text), n, (ngram) => {
+    logLikelihood += table.has(ngram) ? table.get(ngram) : floor;
+    count += 1;
+  });
+
+  return { logLikelihood, count };
+}
+
+/**
+ * Scores how much a text looks like the given language
+ *
+ * The score is the log-likelihood of the text's letters, letter pairs and
+ * letter triples/quads under the language model. It is a sum, so it is only
+ * comparable between texts of the same length — which is what crackers need
+ * when ranking decryptions of one ciphertext. Use averageFitness to compare
+ * texts of different lengths.
+ *
+ * @param {string} text - Candidate plaintext
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Language code
+ * @returns {number} Log-likelihood score (higher is more language-like)
+ * @throws {UnknownLanguageError} If the language is unknown
+ *
+ * @example
+ * fitness('HELLO WORLD') > fitness('URYYB JBEYQ') // true
+ */
+export function fitness(text, { language = DEFAULT_LANGUAGE } = {}) {
+  return NGRAM_ORDERS.reduce(
+    (sum, n) => sum + ngramScore(text, n, { language }).logLikelihood,
+    0,
+  );
+}
+
+/**
+ * Fitness per letter, comparable between texts of different lengths
+ *
+ * @param {string} text - Candidate plaintext
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Language code
+ * @returns {number} Average log-likelihood per letter (-Infinity for text without letters)
+ * @throws {UnknownLanguageError} If the language is unknown
+ */
+export function averageFitness(text, { language = DEFAULT_LANGUAGE } = {}) {
+  const { count } = ngramScore(text, 1, { language });
+  return count === 0 ? -Infinity : fitness(text, { language }) / count;
+}
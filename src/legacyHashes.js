@@ -0,0 +1,446 @@
+/**
+ * Legacy Password Hashes
+ * Parses and verifies hashes exported from older systems, so that users can
+ * sign in with them once and be rehashed into a current format:
+ *
+ * | Format          | Example                                   | Source                 |
+ * |-----------------|-------------------------------------------|------------------------|
+ * | apr1            | $apr1$<salt>$<hash>                       | Apache htpasswd -m     |
+ * | md5-crypt       | $1$<salt>$<hash>                          | crypt(3) MD5           |
+ * | htpasswd-sha1   | {SHA}<base64 SHA-1>                       | Apache htpasswd -s     |
+ * | sha256-crypt    | $5$[rounds=<n>$]<salt>$<hash>             | glibc crypt(3)         |
+ * | sha512-crypt    | $6$[rounds=<n>$]<salt>$<hash>             | glibc crypt(3)         |
+ * | django-pbkdf2   | pbkdf2_sha256$<iterations>$<salt>$<hash>  | Django (also _sha1)    |
+ * | werkzeug-pbkdf2 | pbkdf2:sha256:<iterations>$<salt>$<hex>   | Werkzeug / Flask       |
+ * | werkzeug-scrypt | scrypt:<n>:<r>:<p>$<salt>$<hex>           | Werkzeug / Flask       |
+ *
+ * Passwords are UTF-8 encoded. None of these formats should be used for new
+ * hashes: {SHA} is unsalted and the MD5 and SHA-crypt schemes are fast. The
+ * passwordHasher verify functions accept all of them, and needsRehash always
+ * reports them as needing rehashing.
+ *
+ * @module legacyHashes
+ */
+
+/* eslint-disable no-bitwise */
+
+import crypto from 'crypto';
+
+export const LEGACY_HASH_FORMATS = [
+  'apr1',
+  'md5-crypt',
+  'htpasswd-sha1',
+  'sha256-crypt',
+  'sha512-crypt',
+  'django-pbkdf2',
+  'werkzeug-pbkdf2',
+  'werkzeug-scrypt',
+];
+
+const CRYPT_ALPHABET = './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+const SHA_CRYPT = {
+  5: {
+    digest: 'sha256',
+    // Digest bytes in the order crypt(3) encodes them, three at a time
+    order: [
+      0, 10, 20, 21, 1, 11, 12, 22, 2, 3, 13, 23, 24, 4, 14,
+      15, 25, 5, 6, 16, 26, 27, 7, 17, 18, 28, 8, 9, 19, 29,
+      null, 31, 30,
+    ],
+  },
+  6: {
+    digest: 'sha512',
+    order: [
+      0, 21, 42, 22, 43, 1, 44, 2, 23, 3, 24, 45, 25, 46, 4,
+      47, 5, 26, 6, 27, 48, 28, 49, 7, 50, 8, 29, 9, 30, 51,
+      31, 52, 10, 53, 11, 32, 12, 33, 54, 34, 55, 13, 56, 14, 35,
+      15, 36, 57, 37, 58, 16, 59, 17, 38, 18, 39, 60, 40, 61, 19,
+      62, 20, 41, null, null, 63,
+    ],
+  },
+};
+
+const SHA_CRYPT_ROUNDS = { default: 5000, min: 1000, max: 999999999 };
+
+// Most memory scrypt may use (N = 2^20 at r = 8), so hashes and envelopes
+// from untrusted sources cannot exhaust the machine
+export const SCRYPT_MAX_MEMORY = 1024 * 1024 * 1024;
+
+// Most PBKDF2 iterations an imported hash may ask for
+const MAX_PBKDF2_ITERATIONS = 10000000;
+
+const PATTERNS = [
+  ['apr1', /^\$apr1\$([^$]{0,8})\$([./0-9A-Za-z]{22})$/],
+  ['md5-crypt', /^\$1\$([^$]{0,8})\$([./0-9A-Za-z]{22})$/],
+  ['htpasswd-sha1', /^\{SHA\}([A-Za-z0-9+/]{27}=)$/],
+  ['sha256-crypt', /^\$5\$(?:rounds=(\d+)\$)?([^$]{0,16})\$([./0-9A-Za-z]{43})$/],
+  ['sha512-crypt', /^\$6\$(?:rounds=(\d+)\$)?([^$]{0,16})\$([./0-9A-Za-z]{86})$/],
+  ['django-pbkdf2', /^pbkdf2_(sha1|sha256)\$(\d+)\$([^$]+)\$([A-Za-z0-9+/]+={0,2})$/],
+  // The iteration count is optional so that the older form gets a clear error
+  ['werkzeug-pbkdf2', /^pbkdf2:(sha1|sha256|sha512)(?::(\d+))?\$([^$]*)\$([0-9a-f]+)$/],
+  ['werkzeug-scrypt', /^scrypt:(\d+):(\d+):(\d+)\$([^$]*)\$([0-9a-f]+)$/],
+];
+
+/**
+ * Encodes bytes with the crypt(3) alphabet, least significant bits first
+ *
+ * @param {Buffer} digest - Digest to encode
+ * @param {Array<number|null>} order - Digest indices in groups of three; null is a zero byte
+ * @returns {string} Encoded digest
+ * @private
+ */
+function encodeCrypt(digest, order) {
+  let encoded = '';
+  for (let group = 0; group < order.length; group += 3) {
+    const indices = order.slice(group, group + 3);
+    const bytes = indices.map((index) => (index === null ? 0 : digest[index]));
+    let value = (bytes[0] << 16) | (bytes[1] << 8) | bytes[2];
+    // The final group may be short: each missing byte saves one character
+    const characters = 4 - indices.filter((index) => index === null).length;
+    for (let i = 0; i < characters; i += 1) {
+      encoded += CRYPT_ALPHABET[value & 0x3f];
+      value >>>= 6;
+    }
+  }
+  return encoded;
+}
+
+/**
+ * Repeats a buffer's bytes until length bytes are produced
+ *
+ * @param {Buffer} bytes - Bytes to repeat
+ * @param {number} length - Output length
+ * @returns {Buffer} Repeated bytes
+ * @private
+ */
+function repeatBytes(bytes, length) {
+  const output = Buffer.alloc(length);
+  for (let offset = 0; offset < length; offset += bytes.length) {
+    bytes.copy(output, offset, 0, Math.min(bytes.length, length - offset));
+  }
+  return output;
+}
+
+/**
+ * Computes an MD5-crypt hash (Poul-Henning Kamp's scheme, also Apache's apr1)
+ *
+ * @param {Buffer} password - Password bytes
+ * @param {string} salt - Salt (at most 8 characters)
+ * @param {string} magic - '$1$' or '$apr1$'
+ * @returns {string} The full hash string
+ * @private
+ */
+function md5Crypt(password, salt, magic) {
+  const saltBytes = Buffer.from(salt);
+  const md5 = (...parts) => crypto.createHash('md5').update(Buffer.concat(parts)).digest();
+
+  const alternate = md5(password, saltBytes, password);
+  const parts = [password, Buffer.from(magic), saltBytes];
+  for (let left = password.length; left > 0; left -= 16) {
+    parts.push(alternate.subarray(0, Math.min(16, left)));
+  }
+  for (let bits = password.length; bits > 0; bits >>>= 1) {
+    parts.push(bits & 1 ? Buffer.alloc(1) : password.subarray(0, 1));
+  }
+  let digest = md5(...parts);
+
+  for (let round = 0; round < 1000; round += 1) {
+    digest = md5(
+      round & 1 ? password : digest,
+      round % 3 ? saltBytes : Buffer.alloc(0),
+      round % 7 ? password : Buffer.alloc(0),
+      round & 1 ? digest : password,
+    );
+  }
+
+  const order = [0, 6, 12, 1, 7, 13, 2, 8, 14, 3, 9, 15, 4, 10, 5, null, null, 11];
+  return `${magic}${salt}$${encodeCrypt(digest, order)}`;
+}
+
+/**
+ * Computes a SHA-crypt hash (Ulrich Drepper's SHA-256/SHA-512 crypt)
+ *
+ * @param {Buffer} password - Password bytes
+ * @param {string} salt - Salt (at most 16 characters)
+ * @param {number|null} rounds - Requested rounds, or null for the implicit 5000
+ * @param {string} id - '5' or '6'
+ * @returns {string} The full hash string
+ * @private
+ */
+function shaCrypt(password, salt, rounds, id) {
+  const { digest: algorithm, order } = SHA_CRYPT[id];
+  const hash = (...parts) => crypto.createHash(algorithm).update(Buffer.concat(parts)).digest();
+  const saltBytes = Buffer.from(salt);
+  const count = rounds === null
+    ? SHA_CRYPT_ROUNDS.default
+    : Math.min(Math.max(rounds, SHA_CRYPT_ROUNDS.min), SHA_CRYPT_ROUNDS.max);
+
+  const alternate = hash(password, saltBytes, password);
+  const parts = [password, saltBytes, repeatBytes(alternate, password.length)];
+  for (let bits = password.length; bits > 0; bits >>>= 1) {
+    parts.push(bits & 1 ? alternate : password);
+  }
+  let digest = hash(...parts);
+
+  const passwordSequence = repeatBytes(
+    hash(...new Array(password.length).fill(password)),
+    password.length,
+  );
+  const saltSequence = repeatBytes(
+    hash(...new Array(16 + digest[0]).fill(saltBytes)),
+    saltBytes.length,
+  );
+
+  for (let round = 0; round < count; round += 1) {
+    digest = hash(
+      round & 1 ? passwordSequence : digest,
+      round % 3 ? saltSequence : Buffer.alloc(0),
+      round % 7 ? passwordSequence : Buffer.alloc(0),
+      round & 1 ? digest : passwordSequence,
+    );
+  }
+
+  const roundsField = rounds === null ? '' : `rounds=${count}$`;
+  return `$${id}$${roundsField}${salt}$${encodeCrypt(digest, order)}`;
+}
+
+/**
+ * Names the legacy format of a stored hash
+ *
+ * @param {string} storedHash - Stored hash
+ * @returns {string|null} One of LEGACY_HASH_FORMATS, or null if it is none of them
+ *
+ * @example
+ * identifyLegacyHash('$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1') // Returns 'apr1'
+ * identifyLegacyHash('$2b$10$...') // Returns null
+ */
+export function identifyLegacyHash(storedHash) {
+  if (typeof storedHash !== 'string') {
+    return null;
+  }
+  const match = PATTERNS.find(([, pattern]) => pattern.test(storedHash));
+  return match ? match[0] : null;
+}
+
+/**
+ * Parses a legacy hash into its format, parameters, salt and hash
+ *
+ * @param {string} storedHash - Stored hash in one of LEGACY_HASH_FORMATS
+ * @returns {object} {format, digest, salt, hash} plus the format's parameters
+ *   (rounds, iterations or cost, blockSize and parallelization); salt and hash
+ *   are strings as stored, except that the hash is a Buffer for the formats
+ *   that store it in base64 or hex
+ * @throws {TypeError} If the stored hash is not a string
+ * @throws {Error} If the string is not a recognised legacy hash, or is a
+ *   Werkzeug pbkdf2:<digest>$ hash without an iteration count
+ *
+ * @example
+ * parseLegacyHash('pbkdf2_sha256$1000$seasalt$c1qzytRSef55QORFq0MdO8/1vcUm06B+SlPeZTlPCkA=')
+ * // Returns { format: 'django-pbkdf2', digest: 'sha256', iterations: 1000,
+ * //           salt: 'seasalt', hash: <Buffer 73 5a b3 ...> }
+ */
+export function parseLegacyHash(storedHash) {
+  if (typeof storedHash !== 'string') {
+    throw new TypeError('Stored hash must be a string');
+  }
+  const format = identifyLegacyHash(storedHash);
+  if (format === null) {
+    throw new Error(`Unrecognised legacy hash. Expected one of: ${LEGACY_HASH_FORMATS.join(', ')}`);
+  }
+
+  const fields = PATTERNS.find(([name]) => name === format)[1].exec(storedHash).slice(1);
+  switch (format) {
+    case 'apr1':
+    case 'md5-crypt':
+      return {
+        format,
+        digest: 'md5',
+        salt: fields[0],
+        hash: fields[1],
+      };
+    case 'htpasswd-sha1':
+      return {
+        format,
+        digest: 'sha1',
+        salt: '',
+        hash: Buffer.from(fields[0], 'base64'),
+      };
+    case 'sha256-crypt':
+    case 'sha512-crypt':
+      return {
+        format,
+        digest: format === 'sha256-crypt' ? 'sha256' : 'sha512',
+        rounds: fields[0] === undefined ? SHA_CRYPT_ROUNDS.default : parseInt(fields[0], 10),
+        salt: fields[1],
+        hash: fields[2],
+      };
+    case 'django-pbkdf2':
+      return {
+        format,
+        digest: fields[0],
+        iterations: parseInt(fields[1], 10),
+        salt: fields[2],
+        hash: Buffer.from(fields[3], 'base64'),
+      };
+    case 'werkzeug-pbkdf2':
+      if (fields[1] === undefined) {
+        throw new Error(
+          `Unsupported Werkzeug hash pbkdf2:${fields[0]}$...: without an iteration count `
+            + 'it used the default of the Werkzeug version that wrote it, which is unknown',
+        );
+      }
+      return {
+        format,
+        digest: fields[0],
+        iterations: parseInt(fields[1], 10),
+        salt: fields[2],
+        hash: Buffer.from(fields[3], 'hex'),
+      };
+    default:
+      return {
+        format,
+        digest: 'scrypt',
+        cost: parseInt(fields[0], 10),
+        blockSize: parseInt(fields[1], 10),
+        parallelization: parseInt(fields[2], 10),
+        salt: fields[3],
+        hash: Buffer.from(fields[4], 'hex'),
+      };
+  }
+}
+
+/**
+ * Computes a crypt(3) hash for an MD5-crypt, apr1 or SHA-crypt setting
+ *
+ * @param {string} password - The password
+ * @param {string} setting - A full hash, or its prefix up to the salt
+ *   ('$apr1$<salt>', '$1$<salt>', '$5$[rounds=<n>$]<salt>', '$6$[rounds=<n>$]<salt>')
+ * @returns {string} The full hash string
+ * @throws {TypeError} If the password is not a string
+ * @throws {Error} If the setting names an unsupported scheme
+ *
+ * @example
+ * crypt('Hello world!', '$1$saltstri') // Returns '$1$saltstri$YMyguxXMBpd2TEZ.vS/3q1'
+ * crypt('Hello world!', '$6$saltstring')
+ * // Returns '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJ...'
+ */
+export function crypt(password, setting) {
+  if (typeof password !== 'string') {
+    throw new TypeError('Password must be a string');
+  }
+  if (typeof setting !== 'string') {
+    throw new TypeError('Setting must be a string');
+  }
+  const bytes = Buffer.from(password, 'utf8');
+
+  const md5 = /^(\$1\$|\$apr1\$)([^$]{0,8})/.exec(setting);
+  if (md5) {
+    return md5Crypt(bytes, md5[2], md5[1]);
+  }
+  const sha = /^\$([56])\$(?:rounds=(\d+)\$)?([^$]{0,16})/.exec(setting);
+  if (sha) {
+    return shaCrypt(bytes, sha[3], sha[2] === undefined ? null : parseInt(sha[2], 10), sha[1]);
+  }
+  throw new Error('Unsupported crypt setting. Expected $1$, $apr1$, $5$ or $6$');
+}
+
+/**
+ * Verifies a password against a legacy hash
+ *
+ * @param {string} password - The password to verify
+ * @param {string} storedHash - Stored hash in one of LEGACY_HASH_FORMATS
+ * @returns {boolean} True if the password matches
+ * @throws {TypeError} If the password or stored hash is not a string
+ * @throws {Error} If the string is not a recognised legacy hash, or asks for
+ *   more PBKDF2 iterations or scrypt memory than is allowed
+ *
+ * @example
+ * verifyLegacyHash('myPassword123', '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1') // Returns true
+ */
+export function verifyLegacyHash(password, storedHash) {
+  if (typeof password !== 'string') {
+    throw new TypeError('Password must be a string');
+  }
+  const parsed = parseLegacyHash(storedHash);
+  let expected;
+  let computed;
+
+  switch (parsed.format) {
+    case 'htpasswd-sha1':
+      expected = parsed.hash;
+      computed = crypto.createHash('sha1').update(password, 'utf8').digest();
+      break;
+    case 'django-pbkdf2':
+    case 'werkzeug-pbkdf2':
+      if (parsed.iterations > MAX_PBKDF2_ITERATIONS) {
+        throw new Error(`PBKDF2 iterations must be at most ${MAX_PBKDF2_ITERATIONS}`);
+      }
+      expected = parsed.hash;
+      computed = crypto.pbkdf2Sync(
+        password,
+        parsed.salt,
+        parsed.iterations,
+        expected.length,
+        parsed.digest,
+      );
+      break;
+    case 'werkzeug-scrypt': {
+      const memory = 128 * parsed.blockSize * (parsed.cost + parsed.parallelization);
+      if (memory > SCRYPT_MAX_MEMORY) {
+        throw new Error(
+          `Werkzeug scrypt parameters need ${Math.ceil(memory / 2 ** 20)} MiB, `
+            + `over the ${SCRYPT_MAX_MEMORY / 2 ** 20} MiB limit`,
+        );
+      }
+      expected = parsed.hash;
+      try {
+        computed = crypto.scryptSync(password, parsed.salt, expected.length, {
+          N: parsed.cost,
+          r: parsed.blockSize,
+          p: parsed.parallelization,
+          maxmem: memory + 1024 * 1024,
+        });
+      } catch (error) {
+        throw new Error(`Invalid Werkzeug scrypt parameters: ${error.message}`);
+      }
+      break;
+    }
+    default:
+      expected = Buffer.from(storedHash);
+      computed = Buffer.from(crypt(password, storedHash));
+  }
+
+  return expected.length === computed.length && crypto.timingSafeEqual(expected, computed);
+}
+
+/**
+ * Parses an Apache htpasswd file into user names and hashes
+ * Blank lines and # comments are skipped.
+ *
+ * @param {string} text - File contents
+ * @returns {Array<{user: string, hash: string}>} Entries in file order
+ * @throws {TypeError} If the text is not a string
+ * @throws {Error} If a line has no user:hash separator (the message names the line)
+ *
+ * @example
+ * parseHtpasswd('alice:$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1\nbob:{SHA}...')
+ * // Returns [{ user: 'alice', hash: '$apr1$...' }, { user: 'bob', hash: '{SHA}...' }]
+ */
+export function parseHtpasswd(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('htpasswd contents must be a string');
+  }
+  return text.split(/\r?\n/).reduce((entries, line, index) => {
+    const trimmed = line.trim();
+    if (trimmed === '' || trimmed.startsWith('#')) {
+      return entries;
+    }
+    const separator = trimmed.indexOf(':');
+    if (separator < 1) {
+      throw new Error(`Invalid htpasswd entry on line ${index + 1}: expected user:hash`);
+    }
+    entries.push({ user: trimmed.slice(0, separator), hash: trimmed.slice(separator + 1) });
+    return entries;
+  }, []);
+}
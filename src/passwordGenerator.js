@@ -0,0 +1,322 @@
+/**
+ * Password Generator
+ * Random passwords and Diceware-style passphrases drawn from the operating
+ * system's cryptographically secure random number generator.
+ *
+ * Both generators can be given a checkPasswordStrength options object as
+ * requirements, such as { policy: 'pci-dss' }. The result is checked against
+ * it before it is returned, so it always passes (length, character classes,
+ * the rest of the policy and, with a breachCorpus, not breached). Each result
+ * reports its entropy: log2 of the number of equally likely outputs the
+ * generator could have produced with those settings.
+ *
+ * Passphrases use the EFF large wordlist (7776 words, five dice per word) in
+ * ./wordlists/eff-large.json, or any list of words passed in.
+ *
+ * @module passwordGenerator
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+
+import { checkPasswordStrength } from './passwordHasher.js';
+import { resolvePolicyOptions } from './passwordPolicy.js';
+
+export class PasswordGeneratorError extends Error {
+  constructor(message = 'Password Generator Error') {
+    super(message);
+    this.name = 'PasswordGeneratorError';
+  }
+}
+
+// The special characters are the ones checkPasswordStrength counts
+export const CHARACTER_SETS = {
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  numbers: '0123456789',
+  special: '!@#$%^&*()_+-=[]{};\':"\\|,.<>/?',
+};
+
+// Characters easily confused with one another when read or typed
+export const AMBIGUOUS_CHARACTERS = 'Il1|O0o';
+
+// checkPasswordStrength option that requires each character set
+const REQUIREMENT_OPTIONS = {
+  lowercase: 'requireLowercase',
+  uppercase: 'requireUppercase',
+  numbers: 'requireNumbers',
+  special: 'requireSpecial',
+};
+
+// Candidates drawn before giving up on a set of requirements
+const MAX_ATTEMPTS = 1000;
+
+let effWords = null;
+
+/**
+ * Loads the bundled EFF large wordlist
+ *
+ * @returns {Array<string>} 7776 words in dice-roll order
+ * @private
+ */
+function loadEffWords() {
+  if (!effWords) {
+    const url = new URL('./wordlists/eff-large.json', import.meta.url);
+    effWords = JSON.parse(fs.readFileSync(url, 'utf8')).words;
+  }
+  return effWords;
+}
+
+/**
+ * Picks a uniformly random element
+ *
+ * @param {string|Array} items - Characters or words to pick from
+ * @returns {*} One of the items
+ * @private
+ */
+function pick(items) {
+  return items[crypto.randomInt(items.length)];
+}
+
+/**
+ * Rounds an entropy to one decimal, as checkPasswordStrength does
+ *
+ * @param {number} bits - Entropy in bits
+ * @returns {number} Rounded entropy
+ * @private
+ */
+function roundBits(bits) {
+  return Math.round(bits * 10) / 10;
+}
+
+/**
+ * Resolves the policy rules a requirements object stands for
+ *
+ * @param {object} requirements - checkPasswordStrength options
+ * @returns {object} Resolved policy rules (see passwordPolicy)
+ * @private
+ */
+function resolveRequirements(requirements) {
+  if (typeof requirements !== 'object' || requirements === null) {
+    throw new TypeError('Requirements must be a checkPasswordStrength options object');
+  }
+  return resolvePolicyOptions(requirements);
+}
+
+/**
+ * Counts length-character strings over the pool that use every set at least
+ * once, as a fraction of all strings over the pool (inclusion-exclusion)
+ *
+ * @param {Array<number>} sizes - Size of each set (the sets are disjoint)
+ * @param {number} length - String length
+ * @returns {number} Fraction of strings that contain every set
+ * @private
+ */
+function coverageFraction(sizes, length) {
+  const pool = sizes.reduce((sum, size) => sum + size, 0);
+  let fraction = 0;
+  for (let subset = 0; subset < 2 ** sizes.length; subset += 1) {
+    let missing = 0;
+    let members = 0;
+    sizes.forEach((size, index) => {
+      if (Math.floor(subset / 2 ** index) % 2 === 1) {
+        missing += size;
+        members += 1;
+      }
+    });
+    fraction += (members % 2 === 0 ? 1 : -1) * ((pool - missing) / pool) ** length;
+  }
+  return fraction;
+}
+
+/**
+ * Generates a random password
+ *
+ * Every enabled character set appears at least once. Candidates are drawn
+ * uniformly and rejected until one does, so all passwords meeting the settings
+ * are equally likely.
+ *
+ * @param {object} [options] - Generation options
+ * @param {number} [options.length=16] - Password length (at least requirements.minLength)
+ * @param {boolean} [options.lowercase=true] - Use lowercase letters
+ * @param {boolean} [options.uppercase=true] - Use uppercase letters
+ * @param {boolean} [options.numbers=true] - Use numbers
+ * @param {boolean} [options.special=true] - Use special characters
+ * @param {boolean} [options.excludeAmbiguous=false] - Leave out look-alikes (Il1|O0o)
+ * @param {string} [options.exclude=''] - Further characters to leave out
+ * @param {object} [options.requirements] - checkPasswordStrength options the password must pass
+ * @returns {object} {password, entropy} with the entropy in bits
+ * @throws {TypeError} If an option has the wrong type
+ * @throws {PasswordGeneratorError} If the settings cannot satisfy the requirements
+ *
+ * @example
+ * generatePassword()
+ * // Returns { password: 'q7#Vd]mK2x!Tz9aR', entropy: 104.1 }
+ * generatePassword({ length: 8, special: false, excludeAmbiguous: true })
+ * // Returns { password: 'h4Tq9zKe', entropy: 45.9 }
+ */
+export function generatePassword(options = {}) {
+  const {
+    length: requestedLength,
+    excludeAmbiguous = false,
+    exclude = '',
+    requirements,
+  } = options;
+
+  if (typeof exclude !== 'string') {
+    throw new TypeError('Excluded characters must be a string');
+  }
+  const required = requirements === undefined ? null : resolveRequirements(requirements);
+  const maxLength = required && required.maxLength !== null ? required.maxLength : Infinity;
+  const length = requestedLength === undefined
+    ? Math.min(Math.max(16, required ? required.minLength : 0), maxLength)
+    : requestedLength;
+  if (!Number.isInteger(length) || length < 1) {
+    throw new TypeError('Length must be a positive integer');
+  }
+  if (required && length < required.minLength) {
+    throw new PasswordGeneratorError(
+      `Length ${length} is below the required minimum of ${required.minLength}`,
+    );
+  }
+  if (length > maxLength) {
+    throw new PasswordGeneratorError(`Length ${length} is above the maximum of ${maxLength}`);
+  }
+
+  const excluded = new Set([...exclude, ...(excludeAmbiguous ? AMBIGUOUS_CHARACTERS : '')]);
+  const sets = [];
+  Object.entries(CHARACTER_SETS).forEach(([name, characters]) => {
+    const enabled = options[name] === undefined ? true : options[name];
+    if (required && required[REQUIREMENT_OPTIONS[name]] && !enabled) {
+      throw new PasswordGeneratorError(`The requirements need ${name} characters`);
+    }
+    if (enabled) {
+      const usable = [...characters].filter((character) => !excluded.has(character)).join('');
+      if (!usable) {
+        throw new PasswordGeneratorError(`Every ${name} character is excluded`);
+      }
+      sets.push(usable);
+    }
+  });
+  if (sets.length === 0) {
+    throw new PasswordGeneratorError('At least one character set must be enabled');
+  }
+  if (required && required.requireLetters
+    && options.lowercase === false && options.uppercase === false) {
+    throw new PasswordGeneratorError('The requirements need letters');
+  }
+  if (length < sets.length) {
+    throw new PasswordGeneratorError(
+      `Length ${length} is too short to use all ${sets.length} character sets`,
+    );
+  }
+
+  const pool = sets.join('');
+  const entropy = length * Math.log2(pool.length)
+    + Math.log2(coverageFraction(sets.map((set) => set.length), length));
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const password = Array.from({ length }, () => pick(pool)).join('');
+    const complete = sets.every((set) => [...password]
+      .some((character) => set.includes(character)));
+    if (complete && (!required || checkPasswordStrength(password, requirements).valid)) {
+      return { password, entropy: roundBits(entropy) };
+    }
+  }
+  throw new PasswordGeneratorError(
+    `No password met the requirements in ${MAX_ATTEMPTS} attempts`,
+  );
+}
+
+/**
+ * Generates a Diceware-style passphrase
+ *
+ * Words are drawn uniformly from the wordlist. Requiring uppercase capitalizes
+ * every word. When the requirements ask for a character class that the words
+ * and separator do not guarantee, one random character of that class is
+ * appended to a random word.
+ *
+ * @param {object} [options] - Generation options
+ * @param {number} [options.words=6] - Number of words
+ * @param {string} [options.separator='-'] - Text placed between words
+ * @param {boolean} [options.capitalize=false] - Capitalize the first letter of every word
+ * @param {Array<string>} [options.wordlist] - Words to draw from (defaults to the EFF large list)
+ * @param {object} [options.requirements] - checkPasswordStrength options the passphrase must pass
+ * @returns {object} {passphrase, entropy} with the entropy in bits
+ * @throws {TypeError} If an option has the wrong type
+ * @throws {PasswordGeneratorError} If the settings cannot satisfy the requirements
+ *
+ * @example
+ * generatePassphrase()
+ * // Returns { passphrase: 'reliable-unplug-shrank-dinner-gem-saturate', entropy: 77.5 }
+ * generatePassphrase({ words: 5, requirements: {} })
+ * // Returns { passphrase: 'Cobalt-Emerald-Prong7-Uneven-Oat', entropy: 70.3 }
+ */
+export function generatePassphrase(options = {}) {
+  const {
+    words: count = 6,
+    separator = '-',
+    capitalize = false,
+    wordlist = loadEffWords(),
+    requirements,
+  } = options;
+
+  if (!Number.isInteger(count) || count < 1) {
+    throw new TypeError('Word count must be a positive integer');
+  }
+  if (typeof separator !== 'string') {
+    throw new TypeError('Separator must be a string');
+  }
+  if (!Array.isArray(wordlist) || wordlist.some((word) => typeof word !== 'string' || !word)) {
+    throw new TypeError('Wordlist must be an array of non-empty strings');
+  }
+  const distinct = [...new Set(wordlist)];
+  if (distinct.length < 2) {
+    throw new PasswordGeneratorError('Wordlist must contain at least two distinct words');
+  }
+
+  const required = requirements === undefined ? null : resolveRequirements(requirements);
+  const upper = capitalize || Boolean(required && required.requireUppercase);
+  const words = upper
+    ? distinct.map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    : distinct;
+
+  // Classes the requirements need but the words and separator do not guarantee
+  const extras = required
+    ? Object.keys(CHARACTER_SETS).filter((name) => {
+      const escaped = CHARACTER_SETS[name].replace(/[\\\]^-]/g, '\\$&');
+      const pattern = new RegExp(`[${escaped}]`);
+      const guaranteed = (count > 1 && pattern.test(separator))
+        || words.every((word) => pattern.test(word));
+      return required[REQUIREMENT_OPTIONS[name]] && !guaranteed;
+    })
+    : [];
+
+  const longest = Math.max(...words.map((word) => word.length));
+  if (required && longest * count + separator.length * (count - 1) + extras.length
+    < required.minLength) {
+    throw new PasswordGeneratorError(
+      `A ${count}-word passphrase cannot reach the required length of ${required.minLength}`,
+    );
+  }
+
+  const entropy = count * Math.log2(words.length) + extras.reduce(
+    (bits, name) => bits + Math.log2(CHARACTER_SETS[name].length * count),
+    0,
+  );
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const chosen = Array.from({ length: count }, () => pick(words));
+    extras.forEach((name) => {
+      const index = crypto.randomInt(count);
+      chosen[index] += pick(CHARACTER_SETS[name]);
+    });
+    const passphrase = chosen.join(separator);
+    if (!required || checkPasswordStrength(passphrase, requirements).valid) {
+      return { passphrase, entropy: roundBits(entropy) };
+    }
+  }
+  throw new PasswordGeneratorError(
+    `No passphrase met the requirements in ${MAX_ATTEMPTS} attempts; try more words`,
+  );
+}
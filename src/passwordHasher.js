@@ -1,13 +1,61 @@
 /**
  * Password Hasher Implementation
- * Secure password hashing utilities with multiple algorithms (PBKDF2, bcrypt simulation)
+ * Secure password hashing utilities with multiple algorithms (PBKDF2, scrypt,
+ * bcrypt, Argon2id)
  * Supports salt generation, verification, and cost/strength customization
  *
+ * Hashes are emitted as PHC strings, which record the algorithm and its
+ * parameters alongside the salt and hash:
+ *   $pbkdf2-sha256$i=100000$<salt>$<hash>
+ *   $scrypt$ln=15,r=8,p=1$<salt>$<hash>
+ *   $argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash>
+ * (salt and hash in base64 without padding). bcrypt keeps its own
+ * $2b$<cost>$<salt+hash> format. The verify functions detect the algorithm
+ * from the stored string and still accept the older hash:salt:params form,
+ * which was only ever produced by PBKDF2 and scrypt.
+ *
+ * They also verify hashes imported from other systems: htpasswd $apr1$ and
+ * {SHA}, crypt(3) $1$, $5$ and $6$, Django pbkdf2_sha256$ and Werkzeug
+ * pbkdf2:/scrypt: strings (see legacyHashes). needsRehash reports these for
+ * rehashing, so verifyAndUpgrade moves users off them as they sign in.
+ *
+ * PBKDF2 and scrypt hashes can be peppered: the password is first run through
+ * HMAC-SHA256 keyed with a server-side secret that is never stored beside the
+ * hashes. A keyring holds numbered peppers; hashes record the number of the
+ * one they used (a `pepper=<version>` PHC parameter), so the current pepper
+ * can be rotated while older hashes keep verifying:
+ *   { current: 2, peppers: { 1: 'old secret', 2: 'new secret' } }
+ * A lone secret (string or Buffer) is a keyring holding it as version 1.
+ *
+ * The hashing functions are synchronous and block the event loop while they
+ * run. Servers should use the ...Async variants, which run them on a shared
+ * pool of worker threads (see hashWorkerPool).
+ *
  * @module passwordHasher
  */
 
 import crypto from 'crypto';
 
+import { argon2, ARGON2_TYPES, ARGON2_VERSION } from './argon2.js';
+import { hashBcrypt, parseBcrypt, verifyBcrypt } from './bcrypt.js';
+import { breachCount } from './breachedPasswords.js';
+import { createHashWorkerPool } from './hashWorkerPool.js';
+import { SCRYPT_MAX_MEMORY, identifyLegacyHash, verifyLegacyHash } from './legacyHashes.js';
+import { resolvePolicyOptions } from './passwordPolicy.js';
+import { estimatePasswordStrength } from './passwordStrength.js';
+
+export const HASH_ALGORITHMS = ['pbkdf2', 'scrypt', 'bcrypt', 'argon2id'];
+
+// Hashing function for each algorithm, by name so workers can run it
+const HASH_METHODS = {
+  pbkdf2: 'hashPassword',
+  scrypt: 'hashPasswordScrypt',
+  bcrypt: 'hashPasswordBcrypt',
+  argon2id: 'hashPasswordArgon2id',
+};
+
+const BCRYPT_PREFIX = /^\$2[aby]\$/;
+
 /**
  * Generates a random salt for password hashing
  * Uses cryptographically secure random bytes
@@ -31,6 +79,367 @@ export function generateSalt(length = 16) {
   return salt.toString('base64');
 }
 
+/**
+ * Reads one pepper secret
+ *
+ * @param {string|Buffer|Uint8Array} secret - The pepper (strings are UTF-8)
+ * @param {string} label - How to name the pepper in errors
+ * @returns {Buffer} The secret's bytes
+ * @throws {TypeError} If the secret is empty or not a string or bytes
+ * @private
+ */
+function pepperBytes(secret, label) {
+  if ((typeof secret !== 'string' && !(secret instanceof Uint8Array)) || secret.length === 0) {
+    throw new TypeError(`${label} must be a non-empty string or Buffer`);
+  }
+  return Buffer.from(secret);
+}
+
+/**
+ * Reads a pepper option into a keyring
+ *
+ * @param {string|Buffer|object} pepper - A secret, or {current, peppers: {version: secret}}
+ * @returns {object} {current, peppers} with peppers a Map of version to Buffer
+ * @throws {TypeError} If the keyring is malformed
+ * @private
+ */
+function resolveKeyring(pepper) {
+  if (typeof pepper === 'string' || pepper instanceof Uint8Array) {
+    return { current: 1, peppers: new Map([[1, pepperBytes(pepper, 'Pepper')]]) };
+  }
+  if (typeof pepper !== 'object' || pepper === null
+    || typeof pepper.peppers !== 'object' || pepper.peppers === null) {
+    throw new TypeError('Pepper must be a secret or a {current, peppers} keyring');
+  }
+
+  const peppers = new Map(Object.entries(pepper.peppers).map(([version, secret]) => {
+    if (!/^[1-9]\d*$/.test(version)) {
+      throw new TypeError(`Pepper version must be a positive integer, got ${version}`);
+    }
+    return [parseInt(version, 10), pepperBytes(secret, `Pepper ${version}`)];
+  }));
+  if (!peppers.has(pepper.current)) {
+    throw new TypeError(`Current pepper version ${pepper.current} is not in the keyring`);
+  }
+  return { current: pepper.current, peppers };
+}
+
+/**
+ * Finds the pepper a stored hash was made with
+ *
+ * @param {string|Buffer|object} [pepper] - Pepper option given to the verify function
+ * @param {*} version - Version recorded in the hash
+ * @returns {Buffer} The pepper secret
+ * @throws {Error} If no pepper was given or the keyring lacks the version
+ * @private
+ */
+function pepperForVersion(pepper, version) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid pepper version in stored hash: ${version}`);
+  }
+  if (pepper === undefined) {
+    throw new Error(`Stored hash uses pepper version ${version}, but no pepper was given`);
+  }
+  const secret = resolveKeyring(pepper).peppers.get(version);
+  if (!secret) {
+    throw new Error(`Pepper version ${version} is not in the keyring`);
+  }
+  return secret;
+}
+
+/**
+ * Derives raw key bytes from a password with PBKDF2 or scrypt
+ * This is the key stretching behind hashPassword and hashPasswordBcrypt,
+ * exposed so encryption keys can be derived with the same parameters
+ *
+ * @param {string} password - The password to stretch
+ * @param {object} [options] - Derivation options
+ * @param {string} [options.algorithm='pbkdf2'] - 'pbkdf2' (SHA-256) or 'scrypt'
+ * @param {string} [options.salt] - Base64 salt (generated if not provided)
+ * @param {number} [options.iterations=100000] - PBKDF2 iterations
+ * @param {number} [options.cost=15] - scrypt cost factor (N = 2^cost)
+ * @param {number} [options.blockSize=8] - scrypt block size (r)
+ * @param {number} [options.parallelization=1] - scrypt parallelization (p)
+ * @param {number} [options.keyLength=32] - Number of bytes to derive
+ * @param {string|Buffer} [options.pepper] - Secret to key an HMAC-SHA256 of the
+ *   password with before stretching
+ * @returns {object} {key, salt, algorithm, iterations|cost} with the key as a Buffer
+ * @throws {Error} If the algorithm is unknown, a parameter is out of range or
+ *   scrypt would need more than 1 GiB of memory
+ *
+ * @example
+ * const { key, salt } = deriveKey('myPassword123', { algorithm: 'scrypt' })
+ * // key is a 32-byte Buffer, salt the base64 salt to store beside the data
+ */
+export function deriveKey(password, options = {}) {
+  const {
+    algorithm = 'pbkdf2',
+    salt = null,
+    iterations = 100000,
+    cost = 15,
+    blockSize = 8,
+    parallelization = 1,
+    keyLength = 32,
+    pepper,
+  } = options;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password must be a non-empty string');
+  }
+
+  const input = pepper === undefined
+    ? password
+    : crypto.createHmac('sha256', pepperBytes(pepper, 'Pepper')).update(password).digest();
+
+  if (!Number.isInteger(keyLength) || keyLength < 1) {
+    throw new Error('Key length must be a positive integer');
+  }
+
+  const useSalt = salt || generateSalt();
+  const saltBuffer = Buffer.from(useSalt, 'base64');
+
+  if (algorithm === 'pbkdf2') {
+    if (typeof iterations !== 'number' || iterations < 1000) {
+      throw new Error('Iterations must be a number >= 1000');
+    }
+
+    const key = crypto.pbkdf2Sync(input, saltBuffer, iterations, keyLength, 'sha256');
+    return {
+      key,
+      salt: useSalt,
+      algorithm,
+      iterations,
+    };
+  }
+
+  if (algorithm === 'scrypt') {
+    if (typeof cost !== 'number' || cost < 4 || cost > 31) {
+      throw new Error('Cost must be a number between 4 and 31');
+    }
+
+    // N = 2^cost gives us the computational cost. scrypt needs 128 * r * (N + p)
+    // bytes, so the memory limit grows with the parameters instead of capping
+    // the cost at Node's 32 MiB default
+    const N = 2 ** cost;
+    const memory = 128 * blockSize * (N + parallelization);
+    if (memory > SCRYPT_MAX_MEMORY) {
+      throw new Error(
+        `scrypt parameters need ${Math.ceil(memory / 2 ** 20)} MiB, `
+          + `over the ${SCRYPT_MAX_MEMORY / 2 ** 20} MiB limit`,
+      );
+    }
+    const key = crypto.scryptSync(input, saltBuffer, keyLength, {
+      N,
+      r: blockSize,
+      p: parallelization,
+      maxmem: memory + 1024 * 1024,
+    });
+    return {
+      key,
+      salt: useSalt,
+      algorithm,
+      cost,
+    };
+  }
+
+  throw new Error('Algorithm must be "pbkdf2" or "scrypt"');
+}
+
+/**
+ * Encodes bytes as PHC base64 (standard alphabet, no padding)
+ *
+ * @param {Buffer} bytes - Bytes to encode
+ * @returns {string} Unpadded base64
+ * @private
+ */
+function toPhcBase64(bytes) {
+  return bytes.toString('base64').replace(/=+$/, '');
+}
+
+/**
+ * Formats a hash as a PHC string
+ * $<id>[$v=<version>][$<param>=<value>(,<param>=<value>)*][$<salt>[$<hash>]]
+ *
+ * @param {object} fields - PHC fields
+ * @param {string} fields.id - Algorithm identifier (e.g. 'pbkdf2-sha256', 'scrypt')
+ * @param {number} [fields.version] - Algorithm version
+ * @param {object} [fields.params] - Parameters, in output order
+ * @param {Buffer} [fields.salt] - Salt bytes
+ * @param {Buffer} [fields.hash] - Hash bytes (requires a salt)
+ * @returns {string} PHC string
+ * @throws {Error} If a field is malformed
+ *
+ * @example
+ * formatPhc({ id: 'scrypt', params: { ln: 15, r: 8, p: 1 }, salt, hash })
+ * // Returns '$scrypt$ln=15,r=8,p=1$c2FsdA$aGFzaA'
+ */
+export function formatPhc({
+  id,
+  version,
+  params = {},
+  salt,
+  hash,
+}) {
+  if (typeof id !== 'string' || !/^[a-z0-9-]{1,32}$/.test(id)) {
+    throw new Error('PHC id must be 1-32 characters of a-z, 0-9 and -');
+  }
+  if (hash != null && salt == null) {
+    throw new Error('A PHC hash requires a salt');
+  }
+
+  const fields = [id];
+  if (version != null) {
+    fields.push(`v=${version}`);
+  }
+  const entries = Object.entries(params);
+  if (entries.length > 0) {
+    fields.push(entries.map(([name, value]) => `${name}=${value}`).join(','));
+  }
+  if (salt != null) {
+    fields.push(toPhcBase64(salt));
+  }
+  if (hash != null) {
+    fields.push(toPhcBase64(hash));
+  }
+  return `$${fields.join('$')}`;
+}
+
+/**
+ * Parses a PHC string
+ * Numeric parameter values are returned as numbers
+ *
+ * @param {string} phc - PHC string
+ * @returns {object} {id, version, params, salt, hash} with salt/hash as Buffers (or null)
+ * @throws {Error} If the string is not a well-formed PHC string
+ *
+ * @example
+ * parsePhc('$pbkdf2-sha256$i=100000$c2FsdA$aGFzaA')
+ * // Returns { id: 'pbkdf2-sha256', version: null, params: { i: 100000 },
+ * //           salt: <Buffer 73 61 6c 74>, hash: <Buffer 68 61 73 68> }
+ */
+export function parsePhc(phc) {
+  if (typeof phc !== 'string') {
+    throw new TypeError('PHC string must be a string');
+  }
+
+  const fields = phc.split('$');
+  if (fields[0] !== '' || !/^[a-z0-9-]{1,32}$/.test(fields[1] || '')) {
+    throw new Error(
+      'Invalid PHC string: expected $<id>[$v=<version>][$<params>][$<salt>[$<hash>]]',
+    );
+  }
+
+  const rest = fields.slice(2);
+  let version = null;
+  if (rest.length > 0 && /^v=\d+$/.test(rest[0])) {
+    version = parseInt(rest.shift().slice(2), 10);
+  }
+
+  const params = {};
+  if (rest.length > 0 && rest[0].includes('=')) {
+    rest.shift().split(',').forEach((pair) => {
+      const match = /^([a-z0-9-]{1,32})=([A-Za-z0-9/+.-]+)$/.exec(pair);
+      if (!match) {
+        throw new Error(`Invalid PHC parameter: ${pair}`);
+      }
+      params[match[1]] = /^\d+$/.test(match[2]) ? parseInt(match[2], 10) : match[2];
+    });
+  }
+
+  if (rest.length > 2 || rest.some((field) => !/^[A-Za-z0-9+/]+$/.test(field))) {
+    throw new Error('Invalid PHC string: salt and hash must be unpadded base64');
+  }
+
+  const [salt, hash] = rest.map((field) => Buffer.from(field, 'base64'));
+  return {
+    id: fields[1],
+    version,
+    params,
+    salt: salt || null,
+    hash: hash || null,
+  };
+}
+
+/**
+ * Verifies a password against a PHC string (or a bcrypt string), detecting
+ * the algorithm
+ *
+ * @param {string} password - The password to verify
+ * @param {string} phc - PHC string or $2a$/$2b$/$2y$ bcrypt string
+ * @param {string|Buffer|object} [pepper] - Pepper keyring, for peppered hashes
+ * @returns {boolean} True if the password matches
+ * @throws {Error} If the string is malformed, the algorithm is unsupported or
+ *   the hash's pepper is not available
+ * @private
+ */
+function verifyPhc(password, phc, pepper) {
+  if (BCRYPT_PREFIX.test(phc)) {
+    return verifyBcrypt(password, phc);
+  }
+
+  const {
+    id,
+    version,
+    params,
+    salt,
+    hash,
+  } = parsePhc(phc);
+  if (!salt || !hash) {
+    throw new Error('PHC string has no salt or hash to verify against');
+  }
+
+  const argon2Params = ['m', 't', 'p'];
+  const required = {
+    'pbkdf2-sha256': ['i'],
+    scrypt: ['ln'],
+    ...Object.fromEntries(ARGON2_TYPES.map((type) => [type, argon2Params])),
+  }[id] || [];
+  const missing = required.find((name) => !Number.isInteger(params[name]));
+  if (missing) {
+    throw new Error(`PHC ${id} hash is missing its ${missing} parameter`);
+  }
+
+  if (ARGON2_TYPES.includes(id)) {
+    // Out-of-range parameters throw here too, as for pbkdf2 and scrypt below
+    const computed = argon2(password, salt, {
+      type: id,
+      // PHC strings without v= predate version 1.3 of the algorithm
+      version: version === null ? 0x10 : version,
+      memoryCost: params.m,
+      timeCost: params.t,
+      parallelism: params.p,
+      hashLength: hash.length,
+    });
+    return crypto.timingSafeEqual(computed, hash);
+  }
+
+  let options;
+  if (params.pepper !== undefined && (id === 'pbkdf2-sha256' || id === 'scrypt')) {
+    options = { pepper: pepperForVersion(pepper, params.pepper) };
+  }
+  if (id === 'pbkdf2-sha256') {
+    options = { ...options, algorithm: 'pbkdf2', iterations: params.i };
+  } else if (id === 'scrypt') {
+    options = {
+      ...options,
+      algorithm: 'scrypt',
+      cost: params.ln,
+      blockSize: params.r === undefined ? 8 : params.r,
+      parallelization: params.p === undefined ? 1 : params.p,
+    };
+  } else {
+    throw new Error(`Unsupported hash algorithm: ${id}`);
+  }
+
+  // Out-of-range parameters throw: they mean a bad hash, not a wrong password
+  const { key } = deriveKey(password, {
+    ...options,
+    salt: salt.toString('base64'),
+    keyLength: hash.length,
+  });
+  return crypto.timingSafeEqual(key, hash);
+}
+
 /**
  * Hashes a password using PBKDF2 algorithm
  * Uses SHA-256 digest with configurable iterations
@@ -39,7 +448,10 @@ export function generateSalt(length = 16) {
  * @param {string} password - The password to hash
  * @param {string} [salt] - Optional salt (generated if not provided)
  * @param {number} [iterations=100000] - PBKDF2 iterations (higher = slower)
- * @returns {object} {hash, salt, iterations} all as strings
+ * @param {object} [options] - Hashing options
+ * @param {string|Buffer|object} [options.pepper] - Pepper secret or keyring; the
+ *   current pepper is applied and its version recorded in the PHC string
+ * @returns {object} {hash, salt, iterations, phc} all as strings; phc is the value to store
  * @throws {Error} If password is not a string or is empty
  *
  * @example
@@ -47,10 +459,13 @@ export function generateSalt(length = 16) {
  * // Returns {
  * //   hash: 'base64EncodedHash',
  * //   salt: 'base64EncodedSalt',
- * //   iterations: '100000'
+ * //   iterations: '100000',
+ * //   phc: '$pbkdf2-sha256$i=100000$base64Salt$base64Hash'
  * // }
+ * hashPassword('myPassword123', null, 100000, { pepper: { current: 2, peppers } }).phc
+ * // Returns '$pbkdf2-sha256$i=100000,pepper=2$base64Salt$base64Hash'
  */
-export function hashPassword(password, salt = null, iterations = 100000) {
+export function hashPassword(password, salt = null, iterations = 100000, options = {}) {
   if (typeof password !== 'string' || password.length === 0) {
     throw new Error('Password must be a non-empty string');
   }
@@ -59,21 +474,24 @@ export function hashPassword(password, salt = null, iterations = 100000) {
     throw new Error('Iterations must be a number >= 1000');
   }
 
-  const useSalt = salt || generateSalt();
-  const saltBuffer = Buffer.from(useSalt, 'base64');
-
-  const hash = crypto.pbkdf2Sync(
-    password,
-    saltBuffer,
+  const keyring = options.pepper === undefined ? null : resolveKeyring(options.pepper);
+  const derived = deriveKey(password, {
+    algorithm: 'pbkdf2',
+    salt,
     iterations,
-    32,
-    'sha256',
-  );
+    pepper: keyring ? keyring.peppers.get(keyring.current) : undefined,
+  });
 
   return {
-    hash: hash.toString('base64'),
-    salt: useSalt,
+    hash: derived.key.toString('base64'),
+    salt: derived.salt,
     iterations: iterations.toString(),
+    phc: formatPhc({
+      id: 'pbkdf2-sha256',
+      params: keyring ? { i: iterations, pepper: keyring.current } : { i: iterations },
+      salt: Buffer.from(derived.salt, 'base64'),
+      hash: derived.key,
+    }),
   };
 }
 
@@ -82,17 +500,24 @@ export function hashPassword(password, salt = null, iterations = 100000) {
  * Compares using timing-safe constant-time comparison
  *
  * @param {string} password - The password to verify
- * @param {string} storedHash - The stored hash (hash:salt:iterations format)
+ * @param {string} storedHash - A PHC string (any supported algorithm), hash:salt:iterations
+ *   or an imported legacy hash (see legacyHashes)
+ * @param {object} [options] - Verification options
+ * @param {string|Buffer|object} [options.pepper] - Pepper keyring holding the
+ *   version a peppered hash records; hashes without a pepper ignore it
  * @returns {boolean} True if password matches the stored hash
- * @throws {Error} If parameters are invalid
+ * @throws {Error} If parameters are invalid or the hash's pepper is not in the keyring
  *
  * @example
  * const hashed = hashPassword('myPassword123')
- * const stored = `${hashed.hash}:${hashed.salt}:${hashed.iterations}`
- * verifyPassword('myPassword123', stored) // Returns true
- * verifyPassword('wrongPassword', stored) // Returns false
+ * verifyPassword('myPassword123', hashed.phc) // Returns true
+ * verifyPassword('wrongPassword', hashed.phc) // Returns false
+ * verifyPassword('myPassword123', `${hashed.hash}:${hashed.salt}:${hashed.iterations}`)
+ * // Returns true (legacy format)
+ * verifyPassword('myPassword123', '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1')
+ * // Returns true (imported htpasswd hash)
  */
-export function verifyPassword(password, storedHash) {
+export function verifyPassword(password, storedHash, options = {}) {
   if (typeof password !== 'string') {
     throw new TypeError('Password must be a string');
   }
@@ -101,6 +526,14 @@ export function verifyPassword(password, storedHash) {
     throw new TypeError('Stored hash must be a string');
   }
 
+  if (identifyLegacyHash(storedHash)) {
+    return verifyLegacyHash(password, storedHash);
+  }
+
+  if (storedHash.startsWith('$')) {
+    return verifyPhc(password, storedHash, options.pepper);
+  }
+
   const parts = storedHash.split(':');
   if (parts.length !== 3) {
     throw new Error(
@@ -128,24 +561,27 @@ export function verifyPassword(password, storedHash) {
 }
 
 /**
- * Hashes a password using a bcrypt-like algorithm (scrypt)
- * More computationally expensive than PBKDF2
+ * Hashes a password using scrypt
+ * More computationally expensive than PBKDF2, and memory-hard
  *
  * @param {string} password - The password to hash
  * @param {string} [salt] - Optional salt (generated if not provided)
- * @param {number} [cost=15] - Cost factor (higher = slower, 12-15 typical)
- * @returns {object} {hash, salt, cost} all as strings
+ * @param {number} [cost=15] - Cost factor, log2 of N (higher = slower, 14-17 typical)
+ * @param {object} [options] - Hashing options
+ * @param {string|Buffer|object} [options.pepper] - Pepper secret or keyring (see hashPassword)
+ * @returns {object} {hash, salt, cost, phc} all as strings; phc is the value to store
  * @throws {Error} If password is invalid or cost is out of range
  *
  * @example
- * const result = hashPasswordBcrypt('myPassword123')
+ * const result = hashPasswordScrypt('myPassword123')
  * // Returns {
  * //   hash: 'base64EncodedHash',
  * //   salt: 'base64EncodedSalt',
- * //   cost: '15'
+ * //   cost: '15',
+ * //   phc: '$scrypt$ln=15,r=8,p=1$base64Salt$base64Hash'
  * // }
  */
-export function hashPasswordBcrypt(password, salt = null, cost = 15) {
+export function hashPasswordScrypt(password, salt = null, cost = 15, options = {}) {
   if (typeof password !== 'string' || password.length === 0) {
     throw new Error('Password must be a non-empty string');
   }
@@ -154,26 +590,70 @@ export function hashPasswordBcrypt(password, salt = null, cost = 15) {
     throw new Error('Cost must be a number between 4 and 31');
   }
 
-  const useSalt = salt || generateSalt();
-  const saltBuffer = Buffer.from(useSalt, 'base64');
-
-  // Using scrypt as a bcrypt-like alternative
-  // N = 2^cost gives us the computational cost
-  const N = 2 ** cost;
-  const r = 8;
-  const p = 1;
-
-  const hash = crypto.scryptSync(password, saltBuffer, 32, {
-    N,
-    r,
-    p,
-    maxmem: 64 * 1024 * 1024,
+  const keyring = options.pepper === undefined ? null : resolveKeyring(options.pepper);
+  const derived = deriveKey(password, {
+    algorithm: 'scrypt',
+    salt,
+    cost,
+    pepper: keyring ? keyring.peppers.get(keyring.current) : undefined,
   });
 
   return {
-    hash: hash.toString('base64'),
-    salt: useSalt,
+    hash: derived.key.toString('base64'),
+    salt: derived.salt,
+    cost: cost.toString(),
+    phc: formatPhc({
+      id: 'scrypt',
+      params: keyring
+        ? {
+          ln: cost,
+          r: 8,
+          p: 1,
+          pepper: keyring.current,
+        }
+        : { ln: cost, r: 8, p: 1 },
+      salt: Buffer.from(derived.salt, 'base64'),
+      hash: derived.key,
+    }),
+  };
+}
+
+/**
+ * Hashes a password using bcrypt
+ * Only the first 72 UTF-8 bytes of the password are significant
+ *
+ * @param {string} password - The password to hash
+ * @param {string} [salt] - Optional base64 16-byte salt (generated if not provided)
+ * @param {number} [cost=10] - Cost factor, 2^cost rounds (4-31, 10-12 typical)
+ * @returns {object} {hash, salt, cost, phc} all as strings; phc is the $2b$ string to store
+ * @throws {Error} If password is invalid, cost is out of range or salt is not 16 bytes
+ *
+ * @example
+ * const result = hashPasswordBcrypt('myPassword123')
+ * // Returns {
+ * //   hash: 'base64EncodedHash',
+ * //   salt: 'base64EncodedSalt',
+ * //   cost: '10',
+ * //   phc: '$2b$10$' followed by 53 characters of salt and hash
+ * // }
+ */
+export function hashPasswordBcrypt(password, salt = null, cost = 10) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password must be a non-empty string');
+  }
+
+  if (typeof cost !== 'number' || cost < 4 || cost > 31) {
+    throw new Error('Cost must be a number between 4 and 31');
+  }
+
+  const saltBytes = salt === null ? crypto.randomBytes(16) : Buffer.from(salt, 'base64');
+  const encoded = hashBcrypt(password, { cost, salt: saltBytes });
+
+  return {
+    hash: parseBcrypt(encoded).hash.toString('base64'),
+    salt: saltBytes.toString('base64'),
     cost: cost.toString(),
+    phc: encoded,
   };
 }
 
@@ -181,16 +661,18 @@ export function hashPasswordBcrypt(password, salt = null, cost = 15) {
  * Verifies a password against a bcrypt-hashed value
  *
  * @param {string} password - The password to verify
- * @param {string} storedHash - The stored hash (hash:salt:cost format)
+ * @param {string} storedHash - A bcrypt string, a PHC string (any supported
+ *   algorithm), a legacy scrypt hash:salt:cost or an imported legacy hash
+ * @param {object} [options] - Verification options
+ * @param {string|Buffer|object} [options.pepper] - Pepper keyring (see verifyPassword)
  * @returns {boolean} True if password matches
  * @throws {Error} If parameters are invalid
  *
  * @example
  * const hashed = hashPasswordBcrypt('myPassword123')
- * const stored = `${hashed.hash}:${hashed.salt}:${hashed.cost}`
- * verifyPasswordBcrypt('myPassword123', stored) // Returns true
+ * verifyPasswordBcrypt('myPassword123', hashed.phc) // Returns true
  */
-export function verifyPasswordBcrypt(password, storedHash) {
+export function verifyPasswordBcrypt(password, storedHash, options = {}) {
   if (typeof password !== 'string') {
     throw new TypeError('Password must be a string');
   }
@@ -199,6 +681,15 @@ export function verifyPasswordBcrypt(password, storedHash) {
     throw new TypeError('Stored hash must be a string');
   }
 
+  if (identifyLegacyHash(storedHash)) {
+    return verifyLegacyHash(password, storedHash);
+  }
+
+  if (storedHash.startsWith('$')) {
+    return verifyPhc(password, storedHash, options.pepper);
+  }
+
+  // hash:salt:cost strings were written when this function used scrypt
   const parts = storedHash.split(':');
   if (parts.length !== 3) {
     throw new Error(
@@ -214,7 +705,7 @@ export function verifyPasswordBcrypt(password, storedHash) {
   }
 
   try {
-    const rehashed = hashPasswordBcrypt(password, saltPart, cost);
+    const rehashed = hashPasswordScrypt(password, saltPart, cost);
     const storedHashBuffer = Buffer.from(hashPart, 'base64');
     const rehashedBuffer = Buffer.from(rehashed.hash, 'base64');
 
@@ -224,32 +715,410 @@ export function verifyPasswordBcrypt(password, storedHash) {
   }
 }
 
+/**
+ * Hashes a password using Argon2id
+ * Defaults follow the OWASP minimum of 19 MiB memory and 2 passes
+ *
+ * @param {string} password - The password to hash
+ * @param {object} [options] - Argon2 parameters
+ * @param {string} [options.salt] - Optional base64 salt, at least 8 bytes (generated if omitted)
+ * @param {number} [options.memoryCost=19456] - Memory in KiB
+ * @param {number} [options.timeCost=2] - Number of passes over memory
+ * @param {number} [options.parallelism=1] - Number of lanes
+ * @param {number} [options.hashLength=32] - Hash length in bytes
+ * @returns {object} {hash, salt, memoryCost, timeCost, parallelism, phc} all as strings;
+ *   phc is the value to store
+ * @throws {Error} If password is invalid or a parameter is out of range
+ *
+ * @example
+ * const result = hashPasswordArgon2id('myPassword123')
+ * // Returns {
+ * //   hash: 'base64EncodedHash',
+ * //   salt: 'base64EncodedSalt',
+ * //   memoryCost: '19456', timeCost: '2', parallelism: '1',
+ * //   phc: '$argon2id$v=19$m=19456,t=2,p=1$base64Salt$base64Hash'
+ * // }
+ */
+export function hashPasswordArgon2id(password, options = {}) {
+  const {
+    salt = null,
+    memoryCost = 19456,
+    timeCost = 2,
+    parallelism = 1,
+    hashLength = 32,
+  } = options;
+
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new Error('Password must be a non-empty string');
+  }
+
+  const saltBytes = salt === null ? crypto.randomBytes(16) : Buffer.from(salt, 'base64');
+  const hash = argon2(password, saltBytes, {
+    type: 'argon2id',
+    memoryCost,
+    timeCost,
+    parallelism,
+    hashLength,
+  });
+
+  return {
+    hash: hash.toString('base64'),
+    salt: saltBytes.toString('base64'),
+    memoryCost: memoryCost.toString(),
+    timeCost: timeCost.toString(),
+    parallelism: parallelism.toString(),
+    phc: formatPhc({
+      id: 'argon2id',
+      version: ARGON2_VERSION,
+      params: { m: memoryCost, t: timeCost, p: parallelism },
+      salt: saltBytes,
+      hash,
+    }),
+  };
+}
+
+/**
+ * Fills in a hashing policy with the defaults of its algorithm
+ *
+ * @param {object} policy - Partial policy
+ * @returns {object} Complete policy
+ * @throws {Error} If the algorithm is not supported
+ * @private
+ */
+function resolvePolicy(policy) {
+  if (typeof policy !== 'object' || policy === null) {
+    throw new TypeError('Policy must be an object');
+  }
+
+  const { algorithm = 'pbkdf2', pepper } = policy;
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Algorithm must be one of: ${HASH_ALGORITHMS.join(', ')}`);
+  }
+  if (pepper !== undefined && algorithm !== 'pbkdf2' && algorithm !== 'scrypt') {
+    throw new Error('Peppers are only supported with pbkdf2 and scrypt');
+  }
+
+  const defaults = {
+    pbkdf2: { iterations: 100000 },
+    scrypt: { cost: 15 },
+    bcrypt: { cost: 10 },
+    argon2id: { memoryCost: 19456, timeCost: 2, parallelism: 1 },
+  }[algorithm];
+  return Object.fromEntries([
+    ['algorithm', algorithm],
+    ...Object.keys(defaults).map((name) => [
+      name,
+      policy[name] === undefined ? defaults[name] : policy[name],
+    ]),
+    ['pepper', pepper === undefined ? null : resolveKeyring(pepper).current],
+  ]);
+}
+
+/**
+ * Reads the algorithm and parameters recorded in a stored hash
+ *
+ * @param {string} storedHash - PHC string, bcrypt string or legacy hash:salt:params
+ * @returns {object|null} Parameters in policy form, with `outdated` set when the
+ *   hash uses settings no policy can express; null for the legacy hash:salt:params
+ *   form and imported legacy hashes
+ * @throws {Error} If the string is not a recognised hash
+ * @private
+ */
+function describeHash(storedHash) {
+  if (identifyLegacyHash(storedHash)) {
+    return null;
+  }
+  if (BCRYPT_PREFIX.test(storedHash)) {
+    return {
+      algorithm: 'bcrypt',
+      cost: parseBcrypt(storedHash).cost,
+      pepper: null,
+      outdated: false,
+    };
+  }
+  if (!storedHash.startsWith('$')) {
+    if (storedHash.split(':').length !== 3) {
+      throw new Error('Invalid stored hash format. Expected a PHC string or hash:salt:params');
+    }
+    return null;
+  }
+
+  const { id, version, params } = parsePhc(storedHash);
+  const pepper = params.pepper === undefined ? null : params.pepper;
+  if (id === 'pbkdf2-sha256') {
+    return {
+      algorithm: 'pbkdf2',
+      iterations: params.i,
+      pepper,
+      outdated: false,
+    };
+  }
+  if (id === 'scrypt') {
+    // Policies only cover the cost; r and p are always hashed as 8 and 1
+    return {
+      algorithm: 'scrypt',
+      cost: params.ln,
+      pepper,
+      outdated: (params.r !== undefined && params.r !== 8)
+        || (params.p !== undefined && params.p !== 1),
+    };
+  }
+  if (ARGON2_TYPES.includes(id)) {
+    return {
+      algorithm: id,
+      memoryCost: params.m,
+      timeCost: params.t,
+      parallelism: params.p,
+      pepper: null,
+      outdated: version !== ARGON2_VERSION,
+    };
+  }
+  throw new Error(`Unsupported hash algorithm: ${id}`);
+}
+
+/**
+ * Checks whether a stored hash was made with a different algorithm or
+ * different parameters than a policy asks for. Hashes in the legacy
+ * hash:salt:params form or imported from other systems (see legacyHashes)
+ * always need rehashing, and so do hashes whose pepper
+ * version is not the policy's current one (or that have a pepper the policy
+ * does not).
+ *
+ * @param {string} storedHash - Stored hash (any format the verify functions accept)
+ * @param {object} [policy] - Current hashing policy
+ * @param {string} [policy.algorithm='pbkdf2'] - pbkdf2, scrypt, bcrypt or argon2id
+ * @param {number} [policy.iterations=100000] - PBKDF2 iterations
+ * @param {number} [policy.cost] - scrypt (default 15) or bcrypt (default 10) cost
+ * @param {number} [policy.memoryCost=19456] - Argon2id memory in KiB
+ * @param {number} [policy.timeCost=2] - Argon2id passes
+ * @param {number} [policy.parallelism=1] - Argon2id lanes
+ * @param {string|Buffer|object} [policy.pepper] - Pepper secret or keyring
+ *   (pbkdf2 and scrypt only)
+ * @returns {boolean} True if the hash should be replaced
+ * @throws {TypeError} If the stored hash is not a string
+ * @throws {Error} If the stored hash or policy is invalid
+ *
+ * @example
+ * const { phc } = hashPassword('myPassword123', null, 100000)
+ * needsRehash(phc, { algorithm: 'pbkdf2', iterations: 600000 }) // Returns true
+ * needsRehash(phc, { algorithm: 'pbkdf2', iterations: 100000 }) // Returns false
+ * needsRehash(phc, { iterations: 100000, pepper: keyring }) // Returns true
+ */
+export function needsRehash(storedHash, policy = {}) {
+  if (typeof storedHash !== 'string') {
+    throw new TypeError('Stored hash must be a string');
+  }
+
+  const wanted = resolvePolicy(policy);
+  const current = describeHash(storedHash);
+  if (current === null || current.outdated) {
+    return true;
+  }
+  return Object.keys(wanted).some((name) => current[name] !== wanted[name]);
+}
+
+/**
+ * Hashes a password under a policy
+ *
+ * @param {string} password - The password to hash
+ * @param {object} policy - Complete policy from resolvePolicy()
+ * @param {string|Buffer|object} [pepper] - The policy's pepper secret or keyring
+ * @returns {string} The string to store
+ * @private
+ */
+function hashWithPolicy(password, policy, pepper) {
+  switch (policy.algorithm) {
+    case 'scrypt':
+      return hashPasswordScrypt(password, null, policy.cost, { pepper }).phc;
+    case 'bcrypt':
+      return hashPasswordBcrypt(password, null, policy.cost).phc;
+    case 'argon2id':
+      return hashPasswordArgon2id(password, policy).phc;
+    default:
+      return hashPassword(password, null, policy.iterations, { pepper }).phc;
+  }
+}
+
+/**
+ * Verifies a password against a stored hash of any supported format
+ * Legacy colon-separated hashes whose last field is at most 31 are scrypt
+ * (hashPasswordBcrypt before bcrypt support), larger ones PBKDF2.
+ *
+ * @param {string} password - The password
+ * @param {string} storedHash - PHC string, bcrypt hash or legacy hash
+ * @param {object} [options] - Verification options ({pepper}, see verifyPassword)
+ * @returns {boolean} True if the password matches
+ * @private
+ */
+function verifyStoredHash(password, storedHash, options = {}) {
+  if (typeof storedHash !== 'string') {
+    throw new TypeError('Stored hash must be a string');
+  }
+  const legacyCost = storedHash.startsWith('$') ? NaN : parseInt(storedHash.split(':')[2], 10);
+  return legacyCost <= 31
+    ? verifyPasswordBcrypt(password, storedHash, options)
+    : verifyPassword(password, storedHash, options);
+}
+
+/**
+ * Verifies a password and, when it matches a hash that no longer meets the
+ * policy, hashes it again under the policy. Meant for login: store the new
+ * hash whenever `upgraded` is true.
+ *
+ * Legacy hash:salt:params strings are read as scrypt when the last field is a
+ * cost (31 or less) and as PBKDF2 otherwise.
+ *
+ * To rotate peppers, add the new pepper to the keyring and make it current:
+ * hashes made with older versions still verify and are rehashed with the new
+ * one. Drop an old version once no stored hash uses it.
+ *
+ * @param {string} password - The password to verify
+ * @param {string} storedHash - Stored hash (any format the verify functions accept)
+ * @param {object} [policy] - Current hashing policy (see needsRehash)
+ * @returns {object} {valid, upgraded, phc}; phc is the new hash when upgraded, otherwise null
+ * @throws {TypeError} If the password or stored hash is not a string
+ * @throws {Error} If the stored hash or policy is invalid
+ *
+ * @example
+ * const stored = hashPassword('myPassword123', null, 100000).phc
+ * verifyAndUpgrade('myPassword123', stored, { algorithm: 'argon2id' })
+ * // Returns { valid: true, upgraded: true, phc: '$argon2id$v=19$m=19456,t=2,p=1$...' }
+ * verifyAndUpgrade('wrongPassword', stored, { algorithm: 'argon2id' })
+ * // Returns { valid: false, upgraded: false, phc: null }
+ * verifyAndUpgrade('myPassword123', stored, { pepper: { current: 2, peppers } })
+ * // Returns { valid: true, upgraded: true, phc: '$pbkdf2-sha256$i=100000,pepper=2$...' }
+ */
+export function verifyAndUpgrade(password, storedHash, policy = {}) {
+  if (typeof password !== 'string') {
+    throw new TypeError('Password must be a string');
+  }
+
+  const wanted = resolvePolicy(policy);
+  const stale = needsRehash(storedHash, policy);
+  const valid = verifyStoredHash(password, storedHash, { pepper: policy.pepper });
+
+  if (!valid || !stale) {
+    return { valid, upgraded: false, phc: null };
+  }
+  return { valid, upgraded: true, phc: hashWithPolicy(password, wanted, policy.pepper) };
+}
+
+/**
+ * Finds the longest run of one repeated character
+ *
+ * @param {string} password - The password
+ * @returns {number} Length of the longest run (0 for an empty password)
+ * @private
+ */
+function longestRun(password) {
+  const runs = password.match(/(.)\1*/gsu) || [];
+  return runs.reduce((longest, run) => Math.max(longest, [...run].length), 0);
+}
+
+/**
+ * Checks the policy rules that go beyond length and character classes
+ *
+ * @param {string} password - The password
+ * @param {object} rules - Resolved policy (see passwordPolicy)
+ * @param {Array<string>} history - Previous password hashes, most recent first
+ * @param {string|Buffer|object} [pepper] - Pepper keyring for peppered history hashes
+ * @returns {Array<string>} Error messages
+ * @private
+ */
+function policyViolations(password, rules, history, pepper) {
+  const errors = [];
+
+  if (rules.maxLength !== null && password.length > rules.maxLength) {
+    errors.push(`Password must be at most ${rules.maxLength} characters long`);
+  }
+  if (rules.requireLetters && !/\p{L}/u.test(password)) {
+    errors.push('Password must contain at least one letter');
+  }
+  if (rules.maxRepeats !== null && longestRun(password) > rules.maxRepeats) {
+    errors.push(
+      `Password must not repeat a character more than ${rules.maxRepeats} times in a row`,
+    );
+  }
+
+  const lower = password.toLowerCase();
+  rules.forbiddenWords
+    .filter((word) => lower.includes(word.toLowerCase()))
+    .forEach((word) => errors.push(`Password must not contain "${word}"`));
+
+  if (!Array.isArray(history)) {
+    throw new TypeError('History must be an array of password hashes');
+  }
+  const reused = history.slice(0, rules.historySize)
+    .some((hash) => verifyStoredHash(password, hash, { pepper }));
+  if (reused) {
+    errors.push(`Password must not match any of the last ${rules.historySize} passwords`);
+  }
+
+  return errors;
+}
+
 /**
  * Checks if a password meets security requirements
  * Verifies minimum length, character variety, and strength
  *
+ * The score rewards character variety but is capped by how guessable the
+ * password is (10 points per order of magnitude of estimated guesses, see
+ * passwordStrength), so common passwords with a capital, a digit and a symbol
+ * appended do not score well.
+ *
+ * The rules come from a named policy (see passwordPolicy). Rules passed
+ * directly, such as minLength, override the policy's values.
+ *
  * @param {string} password - The password to check
  * @param {object} [options] - Validation options
+ * @param {string|object} [options.policy='default'] - Policy name or profile
  * @param {number} [options.minLength=8] - Minimum password length
  * @param {boolean} [options.requireUppercase=true] - Require uppercase letters
  * @param {boolean} [options.requireLowercase=true] - Require lowercase letters
  * @param {boolean} [options.requireNumbers=true] - Require numbers
  * @param {boolean} [options.requireSpecial=true] - Require special characters
- * @returns {object} {valid, errors, score} with validation details
+ * @param {number|null} [options.maxLength] - Any other policy rule (maxLength,
+ *   requireLetters, maxRepeats, forbiddenWords, historySize)
+ * @param {Array<string>} [options.history=[]] - Previous password hashes, most
+ *   recent first; the policy's historySize newest may not be reused
+ * @param {string|Buffer|object} [options.pepper] - Pepper keyring for peppered history hashes
+ * @param {Array<string>} [options.userInputs=[]] - Words an attacker may know (name, email...)
+ * @param {string|object} [options.breachCorpus] - Local breached-password corpus
+ *   (path or handle, see breachedPasswords); listed passwords are rejected
+ * @returns {object} {valid, errors, score, guesses, entropy, crackTimes, warning,
+ *   breaches} with validation details; entropy is in bits, crackTimes maps
+ *   attack scenarios to {seconds, display} and breaches is the corpus count
+ *   (null when no corpus was given)
+ * @throws {PolicyError} If the policy is unknown or a rule is invalid
+ * @throws {BreachCorpusError} If the breach corpus is missing or malformed
  *
  * @example
- * checkPasswordStrength('Pass123!')
+ * checkPasswordStrength('Password1!')
  * // Returns {
  * //   valid: true,
  * //   errors: [],
- * //   score: 100
+ * //   score: 42,
+ * //   guesses: 17560, entropy: 14.1, crackTimes: {...},
+ * //   warning: 'This is similar to a commonly used password',
+ * //   breaches: null
+ * // }
+ * checkPasswordStrength('Password1!', { breachCorpus: '/data/pwned-passwords' })
+ * // Returns {
+ * //   valid: false,
+ * //   errors: ['Password has appeared in 4372 data breaches'],
+ * //   score: 0,
+ * //   ...
+ * //   breaches: 4372
  * // }
  * checkPasswordStrength('weak')
  * // Returns {
  * //   valid: false,
  * //   errors: ['Password too short', 'Missing uppercase...'],
- * //   score: 20
+ * //   score: 25,
+ * //   ...
  * // }
+ * checkPasswordStrength('Summer2024', { policy: 'pci-dss' })
+ * // Returns { valid: false, errors: ['Password must be at least 12 characters long'], ... }
  */
 export function checkPasswordStrength(password, options = {}) {
   if (typeof password !== 'string') {
@@ -257,12 +1126,19 @@ export function checkPasswordStrength(password, options = {}) {
   }
 
   const {
-    minLength = 8,
-    requireUppercase = true,
-    requireLowercase = true,
-    requireNumbers = true,
-    requireSpecial = true,
+    userInputs = [],
+    breachCorpus,
+    history = [],
+    pepper,
   } = options;
+  const rules = resolvePolicyOptions(options);
+  const {
+    minLength,
+    requireUppercase,
+    requireLowercase,
+    requireNumbers,
+    requireSpecial,
+  } = rules;
 
   const errors = [];
   let score = 0;
@@ -314,73 +1190,128 @@ export function checkPasswordStrength(password, options = {}) {
     score = Math.min(score + 10, 100);
   }
 
+  errors.push(...policyViolations(password, rules, history, pepper));
+
+  const estimate = estimatePasswordStrength(password, { userInputs });
+  let guessScore = Math.round(estimate.guessesLog10 * 10);
+
+  // A breached password is in every attacker's wordlist, whatever it looks like
+  const breaches = breachCorpus === undefined ? null : breachCount(password, breachCorpus);
+  if (breaches > 0) {
+    errors.push(`Password has appeared in ${breaches} data breach${breaches === 1 ? '' : 'es'}`);
+    guessScore = 0;
+  }
+
   return {
     valid: errors.length === 0,
     errors,
-    score: Math.min(score, 100),
+    score: Math.max(0, Math.min(score, guessScore, 100)),
+    guesses: estimate.guesses,
+    entropy: Math.round(estimate.entropy * 10) / 10,
+    crackTimes: estimate.crackTimes,
+    warning: estimate.feedback.warning,
+    breaches,
+    policy: rules.name,
   };
 }
 
 /**
  * Suggests improvements for a weak password
+ * Besides what the policy requires, the advice covers the guessable patterns
+ * passwordStrength finds (common passwords, keyboard walks, dates...)
  *
  * @param {string} password - The password to analyze
+ * @param {object} [options] - The policy and rules, as for checkPasswordStrength
  * @returns {Array<string>} Array of suggestions for improvement
+ * @throws {PolicyError} If the policy is unknown or a rule is invalid
  *
  * @example
  * suggestPasswordImprovements('weak')
  * // Returns [
+ * //   'Increase length to at least 8 characters (currently 4)',
  * //   'Add uppercase letters (A-Z)',
  * //   'Add numbers (0-9)',
- * //   'Add special characters (!@#$%)',
- * //   'Increase length to at least 8 characters'
+ * //   'Add special characters (!@#$%^&*...)',
+ * //   'Mix different types of characters',
+ * //   'Add another word or two. Uncommon words are better.'
  * // ]
+ * suggestPasswordImprovements('weak', { policy: 'nist-800-63b' })
+ * // Returns ['Increase length to at least 15 characters (currently 4)', ...]
  */
-export function suggestPasswordImprovements(password) {
+export function suggestPasswordImprovements(password, options = {}) {
   if (typeof password !== 'string') {
     throw new TypeError('Password must be a string');
   }
 
+  const rules = resolvePolicyOptions(options);
   const suggestions = [];
 
-  if (password.length < 8) {
+  if (password.length < rules.minLength) {
     suggestions.push(
-      `Increase length to at least 8 characters (currently ${password.length})`,
+      `Increase length to at least ${rules.minLength} characters (currently ${password.length})`,
     );
   }
 
-  if (!/[A-Z]/.test(password)) {
+  if (rules.maxLength !== null && password.length > rules.maxLength) {
+    suggestions.push(`Shorten to at most ${rules.maxLength} characters`);
+  }
+
+  if (rules.requireUppercase && !/[A-Z]/.test(password)) {
     suggestions.push('Add uppercase letters (A-Z)');
   }
 
-  if (!/[a-z]/.test(password)) {
+  if (rules.requireLowercase && !/[a-z]/.test(password)) {
     suggestions.push('Add lowercase letters (a-z)');
   }
 
-  if (!/\d/.test(password)) {
+  if (rules.requireLetters && !/\p{L}/u.test(password)) {
+    suggestions.push('Add letters');
+  }
+
+  if (rules.requireNumbers && !/\d/.test(password)) {
     suggestions.push('Add numbers (0-9)');
   }
 
-  if (!/[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]/.test(password)) {
+  if (rules.requireSpecial && !/[!@#$%^&*()_+\-=[\]{};':"\\|,.<>/?]/.test(password)) {
     suggestions.push('Add special characters (!@#$%^&*...)');
   }
 
-  if (/(.)\1{2,}/.test(password)) {
+  const { feedback } = estimatePasswordStrength(password, {
+    userInputs: options.userInputs || [],
+  });
+  const repeatAdvice = 'Avoid repeated words and characters';
+
+  if (rules.maxRepeats !== null && longestRun(password) > rules.maxRepeats) {
+    suggestions.push(
+      `Repeat a character at most ${rules.maxRepeats} times in a row`,
+    );
+  } else if (/(.)\1{2,}/.test(password) && !feedback.suggestions.includes(repeatAdvice)) {
     suggestions.push('Avoid repeating characters (aaa, 111, etc.)');
   }
 
-  if (/^[0-9]+$/.test(password) || /^[a-z]+$/i.test(password)) {
+  const lower = password.toLowerCase();
+  rules.forbiddenWords
+    .filter((word) => lower.includes(word.toLowerCase()))
+    .forEach((word) => suggestions.push(`Remove "${word}"`));
+
+  const composition = rules.requireUppercase || rules.requireLowercase
+    || rules.requireLetters || rules.requireNumbers || rules.requireSpecial;
+  if (composition && (/^[0-9]+$/.test(password) || /^[a-z]+$/i.test(password))) {
     suggestions.push('Mix different types of characters');
   }
 
-  return suggestions;
+  if (feedback.warning) {
+    suggestions.push(feedback.warning);
+  }
+
+  return [...new Set([...suggestions, ...feedback.suggestions])];
 }
 
 /**
  * Hashes a list of passwords (useful for batch operations)
  *
  * @param {Array<string>} passwords - Array of passwords to hash
- * @param {string} [algorithm='pbkdf2'] - Algorithm to use (pbkdf2 or bcrypt)
+ * @param {string} [algorithm='pbkdf2'] - Algorithm to use (pbkdf2, scrypt, bcrypt or argon2id)
  * @returns {Array<object>} Array of {password, hash, salt, ...} objects
  *
  * @example
@@ -393,20 +1324,26 @@ export function hashMultiplePasswords(passwords, algorithm = 'pbkdf2') {
     throw new TypeError('Passwords must be an array');
   }
 
-  if (!['pbkdf2', 'bcrypt'].includes(algorithm)) {
-    throw new Error('Algorithm must be "pbkdf2" or "bcrypt"');
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Algorithm must be one of: ${HASH_ALGORITHMS.join(', ')}`);
   }
 
+  const hashers = {
+    pbkdf2: hashPassword,
+    scrypt: hashPasswordScrypt,
+    bcrypt: hashPasswordBcrypt,
+    argon2id: hashPasswordArgon2id,
+  };
+
   return passwords.map((password) => {
     try {
-      const hashed = algorithm === 'pbkdf2'
-        ? hashPassword(password)
-        : hashPasswordBcrypt(password);
+      const hashed = hashers[algorithm](password);
 
       return {
         password: '***masked***',
         hash: hashed.hash,
         salt: hashed.salt,
+        phc: hashed.phc,
         algorithm,
       };
     } catch (error) {
@@ -418,3 +1355,195 @@ export function hashMultiplePasswords(passwords, algorithm = 'pbkdf2') {
     }
   });
 }
+
+let sharedPool = null;
+
+/**
+ * Returns the worker pool the ...Async functions share, creating it on first use
+ *
+ * @returns {object} Hash worker pool
+ * @private
+ */
+function getSharedPool() {
+  if (!sharedPool) {
+    sharedPool = createHashWorkerPool();
+  }
+  return sharedPool;
+}
+
+/**
+ * Hashes a password using PBKDF2 on a worker thread (see hashPassword)
+ *
+ * @param {string} password - The password to hash
+ * @param {string} [salt] - Optional salt (generated if not provided)
+ * @param {number} [iterations=100000] - PBKDF2 iterations
+ * @param {object} [options] - Hashing options ({pepper})
+ * @returns {Promise<object>} {hash, salt, iterations, phc}
+ *
+ * @example
+ * const { phc } = await hashPasswordAsync('myPassword123')
+ */
+export function hashPasswordAsync(password, salt = null, iterations = 100000, options = {}) {
+  return getSharedPool().run('hashPassword', [password, salt, iterations, options]);
+}
+
+/**
+ * Hashes a password using scrypt on a worker thread (see hashPasswordScrypt)
+ *
+ * @param {string} password - The password to hash
+ * @param {string} [salt] - Optional salt (generated if not provided)
+ * @param {number} [cost=15] - Cost factor, log2 of N
+ * @param {object} [options] - Hashing options ({pepper})
+ * @returns {Promise<object>} {hash, salt, cost, phc}
+ */
+export function hashPasswordScryptAsync(password, salt = null, cost = 15, options = {}) {
+  return getSharedPool().run('hashPasswordScrypt', [password, salt, cost, options]);
+}
+
+/**
+ * Hashes a password using bcrypt on a worker thread (see hashPasswordBcrypt)
+ *
+ * @param {string} password - The password to hash
+ * @param {string} [salt] - Optional base64 16-byte salt (generated if not provided)
+ * @param {number} [cost=10] - Cost factor, 2^cost rounds
+ * @returns {Promise<object>} {hash, salt, cost, phc}
+ */
+export function hashPasswordBcryptAsync(password, salt = null, cost = 10) {
+  return getSharedPool().run('hashPasswordBcrypt', [password, salt, cost]);
+}
+
+/**
+ * Hashes a password using Argon2id on a worker thread (see hashPasswordArgon2id)
+ *
+ * @param {string} password - The password to hash
+ * @param {object} [options] - Argon2 parameters
+ * @returns {Promise<object>} {hash, salt, memoryCost, timeCost, parallelism, phc}
+ */
+export function hashPasswordArgon2idAsync(password, options = {}) {
+  return getSharedPool().run('hashPasswordArgon2id', [password, options]);
+}
+
+/**
+ * Verifies a password on a worker thread (see verifyPassword)
+ *
+ * @param {string} password - The password to verify
+ * @param {string} storedHash - A PHC string (any supported algorithm) or hash:salt:iterations
+ * @param {object} [options] - Verification options ({pepper})
+ * @returns {Promise<boolean>} True if password matches the stored hash
+ *
+ * @example
+ * await verifyPasswordAsync('myPassword123', phc) // Resolves to true
+ */
+export function verifyPasswordAsync(password, storedHash, options = {}) {
+  return getSharedPool().run('verifyPassword', [password, storedHash, options]);
+}
+
+/**
+ * Verifies a password on a worker thread (see verifyPasswordBcrypt)
+ *
+ * @param {string} password - The password to verify
+ * @param {string} storedHash - A bcrypt string, a PHC string or a legacy scrypt hash:salt:cost
+ * @param {object} [options] - Verification options ({pepper})
+ * @returns {Promise<boolean>} True if password matches
+ */
+export function verifyPasswordBcryptAsync(password, storedHash, options = {}) {
+  return getSharedPool().run('verifyPasswordBcrypt', [password, storedHash, options]);
+}
+
+/**
+ * Verifies and, if needed, rehashes a password on a worker thread (see verifyAndUpgrade)
+ *
+ * @param {string} password - The password to verify
+ * @param {string} storedHash - Stored hash (any format the verify functions accept)
+ * @param {object} [policy] - Current hashing policy (see needsRehash)
+ * @returns {Promise<object>} {valid, upgraded, phc}
+ */
+export function verifyAndUpgradeAsync(password, storedHash, policy = {}) {
+  return getSharedPool().run('verifyAndUpgrade', [password, storedHash, policy]);
+}
+
+/**
+ * Hashes a list of passwords on worker threads
+ * Results match hashMultiplePasswords; a password that fails to hash gets an
+ * error entry instead of failing the batch.
+ *
+ * @param {Array<string>} passwords - Array of passwords to hash
+ * @param {string} [algorithm='pbkdf2'] - Algorithm to use (pbkdf2, scrypt, bcrypt or argon2id)
+ * @param {object} [options] - Batch options
+ * @param {number} [options.concurrency] - Most passwords hashed at once (defaults to the pool size)
+ * @param {function(object): void} [options.onProgress] - Called with {completed, total}
+ *   after each password
+ * @param {AbortSignal} [options.signal] - Cancels the rest of the batch when aborted
+ * @param {object} [options.pool] - Pool from createHashWorkerPool (defaults to the shared pool)
+ * @returns {Promise<Array<object>>} Array of {password, hash, salt, ...} objects, in input order;
+ *   rejects with the abort reason if the signal fires
+ *
+ * @example
+ * const controller = new AbortController()
+ * await hashMultiplePasswordsAsync(['pass1', 'pass2'], 'argon2id', {
+ *   concurrency: 2,
+ *   onProgress: ({ completed, total }) => console.log(`${completed}/${total}`),
+ *   signal: controller.signal,
+ * })
+ * // Resolves to an array of hashed password objects
+ */
+export async function hashMultiplePasswordsAsync(passwords, algorithm = 'pbkdf2', options = {}) {
+  if (!Array.isArray(passwords)) {
+    throw new TypeError('Passwords must be an array');
+  }
+
+  if (!HASH_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Algorithm must be one of: ${HASH_ALGORITHMS.join(', ')}`);
+  }
+
+  const {
+    pool = getSharedPool(),
+    concurrency = pool.size,
+    onProgress,
+    signal,
+  } = options;
+
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new TypeError('Concurrency must be a positive integer');
+  }
+
+  const total = passwords.length;
+  const results = new Array(total);
+  let next = 0;
+  let completed = 0;
+
+  async function drain() {
+    if (next >= total) {
+      return;
+    }
+    const index = next;
+    next += 1;
+    try {
+      const hashed = await pool.run(HASH_METHODS[algorithm], [passwords[index]], { signal });
+      results[index] = {
+        password: '***masked***',
+        hash: hashed.hash,
+        salt: hashed.salt,
+        phc: hashed.phc,
+        algorithm,
+      };
+    } catch (error) {
+      if (signal && signal.aborted) {
+        throw error;
+      }
+      results[index] = {
+        password: '***masked***',
+        error: error.message,
+        algorithm,
+      };
+    }
+    completed += 1;
+    if (onProgress) {
+      onProgress({ completed, total });
+    }
+    await drain();
+  }
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, total) }, drain));
+  return results;
+}
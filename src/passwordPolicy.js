@@ -0,0 +1,297 @@
+/**
+ * Password Policies
+ * Named sets of password rules shared by checkPasswordStrength,
+ * suggestPasswordImprovements, the password generator and the
+ * `hash policy check` CLI command.
+ *
+ * Built-in profiles:
+ * - default: at least 8 characters with upper- and lowercase letters, a number
+ *   and a special character (what checkPasswordStrength has always required)
+ * - nist-800-63b: NIST SP 800-63B-4 for passwords used as a single factor.
+ *   At least 15 characters, no composition rules. NIST also wants passwords
+ *   screened against breach corpora; pass a breachCorpus for that.
+ * - pci-dss: PCI DSS v4.0 requirements 8.3.6 and 8.3.7. At least 12
+ *   characters with letters and numbers, different from the last 4 passwords.
+ *
+ * Custom profiles are plain objects or JSON files with the shape:
+ * {
+ *   name: 'acme', description: '...', extends: 'nist-800-63b',
+ *   minLength: 12, maxLength: 128,
+ *   requireUppercase: false, requireLowercase: false, requireLetters: true,
+ *   requireNumbers: true, requireSpecial: false,
+ *   maxRepeats: 3, forbiddenWords: ['acme'], historySize: 5
+ * }
+ * Every field but name is optional. Missing fields come from the profile
+ * named in extends, or from the default profile. maxLength and maxRepeats
+ * may be null for no limit. forbiddenWords match case-insensitively anywhere
+ * in the password. historySize is how many previous passwords may not be
+ * reused (0 turns the check off).
+ *
+ * @module passwordPolicy
+ */
+
+import fs from 'fs';
+
+export class PolicyError extends Error {
+  constructor(message = 'Password Policy Error') {
+    super(message);
+    this.name = 'PolicyError';
+  }
+}
+
+export class UnknownPolicyError extends PolicyError {
+  constructor(name) {
+    super(`Unknown password policy: ${name}`);
+    this.name = 'UnknownPolicyError';
+    this.policy = name;
+  }
+}
+
+export const DEFAULT_POLICY = 'default';
+
+const BOOLEAN_RULES = [
+  'requireUppercase',
+  'requireLowercase',
+  'requireLetters',
+  'requireNumbers',
+  'requireSpecial',
+];
+
+// Every rule, in the order profiles list them
+export const POLICY_RULES = [
+  'minLength',
+  'maxLength',
+  ...BOOLEAN_RULES,
+  'maxRepeats',
+  'forbiddenWords',
+  'historySize',
+];
+
+const DEFAULT_RULES = {
+  minLength: 8,
+  maxLength: null,
+  requireUppercase: true,
+  requireLowercase: true,
+  requireLetters: false,
+  requireNumbers: true,
+  requireSpecial: true,
+  maxRepeats: null,
+  forbiddenWords: [],
+  historySize: 0,
+};
+
+const BUILT_IN_PROFILES = [
+  {
+    name: 'default',
+    description: 'At least 8 characters with upper- and lowercase letters, numbers and symbols',
+  },
+  {
+    name: 'nist-800-63b',
+    description: 'NIST SP 800-63B-4: at least 15 characters, no composition rules',
+    source: 'https://pages.nist.gov/800-63-4/sp800-63b.html',
+    minLength: 15,
+    requireUppercase: false,
+    requireLowercase: false,
+    requireNumbers: false,
+    requireSpecial: false,
+  },
+  {
+    name: 'pci-dss',
+    description: 'PCI DSS v4.0: at least 12 characters with letters and numbers, '
+      + 'no reuse of the last 4',
+    source: 'PCI DSS v4.0 requirements 8.3.6 and 8.3.7',
+    minLength: 12,
+    requireUppercase: false,
+    requireLowercase: false,
+    requireLetters: true,
+    requireSpecial: false,
+    historySize: 4,
+  },
+];
+
+export const BUILT_IN_POLICIES = BUILT_IN_PROFILES.map(({ name }) => name);
+
+const policies = new Map();
+
+/**
+ * Checks a profile and fills in the rules it inherits
+ *
+ * @param {Object} profile - Parsed profile
+ * @returns {Object} Frozen policy with every rule set
+ * @throws {PolicyError} If the profile is malformed
+ * @private
+ */
+function compileProfile(profile) {
+  if (typeof profile !== 'object' || profile === null || Array.isArray(profile)) {
+    throw new PolicyError('Policy must be an object');
+  }
+  const {
+    name,
+    description = '',
+    source,
+    extends: base = DEFAULT_POLICY,
+    ...rules
+  } = profile;
+
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+    throw new PolicyError('Policy name must be letters, digits, dots, dashes or underscores');
+  }
+  const unknown = Object.keys(rules).filter((rule) => !POLICY_RULES.includes(rule));
+  if (unknown.length > 0) {
+    throw new PolicyError(`Policy ${name} has unknown rules: ${unknown.join(', ')}`);
+  }
+
+  // eslint-disable-next-line no-use-before-define
+  const parent = name === DEFAULT_POLICY ? DEFAULT_RULES : getPolicy(base);
+  const inherited = Object.fromEntries(POLICY_RULES.map((rule) => [rule, parent[rule]]));
+  const policy = { ...inherited, ...rules };
+
+  if (!Number.isInteger(policy.minLength) || policy.minLength < 1) {
+    throw new PolicyError(`Policy ${name}: minLength must be a positive integer`);
+  }
+  if (policy.maxLength !== null
+    && (!Number.isInteger(policy.maxLength) || policy.maxLength < policy.minLength)) {
+    throw new PolicyError(`Policy ${name}: maxLength must be null or at least minLength`);
+  }
+  BOOLEAN_RULES.forEach((rule) => {
+    if (typeof policy[rule] !== 'boolean') {
+      throw new PolicyError(`Policy ${name}: ${rule} must be true or false`);
+    }
+  });
+  if (policy.maxRepeats !== null
+    && (!Number.isInteger(policy.maxRepeats) || policy.maxRepeats < 1)) {
+    throw new PolicyError(`Policy ${name}: maxRepeats must be null or a positive integer`);
+  }
+  if (!Array.isArray(policy.forbiddenWords)
+    || policy.forbiddenWords.some((word) => typeof word !== 'string' || word === '')) {
+    throw new PolicyError(`Policy ${name}: forbiddenWords must be a list of non-empty strings`);
+  }
+  if (!Number.isInteger(policy.historySize) || policy.historySize < 0) {
+    throw new PolicyError(`Policy ${name}: historySize must be a non-negative integer`);
+  }
+
+  return Object.freeze({
+    name,
+    description,
+    source,
+    ...policy,
+    forbiddenWords: Object.freeze([...policy.forbiddenWords]),
+  });
+}
+
+/**
+ * Registers a password policy, replacing any policy with the same name
+ *
+ * @param {string|Object} profile - Profile object or its JSON text
+ * @returns {Object} The compiled policy with every rule filled in
+ * @throws {PolicyError} If the JSON or profile is malformed
+ *
+ * @example
+ * loadPolicy({ name: 'acme', extends: 'nist-800-63b', forbiddenWords: ['acme'] })
+ * // Returns { name: 'acme', description: '', minLength: 15, ..., forbiddenWords: ['acme'] }
+ */
+export function loadPolicy(profile) {
+  let parsed = profile;
+  if (typeof profile === 'string') {
+    try {
+      parsed = JSON.parse(profile);
+    } catch (error) {
+      throw new PolicyError(`Invalid password policy JSON: ${error.message}`);
+    }
+  }
+
+  const policy = compileProfile(parsed);
+  policies.set(policy.name, policy);
+  return policy;
+}
+
+/**
+ * Reads policies from a JSON file and registers them
+ *
+ * The file holds one profile or an array of profiles; later profiles may
+ * extend earlier ones.
+ *
+ * @param {string|URL} path - Path to the file
+ * @returns {Array<Object>} The compiled policies, in file order
+ * @throws {PolicyError} If the file is malformed
+ */
+export function loadPolicyFile(path) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(path, 'utf8'));
+  } catch (error) {
+    if (error.code) {
+      throw error;
+    }
+    throw new PolicyError(`Invalid password policy JSON: ${error.message}`);
+  }
+  return (Array.isArray(parsed) ? parsed : [parsed]).map((profile) => loadPolicy(profile));
+}
+
+/**
+ * Looks up a policy by name, or compiles an unregistered profile object
+ *
+ * @param {string|Object} [policy='default'] - Policy name or profile
+ * @returns {Object} Compiled policy
+ * @throws {UnknownPolicyError} If no policy is registered under the name
+ * @throws {PolicyError} If a profile object is malformed
+ *
+ * @example
+ * getPolicy('pci-dss').minLength // Returns 12
+ */
+export function getPolicy(policy = DEFAULT_POLICY) {
+  if (typeof policy === 'object' && policy !== null) {
+    return compileProfile(policy);
+  }
+  if (!policies.has(policy)) {
+    const builtIn = BUILT_IN_PROFILES.find(({ name }) => name === policy);
+    if (!builtIn) {
+      throw new UnknownPolicyError(policy);
+    }
+    loadPolicy(builtIn);
+  }
+  return policies.get(policy);
+}
+
+/**
+ * Lists the available policies (built-in and registered)
+ *
+ * @returns {Array<{name: string, description: string}>} Policies sorted by name
+ *
+ * @example
+ * listPolicies()
+ * // Returns [{ name: 'default', description: '...' }, { name: 'nist-800-63b', ... }, ...]
+ */
+export function listPolicies() {
+  BUILT_IN_POLICIES.forEach((name) => getPolicy(name));
+  return [...policies.values()]
+    .map(({ name, description }) => ({ name, description }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Resolves checkPasswordStrength-style options into a full set of rules
+ *
+ * The rules come from options.policy (the default policy if unset); any rule
+ * also given directly in options overrides the policy's value.
+ *
+ * @param {Object} [options] - Options holding policy and/or individual rules
+ * @returns {Object} Compiled policy with the overrides applied
+ * @throws {UnknownPolicyError} If the policy name is unknown
+ * @throws {PolicyError} If the resulting rules are invalid
+ *
+ * @example
+ * resolvePolicyOptions({ policy: 'pci-dss', minLength: 16 }).minLength // Returns 16
+ */
+export function resolvePolicyOptions(options = {}) {
+  const policy = getPolicy(options.policy);
+  const overrides = Object.fromEntries(
+    POLICY_RULES
+      .filter((rule) => options[rule] !== undefined)
+      .map((rule) => [rule, options[rule]]),
+  );
+  if (Object.keys(overrides).length === 0) {
+    return policy;
+  }
+  return compileProfile({ ...policy, ...overrides, extends: undefined });
+}
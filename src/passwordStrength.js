@@ -0,0 +1,1027 @@
+/**
+ * Password Strength Estimation
+ * Estimates how many guesses an attacker needs to find a password, in the
+ * style of zxcvbn. The password is split into the cheapest sequence of
+ * recognisable pieces:
+ *   - dictionary words (common passwords, English words, first names,
+ *     surnames and caller-supplied words), also reversed or in leetspeak
+ *   - keyboard walks on QWERTY and the numeric keypad (qwerty, 7896)
+ *   - repeats (aaa, abcabc), sequences (abc, 9753), recent years and dates
+ * Whatever is left over is counted as brute force. The guesses of the pieces
+ * are combined into a total, from which entropy, a 0-4 score, crack-time
+ * estimates and pattern-specific feedback are derived.
+ *
+ * Word lists live in ./dictionaries/<name>.json and are loaded on first use.
+ * Leetspeak is undone with textObfuscator.fromLeetspeak.
+ *
+ * @module passwordStrength
+ */
+
+import fs from 'fs';
+
+import { fromLeetspeak } from './textObfuscator.js';
+
+export const DICTIONARIES = ['passwords', 'english', 'names', 'surnames'];
+
+// Guesses per second an attacker can make in each scenario
+export const CRACK_TIME_SCENARIOS = {
+  onlineThrottled: 100 / 3600,
+  onlineUnthrottled: 10,
+  offlineSlowHash: 1e4,
+  offlineFastHash: 1e10,
+};
+
+// Scores 1-4 start at these numbers of guesses
+const SCORE_THRESHOLDS = [1e3, 1e6, 1e8, 1e10];
+
+const REFERENCE_YEAR = new Date().getFullYear();
+const MIN_YEAR_SPACE = 20;
+const DATE_MIN_YEAR = 1000;
+const DATE_MAX_YEAR = 2050;
+const BRUTEFORCE_CARDINALITY = 10;
+const MIN_GUESSES_BEFORE_GROWING_SEQUENCE = 10000;
+const MIN_SUBMATCH_GUESSES_SINGLE_CHAR = 10;
+const MIN_SUBMATCH_GUESSES_MULTI_CHAR = 50;
+const MAX_SEQUENCE_DELTA = 5;
+
+// Longer passwords are analysed up to here; the rest counts as brute force
+const MAX_ANALYSED_LENGTH = 100;
+
+// Ways to split a run of 4-8 digits into day, month and year
+const DATE_SPLITS = {
+  4: [[1, 2], [2, 3]],
+  5: [[1, 3], [2, 3]],
+  6: [[1, 2], [2, 4], [4, 5]],
+  7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+  8: [[2, 4], [4, 6]],
+};
+
+/**
+ * Keyboard layouts. Keys are separated by spaces and list their unshifted
+ * and shifted character; an empty slot is a gap. x is the horizontal
+ * position of a row's first key, in key widths.
+ * @private
+ */
+const KEYBOARDS = {
+  qwerty: {
+    slanted: true,
+    rows: [
+      { x: 0, keys: '`~ 1! 2@ 3# 4$ 5% 6^ 7& 8* 9( 0) -_ =+' },
+      { x: 1.5, keys: 'qQ wW eE rR tT yY uU iI oO pP [{ ]} \\|' },
+      { x: 1.75, keys: 'aA sS dD fF gG hH jJ kK lL ;: \'"' },
+      { x: 2.25, keys: 'zZ xX cC vV bB nN mM ,< .> /?' },
+    ],
+  },
+  keypad: {
+    slanted: false,
+    rows: [
+      { x: 1, keys: '/ * -' },
+      { x: 0, keys: '7 8 9 +' },
+      { x: 0, keys: '4 5 6' },
+      { x: 0, keys: '1 2 3' },
+      { x: 0, keys: '0  .' },
+    ],
+  },
+};
+
+const dictionaries = new Map();
+let keyboardGraphs = null;
+
+/**
+ * Ranks words by their position in a list, keeping the first occurrence
+ *
+ * @param {Array<string>} words - Words, most frequent first
+ * @returns {Map<string, number>} Ranks, starting at 1
+ * @private
+ */
+function rankWords(words) {
+  const ranked = new Map();
+  words.forEach((word) => {
+    const key = word.toLowerCase();
+    if (key && !ranked.has(key)) {
+      ranked.set(key, ranked.size + 1);
+    }
+  });
+  return ranked;
+}
+
+/**
+ * Loads a bundled word list as a map from word to frequency rank
+ *
+ * @param {string} name - Dictionary name
+ * @returns {Map<string, number>} Ranks, starting at 1
+ * @private
+ */
+function loadDictionary(name) {
+  if (!dictionaries.has(name)) {
+    const { words } = JSON.parse(
+      fs.readFileSync(new URL(`./dictionaries/${name}.json`, import.meta.url), 'utf8'),
+    );
+    dictionaries.set(name, rankWords(words));
+  }
+  return dictionaries.get(name);
+}
+
+/**
+ * Builds the adjacency graphs of the keyboard layouts
+ *
+ * @returns {object} Per layout: { keys: Map<char, {key, shifted}>, neighbours,
+ *   startingPositions, averageDegree }
+ * @private
+ */
+function buildKeyboardGraphs() {
+  return Object.fromEntries(Object.entries(KEYBOARDS).map(([name, { slanted, rows }]) => {
+    const positions = [];
+    rows.forEach(({ x, keys }, y) => {
+      keys.split(' ').forEach((key, column) => {
+        if (key !== '') {
+          positions.push({ key, x: x + column, y });
+        }
+      });
+    });
+
+    const keys = new Map();
+    const neighbours = new Map();
+    positions.forEach(({ key, x, y }) => {
+      [...key].forEach((char, index) => keys.set(char, { key, shifted: index === 1 }));
+      neighbours.set(key, positions
+        .filter((other) => {
+          const dx = Math.abs(other.x - x);
+          const dy = Math.abs(other.y - y);
+          if (dy === 0) {
+            return dx === 1;
+          }
+          // Rows of a slanted keyboard are offset, so only keys less than a
+          // key width apart touch; an aligned keypad also has diagonals
+          return dy === 1 && (slanted ? dx < 1 : dx <= 1);
+        })
+        .map((other) => ({
+          key: other.key,
+          direction: `${other.y - y}:${Math.sign(other.x - x)}`,
+        })));
+    });
+
+    const degrees = [...neighbours.values()].map((list) => list.length);
+    return [name, {
+      keys,
+      neighbours,
+      startingPositions: positions.length,
+      averageDegree: degrees.reduce((sum, degree) => sum + degree, 0) / degrees.length,
+    }];
+  }));
+}
+
+/**
+ * Binomial coefficient
+ *
+ * @param {number} n - Set size
+ * @param {number} k - Subset size
+ * @returns {number} n choose k
+ * @private
+ */
+function choose(n, k) {
+  if (k > n) {
+    return 0;
+  }
+  let result = 1;
+  for (let d = 1; d <= k; d += 1) {
+    result = (result * (n - k + d)) / d;
+  }
+  return result;
+}
+
+/**
+ * Number of ways to pick up to min(a, b) positions among a + b
+ *
+ * @param {number} a - Count of one kind of character
+ * @param {number} b - Count of the other kind
+ * @returns {number} Variations, at least 2 when either count is zero
+ * @private
+ */
+function variations(a, b) {
+  if (a === 0 || b === 0) {
+    return 2;
+  }
+  let total = 0;
+  for (let i = 1; i <= Math.min(a, b); i += 1) {
+    total += choose(a + b, i);
+  }
+  return total;
+}
+
+/**
+ * Finds every substring of a (lowercased) text that is a dictionary word
+ *
+ * @param {string} text - Lowercased text to search
+ * @param {Map<string, Map>} ranked - Dictionaries by name
+ * @returns {Array<object>} Dictionary matches (i and j are inclusive)
+ * @private
+ */
+function findWords(text, ranked) {
+  const matches = [];
+  ranked.forEach((ranks, dictionary) => {
+    for (let i = 0; i < text.length; i += 1) {
+      for (let j = i; j < text.length; j += 1) {
+        const word = text.slice(i, j + 1);
+        if (ranks.has(word)) {
+          matches.push({
+            pattern: 'dictionary',
+            i,
+            j,
+            matchedWord: word,
+            rank: ranks.get(word),
+            dictionary,
+          });
+        }
+      }
+    }
+  });
+  return matches;
+}
+
+/**
+ * Dictionary words, read forwards and backwards
+ *
+ * @param {string} password - Password
+ * @param {Map<string, Map>} ranked - Dictionaries by name
+ * @returns {Array<object>} Matches
+ * @private
+ */
+function dictionaryMatches(password, ranked) {
+  const lower = password.toLowerCase();
+  const forwards = findWords(lower, ranked).map((match) => ({
+    ...match,
+    token: password.slice(match.i, match.j + 1),
+    reversed: false,
+    l33t: false,
+  }));
+
+  const last = password.length - 1;
+  const backwards = findWords(lower.split('').reverse().join(''), ranked)
+    // Palindromes are already found forwards
+    .filter((match) => match.j > match.i
+      && match.matchedWord !== lower.slice(last - match.j, last - match.i + 1))
+    .map((match) => ({
+      ...match,
+      i: last - match.j,
+      j: last - match.i,
+      token: password.slice(last - match.j, last - match.i + 1),
+      reversed: true,
+      l33t: false,
+    }));
+
+  return [...forwards, ...backwards];
+}
+
+/**
+ * Dictionary words written in leetspeak (p4ssw0rd)
+ *
+ * @param {string} password - Password
+ * @param {Map<string, Map>} ranked - Dictionaries by name
+ * @returns {Array<object>} Matches with the substitutions made in `sub`
+ * @private
+ */
+function l33tMatches(password, ranked) {
+  const lower = password.toLowerCase();
+  const plain = fromLeetspeak(password).toLowerCase();
+  // Case folding can change the length of some characters (ß -> SS)
+  if (plain === lower || plain.length !== lower.length) {
+    return [];
+  }
+
+  return findWords(plain, ranked)
+    .map((match) => {
+      const sub = {};
+      for (let k = match.i; k <= match.j; k += 1) {
+        if (plain[k] !== lower[k]) {
+          sub[lower[k]] = plain[k];
+        }
+      }
+      return {
+        ...match,
+        token: password.slice(match.i, match.j + 1),
+        reversed: false,
+        l33t: true,
+        sub,
+      };
+    })
+    // Single characters and untouched words are not leetspeak
+    .filter((match) => match.j > match.i && Object.keys(match.sub).length > 0);
+}
+
+/**
+ * Keyboard walks of three or more adjacent keys (qwerty, zxcvb, 7896)
+ *
+ * @param {string} password - Password
+ * @returns {Array<object>} Matches with the layout, turns and shifted key count
+ * @private
+ */
+function spatialMatches(password) {
+  if (keyboardGraphs === null) {
+    keyboardGraphs = buildKeyboardGraphs();
+  }
+
+  const matches = [];
+  Object.entries(keyboardGraphs).forEach(([graph, { keys, neighbours }]) => {
+    let i = 0;
+    while (i < password.length - 1) {
+      let j = i + 1;
+      let turns = 0;
+      let lastDirection = null;
+      let shiftedCount = keys.has(password[i]) && keys.get(password[i]).shifted ? 1 : 0;
+
+      while (j < password.length && keys.has(password[j - 1]) && keys.has(password[j])) {
+        const current = keys.get(password[j]);
+        const next = neighbours.get(keys.get(password[j - 1]).key)
+          .find((neighbour) => neighbour.key === current.key);
+        if (!next) {
+          break;
+        }
+        if (current.shifted) {
+          shiftedCount += 1;
+        }
+        if (next.direction !== lastDirection) {
+          turns += 1;
+          lastDirection = next.direction;
+        }
+        j += 1;
+      }
+
+      if (j - i > 2) {
+        matches.push({
+          pattern: 'spatial',
+          i,
+          j: j - 1,
+          token: password.slice(i, j),
+          graph,
+          turns,
+          shiftedCount,
+        });
+      }
+      i = j;
+    }
+  });
+  return matches;
+}
+
+/**
+ * Repeated characters or chunks (aaa, abcabc)
+ *
+ * @param {string} password - Password
+ * @param {Map<string, Map>} ranked - Dictionaries by name
+ * @returns {Array<object>} Matches with the repeated base token and its guesses
+ * @private
+ */
+function repeatMatches(password, ranked) {
+  const matches = [];
+  const greedy = /(.+)\1+/gs;
+  const lazy = /(.+?)\1+/gs;
+  const lazyAnchored = /^(.+?)\1+$/s;
+
+  let lastIndex = 0;
+  while (lastIndex < password.length) {
+    greedy.lastIndex = lastIndex;
+    lazy.lastIndex = lastIndex;
+    const greedyMatch = greedy.exec(password);
+    const lazyMatch = lazy.exec(password);
+    if (!greedyMatch) {
+      break;
+    }
+
+    // Prefer the longer repeat; its base is the shortest chunk that repeats
+    const match = greedyMatch[0].length > lazyMatch[0].length ? greedyMatch : lazyMatch;
+    const baseToken = match === greedyMatch ? lazyAnchored.exec(match[0])[1] : match[1];
+    // eslint-disable-next-line no-use-before-define
+    const base = mostGuessableSequence(baseToken, omnimatch(baseToken, ranked));
+
+    matches.push({
+      pattern: 'repeat',
+      i: match.index,
+      j: match.index + match[0].length - 1,
+      token: match[0],
+      baseToken,
+      baseGuesses: base.guesses,
+      repeatCount: match[0].length / baseToken.length,
+    });
+    lastIndex = match.index + match[0].length;
+  }
+  return matches;
+}
+
+/**
+ * Runs of characters with a constant code point step (abc, 2468, zyx)
+ *
+ * @param {string} password - Password
+ * @returns {Array<object>} Matches
+ * @private
+ */
+function sequenceMatches(password) {
+  const matches = [];
+  if (password.length < 2) {
+    return matches;
+  }
+
+  const add = (i, j, delta) => {
+    const absolute = Math.abs(delta);
+    if ((j - i > 1 || absolute === 1) && absolute > 0 && absolute <= MAX_SEQUENCE_DELTA) {
+      const token = password.slice(i, j + 1);
+      let sequenceName = 'unicode';
+      let sequenceSpace = 26;
+      if (/^[a-z]+$/.test(token)) {
+        sequenceName = 'lower';
+      } else if (/^[A-Z]+$/.test(token)) {
+        sequenceName = 'upper';
+      } else if (/^\d+$/.test(token)) {
+        sequenceName = 'digits';
+        sequenceSpace = 10;
+      }
+      matches.push({
+        pattern: 'sequence',
+        i,
+        j,
+        token,
+        sequenceName,
+        sequenceSpace,
+        ascending: delta > 0,
+      });
+    }
+  };
+
+  let i = 0;
+  let lastDelta = null;
+  for (let k = 1; k < password.length; k += 1) {
+    const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+    if (lastDelta === null) {
+      lastDelta = delta;
+    }
+    if (delta !== lastDelta) {
+      add(i, k - 1, lastDelta);
+      i = k - 1;
+      lastDelta = delta;
+    }
+  }
+  add(i, password.length - 1, lastDelta);
+  return matches;
+}
+
+/**
+ * Years from 1900 to 2099
+ *
+ * @param {string} password - Password
+ * @returns {Array<object>} Matches
+ * @private
+ */
+function yearMatches(password) {
+  return [...password.matchAll(/(?:19|20)\d\d/g)].map((match) => ({
+    pattern: 'year',
+    i: match.index,
+    j: match.index + 3,
+    token: match[0],
+    year: parseInt(match[0], 10),
+  }));
+}
+
+/**
+ * Reads a day and month from two integers in either order
+ *
+ * @param {Array<number>} ints - Two integers
+ * @returns {object|null} { day, month } or null
+ * @private
+ */
+function toDayMonth([a, b]) {
+  if (a >= 1 && a <= 31 && b >= 1 && b <= 12) {
+    return { day: a, month: b };
+  }
+  if (b >= 1 && b <= 31 && a >= 1 && a <= 12) {
+    return { day: b, month: a };
+  }
+  return null;
+}
+
+/**
+ * Reads a date from three integers in day-month-year, month-day-year or
+ * year-month-day order
+ *
+ * @param {Array<number>} ints - Three integers
+ * @returns {object|null} { year, month, day } or null if no order makes sense
+ * @private
+ */
+function toDate(ints) {
+  if (ints[1] > 31 || ints[1] <= 0) {
+    return null;
+  }
+  if (ints.some((n) => (n > 99 && n < DATE_MIN_YEAR) || n > DATE_MAX_YEAR)) {
+    return null;
+  }
+  const over31 = ints.filter((n) => n > 31).length;
+  const over12 = ints.filter((n) => n > 12).length;
+  const under1 = ints.filter((n) => n <= 0).length;
+  if (over31 >= 2 || over12 === 3 || under1 >= 2) {
+    return null;
+  }
+
+  const splits = [[ints[2], ints.slice(0, 2)], [ints[0], ints.slice(1, 3)]];
+  const fullYear = splits.find(([year]) => year >= DATE_MIN_YEAR && year <= DATE_MAX_YEAR);
+  if (fullYear) {
+    const dayMonth = toDayMonth(fullYear[1]);
+    return dayMonth ? { year: fullYear[0], ...dayMonth } : null;
+  }
+
+  const shortYear = splits.find(([, rest]) => toDayMonth(rest));
+  if (!shortYear) {
+    return null;
+  }
+  const [year, rest] = shortYear;
+  let fourDigitYear = year + 2000;
+  if (year > 99) {
+    fourDigitYear = year;
+  } else if (year > 50) {
+    fourDigitYear = year + 1900;
+  }
+  return { year: fourDigitYear, ...toDayMonth(rest) };
+}
+
+/**
+ * Dates with or without separators (13/05/1987, 1987-05-13, 130587)
+ *
+ * @param {string} password - Password
+ * @returns {Array<object>} Matches
+ * @private
+ */
+function dateMatches(password) {
+  const matches = [];
+  const closest = (candidates) => candidates.reduce((best, date) => (
+    Math.abs(date.year - REFERENCE_YEAR) < Math.abs(best.year - REFERENCE_YEAR) ? date : best
+  ));
+
+  for (let i = 0; i < password.length; i += 1) {
+    for (let j = i + 3; j < Math.min(password.length, i + 10); j += 1) {
+      const token = password.slice(i, j + 1);
+      if (/^\d{4,8}$/.test(token)) {
+        const candidates = DATE_SPLITS[token.length]
+          .map(([k, l]) => toDate([
+            parseInt(token.slice(0, k), 10),
+            parseInt(token.slice(k, l), 10),
+            parseInt(token.slice(l), 10),
+          ]))
+          .filter((date) => date !== null);
+        if (candidates.length > 0) {
+          matches.push({
+            pattern: 'date', i, j, token, separator: '', ...closest(candidates),
+          });
+        }
+      } else if (token.length >= 6) {
+        const parts = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+        const date = parts && toDate([parts[1], parts[3], parts[4]].map((n) => parseInt(n, 10)));
+        if (date) {
+          matches.push({
+            pattern: 'date', i, j, token, separator: parts[2], ...date,
+          });
+        }
+      }
+    }
+  }
+
+  // Drop dates contained in longer ones (1987 inside 13051987)
+  return matches.filter((match) => !matches.some((other) => other !== match
+    && other.i <= match.i && other.j >= match.j));
+}
+
+/**
+ * Runs every matcher over a password
+ *
+ * @param {string} password - Password
+ * @param {Map<string, Map>} ranked - Dictionaries by name
+ * @returns {Array<object>} All matches, ordered by position
+ * @private
+ */
+function omnimatch(password, ranked) {
+  return [
+    ...dictionaryMatches(password, ranked),
+    ...l33tMatches(password, ranked),
+    ...spatialMatches(password),
+    ...repeatMatches(password, ranked),
+    ...sequenceMatches(password),
+    ...yearMatches(password),
+    ...dateMatches(password),
+  ].sort((a, b) => a.i - b.i || a.j - b.j);
+}
+
+/**
+ * Guesses needed to find a single match, before the minimum is applied
+ *
+ * @param {object} match - Match
+ * @returns {number} Guesses
+ * @private
+ */
+function patternGuesses(match) {
+  const { token } = match;
+  switch (match.pattern) {
+    case 'bruteforce':
+      return Math.min(BRUTEFORCE_CARDINALITY ** token.length, Number.MAX_VALUE);
+    case 'dictionary': {
+      let uppercase = 1;
+      if (token !== token.toLowerCase()) {
+        if ([/^[A-Z][^A-Z]+$/, /^[^A-Z]+[A-Z]$/, /^[^a-z]+$/].some((re) => re.test(token))) {
+          uppercase = 2;
+        } else {
+          uppercase = variations(
+            token.replace(/[^A-Z]/g, '').length,
+            token.replace(/[^a-z]/g, '').length,
+          );
+        }
+      }
+      let l33t = 1;
+      if (match.l33t) {
+        const chars = token.toLowerCase().split('');
+        Object.entries(match.sub).forEach(([leet, letter]) => {
+          l33t *= variations(
+            chars.filter((char) => char === leet).length,
+            chars.filter((char) => char === letter).length,
+          );
+        });
+      }
+      return match.rank * uppercase * l33t * (match.reversed ? 2 : 1);
+    }
+    case 'spatial': {
+      const { startingPositions, averageDegree } = keyboardGraphs[match.graph];
+      let guesses = 0;
+      for (let length = 2; length <= token.length; length += 1) {
+        for (let turns = 1; turns <= Math.min(match.turns, length - 1); turns += 1) {
+          guesses += choose(length - 1, turns - 1) * startingPositions * averageDegree ** turns;
+        }
+      }
+      if (match.shiftedCount > 0) {
+        const unshifted = token.length - match.shiftedCount;
+        guesses *= unshifted === 0 ? 2 : variations(match.shiftedCount, unshifted);
+      }
+      return guesses;
+    }
+    case 'repeat':
+      return match.baseGuesses * match.repeatCount;
+    case 'sequence': {
+      let base = match.sequenceSpace;
+      if ('aAzZ019'.includes(token[0])) {
+        base = 4;
+      }
+      return base * (match.ascending ? 1 : 2) * token.length;
+    }
+    case 'year':
+      return Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE);
+    default:
+      return Math.max(Math.abs(match.year - REFERENCE_YEAR), MIN_YEAR_SPACE) * 365
+        * (match.separator ? 4 : 1);
+  }
+}
+
+/**
+ * Guesses for a match, memoised on the match. Pieces of a longer password
+ * are given a floor, since an attacker cannot know where one piece ends.
+ *
+ * @param {object} match - Match
+ * @param {number} passwordLength - Length of the whole password
+ * @returns {number} Guesses
+ * @private
+ */
+function estimateGuesses(match, passwordLength) {
+  if (match.guesses === undefined) {
+    let minimum = 1;
+    if (match.token.length < passwordLength) {
+      minimum = match.token.length === 1
+        ? MIN_SUBMATCH_GUESSES_SINGLE_CHAR
+        : MIN_SUBMATCH_GUESSES_MULTI_CHAR;
+    }
+    match.guesses = Math.max(patternGuesses(match), minimum);
+  }
+  return match.guesses;
+}
+
+/**
+ * Finds the sequence of non-overlapping matches covering the password that
+ * needs the fewest guesses in total. A sequence of l matches costs
+ * l! * (product of their guesses) + 10000^(l - 1), so fewer, longer pieces
+ * are favoured. Gaps are filled with brute force matches.
+ *
+ * @param {string} password - Password
+ * @param {Array<object>} matches - Candidate matches
+ * @returns {object} { guesses, sequence }
+ * @private
+ */
+function mostGuessableSequence(password, matches) {
+  const n = password.length;
+  if (n === 0) {
+    return { guesses: 1, sequence: [] };
+  }
+
+  const byEnd = Array.from({ length: n }, () => []);
+  matches.forEach((match) => byEnd[match.j].push(match));
+
+  // optimal[k] maps a sequence length l to the best sequence of that length
+  // ending at k: { match, product, guesses }
+  const optimal = Array.from({ length: n }, () => new Map());
+  const factorials = [1];
+
+  const update = (match, length) => {
+    const k = match.j;
+    let product = estimateGuesses(match, n);
+    if (length > 1) {
+      product *= optimal[match.i - 1].get(length - 1).product;
+    }
+    while (factorials.length <= length) {
+      factorials.push(factorials[factorials.length - 1] * factorials.length);
+    }
+    const guesses = factorials[length] * product
+      + MIN_GUESSES_BEFORE_GROWING_SEQUENCE ** (length - 1);
+
+    const beaten = [...optimal[k]].some(([otherLength, other]) => (
+      otherLength <= length && other.guesses <= guesses
+    ));
+    if (!beaten) {
+      optimal[k].set(length, { match, product, guesses });
+    }
+  };
+
+  const bruteforce = (i, j) => ({
+    pattern: 'bruteforce',
+    i,
+    j,
+    token: password.slice(i, j + 1),
+  });
+
+  for (let k = 0; k < n; k += 1) {
+    byEnd[k].forEach((match) => {
+      if (match.i > 0) {
+        [...optimal[match.i - 1].keys()].forEach((length) => update(match, length + 1));
+      } else {
+        update(match, 1);
+      }
+    });
+
+    update(bruteforce(0, k), 1);
+    for (let i = 1; i <= k; i += 1) {
+      const candidate = bruteforce(i, k);
+      [...optimal[i - 1]].forEach(([length, { match }]) => {
+        // Two brute force matches in a row are one longer brute force match
+        if (match.pattern !== 'bruteforce') {
+          update(candidate, length + 1);
+        }
+      });
+    }
+  }
+
+  const [[bestLength, { guesses }]] = [...optimal[n - 1]]
+    .sort((a, b) => a[1].guesses - b[1].guesses);
+  const sequence = [];
+  for (let k = n - 1, length = bestLength; k >= 0; length -= 1) {
+    const { match } = optimal[k].get(length);
+    sequence.unshift(match);
+    k = match.i - 1;
+  }
+
+  return { guesses, sequence };
+}
+
+/**
+ * Maps guesses to a score from 0 (too guessable) to 4 (very unguessable)
+ *
+ * @param {number} guesses - Estimated guesses
+ * @returns {number} Score
+ * @private
+ */
+function scoreGuesses(guesses) {
+  // A small margin keeps guesses right at a threshold in the lower score
+  return SCORE_THRESHOLDS.filter((threshold) => guesses >= threshold + 5).length;
+}
+
+/**
+ * Formats a duration in seconds for people
+ *
+ * @param {number} seconds - Duration
+ * @returns {string} For example '3 hours' or 'centuries'
+ * @private
+ */
+function displayTime(seconds) {
+  const units = [
+    ['second', 1],
+    ['minute', 60],
+    ['hour', 3600],
+    ['day', 86400],
+    ['month', 86400 * 31],
+    ['year', 86400 * 31 * 12],
+  ];
+  if (seconds < 1) {
+    return 'less than a second';
+  }
+  if (seconds >= 86400 * 31 * 12 * 100) {
+    return 'centuries';
+  }
+  const [unit, size] = units.filter(([, unitSize]) => seconds >= unitSize).pop();
+  const count = Math.round(seconds / size);
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Warning and suggestions for one match
+ *
+ * @param {object} match - Match from the optimal sequence
+ * @param {boolean} alone - Whether the match covers the whole password
+ * @returns {object} { warning, suggestions }
+ * @private
+ */
+function matchFeedback(match, alone) {
+  switch (match.pattern) {
+    case 'dictionary': {
+      let warning = '';
+      if (match.dictionary === 'passwords') {
+        if (alone && !match.l33t && !match.reversed) {
+          if (match.rank <= 10) {
+            warning = 'This is a top-10 common password';
+          } else if (match.rank <= 100) {
+            warning = 'This is a top-100 common password';
+          } else {
+            warning = 'This is a very common password';
+          }
+        } else {
+          warning = 'This is similar to a commonly used password';
+        }
+      } else if (match.dictionary === 'english') {
+        warning = alone ? 'A word by itself is easy to guess' : '';
+      } else if (match.dictionary === 'names' || match.dictionary === 'surnames') {
+        warning = alone
+          ? 'Names and surnames by themselves are easy to guess'
+          : 'Common names and surnames are easy to guess';
+      } else {
+        warning = 'Avoid words that are associated with you, like your name or username';
+      }
+
+      const suggestions = [];
+      const { token } = match;
+      if (/^[A-Z][^A-Z]+$/.test(token)) {
+        suggestions.push('Capitalization doesn\'t help very much');
+      } else if (/^[^a-z]+$/.test(token) && token.toLowerCase() !== token) {
+        suggestions.push('All-uppercase is almost as easy to guess as all-lowercase');
+      }
+      if (match.reversed && token.length >= 4) {
+        suggestions.push('Reversed words aren\'t much harder to guess');
+      }
+      if (match.l33t) {
+        suggestions.push(
+          'Predictable substitutions like \'@\' instead of \'a\' don\'t help very much',
+        );
+      }
+      return { warning, suggestions };
+    }
+    case 'spatial':
+      return {
+        warning: match.turns === 1
+          ? 'Straight rows of keys are easy to guess'
+          : 'Short keyboard patterns are easy to guess',
+        suggestions: ['Use a longer keyboard pattern with more turns'],
+      };
+    case 'repeat':
+      return {
+        warning: match.baseToken.length === 1
+          ? 'Repeats like "aaa" are easy to guess'
+          : 'Repeats like "abcabcabc" are only slightly harder to guess than "abc"',
+        suggestions: ['Avoid repeated words and characters'],
+      };
+    case 'sequence':
+      return {
+        warning: 'Sequences like abc or 6543 are easy to guess',
+        suggestions: ['Avoid sequences'],
+      };
+    case 'year':
+      return {
+        warning: 'Recent years are easy to guess',
+        suggestions: ['Avoid recent years', 'Avoid years that are associated with you'],
+      };
+    case 'date':
+      return {
+        warning: 'Dates are often easy to guess',
+        suggestions: ['Avoid dates and years that are associated with you'],
+      };
+    default:
+      return { warning: '', suggestions: [] };
+  }
+}
+
+/**
+ * Feedback for a whole password: the warning of its longest guessable piece
+ * and the suggestions of every piece
+ *
+ * @param {number} score - Score from 0 to 4
+ * @param {Array<object>} sequence - Optimal match sequence
+ * @returns {object} { warning, suggestions }
+ * @private
+ */
+function feedback(score, sequence) {
+  if (sequence.length === 0) {
+    return {
+      warning: '',
+      suggestions: [
+        'Use a few words, avoid common phrases',
+        'No need for symbols, digits, or uppercase letters',
+      ],
+    };
+  }
+  if (score > 2) {
+    return { warning: '', suggestions: [] };
+  }
+
+  const patterns = sequence
+    .filter((match) => match.pattern !== 'bruteforce')
+    .sort((a, b) => b.token.length - a.token.length)
+    .map((match) => matchFeedback(match, sequence.length === 1));
+  const suggestions = [
+    'Add another word or two. Uncommon words are better.',
+    ...patterns.flatMap((pattern) => pattern.suggestions),
+  ];
+  return {
+    warning: patterns.length > 0 ? patterns[0].warning : '',
+    suggestions: [...new Set(suggestions)],
+  };
+}
+
+/**
+ * Copies the public fields of a match
+ *
+ * @param {object} match - Match
+ * @returns {object} Match without internal fields
+ * @private
+ */
+function describeMatch(match) {
+  const {
+    guesses,
+    i,
+    j,
+    ...rest
+  } = match;
+  return {
+    ...rest,
+    i,
+    j,
+    guesses,
+    guessesLog10: Math.log10(guesses),
+  };
+}
+
+/**
+ * Estimates how hard a password is to guess
+ *
+ * @param {string} password - Password to estimate
+ * @param {object} [options] - Estimation options
+ * @param {Array<string>} [options.userInputs=[]] - Words an attacker may know, such as
+ *   the user's name, email or the site name; they count as the most common words
+ * @returns {object} {guesses, guessesLog10, entropy, score, crackTimes, sequence, feedback}
+ *   - entropy: log2 of guesses, in bits
+ *   - score: 0 (too guessable) to 4 (very unguessable)
+ *   - crackTimes: {seconds, display} per attack scenario in CRACK_TIME_SCENARIOS
+ *   - sequence: the pieces the password was split into, each with its pattern and guesses
+ *   - feedback: {warning, suggestions} tailored to the patterns found
+ * @throws {TypeError} If the password is not a string or userInputs is not an array of strings
+ *
+ * @example
+ * estimatePasswordStrength('Password1!').score
+ * // Returns 0
+ * estimatePasswordStrength('correct horse battery staple').score
+ * // Returns 4
+ */
+export function estimatePasswordStrength(password, options = {}) {
+  if (typeof password !== 'string') {
+    throw new TypeError('Password must be a string');
+  }
+
+  const { userInputs = [] } = options;
+  if (!Array.isArray(userInputs) || userInputs.some((input) => typeof input !== 'string')) {
+    throw new TypeError('userInputs must be an array of strings');
+  }
+
+  const ranked = new Map(DICTIONARIES.map((name) => [name, loadDictionary(name)]));
+  if (userInputs.length > 0) {
+    ranked.set('userInputs', rankWords(userInputs));
+  }
+
+  const analysed = password.slice(0, MAX_ANALYSED_LENGTH);
+  const { guesses: analysedGuesses, sequence } = mostGuessableSequence(
+    analysed,
+    omnimatch(analysed, ranked),
+  );
+  const guesses = Math.min(
+    analysedGuesses * BRUTEFORCE_CARDINALITY ** (password.length - analysed.length),
+    Number.MAX_VALUE,
+  );
+  const score = scoreGuesses(guesses);
+
+  return {
+    guesses,
+    guessesLog10: Math.log10(guesses),
+    entropy: Math.log2(guesses),
+    score,
+    crackTimes: Object.fromEntries(Object.entries(CRACK_TIME_SCENARIOS).map(([scenario, rate]) => {
+      const seconds = guesses / rate;
+      return [scenario, { seconds, display: displayTime(seconds) }];
+    })),
+    sequence: sequence.map(describeMatch),
+    feedback: feedback(score, sequence),
+  };
+}
@@ -15,6 +15,8 @@
  * - Used only for obfuscation
  */
 
+import { DEFAULT_LANGUAGE, fitness } from './languageModel.js';
+
 class ROT13Error extends Error {
   constructor(message = 'ROT13 Error') {
     super(message);
@@ -82,6 +84,37 @@ function isRot13Symmetric(text) {
   return encode(encode(text)) === text;
 }
 
+/**
+ * Detect whether text is ROT13-encoded natural language
+ *
+ * Compares the languageModel fitness of the text with that of its ROT13
+ * decoding; whichever reads more like the language wins.
+ * @param {string} text - Text to check
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Language of the plaintext
+ * @returns {Object} { isRot13, confidence, decoded } where confidence is the
+ * probability that the text is ROT13 (0.5 for text without letters)
+ * @throws {TypeError} If text is not a string
+ * @example
+ * detect("Gur dhvpx oebja sbk");
+ * // { isRot13: true, confidence: 0.99..., decoded: "The quick brown fox" }
+ */
+function detect(text, { language = DEFAULT_LANGUAGE } = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+
+  const decoded = encode(text);
+  const difference = fitness(decoded, { language }) - fitness(text, { language });
+  const confidence = 1 / (1 + Math.exp(-difference));
+
+  return {
+    isRot13: confidence > 0.5,
+    confidence,
+    decoded,
+  };
+}
+
 /**
  * Analyze text for ROT13 properties
  * @param {string} text - Text to analyze
@@ -108,6 +141,7 @@ export {
   encode,
   decode,
   isRot13Symmetric,
+  detect,
   analyze,
   ROT13Error,
 };
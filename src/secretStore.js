@@ -0,0 +1,522 @@
+/**
+ * Secret Store
+ * A local, file-backed vault of named secrets. The master password is kept as
+ * a passwordHasher (scrypt) hash for verification, and every entry is sealed
+ * in its own authenticated encryption envelope bound to the entry name
+ *
+ * A store file has the shape:
+ * {
+ *   version: 1,
+ *   master: '$scrypt$ln=15,r=8,p=1$<salt>$<hash>',
+ *   encryption: { cipher: 'aes-256-gcm', kdf: 'scrypt', cost: 15 },
+ *   lockout: { maxAttempts: 5, delaySeconds: 30, failures: 0, lockedUntil: null },
+ *   entries: { github: { envelope: {...}, created: '...', updated: '...' } }
+ * }
+ *
+ * Entry names are stored in the clear; only the values are secret. Every
+ * change is written to a temporary file and renamed over the store, so a
+ * crash never leaves a partially written file behind. Repeated wrong master
+ * passwords lock the store for a delay that doubles with each further
+ * failure. The lockout state lives in the store file itself, so it slows down
+ * guessing through this API, not an attacker who can copy the file.
+ *
+ * rekeyStore changes the master password or KDF settings by re-encrypting
+ * every entry into a new file, reading that file back and decrypting it in
+ * full, and only then renaming it over the store: any failure (or a crash)
+ * leaves the original store untouched.
+ *
+ * @module secretStore
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+import { hashPasswordScrypt, parsePhc, verifyPassword } from './passwordHasher.js';
+import { encrypt, decrypt } from './authenticatedEncryption.js';
+
+export const STORE_VERSION = 1;
+
+const NAME_PATTERN = /^[A-Za-z0-9][\w.@+/-]{0,127}$/;
+
+export class SecretStoreError extends Error {
+  constructor(message = 'Secret Store Error') {
+    super(message);
+    this.name = 'SecretStoreError';
+  }
+}
+
+export class EntryNotFoundError extends SecretStoreError {
+  constructor(entryName) {
+    super(`No secret named "${entryName}"`);
+    this.name = 'EntryNotFoundError';
+    this.entry = entryName;
+  }
+}
+
+export class WrongMasterPasswordError extends SecretStoreError {
+  constructor(attemptsLeft) {
+    const plural = attemptsLeft === 1 ? '' : 's';
+    super(`Wrong master password (${attemptsLeft} attempt${plural} left before lockout)`);
+    this.name = 'WrongMasterPasswordError';
+    this.attemptsLeft = attemptsLeft;
+  }
+}
+
+export class RekeyError extends SecretStoreError {
+  constructor(reason) {
+    super(`Rekey failed, the store was left unchanged: ${reason}`);
+    this.name = 'RekeyError';
+  }
+}
+
+export class StoreLockedError extends SecretStoreError {
+  constructor(retryAt) {
+    super(
+      `Store is locked after repeated wrong passwords. Try again after ${retryAt.toISOString()}`,
+    );
+    this.name = 'StoreLockedError';
+    this.retryAt = retryAt;
+  }
+}
+
+/**
+ * Writes a file atomically: a temporary sibling is written, flushed and then
+ * renamed over the target
+ *
+ * @param {string} file - Target path
+ * @param {string} contents - File contents
+ * @param {function(string): void} [verify] - Called with the temporary path
+ *   before the rename; throwing discards the new file
+ * @private
+ */
+function writeAtomic(file, contents, verify) {
+  const temporary = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.${crypto.randomBytes(6).toString('hex')}.tmp`,
+  );
+
+  try {
+    const descriptor = fs.openSync(temporary, 'wx', 0o600);
+    try {
+      fs.writeFileSync(descriptor, contents);
+      fs.fsyncSync(descriptor);
+    } finally {
+      fs.closeSync(descriptor);
+    }
+    if (verify) {
+      verify(temporary);
+    }
+    fs.renameSync(temporary, file);
+  } catch (error) {
+    fs.rmSync(temporary, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Serialises and atomically writes a store
+ *
+ * @param {string} file - Store path
+ * @param {object} store - Store contents
+ * @param {function(string): void} [verify] - Check run on the new file before it replaces the store
+ * @private
+ */
+function saveStore(file, store, verify) {
+  writeAtomic(file, `${JSON.stringify(store, null, 2)}\n`, verify);
+}
+
+/**
+ * Reads and validates a store file
+ *
+ * @param {string} file - Store path
+ * @returns {object} Store contents
+ * @throws {SecretStoreError} If the file does not exist or is not a store
+ * @private
+ */
+function loadStore(file) {
+  if (typeof file !== 'string' || file.length === 0) {
+    throw new TypeError('Store path must be a non-empty string');
+  }
+
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new SecretStoreError(`No store at ${file}. Create one with "vault init"`);
+    }
+    throw error;
+  }
+
+  let store;
+  try {
+    store = JSON.parse(text);
+  } catch (error) {
+    throw new SecretStoreError(`${file} is not a valid store file`);
+  }
+
+  if (store === null || typeof store !== 'object' || store.version !== STORE_VERSION
+    || typeof store.master !== 'string' || typeof store.entries !== 'object'
+    || store.entries === null || typeof store.lockout !== 'object' || store.lockout === null) {
+    throw new SecretStoreError(`${file} is not a valid store file (version ${STORE_VERSION})`);
+  }
+  return store;
+}
+
+/**
+ * Checks an entry name
+ *
+ * @param {string} entryName - Name to check
+ * @throws {TypeError} If the name is not a string
+ * @throws {SecretStoreError} If the name contains unsupported characters
+ * @private
+ */
+function validateName(entryName) {
+  if (typeof entryName !== 'string') {
+    throw new TypeError('Entry name must be a string');
+  }
+  if (!NAME_PATTERN.test(entryName)) {
+    throw new SecretStoreError(
+      'Entry names must start with a letter or digit and use only letters, digits and . _ @ + / -',
+    );
+  }
+}
+
+/**
+ * Associated data binding an envelope to its entry name, so envelopes cannot
+ * be swapped between entries
+ *
+ * @param {string} entryName - Entry name
+ * @returns {string} Associated data
+ * @private
+ */
+function entryContext(entryName) {
+  return `secret-store:entry:${entryName}`;
+}
+
+/**
+ * Verifies the master password, applying and recording the lockout policy
+ *
+ * @param {string} file - Store path
+ * @param {object} store - Loaded store (updated in place on failure)
+ * @param {string} password - Master password
+ * @throws {TypeError} If the password is not a string
+ * @throws {StoreLockedError} If the store is locked
+ * @throws {WrongMasterPasswordError} If the password is wrong
+ * @private
+ */
+function authenticate(file, store, password) {
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new TypeError('Master password must be a non-empty string');
+  }
+
+  const { lockout } = store;
+  const now = Date.now();
+  if (lockout.lockedUntil && now < Date.parse(lockout.lockedUntil)) {
+    throw new StoreLockedError(new Date(lockout.lockedUntil));
+  }
+
+  if (verifyPassword(password, store.master)) {
+    if (lockout.failures > 0 || lockout.lockedUntil) {
+      lockout.failures = 0;
+      lockout.lockedUntil = null;
+      saveStore(file, store);
+    }
+    return;
+  }
+
+  lockout.failures += 1;
+  const excess = lockout.failures - lockout.maxAttempts;
+  if (excess >= 0) {
+    const retryAt = new Date(now + lockout.delaySeconds * 1000 * 2 ** Math.min(excess, 20));
+    lockout.lockedUntil = retryAt.toISOString();
+    saveStore(file, store);
+    throw new StoreLockedError(retryAt);
+  }
+  saveStore(file, store);
+  throw new WrongMasterPasswordError(-excess);
+}
+
+/**
+ * Creates a new, empty store
+ *
+ * @param {string} file - Path of the store file to create
+ * @param {string} password - Master password
+ * @param {object} [options] - Store settings
+ * @param {string} [options.cipher='aes-256-gcm'] - Cipher for entries
+ * @param {string} [options.kdf='scrypt'] - Key derivation for entries ('scrypt' or 'pbkdf2')
+ * @param {number} [options.cost=15] - scrypt cost for the master hash and entries
+ * @param {number} [options.iterations=100000] - PBKDF2 iterations when kdf is 'pbkdf2'
+ * @param {number} [options.maxAttempts=5] - Wrong passwords allowed before lockout
+ * @param {number} [options.delaySeconds=30] - First lockout delay (doubles after each failure)
+ * @returns {object} {path, entries} summary of the new store
+ * @throws {SecretStoreError} If a file already exists at the path
+ *
+ * @example
+ * initStore('secrets.json', 'correct horse battery staple')
+ * // Returns { path: 'secrets.json', entries: 0 }
+ */
+export function initStore(file, password, options = {}) {
+  const {
+    cipher = 'aes-256-gcm',
+    kdf = 'scrypt',
+    cost = 15,
+    iterations = 100000,
+    maxAttempts = 5,
+    delaySeconds = 30,
+  } = options;
+
+  if (typeof file !== 'string' || file.length === 0) {
+    throw new TypeError('Store path must be a non-empty string');
+  }
+  if (typeof password !== 'string' || password.length === 0) {
+    throw new TypeError('Master password must be a non-empty string');
+  }
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) {
+    throw new SecretStoreError('maxAttempts must be a positive integer');
+  }
+  if (typeof delaySeconds !== 'number' || delaySeconds < 0) {
+    throw new SecretStoreError('delaySeconds must be a non-negative number');
+  }
+  if (fs.existsSync(file)) {
+    throw new SecretStoreError(`A file already exists at ${file}`);
+  }
+
+  const master = hashPasswordScrypt(password, null, cost);
+  saveStore(file, {
+    version: STORE_VERSION,
+    master: master.phc,
+    encryption: kdf === 'pbkdf2' ? { cipher, kdf, iterations } : { cipher, kdf, cost },
+    lockout: {
+      maxAttempts,
+      delaySeconds,
+      failures: 0,
+      lockedUntil: null,
+    },
+    entries: {},
+  });
+
+  return { path: file, entries: 0 };
+}
+
+/**
+ * Encrypts a secret and saves it under a name
+ *
+ * @param {string} file - Store path
+ * @param {string} password - Master password
+ * @param {string} entryName - Name to store the secret under
+ * @param {string} value - The secret
+ * @param {object} [options] - Put options
+ * @param {boolean} [options.overwrite=true] - Replace an existing entry of the same name
+ * @returns {object} {name, created} where created is false when an entry was replaced
+ * @throws {WrongMasterPasswordError|StoreLockedError} If the password is rejected
+ * @throws {SecretStoreError} If the entry exists and overwrite is false
+ *
+ * @example
+ * putSecret('secrets.json', 'correct horse battery staple', 'github', 'ghp_abc123')
+ * // Returns { name: 'github', created: true }
+ */
+export function putSecret(file, password, entryName, value, options = {}) {
+  const { overwrite = true } = options;
+
+  validateName(entryName);
+  if (typeof value !== 'string') {
+    throw new TypeError('Secret value must be a string');
+  }
+
+  const store = loadStore(file);
+  authenticate(file, store, password);
+
+  const existing = store.entries[entryName];
+  if (existing && !overwrite) {
+    throw new SecretStoreError(`A secret named "${entryName}" already exists`);
+  }
+
+  const envelope = encrypt(value, password, {
+    ...store.encryption,
+    associatedData: entryContext(entryName),
+  });
+  const now = new Date().toISOString();
+  store.entries[entryName] = {
+    envelope: JSON.parse(envelope),
+    created: existing ? existing.created : now,
+    updated: now,
+  };
+  saveStore(file, store);
+
+  return { name: entryName, created: !existing };
+}
+
+/**
+ * Decrypts the secret stored under a name
+ *
+ * @param {string} file - Store path
+ * @param {string} password - Master password
+ * @param {string} entryName - Entry name
+ * @returns {string} The secret
+ * @throws {WrongMasterPasswordError|StoreLockedError} If the password is rejected
+ * @throws {EntryNotFoundError} If there is no such entry
+ * @throws {TamperedDataError} If the entry was modified in the file
+ *
+ * @example
+ * getSecret('secrets.json', 'correct horse battery staple', 'github')
+ * // Returns 'ghp_abc123'
+ */
+export function getSecret(file, password, entryName) {
+  validateName(entryName);
+
+  const store = loadStore(file);
+  authenticate(file, store, password);
+
+  const entry = store.entries[entryName];
+  if (!entry) {
+    throw new EntryNotFoundError(entryName);
+  }
+  return decrypt(entry.envelope, password, { associatedData: entryContext(entryName) });
+}
+
+/**
+ * Lists the entries of a store (names and timestamps only, no password needed)
+ *
+ * @param {string} file - Store path
+ * @returns {Array<object>} {name, created, updated} for each entry, sorted by name
+ *
+ * @example
+ * listSecrets('secrets.json')
+ * // Returns [{ name: 'github', created: '2024-...', updated: '2024-...' }]
+ */
+export function listSecrets(file) {
+  const { entries } = loadStore(file);
+  return Object.keys(entries)
+    .sort()
+    .map((entryName) => ({
+      name: entryName,
+      created: entries[entryName].created,
+      updated: entries[entryName].updated,
+    }));
+}
+
+/**
+ * Deletes an entry
+ *
+ * @param {string} file - Store path
+ * @param {string} password - Master password
+ * @param {string} entryName - Entry name
+ * @returns {boolean} True once the entry is removed
+ * @throws {WrongMasterPasswordError|StoreLockedError} If the password is rejected
+ * @throws {EntryNotFoundError} If there is no such entry
+ *
+ * @example
+ * removeSecret('secrets.json', 'correct horse battery staple', 'github')
+ * // Returns true
+ */
+export function removeSecret(file, password, entryName) {
+  validateName(entryName);
+
+  const store = loadStore(file);
+  authenticate(file, store, password);
+
+  if (!store.entries[entryName]) {
+    throw new EntryNotFoundError(entryName);
+  }
+  delete store.entries[entryName];
+  saveStore(file, store);
+  return true;
+}
+
+/**
+ * Changes the master password and/or encryption settings of a store,
+ * re-encrypting every entry in a single transaction
+ *
+ * @param {string} file - Store path
+ * @param {string} password - Current master password
+ * @param {object} [options] - New settings (each defaults to the current one)
+ * @param {string} [options.newPassword] - New master password
+ * @param {number} [options.cost] - New scrypt cost for the master hash and entries
+ * @param {string} [options.cipher] - New cipher for entries
+ * @param {string} [options.kdf] - New key derivation for entries ('scrypt' or 'pbkdf2')
+ * @param {number} [options.iterations] - New PBKDF2 iterations when kdf is 'pbkdf2'
+ * @returns {object} {entries, encryption} number of re-encrypted entries and the new settings
+ * @throws {WrongMasterPasswordError|StoreLockedError} If the password is rejected
+ * @throws {TamperedDataError} If an existing entry cannot be decrypted (nothing is changed)
+ * @throws {RekeyError} If the re-encrypted store fails verification (nothing is changed)
+ *
+ * @example
+ * rekeyStore('secrets.json', 'old password', { newPassword: 'new password', cost: 16 })
+ * // Returns { entries: 3, encryption: { cipher: 'aes-256-gcm', kdf: 'scrypt', cost: 16 } }
+ */
+export function rekeyStore(file, password, options = {}) {
+  const store = loadStore(file);
+  authenticate(file, store, password);
+
+  const current = store.encryption;
+  const masterCost = parsePhc(store.master).params.ln;
+  const {
+    newPassword = password,
+    cost = current.cost || masterCost,
+    cipher = current.cipher,
+    kdf = current.kdf,
+    iterations = current.iterations || 100000,
+  } = options;
+
+  if (typeof newPassword !== 'string' || newPassword.length === 0) {
+    throw new TypeError('New master password must be a non-empty string');
+  }
+
+  // Decrypt everything up front: a damaged entry aborts before anything is written
+  const names = Object.keys(store.entries);
+  const values = names.map((entryName) => decrypt(
+    store.entries[entryName].envelope,
+    password,
+    { associatedData: entryContext(entryName) },
+  ));
+
+  const encryption = kdf === 'pbkdf2' ? { cipher, kdf, iterations } : { cipher, kdf, cost };
+  let rekeyed;
+  try {
+    const master = hashPasswordScrypt(newPassword, null, cost);
+    rekeyed = {
+      ...store,
+      master: master.phc,
+      encryption,
+      lockout: { ...store.lockout, failures: 0, lockedUntil: null },
+      entries: {},
+    };
+    names.forEach((entryName, index) => {
+      const envelope = encrypt(values[index], newPassword, {
+        ...encryption,
+        associatedData: entryContext(entryName),
+      });
+      rekeyed.entries[entryName] = {
+        ...store.entries[entryName],
+        envelope: JSON.parse(envelope),
+      };
+    });
+  } catch (error) {
+    throw new RekeyError(error.message);
+  }
+
+  // Read the new file back and decrypt it in full before it replaces the store
+  const verify = (temporary) => {
+    try {
+      const written = loadStore(temporary);
+      if (!verifyPassword(newPassword, written.master)) {
+        throw new Error('the new master hash does not verify');
+      }
+      names.forEach((entryName, index) => {
+        const value = decrypt(written.entries[entryName].envelope, newPassword, {
+          associatedData: entryContext(entryName),
+        });
+        if (value !== values[index]) {
+          throw new Error(`entry "${entryName}" did not survive re-encryption`);
+        }
+      });
+    } catch (error) {
+      throw new RekeyError(error.message);
+    }
+  };
+  saveStore(file, rekeyed, verify);
+
+  return { entries: names.length, encryption };
+}
@@ -462,6 +462,30 @@ export function deinterleaveCharacters(text, separator = ' ') {
   return text.replace(regex, '');
 }
 
+// Latin letters and the Cyrillic characters that look like them
+const HOMOGLYPH_MAP = {
+  A: 'А', // Cyrillic A
+  B: 'В', // Cyrillic B
+  C: 'С', // Cyrillic C
+  E: 'Е', // Cyrillic E
+  H: 'Н', // Cyrillic H
+  K: 'К', // Cyrillic K
+  M: 'М', // Cyrillic M
+  N: 'N', // Latin N (no change but for reference)
+  O: 'О', // Cyrillic O
+  P: 'Р', // Cyrillic R
+  T: 'Т', // Cyrillic T
+  X: 'Х', // Cyrillic H
+  Y: 'У', // Cyrillic Y
+  a: 'а', // Cyrillic a
+  c: 'с', // Cyrillic c
+  e: 'е', // Cyrillic e
+  h: 'һ', // Cyrillic h
+  o: 'о', // Cyrillic o
+  p: 'р', // Cyrillic p
+  x: 'х', // Cyrillic x
+};
+
 /**
  * Converts text to a confusable homoglyph variant
  * Replaces characters with visually similar Unicode characters
@@ -479,30 +503,34 @@ export function toHomoglyph(text) {
     throw new TypeError('Text must be a string');
   }
 
-  const homoglyphMap = {
-    A: 'А', // Cyrillic A
-    B: 'В', // Cyrillic B
-    C: 'С', // Cyrillic C
-    E: 'Е', // Cyrillic E
-    H: 'Н', // Cyrillic H
-    K: 'К', // Cyrillic K
-    M: 'М', // Cyrillic M
-    N: 'N', // Latin N (no change but for reference)
-    O: 'О', // Cyrillic O
-    P: 'Р', // Cyrillic R
-    T: 'Т', // Cyrillic T
-    X: 'Х', // Cyrillic H
-    Y: 'У', // Cyrillic Y
-    a: 'а', // Cyrillic a
-    c: 'с', // Cyrillic c
-    e: 'е', // Cyrillic e
-    h: 'һ', // Cyrillic h
-    o: 'о', // Cyrillic o
-    p: 'р', // Cyrillic p
-    x: 'х', // Cyrillic x
-  };
+  return text.split('').map((char) => HOMOGLYPH_MAP[char] || char).join('');
+}
+
+/**
+ * Converts homoglyph text back to plain Latin letters
+ * Only the Cyrillic look-alikes produced by toHomoglyph are replaced
+ *
+ * @param {string} text - The homoglyph text
+ * @returns {string} The text with Latin letters restored
+ * @throws {Error} If text is not a string
+ *
+ * @example
+ * fromHomoglyph(toHomoglyph('Hello'))
+ * // Returns 'Hello'
+ */
+export function fromHomoglyph(text) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
 
-  return text.split('').map((char) => homoglyphMap[char] || char).join('');
+  const reverseMap = {};
+  Object.entries(HOMOGLYPH_MAP).forEach(([latin, glyph]) => {
+    if (glyph !== latin) {
+      reverseMap[glyph] = latin;
+    }
+  });
+
+  return text.split('').map((char) => reverseMap[char] || char).join('');
 }
 
 /**
@@ -0,0 +1,262 @@
+/**
+ * Transform Pipeline
+ * Chains registered transforms (caesar → vigenere → base64 → morse, ...) with
+ * per-step parameters, serialises the chain as a JSON recipe, and runs the
+ * recipe backwards to recover the original text when every step is invertible
+ *
+ * A recipe has the shape:
+ * { version: 1, steps: [{ transform: 'caesar', params: { shift: 5 } }, ...] }
+ *
+ * @module transformPipeline
+ */
+
+import { getTransform, hasTransform, resolveParams } from './cipherRegistry.js';
+
+export const RECIPE_VERSION = 1;
+
+export class PipelineError extends Error {
+  constructor(message = 'Pipeline Error') {
+    super(message);
+    this.name = 'PipelineError';
+  }
+}
+
+export class IrreversiblePipelineError extends PipelineError {
+  constructor(stepIndex, transformId) {
+    super(`Pipeline cannot be reversed: step ${stepIndex + 1} (${transformId}) has no inverse`);
+    this.name = 'IrreversiblePipelineError';
+    this.stepIndex = stepIndex;
+    this.transform = transformId;
+  }
+}
+
+/**
+ * Normalises a single step into { transform, params } with resolved params
+ *
+ * @param {string|object} step - Transform id or { transform, params }
+ * @param {number} index - Position of the step (for error messages)
+ * @returns {object} Normalised step
+ * @throws {PipelineError} If the step is malformed or refers to an unknown transform
+ * @private
+ */
+function normalizeStep(step, index) {
+  const { transform, params = {} } = typeof step === 'string' ? { transform: step } : step || {};
+
+  if (typeof transform !== 'string') {
+    throw new PipelineError(`Step ${index + 1} must name a transform`);
+  }
+  if (!hasTransform(transform)) {
+    throw new PipelineError(`Step ${index + 1} uses unknown transform: ${transform}`);
+  }
+  if (typeof params !== 'object' || params === null || Array.isArray(params)) {
+    throw new PipelineError(`Step ${index + 1} params must be an object`);
+  }
+
+  try {
+    return { transform, params: resolveParams(transform, params) };
+  } catch (error) {
+    throw new PipelineError(`Step ${index + 1} (${transform}): ${error.message}`);
+  }
+}
+
+/**
+ * Builds a validated recipe from a list of steps
+ * Parameter defaults are filled in so the recipe is fully self-describing
+ *
+ * @param {Array<string|object>} steps - Transform ids or { transform, params } objects
+ * @returns {object} Recipe { version, steps }
+ * @throws {PipelineError} If any step is invalid
+ *
+ * @example
+ * createRecipe(['rot13', { transform: 'caesar', params: { shift: 5 } }])
+ * // Returns {
+ * //   version: 1,
+ * //   steps: [{ transform: 'rot13', params: {} }, { transform: 'caesar', params: { shift: 5 } }]
+ * // }
+ */
+export function createRecipe(steps) {
+  if (!Array.isArray(steps)) {
+    throw new TypeError('Steps must be an array');
+  }
+
+  return {
+    version: RECIPE_VERSION,
+    steps: steps.map((step, index) => normalizeStep(step, index)),
+  };
+}
+
+/**
+ * Accepts either a recipe object or a plain array of steps
+ *
+ * @param {object|Array} recipe - Recipe or steps
+ * @returns {object} Validated recipe
+ * @private
+ */
+function toRecipe(recipe) {
+  if (Array.isArray(recipe)) {
+    return createRecipe(recipe);
+  }
+  if (!recipe || typeof recipe !== 'object' || !Array.isArray(recipe.steps)) {
+    throw new PipelineError('Recipe must be an object with a steps array');
+  }
+  if (recipe.version !== undefined && recipe.version !== RECIPE_VERSION) {
+    throw new PipelineError(`Unsupported recipe version: ${recipe.version}`);
+  }
+  return createRecipe(recipe.steps);
+}
+
+/**
+ * Runs one step and attributes any failure to that step
+ *
+ * @param {object} step - Normalised step
+ * @param {number} index - Step position
+ * @param {string} text - Input text
+ * @param {string} direction - 'forward' or 'inverse'
+ * @returns {string} Step output
+ * @throws {PipelineError} If the transform throws
+ * @private
+ */
+function runStep(step, index, text, direction) {
+  const transform = getTransform(step.transform);
+  try {
+    return transform[direction](text, step.params);
+  } catch (error) {
+    const wrapped = new PipelineError(
+      `Step ${index + 1} (${step.transform}) failed: ${error.message}`,
+    );
+    wrapped.stepIndex = index;
+    wrapped.transform = step.transform;
+    wrapped.cause = error;
+    throw wrapped;
+  }
+}
+
+/**
+ * Runs text forward through every step of a recipe
+ *
+ * @param {string} text - Input text
+ * @param {object|Array} recipe - Recipe or array of steps
+ * @returns {string} Output of the last step
+ * @throws {PipelineError} If the recipe is invalid or a step fails
+ *
+ * @example
+ * runPipeline('HELLO', ['rot13', { transform: 'caesar', params: { shift: 1 } }])
+ * // Returns 'VSZZC'
+ */
+export function runPipeline(text, recipe) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+
+  return toRecipe(recipe).steps.reduce(
+    (current, step, index) => runStep(step, index, current, 'forward'),
+    text,
+  );
+}
+
+/**
+ * Reports whether a recipe can be run in reverse
+ *
+ * @param {object|Array} recipe - Recipe or array of steps
+ * @returns {object} { reversible, lossless, blockingStep, lossySteps }
+ * blockingStep is { index, transform } for the first step without an inverse, or null
+ *
+ * @example
+ * checkReversibility(['caesar', 'homoglyph'])
+ * // Returns {
+ * //   reversible: false,
+ * //   lossless: false,
+ * //   blockingStep: { index: 1, transform: 'homoglyph' },
+ * //   lossySteps: [1]
+ * // }
+ */
+export function checkReversibility(recipe) {
+  const { steps } = toRecipe(recipe);
+
+  const blockingIndex = steps.findIndex((step) => !getTransform(step.transform).reversible);
+  const lossySteps = steps
+    .map((step, index) => (getTransform(step.transform).lossless ? null : index))
+    .filter((index) => index !== null);
+
+  return {
+    reversible: blockingIndex === -1,
+    lossless: lossySteps.length === 0,
+    blockingStep: blockingIndex === -1
+      ? null
+      : { index: blockingIndex, transform: steps[blockingIndex].transform },
+    lossySteps,
+  };
+}
+
+/**
+ * Runs text backwards through a recipe, applying each inverse in reverse order
+ *
+ * @param {string} text - Output of runPipeline
+ * @param {object|Array} recipe - The recipe that produced the text
+ * @returns {string} Recovered input text
+ * @throws {IrreversiblePipelineError} If any step has no inverse
+ * @throws {PipelineError} If the recipe is invalid or a step fails
+ *
+ * @example
+ * const recipe = createRecipe(['rot13', 'base64']);
+ * reversePipeline(runPipeline('HELLO', recipe), recipe)
+ * // Returns 'HELLO'
+ */
+export function reversePipeline(text, recipe) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Text must be a string');
+  }
+
+  const validRecipe = toRecipe(recipe);
+  const { blockingStep } = checkReversibility(validRecipe);
+  if (blockingStep) {
+    throw new IrreversiblePipelineError(blockingStep.index, blockingStep.transform);
+  }
+
+  const { steps } = validRecipe;
+  let result = text;
+  for (let index = steps.length - 1; index >= 0; index -= 1) {
+    result = runStep(steps[index], index, result, 'inverse');
+  }
+  return result;
+}
+
+/**
+ * Serialises a recipe to a JSON string
+ *
+ * @param {object|Array} recipe - Recipe or array of steps
+ * @returns {string} JSON recipe
+ *
+ * @example
+ * serializeRecipe(['rot13'])
+ * // Returns '{"version":1,"steps":[{"transform":"rot13","params":{}}]}'
+ */
+export function serializeRecipe(recipe) {
+  return JSON.stringify(toRecipe(recipe));
+}
+
+/**
+ * Parses and validates a JSON recipe
+ *
+ * @param {string} json - JSON recipe
+ * @returns {object} Validated recipe
+ * @throws {PipelineError} If the JSON is malformed or the recipe is invalid
+ *
+ * @example
+ * parseRecipe('{"version":1,"steps":[{"transform":"rot13"}]}')
+ * // Returns { version: 1, steps: [{ transform: 'rot13', params: {} }] }
+ */
+export function parseRecipe(json) {
+  if (typeof json !== 'string') {
+    throw new TypeError('Recipe JSON must be a string');
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(json);
+  } catch (error) {
+    throw new PipelineError(`Invalid recipe JSON: ${error.message}`);
+  }
+
+  return toRecipe(parsed);
+}
@@ -6,6 +6,15 @@
  * @module vigenereCipher
  */
 
+import crypto from 'crypto';
+
+import {
+  DEFAULT_LANGUAGE,
+  fitness,
+  indexOfCoincidence,
+  letterFrequencies,
+} from './languageModel.js';
+
 /**
  * Encrypts text using the Vigenère cipher
  * Each letter in the plaintext is shifted by the corresponding letter in the key
@@ -117,17 +126,19 @@ export function decrypt(ciphertext, key) {
 
 /**
  * Performs a brute force attack by trying common English words as keys
- * Returns potential plaintexts with their scores
+ * Returns potential plaintexts scored by languageModel fitness
  *
  * @param {string} ciphertext - The encrypted text
  * @param {Array<string>} [commonWords] - Optional list of common words to try
+ * @param {Object} [options] - Options
+ * @param {string} [options.language='en'] - Language of the plaintext
  * @returns {Array<{key: string, plaintext: string, score: number}>} Potential decryptions sorted by score
  *
  * @example
  * bruteForce('RIJVSUYVJN', ['KEY', 'SECRET', 'PASSWORD'])
- * // Returns [{key: 'KEY', plaintext: 'HELLOWORLD', score: 8}, ...]
+ * // Returns [{key: 'KEY', plaintext: 'HELLOWORLD', score: -61.3}, ...]
  */
-export function bruteForce(ciphertext, commonWords = []) {
+export function bruteForce(ciphertext, commonWords = [], { language = DEFAULT_LANGUAGE } = {}) {
   if (typeof ciphertext !== 'string' || ciphertext.length === 0) {
     throw new Error('Ciphertext cannot be empty');
   }
@@ -143,20 +154,18 @@ export function bruteForce(ciphertext, commonWords = []) {
   const wordsToTry = commonWords.length > 0 ? commonWords : defaultWords;
   const results = [];
 
-  for (const word of wordsToTry) {
+  wordsToTry.forEach((word) => {
     try {
       const plaintext = decrypt(ciphertext, word);
-      const score = calculateTextScore(plaintext);
-
       results.push({
         key: word,
         plaintext,
-        score
+        score: fitness(plaintext, { language }),
       });
     } catch (e) {
       // Ignore words that cause errors
     }
-  }
+  });
 
   // Sort by score (highest first)
   results.sort((a, b) => b.score - a.score);
@@ -165,30 +174,31 @@ export function bruteForce(ciphertext, commonWords = []) {
 }
 
 /**
- * Calculates a simple English text score based on common letter frequencies
- * Higher score indicates more likely to be English text
+ * Finds the distances between repeated letter sequences (Kasiski examination)
  *
- * @param {string} text - The text to analyze
- * @returns {number} A score based on letter frequency
+ * @param {string} letters - Uppercase letters only
+ * @param {number} sequenceLength - Length of sequences to look for
+ * @returns {Array<number>} Distances between consecutive repetitions
  * @private
  */
-function calculateTextScore(text) {
-  const englishFrequency = {
-    E: 11, T: 9, A: 8, O: 7.5, I: 7, N: 6.7, S: 6.3, H: 6.1, R: 6,
-    D: 4.3, L: 4, C: 2.8, U: 2.8, M: 2.4, W: 2.4, F: 2.2, G: 2,
-    Y: 2, P: 1.9, B: 1.5, V: 0.98, K: 0.77, J: 0.15, X: 0.15, Q: 0.1, Z: 0.07
-  };
-
-  let score = 0;
-  const textUpper = text.toUpperCase();
-
-  for (const char of textUpper) {
-    if (/[A-Z]/.test(char)) {
-      score += englishFrequency[char] || 0;
+function kasiskiDistances(letters, sequenceLength) {
+  const positions = new Map();
+  for (let i = 0; i <= letters.length - sequenceLength; i += 1) {
+    const sequence = letters.substring(i, i + sequenceLength);
+    if (positions.has(sequence)) {
+      positions.get(sequence).push(i);
+    } else {
+      positions.set(sequence, [i]);
     }
   }
 
-  return score;
+  const distances = [];
+  positions.forEach((starts) => {
+    for (let i = 0; i < starts.length - 1; i += 1) {
+      distances.push(starts[i + 1] - starts[i]);
+    }
+  });
+  return distances;
 }
 
 /**
@@ -208,28 +218,8 @@ export function analyze(ciphertext, sequenceLength = 3) {
     throw new Error('Ciphertext too short for analysis');
   }
 
-  const sequences = new Map();
   const cipherUpper = ciphertext.toUpperCase().replace(/[^A-Z]/g, '');
-
-  // Find repeated sequences
-  for (let i = 0; i <= cipherUpper.length - sequenceLength; i += 1) {
-    const sequence = cipherUpper.substring(i, i + sequenceLength);
-    if (sequences.has(sequence)) {
-      sequences.get(sequence).push(i);
-    } else {
-      sequences.set(sequence, [i]);
-    }
-  }
-
-  // Calculate distances between repetitions
-  const distances = [];
-  for (const [, positions] of sequences) {
-    if (positions.length > 1) {
-      for (let i = 0; i < positions.length - 1; i += 1) {
-        distances.push(positions[i + 1] - positions[i]);
-      }
-    }
-  }
+  const distances = kasiskiDistances(cipherUpper, sequenceLength);
 
   // Find common factors (likely key lengths)
   const factors = new Map();
@@ -274,6 +264,241 @@ function getDivisors(num) {
   return divisors.sort((a, b) => a - b);
 }
 
+// Index of coincidence of uniformly random letters
+const RANDOM_IOC = 1 / 26;
+
+// Ciphertext letters per key letter needed for a reliable column attack
+const LETTERS_PER_KEY_LETTER = 20;
+
+// Fewest ciphertext letters crack will analyze
+export const MIN_CRACK_LETTERS = 12;
+
+/**
+ * Chi-squared distance between a column's letter counts and expected frequencies
+ *
+ * @param {string} letters - Uppercase letters only
+ * @param {number} shift - Shift to undo before counting
+ * @param {Array<number>} frequencies - Expected A-Z frequencies (summing to 1)
+ * @returns {number} Chi-squared statistic (lower is closer)
+ * @private
+ */
+function columnChiSquared(letters, shift, frequencies) {
+  const counts = new Array(26).fill(0);
+  for (let i = 0; i < letters.length; i += 1) {
+    counts[(letters.charCodeAt(i) - 65 - shift + 26) % 26] += 1;
+  }
+  return frequencies.reduce((sum, frequency, index) => {
+    const expected = Math.max(frequency, 1e-4) * letters.length;
+    return sum + ((counts[index] - expected) ** 2) / expected;
+  }, 0);
+}
+
+/**
+ * Splits letters into key-length columns (every length-th letter)
+ *
+ * @param {string} letters - Uppercase letters only
+ * @param {number} length - Key length
+ * @returns {Array<string>} One string per key position
+ * @private
+ */
+function splitColumns(letters, length) {
+  const columns = new Array(length).fill('');
+  for (let i = 0; i < letters.length; i += 1) {
+    columns[i % length] += letters[i];
+  }
+  return columns;
+}
+
+/**
+ * Shortens a key that is a repetition of a shorter key ('ABAB' -> 'AB')
+ *
+ * @param {string} key - Recovered key
+ * @returns {string} Shortest key with the same effect
+ * @private
+ */
+function reduceKey(key) {
+  for (let length = 1; length < key.length; length += 1) {
+    if (key.length % length === 0 && key.slice(0, length).repeat(key.length / length) === key) {
+      return key.slice(0, length);
+    }
+  }
+  return key;
+}
+
+/**
+ * Improves a key letter by letter against whole-text language fitness
+ * Columns of short ciphertexts are too small for chi-squared alone, but letter
+ * pairs span neighbouring columns and usually settle the remaining letters
+ *
+ * @param {string} ciphertext - The encrypted text
+ * @param {string} initialKey - Key found by per-column chi-squared
+ * @param {string} language - Language code of the plaintext
+ * @returns {string} Refined key
+ * @private
+ */
+function refineKey(ciphertext, initialKey, language) {
+  const key = initialKey.split('');
+  let bestScore = fitness(decrypt(ciphertext, initialKey), { language });
+  let improved = true;
+
+  for (let pass = 0; improved && pass < 3; pass += 1) {
+    improved = false;
+    for (let position = 0; position < key.length; position += 1) {
+      for (let shift = 0; shift < 26; shift += 1) {
+        const trial = [...key];
+        trial[position] = String.fromCharCode(65 + shift);
+        const score = fitness(decrypt(ciphertext, trial.join('')), { language });
+        if (score > bestScore) {
+          bestScore = score;
+          key[position] = trial[position];
+          improved = true;
+        }
+      }
+    }
+  }
+
+  return key.join('');
+}
+
+/**
+ * Ranks key lengths using the index of coincidence, Kasiski examination and the
+ * Friedman test
+ * The IoC score measures how close the average column IoC is to the language (0..1);
+ * the Kasiski score is the share of repeated-sequence distances divisible by the length;
+ * the Friedman score is how close the length is to the Friedman estimate (0..1), which
+ * sets the true length apart from its multiples
+ *
+ * @param {string} letters - Uppercase letters only
+ * @param {number} maxKeyLength - Longest key length to consider
+ * @param {number} languageIoc - Index of coincidence of the plaintext language
+ * @param {number|null} friedmanEstimate - Key length estimated by the Friedman test
+ * @returns {Array<{length: number, ioc: number, kasiski: number, friedman: number,
+ * score: number}>} Ranked lengths
+ * @private
+ */
+function rankKeyLengths(letters, maxKeyLength, languageIoc, friedmanEstimate) {
+  const distances = kasiskiDistances(letters, 3);
+  const ranked = [];
+
+  for (let length = 1; length <= maxKeyLength; length += 1) {
+    const columns = splitColumns(letters, length);
+    const ioc = columns.reduce((sum, column) => sum + indexOfCoincidence(column), 0) / length;
+    const iocScore = Math.min(Math.max((ioc - RANDOM_IOC) / (languageIoc - RANDOM_IOC), 0), 1);
+    const kasiski = distances.length === 0
+      ? 0
+      : distances.filter((distance) => distance % length === 0).length / distances.length;
+    // The estimate is rough, so it only weighs in against lengths far from it
+    const friedman = friedmanEstimate === null
+      ? 0
+      : Math.max(0, 1 - Math.abs(length - friedmanEstimate) / friedmanEstimate);
+
+    ranked.push({
+      length,
+      ioc,
+      kasiski,
+      friedman,
+      // Multiples of the true length score just as well, so shorter lengths win ties
+      score: iocScore + kasiski / 2 + friedman / 4 - length / 100,
+    });
+  }
+
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Recovers the key and plaintext of a Vigenère ciphertext without a dictionary
+ *
+ * The key length is estimated from the index of coincidence of each candidate
+ * length's columns, from Kasiski examination and from the Friedman test, which
+ * favours the true length over its multiples. For the most promising lengths
+ * every column is solved as a Caesar cipher by chi-squared, and the resulting
+ * plaintexts are compared by languageModel fitness. Confidence is relative to
+ * the other candidates tried and is scaled down when there are fewer than
+ * about 20 ciphertext letters per key letter, where the attack is unreliable.
+ *
+ * @param {string} ciphertext - The encrypted text
+ * @param {Object} [options] - Options
+ * @param {number} [options.maxKeyLength=20] - Longest key length to consider
+ * @param {number} [options.candidates=5] - How many key lengths to solve
+ * @param {string} [options.language='en'] - Language of the plaintext
+ * @returns {Object} { key, keyLength, plaintext, confidence, friedmanEstimate, keyLengths,
+ * candidates } where keyLengths are the solved lengths with their IoC, Kasiski and
+ * Friedman scores and candidates are the distinct decryptions ranked best first
+ * @throws {TypeError} If ciphertext is not a string
+ * @throws {Error} If the ciphertext has fewer than MIN_CRACK_LETTERS letters
+ * @throws {UnknownLanguageError} If the language is unknown
+ *
+ * @example
+ * crack(encrypt(longEnglishText, 'QUOKKA'))
+ * // Returns { key: 'QUOKKA', keyLength: 6, plaintext: longEnglishText, confidence: 0.99, ... }
+ */
+export function crack(ciphertext, options = {}) {
+  const { maxKeyLength = 20, candidates = 5, language = DEFAULT_LANGUAGE } = options;
+  if (typeof ciphertext !== 'string') {
+    throw new TypeError('Ciphertext must be a string');
+  }
+
+  const letters = ciphertext.toUpperCase().replace(/[^A-Z]/g, '');
+  if (letters.length < MIN_CRACK_LETTERS) {
+    throw new Error(
+      `Ciphertext has ${letters.length} letters; at least ${MIN_CRACK_LETTERS} are needed`,
+    );
+  }
+
+  const { frequencies, ioc: languageIoc } = letterFrequencies(language);
+  const overallIoc = indexOfCoincidence(letters);
+  const friedmanEstimate = overallIoc > RANDOM_IOC
+    ? (languageIoc - RANDOM_IOC) / (overallIoc - RANDOM_IOC)
+    : null;
+  const longest = Math.max(1, Math.min(maxKeyLength, Math.floor(letters.length / 2)));
+  const keyLengths = rankKeyLengths(letters, longest, languageIoc, friedmanEstimate);
+
+  // Solve the top-ranked lengths, dropping duplicates (multiples of a shorter key)
+  const solved = new Map();
+  keyLengths.slice(0, candidates).forEach(({ length }) => {
+    const columnKey = splitColumns(letters, length).map((column) => {
+      let bestShift = 0;
+      for (let shift = 1; shift < 26; shift += 1) {
+        if (columnChiSquared(column, shift, frequencies)
+          < columnChiSquared(column, bestShift, frequencies)) {
+          bestShift = shift;
+        }
+      }
+      return String.fromCharCode(65 + bestShift);
+    }).join('');
+    const key = reduceKey(refineKey(ciphertext, columnKey, language));
+
+    if (!solved.has(key)) {
+      const plaintext = decrypt(ciphertext, key);
+      // Each key letter costs ln(26) nats to describe, so longer keys must earn their fit
+      const score = fitness(plaintext, { language }) - key.length * Math.log(26);
+      solved.set(key, { key, plaintext, score });
+    }
+  });
+
+  const ranked = Array.from(solved.values())
+    .sort((a, b) => b.score - a.score || a.key.length - b.key.length);
+
+  // Softmax over scores, shifted by the maximum for numerical stability
+  const weights = ranked.map((candidate) => Math.exp(candidate.score - ranked[0].score));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  ranked.forEach((candidate, index) => {
+    // Below ~20 letters per key letter the columns are too short to trust
+    const coverage = Math.min(1, letters.length / (candidate.key.length * LETTERS_PER_KEY_LETTER));
+    candidate.confidence = (weights[index] / total) * coverage;
+  });
+
+  return {
+    key: ranked[0].key,
+    keyLength: ranked[0].key.length,
+    plaintext: ranked[0].plaintext,
+    confidence: ranked[0].confidence,
+    friedmanEstimate,
+    keyLengths: keyLengths.slice(0, candidates),
+    candidates: ranked,
+  };
+}
+
 /**
  * Checks if the given plaintext-ciphertext pair uses a valid Vigenère cipher
  * by verifying consistency of the encryption process
@@ -299,6 +524,7 @@ export function verify(plaintext, ciphertext, key) {
 
 /**
  * Generates a random key of specified length
+ * Letters come from a cryptographically secure random number generator
  *
  * @param {number} [length=8] - The length of the key to generate
  * @returns {string} A random alphabetic key
@@ -315,7 +541,7 @@ export function generateKey(length = 8) {
   let key = '';
 
   for (let i = 0; i < length; i += 1) {
-    key += chars.charAt(Math.floor(Math.random() * chars.length));
+    key += chars.charAt(crypto.randomInt(chars.length));
   }
 
   return key;
@@ -0,0 +1,93 @@
+/**
+ * Argon2 Tests
+ * Test suite for the pure JavaScript Argon2 and BLAKE2b implementations
+ */
+
+import crypto from 'crypto';
+
+import { argon2, blake2b, ARGON2_TYPES } from '../src/argon2.js';
+
+// RFC 9106 section 5 test vectors
+const RFC_OPTIONS = {
+  memoryCost: 32,
+  timeCost: 3,
+  parallelism: 4,
+  hashLength: 32,
+  secret: Buffer.alloc(8, 3),
+  associatedData: Buffer.alloc(12, 4),
+};
+const RFC_VECTORS = {
+  argon2d: '512b391b6f1162975371d30919734294f868e3be3984f3c1a13a4db9fabe4acb',
+  argon2i: 'c814d9d1dc7f37aa13f0d77f2494bda1c8de6b016dd388d29952a4c4672b6ce8',
+  argon2id: '0d640df58d78766c08c037a34a8b53c9d01ef0452d75b65eb52520e96b01e659',
+};
+
+describe('Argon2', () => {
+  describe('blake2b', () => {
+    it('should match the RFC 7693 vector for "abc"', () => {
+      expect(blake2b(Buffer.from('abc')).toString('hex')).toBe(
+        'ba80a53f981c4d0d6a2797b69f12f6e94c212f14685ac4b74b12bb6fdbffa2d1'
+        + '7d87c5392aab792dc252d5de4533cc9518d38aa8dbf1925ab92386edd4009923',
+      );
+    });
+
+    it('should match Node for inputs spanning several blocks', () => {
+      [0, 127, 128, 129, 300].forEach((length) => {
+        const input = Buffer.alloc(length, 7);
+        const expected = crypto.createHash('blake2b512').update(input).digest();
+        expect(blake2b(input).equals(expected)).toBe(true);
+      });
+    });
+
+    it('should support shorter digests', () => {
+      expect(blake2b(Buffer.from('abc'), 32).toString('hex'))
+        .toBe('bddd813c634239723171ef3fee98579b94964e3bb1cb3e427262c8c068d52319');
+    });
+
+    it('should reject invalid output lengths', () => {
+      expect(() => blake2b(Buffer.alloc(0), 0)).toThrow('output length');
+      expect(() => blake2b(Buffer.alloc(0), 65)).toThrow('output length');
+    });
+  });
+
+  describe('argon2', () => {
+    it.each(ARGON2_TYPES)('should match the RFC 9106 vector for %s', (type) => {
+      const hash = argon2(Buffer.alloc(32, 1), Buffer.alloc(16, 2), { ...RFC_OPTIONS, type });
+      expect(hash.toString('hex')).toBe(RFC_VECTORS[type]);
+    });
+
+    it('should match the reference vectors for version 0x10', () => {
+      const salt = Buffer.from('somesalt');
+      const options = {
+        type: 'argon2i',
+        memoryCost: 256,
+        timeCost: 2,
+        version: 0x10,
+      };
+      expect(argon2('password', salt, options).toString('hex'))
+        .toBe('fd4dd83d762c49bdeaf57c47bdcd0c2f1babf863fdeb490df63ede9975fccf06');
+      expect(argon2('password', salt, { ...options, parallelism: 2 }).toString('hex'))
+        .toBe('b6c11560a6a9d61eac706b79a2f97d68b4463aa3ad87e00c07e2b01e90c564fb');
+    });
+
+    it('should produce hashes longer than 64 bytes', () => {
+      const salt = Buffer.from('somesalt');
+      const long = argon2('password', salt, { memoryCost: 16, timeCost: 1, hashLength: 100 });
+      expect(long).toHaveLength(100);
+      const short = argon2('password', salt, { memoryCost: 16, timeCost: 1, hashLength: 64 });
+      expect(long.subarray(0, 64).equals(short)).toBe(false);
+    });
+
+    it('should reject invalid parameters', () => {
+      const salt = Buffer.from('somesalt');
+      expect(() => argon2('pw', salt, { type: 'argon2x' })).toThrow('type');
+      expect(() => argon2('pw', salt, { version: 0x12 })).toThrow('version');
+      expect(() => argon2('pw', salt, { parallelism: 0 })).toThrow('parallelism');
+      expect(() => argon2('pw', salt, { memoryCost: 15, parallelism: 2 })).toThrow('memory cost');
+      expect(() => argon2('pw', salt, { memoryCost: 2 ** 21 })).toThrow('memory cost');
+      expect(() => argon2('pw', salt, { memoryCost: 8, timeCost: 0 })).toThrow('time cost');
+      expect(() => argon2('pw', salt, { memoryCost: 8, hashLength: 3 })).toThrow('hash length');
+      expect(() => argon2('pw', Buffer.alloc(7), { memoryCost: 8 })).toThrow('salt');
+    });
+  });
+});
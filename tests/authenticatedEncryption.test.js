@@ -0,0 +1,165 @@
+/**
+ * Authenticated Encryption Tests
+ * Test suite for password-based AES-256-GCM / ChaCha20-Poly1305 envelopes
+ */
+
+import {
+  encrypt,
+  decrypt,
+  parseEnvelope,
+  CIPHERS,
+  ENVELOPE_VERSION,
+  EncryptionError,
+  InvalidEnvelopeError,
+  TamperedDataError,
+} from '../src/authenticatedEncryption.js';
+
+// Low scrypt cost keeps the suite fast; production callers use the default
+const FAST = { cost: 8 };
+
+/**
+ * Alters the first byte of a base64 envelope field
+ * @param {string} value - Base64 field
+ * @returns {string} Base64 with the first byte altered
+ */
+function alterFirstByte(value) {
+  const bytes = Buffer.from(value, 'base64');
+  bytes[0] = 255 - bytes[0];
+  return bytes.toString('base64');
+}
+
+describe('Authenticated Encryption', () => {
+  describe('encrypt / decrypt', () => {
+    it.each(CIPHERS)('should round-trip text with %s', (cipher) => {
+      const envelope = encrypt('Attack at dawn — ünïcödé ✓', 'hunter2', { ...FAST, cipher });
+      expect(decrypt(envelope, 'hunter2')).toBe('Attack at dawn — ünïcödé ✓');
+    });
+
+    it('should round-trip binary data', () => {
+      const data = Buffer.from([0, 255, 1, 254, 128]);
+      const envelope = encrypt(data, 'hunter2', FAST);
+      expect(decrypt(envelope, 'hunter2', { encoding: 'buffer' })).toEqual(data);
+      expect(decrypt(envelope, 'hunter2', { encoding: 'hex' })).toBe('00ff01fe80');
+    });
+
+    it('should accept Uint8Array input and empty plaintext', () => {
+      const envelope = encrypt(new Uint8Array([104, 105]), 'pw', FAST);
+      expect(decrypt(envelope, 'pw')).toBe('hi');
+      expect(decrypt(encrypt('', 'pw', FAST), 'pw')).toBe('');
+    });
+
+    it('should support PBKDF2 key derivation', () => {
+      const envelope = encrypt('secret', 'pw', { kdf: 'pbkdf2', iterations: 1000 });
+      expect(JSON.parse(envelope).kdf).toEqual({
+        algorithm: 'pbkdf2',
+        iterations: 1000,
+        salt: expect.any(String),
+      });
+      expect(decrypt(envelope, 'pw')).toBe('secret');
+    });
+
+    it('should produce a self-describing envelope', () => {
+      const envelope = JSON.parse(encrypt('secret', 'pw', FAST));
+      expect(envelope).toEqual({
+        version: ENVELOPE_VERSION,
+        cipher: 'aes-256-gcm',
+        kdf: { algorithm: 'scrypt', cost: 8, salt: expect.any(String) },
+        nonce: expect.any(String),
+        tag: expect.any(String),
+        ciphertext: expect.any(String),
+      });
+      expect(Buffer.from(envelope.nonce, 'base64')).toHaveLength(12);
+      expect(Buffer.from(envelope.tag, 'base64')).toHaveLength(16);
+    });
+
+    it('should use a fresh salt and nonce for every encryption', () => {
+      const first = JSON.parse(encrypt('secret', 'pw', FAST));
+      const second = JSON.parse(encrypt('secret', 'pw', FAST));
+      expect(first.kdf.salt).not.toBe(second.kdf.salt);
+      expect(first.nonce).not.toBe(second.nonce);
+      expect(first.ciphertext).not.toBe(second.ciphertext);
+    });
+
+    it('should accept an already parsed envelope', () => {
+      const envelope = JSON.parse(encrypt('secret', 'pw', FAST));
+      expect(decrypt(envelope, 'pw')).toBe('secret');
+    });
+
+    it('should bind associated data', () => {
+      const envelope = encrypt('secret', 'pw', { ...FAST, associatedData: 'entry:github' });
+      expect(decrypt(envelope, 'pw', { associatedData: 'entry:github' })).toBe('secret');
+      expect(() => decrypt(envelope, 'pw', { associatedData: 'entry:gitlab' }))
+        .toThrow(TamperedDataError);
+      expect(() => decrypt(envelope, 'pw')).toThrow(TamperedDataError);
+    });
+
+    it('should round-trip with a scrypt cost above the default', () => {
+      const envelope = encrypt('secret', 'pw', { cost: 16 });
+      expect(JSON.parse(envelope).kdf.cost).toBe(16);
+      expect(decrypt(envelope, 'pw')).toBe('secret');
+    });
+
+    it('should reject invalid arguments', () => {
+      expect(() => encrypt(42, 'pw')).toThrow(TypeError);
+      expect(() => encrypt('secret', '')).toThrow(TypeError);
+      expect(() => encrypt('secret', 'pw', { cipher: 'des' })).toThrow(EncryptionError);
+      expect(() => encrypt('secret', 'pw', { kdf: 'md5' })).toThrow(EncryptionError);
+      expect(() => encrypt('secret', 'pw', { cost: 2 })).toThrow(EncryptionError);
+      expect(() => decrypt('{}', 42)).toThrow(TypeError);
+    });
+  });
+
+  describe('tamper detection', () => {
+    const envelope = JSON.parse(encrypt('transfer $100 to alice', 'pw', FAST));
+
+    it('should reject a wrong password', () => {
+      expect(() => decrypt(envelope, 'wrong')).toThrow(TamperedDataError);
+    });
+
+    it.each(['ciphertext', 'tag', 'nonce'])('should reject a modified %s', (field) => {
+      const tampered = { ...envelope, [field]: alterFirstByte(envelope[field]) };
+      expect(() => decrypt(tampered, 'pw')).toThrow(TamperedDataError);
+    });
+
+    it('should reject modified key derivation parameters', () => {
+      const tampered = { ...envelope, kdf: { ...envelope.kdf, cost: 9 } };
+      expect(() => decrypt(tampered, 'pw')).toThrow(TamperedDataError);
+    });
+
+    it('should reject a swapped cipher', () => {
+      const tampered = { ...envelope, cipher: 'chacha20-poly1305' };
+      expect(() => decrypt(tampered, 'pw')).toThrow(TamperedDataError);
+    });
+
+    it('should report tampering as an EncryptionError', () => {
+      expect(() => decrypt(envelope, 'wrong')).toThrow(EncryptionError);
+      expect(() => decrypt(envelope, 'wrong')).toThrow('tampered');
+    });
+  });
+
+  describe('parseEnvelope', () => {
+    const envelope = JSON.parse(encrypt('secret', 'pw', FAST));
+
+    it('should return the validated fields', () => {
+      expect(parseEnvelope(JSON.stringify(envelope))).toEqual(envelope);
+    });
+
+    it('should reject malformed envelopes', () => {
+      expect(() => parseEnvelope('not json')).toThrow(InvalidEnvelopeError);
+      expect(() => parseEnvelope('[]')).toThrow(InvalidEnvelopeError);
+      expect(() => parseEnvelope({ ...envelope, version: 2 })).toThrow('version');
+      expect(() => parseEnvelope({ ...envelope, cipher: 'rc4' })).toThrow('cipher');
+      expect(() => parseEnvelope({ ...envelope, kdf: null })).toThrow('kdf');
+      expect(() => parseEnvelope({ ...envelope, nonce: 'AAAA' })).toThrow('12 bytes');
+      expect(() => parseEnvelope({ ...envelope, tag: undefined })).toThrow('tag');
+      expect(() => parseEnvelope({ ...envelope, ciphertext: '!!' })).toThrow('base64');
+    });
+
+    it('should bound key derivation cost taken from the envelope', () => {
+      const kdf = { algorithm: 'pbkdf2', iterations: 1e9, salt: envelope.kdf.salt };
+      expect(() => parseEnvelope({ ...envelope, kdf })).toThrow(InvalidEnvelopeError);
+      const scrypt = { ...envelope, kdf: { ...envelope.kdf, cost: 30 } };
+      expect(() => decrypt(scrypt, 'pw')).toThrow(InvalidEnvelopeError);
+    });
+  });
+});
@@ -1,4 +1,40 @@
-import { encode, decode, isBase64, analyze } from '../src/base64Encoder.js';
+import {
+  MIME_LINE_LENGTH,
+  encode,
+  decode,
+  encodeBytes,
+  decodeBytes,
+  createEncodeStream,
+  createDecodeStream,
+  isBase64,
+  analyze,
+  InvalidBase64Error,
+} from '../src/base64Encoder.js';
+
+// Writes the chunks to a stream and resolves with everything it produced
+function runStream(stream, chunks) {
+  return new Promise((resolve, reject) => {
+    const output = [];
+    stream.on('data', (chunk) => output.push(Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(output)));
+    stream.on('error', reject);
+    chunks.forEach((chunk) => stream.write(chunk));
+    stream.end();
+  });
+}
+
+// Returns the error fn throws, or null
+function caught(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+// Every byte value, in an order that is not a multiple of 3 long
+const BINARY = Buffer.from(Array.from({ length: 256 + 44 }, (_, index) => (index * 7) % 256));
 
 describe('Base64 Encoder', () => {
   describe('encode', () => {
@@ -54,11 +90,191 @@ describe('Base64 Encoder', () => {
     });
   });
 
+  describe('encodeBytes', () => {
+    it('should encode binary data', () => {
+      expect(encodeBytes(Buffer.from([0xff, 0x00, 0x10]))).toBe('/wAQ');
+      expect(encodeBytes(BINARY)).toBe(BINARY.toString('base64'));
+    });
+
+    it('should encode a Uint8Array view without its surrounding buffer', () => {
+      const view = new Uint8Array([1, 2, 0xff, 0xfe, 3]).subarray(2, 4);
+      expect(encodeBytes(view)).toBe('//4=');
+    });
+
+    it('should throw error for non-bytes', () => {
+      expect(() => encodeBytes('HELLO')).toThrow(TypeError);
+      expect(() => encodeBytes([1, 2, 3])).toThrow(TypeError);
+    });
+  });
+
+  describe('decodeBytes', () => {
+    it('should decode to the original bytes', () => {
+      expect(decodeBytes('/wAQ')).toEqual(Buffer.from([0xff, 0x00, 0x10]));
+      expect(decodeBytes(encodeBytes(BINARY)).equals(BINARY)).toBe(true);
+    });
+
+    it('should throw error for non-string', () => {
+      expect(() => decodeBytes(Buffer.from('/wAQ'))).toThrow(TypeError);
+    });
+  });
+
+  describe('createEncodeStream', () => {
+    it('should match encodeBytes for every chunk split', async () => {
+      const sizes = [1, 2, 3, 4, 5, 7, 64];
+      const outputs = await Promise.all(sizes.map((size) => {
+        const chunks = [];
+        for (let start = 0; start < BINARY.length; start += size) {
+          chunks.push(BINARY.subarray(start, start + size));
+        }
+        return runStream(createEncodeStream(), chunks);
+      }));
+      outputs.forEach((output) => {
+        expect(output.toString()).toBe(encodeBytes(BINARY));
+      });
+    });
+
+    it('should pad the final group', async () => {
+      expect((await runStream(createEncodeStream(), ['HE', 'L', 'LO'])).toString())
+        .toBe('SEVMTE8=');
+    });
+
+    it('should produce nothing for empty input', async () => {
+      expect((await runStream(createEncodeStream(), [])).length).toBe(0);
+    });
+  });
+
+  describe('createDecodeStream', () => {
+    it('should match decodeBytes for every chunk split', async () => {
+      const encoded = encodeBytes(BINARY);
+      const sizes = [1, 2, 3, 4, 5, 9, 76];
+      const outputs = await Promise.all(sizes.map((size) => runStream(
+        createDecodeStream(),
+        encoded.match(new RegExp(`.{1,${size}}`, 'g')),
+      )));
+      outputs.forEach((output) => {
+        expect(output.equals(BINARY)).toBe(true);
+      });
+    });
+
+    it('should skip line breaks in wrapped input', async () => {
+      const wrapped = `${encodeBytes(BINARY).match(/.{1,76}/g).join('\r\n')}\n`;
+      expect((await runStream(createDecodeStream(), [wrapped])).equals(BINARY)).toBe(true);
+    });
+
+    it('should decode unpadded and concatenated input', async () => {
+      expect((await runStream(createDecodeStream(), ['SEVMTE', '8'])).toString()).toBe('HELLO');
+      expect((await runStream(createDecodeStream(), ['QQ==QUI='])).toString()).toBe('AAB');
+    });
+  });
+
+  describe('options', () => {
+    it('should encode with the URL-safe alphabet, unpadded by default', () => {
+      expect(encode('<<???>>')).toBe('PDw/Pz8+Pg==');
+      expect(encode('<<???>>', { alphabet: 'url' })).toBe('PDw_Pz8-Pg');
+      expect(encode('<<???>>', { alphabet: 'url', padding: true })).toBe('PDw_Pz8-Pg==');
+      expect(encode('HELLO', { padding: false })).toBe('SEVMTE8');
+    });
+
+    it('should decode the URL-safe alphabet', () => {
+      expect(decode('PDw_Pz8-Pg', { alphabet: 'url' })).toBe('<<???>>');
+      expect(decodeBytes('_wAQ', { alphabet: 'url', strict: true }))
+        .toEqual(Buffer.from([0xff, 0x00, 0x10]));
+    });
+
+    it('should wrap lines at the MIME line length', () => {
+      const wrapped = encodeBytes(BINARY, { lineLength: MIME_LINE_LENGTH });
+      const lines = wrapped.split('\r\n');
+      expect(lines.slice(0, -1).every((line) => line.length === 76)).toBe(true);
+      expect(lines.join('')).toBe(encodeBytes(BINARY));
+      expect(decodeBytes(wrapped, { strict: true }).equals(BINARY)).toBe(true);
+    });
+
+    it('should wrap with a custom separator and leave short output alone', () => {
+      expect(encode('HELLO WORLD', { lineLength: 8, lineSeparator: '\n' }))
+        .toBe('SEVMTE8g\nV09STEQ=');
+      expect(encode('HELLO', { lineLength: 76 })).toBe('SEVMTE8=');
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => encode('HELLO', { alphabet: 'hex' })).toThrow('Alphabet must be one of');
+      expect(() => encode('HELLO', { padding: 'yes' })).toThrow(TypeError);
+      expect(() => encode('HELLO', { lineLength: -1 })).toThrow(TypeError);
+      expect(() => decode('SEVMTE8=', null)).toThrow(TypeError);
+    });
+  });
+
+  describe('strict decoding', () => {
+    it.each([
+      ['SEV!MTE8=', 3, 'Invalid character "!"'],
+      ['SEVM TE8=', 4, 'Invalid character " "'],
+      ['SEVMTE=8', 7, 'after padding'],
+      ['SEVMTE8==', 8, 'Unexpected padding'],
+      ['S===', 1, 'Unexpected padding'],
+      ['QQ=', 3, 'Missing padding'],
+      ['SEVMT', 4, 'Incomplete final group'],
+      ['QR==', 1, 'Non-zero trailing bits'],
+      ['PDw_Pz8-Pg==', 3, 'Invalid character "_"'],
+    ])('should reject %j at position %i', (text, position, message) => {
+      const error = caught(() => decode(text, { strict: true }));
+      expect(error).toBeInstanceOf(InvalidBase64Error);
+      expect(error.position).toBe(position);
+      expect(error.message).toContain(message);
+      expect(error.message).toContain(`position ${position}`);
+    });
+
+    it('should enforce or forbid padding on request', () => {
+      expect(decode('SEVMTE8', { strict: true })).toBe('HELLO');
+      expect(caught(() => decode('SEVMTE8', { strict: true, padding: true })).position).toBe(7);
+      expect(caught(() => decode('SEVMTE8=', { strict: true, padding: false })).position)
+        .toBe(7);
+    });
+
+    it('should still skip invalid characters without strict', () => {
+      expect(decode('SEV!MTE8=')).toBe('HELLO');
+    });
+
+    it('should report the input position from a stream', async () => {
+      const error = await runStream(createDecodeStream({ strict: true }), ['SEVM\n', 'TE8', '*'])
+        .catch((e) => e);
+      expect(error).toBeInstanceOf(InvalidBase64Error);
+      expect(error.position).toBe(8);
+      await expect(runStream(createDecodeStream({ strict: true }), ['SEVMT']))
+        .rejects.toThrow('Incomplete final group');
+    });
+  });
+
+  describe('streams with options', () => {
+    it('should wrap and translate across chunk boundaries', async () => {
+      const options = { alphabet: 'url', lineLength: MIME_LINE_LENGTH };
+      const chunks = [];
+      for (let start = 0; start < BINARY.length; start += 5) {
+        chunks.push(BINARY.subarray(start, start + 5));
+      }
+      const output = await runStream(createEncodeStream(options), chunks);
+      expect(output.toString()).toBe(encodeBytes(BINARY, options));
+    });
+
+    it('should decode its own wrapped URL-safe output strictly', async () => {
+      const options = { alphabet: 'url', lineLength: 10, strict: true };
+      const encoded = encodeBytes(BINARY, options);
+      const output = await runStream(createDecodeStream(options), encoded.match(/.{1,7}/gs));
+      expect(output.equals(BINARY)).toBe(true);
+    });
+  });
+
   describe('isBase64', () => {
     it('should return true for valid base64', () => {
       expect(isBase64('SEVMTE8=')).toBe(true);
     });
 
+    it('should accept unpadded input unless padding is required', () => {
+      expect(isBase64('SEVMTE8')).toBe(true);
+      expect(isBase64('SEVMTE8', { padding: true })).toBe(false);
+      expect(isBase64('PDw_Pz8-Pg', { alphabet: 'url' })).toBe(true);
+      expect(isBase64('PDw_Pz8-Pg')).toBe(false);
+      expect(isBase64('QR==')).toBe(false);
+    });
+
     it('should return false for invalid base64', () => {
       expect(isBase64('HELLO')).toBe(false);
     });
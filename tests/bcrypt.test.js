@@ -0,0 +1,95 @@
+/**
+ * bcrypt Tests
+ * Test suite for the pure JavaScript bcrypt implementation
+ */
+
+import {
+  hashBcrypt,
+  verifyBcrypt,
+  parseBcrypt,
+  BCRYPT_VERSIONS,
+} from '../src/bcrypt.js';
+
+// OpenWall crypt_blowfish test vectors
+const VECTORS = [
+  ['U*U', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'],
+  ['U*U*', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.VGOzA784oUp/Z0DY336zx7pLYAy0lwK'],
+  ['U*U*U', '$2a$05$XXXXXXXXXXXXXXXXXXXXXOAcXxm9kjPGEMsLznoKqmqw7tc8WCx4a'],
+  ['', '$2a$05$CCCCCCCCCCCCCCCCCCCCC.7uG0VCzI2bS7j6ymqJi9CdcdxiRTWNy'],
+  [
+    '0123456789abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
+      + 'chars after 72 are ignored',
+    '$2a$05$abcdefghijklmnopqrstuu5s2v8.iXieOjg/.AySBTTZIIVFJeBui',
+  ],
+];
+
+describe('bcrypt', () => {
+  describe('hashBcrypt', () => {
+    it.each(VECTORS)('should reproduce the reference hash of %j', (password, expected) => {
+      const { salt } = parseBcrypt(expected);
+      expect(hashBcrypt(password, { cost: 5, salt, version: '2a' })).toBe(expected);
+    });
+
+    it('should emit $2b$ with a two-digit cost by default', () => {
+      expect(hashBcrypt('password', { cost: 4 })).toMatch(/^\$2b\$04\$[./A-Za-z0-9]{53}$/);
+    });
+
+    it('should emit every supported version', () => {
+      BCRYPT_VERSIONS.forEach((version) => {
+        expect(hashBcrypt('password', { cost: 4, version }).startsWith(`$${version}$`)).toBe(true);
+      });
+    });
+
+    it('should ignore bytes after the 72nd', () => {
+      const salt = Buffer.alloc(16, 7);
+      const base = 'x'.repeat(72);
+      expect(hashBcrypt(`${base}a`, { cost: 4, salt }))
+        .toBe(hashBcrypt(`${base}b`, { cost: 4, salt }));
+    });
+
+    it('should hash multibyte characters as UTF-8', () => {
+      const salt = Buffer.alloc(16, 7);
+      expect(hashBcrypt('pässword', { cost: 4, salt }))
+        .not.toBe(hashBcrypt('password', { cost: 4, salt }));
+    });
+
+    it('should reject invalid options', () => {
+      expect(() => hashBcrypt(42)).toThrow(TypeError);
+      expect(() => hashBcrypt('pw', { cost: 3 })).toThrow('cost');
+      expect(() => hashBcrypt('pw', { cost: 4, salt: Buffer.alloc(8) })).toThrow('salt');
+      expect(() => hashBcrypt('pw', { cost: 4, version: '2x' })).toThrow('version');
+    });
+  });
+
+  describe('verifyBcrypt', () => {
+    it.each(VECTORS)('should verify the reference hash of %j', (password, hash) => {
+      expect(verifyBcrypt(password, hash)).toBe(true);
+      expect(verifyBcrypt(`${password}!`, hash)).toBe(password.length >= 72);
+    });
+
+    it('should treat $2b$ and $2y$ like $2a$', () => {
+      const [[password, hash]] = VECTORS;
+      expect(verifyBcrypt(password, hash.replace('$2a$', '$2b$'))).toBe(true);
+      expect(verifyBcrypt(password, hash.replace('$2a$', '$2y$'))).toBe(true);
+    });
+  });
+
+  describe('parseBcrypt', () => {
+    it('should split a bcrypt string into its parts', () => {
+      const parsed = parseBcrypt(VECTORS[0][1]);
+      expect(parsed.version).toBe('2a');
+      expect(parsed.cost).toBe(5);
+      expect(parsed.salt).toHaveLength(16);
+      expect(parsed.hash).toHaveLength(23);
+    });
+
+    it('should reject malformed strings', () => {
+      expect(() => parseBcrypt('$2x$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'))
+        .toThrow('Invalid bcrypt hash');
+      expect(() => parseBcrypt('$2a$05$short')).toThrow('Invalid bcrypt hash');
+      expect(() => parseBcrypt('$2a$32$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW'))
+        .toThrow('cost');
+      expect(() => parseBcrypt(null)).toThrow('Invalid bcrypt hash');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Breached Passwords Tests
+ * Test suite for offline lookups in a local Pwned Passwords corpus
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  BreachCorpusError,
+  PREFIX_LENGTH,
+  sha1Range,
+  parseRange,
+  loadBreachCorpus,
+  breachCount,
+  isBreached,
+} from '../src/breachedPasswords.js';
+
+const fixtures = new URL('./fixtures/', import.meta.url).pathname;
+const rangeDirectory = path.join(fixtures, 'pwned-passwords');
+const hashFile = path.join(fixtures, 'pwned-passwords.txt');
+
+describe('Breached Passwords', () => {
+  describe('sha1Range', () => {
+    it('should split the uppercase SHA-1 hash into prefix and suffix', () => {
+      expect(sha1Range('password')).toEqual({
+        hash: '5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8',
+        prefix: '5BAA6',
+        suffix: '1E4C9B93F3F0682250B6CF8331B7EE68FD8',
+      });
+      expect(sha1Range('').prefix).toHaveLength(PREFIX_LENGTH);
+    });
+
+    it('should hash passwords as UTF-8', () => {
+      expect(sha1Range('pässwörd').hash).toBe('F517DDF1D32A112FF1AD55C66D1B12CB38E7E8F7');
+    });
+
+    it('should throw TypeError for non-string input', () => {
+      expect(() => sha1Range(123)).toThrow(TypeError);
+    });
+  });
+
+  describe('parseRange', () => {
+    it('should parse SUFFIX:COUNT lines with CRLF endings', () => {
+      const counts = parseRange(
+        '1E4C9B93F3F0682250B6CF8331B7EE68FD8:9659365\r\n'
+        + '1e4c9b93f3f0682250b6cf8331b7ee68fd9:3\r\n',
+      );
+      expect(counts.get('1E4C9B93F3F0682250B6CF8331B7EE68FD8')).toBe(9659365);
+      expect(counts.get('1E4C9B93F3F0682250B6CF8331B7EE68FD9')).toBe(3);
+    });
+
+    it('should leave out padding entries', () => {
+      const counts = parseRange('1E4C9B93F3F0682250B6CF8331B7EE68FD8:0');
+      expect(counts.size).toBe(0);
+    });
+
+    it('should report the line of a malformed entry', () => {
+      expect(() => parseRange('1E4C9B93F3F0682250B6CF8331B7EE68FD8:1\nnot a hash'))
+        .toThrow(/line 2/);
+      expect(() => parseRange('5BAA61E4C9B93F3F0682250B6CF8331B7EE68FD8:1'))
+        .toThrow(BreachCorpusError);
+    });
+  });
+
+  describe('loadBreachCorpus', () => {
+    it('should detect the corpus layout', () => {
+      expect(loadBreachCorpus(rangeDirectory))
+        .toEqual({ path: rangeDirectory, layout: 'directory' });
+      expect(loadBreachCorpus(hashFile)).toEqual({ path: hashFile, layout: 'file' });
+    });
+
+    it('should throw BreachCorpusError for a missing corpus', () => {
+      expect(() => loadBreachCorpus(path.join(fixtures, 'missing'))).toThrow(BreachCorpusError);
+    });
+
+    it('should throw BreachCorpusError for a file that is not a hash list', () => {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-corpus-'));
+      const file = path.join(directory, 'words.txt');
+      fs.writeFileSync(file, 'password\n123456\n');
+      try {
+        expect(() => loadBreachCorpus(file)).toThrow(/HASH:COUNT/);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should throw TypeError for an empty path', () => {
+      expect(() => loadBreachCorpus('')).toThrow(TypeError);
+    });
+  });
+
+  describe.each([
+    ['range directory', rangeDirectory],
+    ['sorted hash file', hashFile],
+  ])('breachCount (%s)', (layout, corpus) => {
+    it('should return the breach count of listed passwords', () => {
+      expect(breachCount('password', corpus)).toBe(9659365);
+      expect(breachCount('123456', corpus)).toBe(209972844);
+      expect(breachCount('correct horse battery staple', corpus)).toBe(395);
+    });
+
+    it('should return 0 for passwords not in the corpus', () => {
+      expect(breachCount('this one was never leaked', corpus)).toBe(0);
+      expect(breachCount('', corpus)).toBe(0);
+    });
+
+    it('should accept a loaded corpus handle', () => {
+      expect(breachCount('qwerty', loadBreachCorpus(corpus))).toBe(21341177);
+    });
+  });
+
+  describe('breachCount', () => {
+    it('should read hash files with Unix line endings', () => {
+      const lines = fs.readFileSync(hashFile, 'utf8').trim().split('\r\n');
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'breach-corpus-'));
+      const file = path.join(directory, 'hashes.txt');
+      fs.writeFileSync(file, lines.join('\n'));
+      try {
+        expect(breachCount('password', file)).toBe(9659365);
+        expect(breachCount('Tr0ub4dour&3', file)).toBe(28);
+        expect(breachCount('this one was never leaked', file)).toBe(0);
+      } finally {
+        fs.rmSync(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('should throw BreachCorpusError for an invalid corpus handle', () => {
+      expect(() => breachCount('password', {})).toThrow(BreachCorpusError);
+    });
+  });
+
+  describe('isBreached', () => {
+    it('should report whether a password was breached', () => {
+      expect(isBreached('letmein', rangeDirectory)).toBe(true);
+      expect(isBreached('this one was never leaked', hashFile)).toBe(false);
+    });
+  });
+});
@@ -2,6 +2,7 @@ import {
   encrypt,
   decrypt,
   bruteForce,
+  crack,
   analyze,
   InvalidShiftError,
 } from '../src/caesarCipher.js';
@@ -85,6 +86,51 @@ describe('Caesar Cipher', () => {
     });
   });
 
+  describe('crack', () => {
+    it('should recover the shift of an English sentence', () => {
+      const result = crack('WKH TXLFN EURZQ IRA MXPSV RYHU WKH ODCB GRJ');
+      expect(result.shift).toBe(3);
+      expect(result.plaintext).toBe('THE QUICK BROWN FOX JUMPS OVER THE LAZY DOG');
+      expect(result.confidence).toBeGreaterThan(0.5);
+    });
+
+    it('should not be certain of short or ambiguous ciphertexts', () => {
+      expect(crack('KHOOR').confidence).toBeLessThan(1);
+      expect(crack('AB').confidence).toBeLessThan(0.5);
+      expect(crack('ZZZZ').confidence).toBeLessThan(0.5);
+    });
+
+    it('should crack short mixed-case text', () => {
+      expect(crack(encrypt('Attack at dawn', 11)).plaintext).toBe('Attack at dawn');
+      expect(crack('KHOOR').shift).toBe(3);
+    });
+
+    it('should rank all 25 candidates with confidences summing to 1', () => {
+      const { candidates } = crack('Lipps Asvph');
+      expect(candidates).toHaveLength(25);
+      expect(candidates[0].plaintext).toBe('Hello World');
+      expect(candidates[0].score).toBeGreaterThan(candidates[1].score);
+      const total = candidates.reduce((sum, candidate) => sum + candidate.confidence, 0);
+      expect(total).toBeCloseTo(1);
+    });
+
+    it('should report chi-squared and fitness scores', () => {
+      const [best] = crack('KHOOR').candidates;
+      expect(best.chiSquared).toBeGreaterThanOrEqual(0);
+      expect(best.score).toBeLessThan(0);
+    });
+
+    it('should crack other languages with their profile', () => {
+      const plaintext = 'El perro corre por el parque mientras los niños juegan con la pelota';
+      const ciphertext = encrypt(plaintext, 9);
+      expect(crack(ciphertext, { language: 'es' }).shift).toBe(9);
+    });
+
+    it('should throw for non-string input', () => {
+      expect(() => crack(42)).toThrow(TypeError);
+    });
+  });
+
   describe('analyze', () => {
     it('should analyze text properties', () => {
       const analysis = analyze('HELLO WORLD');
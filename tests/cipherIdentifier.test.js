@@ -0,0 +1,131 @@
+/**
+ * Cipher Identifier Tests
+ * Test suite for guessing which scheme produced a string
+ */
+
+import { identify, SCHEMES } from '../src/cipherIdentifier.js';
+import { encrypt as caesarEncrypt } from '../src/caesarCipher.js';
+import { encode as rot13Encode } from '../src/rot13.js';
+import { encrypt as vigenereEncrypt } from '../src/vigenereCipher.js';
+import { textToMorse } from '../src/morseCode.js';
+import { textToBraille } from '../src/brailleConverter.js';
+import { toLeetspeak, toHomoglyph } from '../src/textObfuscator.js';
+
+describe('Cipher Identifier', () => {
+  const message = 'Meet me at the old bridge after midnight';
+
+  const best = (text, options) => identify(text, options)[0];
+
+  describe('encodings', () => {
+    it('should identify Base64', () => {
+      const hypothesis = best(Buffer.from(message).toString('base64'));
+      expect(hypothesis.scheme).toBe('base64');
+      expect(hypothesis.decoded).toBe(message);
+      expect(hypothesis.confidence).toBeGreaterThan(0.9);
+    });
+
+    it('should identify unpadded Base64', () => {
+      const hypothesis = best('aGVsbG8');
+      expect(hypothesis.scheme).toBe('base64');
+      expect(hypothesis.decoded).toBe('hello');
+    });
+
+    it('should identify hex', () => {
+      const hypothesis = best(Buffer.from(message).toString('hex'));
+      expect(hypothesis.scheme).toBe('hex');
+      expect(hypothesis.decoded).toBe(message);
+    });
+
+    it('should identify Morse code', () => {
+      const hypothesis = best(textToMorse(message));
+      expect(hypothesis.scheme).toBe('morse');
+      expect(hypothesis.decoded).toBe(message.toUpperCase());
+    });
+
+    it('should identify Braille', () => {
+      const hypothesis = best(textToBraille('HELLO WORLD'));
+      expect(hypothesis.scheme).toBe('braille');
+      expect(hypothesis.decoded).toBe('HELLO WORLD');
+    });
+
+    it('should give low confidence to Base64 that decodes to binary', () => {
+      const base64 = identify('test').find(({ scheme }) => scheme === 'base64');
+      expect(base64.confidence).toBeLessThan(0.2);
+    });
+  });
+
+  describe('obfuscations', () => {
+    it('should identify Cyrillic homoglyphs', () => {
+      const hypothesis = best(toHomoglyph(message));
+      expect(hypothesis.scheme).toBe('homoglyph');
+      expect(hypothesis.decoded).toBe(message);
+    });
+
+    it('should identify leetspeak', () => {
+      const hypothesis = best(toLeetspeak('Send the report by Friday', 1));
+      expect(hypothesis.scheme).toBe('leetspeak');
+      expect(hypothesis.decoded).toBe('SEND THE REPORT BY FRIDAY');
+    });
+  });
+
+  describe('classical ciphers', () => {
+    it('should recognise plaintext', () => {
+      expect(best(message).scheme).toBe('plaintext');
+    });
+
+    it('should identify Caesar with its shift', () => {
+      const hypothesis = best(caesarEncrypt(message, 7));
+      expect(hypothesis).toMatchObject({
+        scheme: 'caesar',
+        decoded: message,
+        params: { shift: 7 },
+      });
+      expect(hypothesis.confidence).toBeGreaterThan(0.9);
+    });
+
+    it('should report shift 13 as ROT13', () => {
+      expect(best(rot13Encode(message))).toMatchObject({ scheme: 'rot13', decoded: message });
+    });
+
+    it('should identify Vigenère with its key', () => {
+      const plaintext = 'It was the best of times, it was the worst of times, it was the age of '
+        + 'wisdom, it was the age of foolishness, it was the epoch of belief';
+      const hypothesis = best(vigenereEncrypt(plaintext, 'SECRET'));
+      expect(hypothesis).toMatchObject({
+        scheme: 'vigenere',
+        decoded: plaintext,
+        params: { key: 'SECRET' },
+      });
+    });
+
+    it('should use the plaintext language', () => {
+      const hypothesis = best(caesarEncrypt('El perro corre por el parque', 8), { language: 'es' });
+      expect(hypothesis).toMatchObject({ scheme: 'caesar', params: { shift: 8 } });
+    });
+
+    it('should not be confident about random letters', () => {
+      identify('XQZJV KPWZY BNMTR').forEach(({ confidence }) => {
+        expect(confidence).toBeLessThan(0.5);
+      });
+    });
+  });
+
+  describe('identify', () => {
+    it('should rank hypotheses by confidence', () => {
+      const hypotheses = identify('KHOOR', { minConfidence: 0 });
+      expect(hypotheses.length).toBeGreaterThan(1);
+      hypotheses.slice(1).forEach((hypothesis, index) => {
+        expect(hypothesis.confidence).toBeLessThanOrEqual(hypotheses[index].confidence);
+      });
+      hypotheses.forEach(({ scheme }) => expect(SCHEMES).toContain(scheme));
+    });
+
+    it('should return nothing for blank input', () => {
+      expect(identify('   ')).toEqual([]);
+    });
+
+    it('should throw for non-string input', () => {
+      expect(() => identify(42)).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * Cipher Registry Tests
+ * Test suite for the unified transform registry
+ */
+
+import {
+  registerTransform,
+  unregisterTransform,
+  hasTransform,
+  getTransform,
+  listTransforms,
+  resolveParams,
+  applyTransform,
+  RegistryError,
+  UnknownTransformError,
+  InvalidParameterError,
+} from '../src/cipherRegistry.js';
+
+describe('Cipher Registry', () => {
+  describe('built-in transforms', () => {
+    it('should register every module', () => {
+      const ids = listTransforms().map((t) => t.id);
+      expect(ids).toEqual(
+        expect.arrayContaining([
+          'caesar',
+          'rot13',
+          'base64',
+          'vigenere',
+          'morse',
+          'braille',
+          'leetspeak',
+          'reverse',
+        ]),
+      );
+    });
+
+    it('should round-trip every lossless transform', () => {
+      const text = 'Hello, World 42!';
+      listTransforms({ lossless: true }).forEach(({ id }) => {
+        const params = id === 'vigenere' ? { key: 'SECRET' } : {};
+        const encoded = applyTransform(id, text, params);
+        expect(applyTransform(id, encoded, params, { direction: 'inverse' })).toBe(text);
+      });
+    });
+
+    it('should report metadata', () => {
+      const caesar = getTransform('caesar');
+      expect(caesar.reversible).toBe(true);
+      expect(caesar.keyed).toBe(true);
+      expect(caesar.deterministic).toBe(true);
+      expect(getTransform('morse').lossless).toBe(false);
+      expect(getTransform('homoglyph').reversible).toBe(false);
+      expect(getTransform('random-insert').deterministic).toBe(false);
+    });
+
+    it('should not expose functions when listing', () => {
+      const [first] = listTransforms();
+      expect(first.forward).toBeUndefined();
+      expect(first.inverse).toBeUndefined();
+    });
+
+    it('should filter by metadata', () => {
+      const keyed = listTransforms({ keyed: true });
+      expect(keyed.every((t) => t.keyed)).toBe(true);
+      expect(keyed.map((t) => t.id)).toContain('vigenere');
+    });
+  });
+
+  describe('applyTransform', () => {
+    it('should apply forward transforms', () => {
+      expect(applyTransform('caesar', 'HELLO', { shift: 3 })).toBe('KHOOR');
+      expect(applyTransform('morse', 'SOS')).toBe('... --- ...');
+    });
+
+    it('should apply inverse transforms', () => {
+      expect(applyTransform('caesar', 'KHOOR', { shift: 3 }, { direction: 'inverse' })).toBe(
+        'HELLO',
+      );
+      expect(applyTransform('base64', 'SEVMTE8=', {}, { direction: 'inverse' })).toBe('HELLO');
+    });
+
+    it('should undo character shifts including digits', () => {
+      const shifted = applyTransform('shift', 'Hello 19', { shift: 7 });
+      expect(applyTransform('shift', shifted, { shift: 7 }, { direction: 'inverse' })).toBe(
+        'Hello 19',
+      );
+    });
+
+    it('should throw for irreversible transforms', () => {
+      expect(() => applyTransform('homoglyph', 'abc', {}, { direction: 'inverse' })).toThrow(
+        RegistryError,
+      );
+    });
+
+    it('should throw for an invalid direction', () => {
+      expect(() => applyTransform('rot13', 'abc', {}, { direction: 'sideways' })).toThrow(
+        RegistryError,
+      );
+    });
+
+    it('should throw for unknown transforms', () => {
+      expect(() => applyTransform('enigma', 'abc')).toThrow(UnknownTransformError);
+    });
+
+    it('should throw for non-string text', () => {
+      expect(() => applyTransform('rot13', 42)).toThrow(TypeError);
+    });
+  });
+
+  describe('resolveParams', () => {
+    it('should fill in defaults', () => {
+      expect(resolveParams('caesar')).toEqual({ shift: 3 });
+    });
+
+    it('should coerce string values', () => {
+      expect(resolveParams('caesar', { shift: '5' })).toEqual({ shift: 5 });
+      expect(resolveParams('random-insert', { density: '0.5' })).toEqual({ density: 0.5 });
+    });
+
+    it('should enforce bounds', () => {
+      expect(() => resolveParams('caesar', { shift: 26 })).toThrow(InvalidParameterError);
+      expect(() => resolveParams('caesar', { shift: 'abc' })).toThrow(InvalidParameterError);
+    });
+
+    it('should require required parameters', () => {
+      expect(() => resolveParams('vigenere')).toThrow(InvalidParameterError);
+    });
+
+    it('should reject unknown parameters', () => {
+      expect(() => resolveParams('rot13', { shift: 1 })).toThrow(InvalidParameterError);
+    });
+  });
+
+  describe('registerTransform', () => {
+    afterEach(() => {
+      unregisterTransform('upper');
+    });
+
+    it('should register custom transforms', () => {
+      registerTransform({ id: 'upper', forward: (text) => text.toUpperCase() });
+      expect(hasTransform('upper')).toBe(true);
+      expect(applyTransform('upper', 'abc')).toBe('ABC');
+      expect(getTransform('upper').reversible).toBe(false);
+    });
+
+    it('should reject duplicate ids unless replacing', () => {
+      registerTransform({ id: 'upper', forward: (text) => text.toUpperCase() });
+      expect(() => registerTransform({ id: 'upper', forward: (text) => text })).toThrow(
+        RegistryError,
+      );
+      registerTransform({ id: 'upper', forward: (text) => text }, { replace: true });
+      expect(applyTransform('upper', 'abc')).toBe('abc');
+    });
+
+    it('should validate definitions', () => {
+      expect(() => registerTransform(null)).toThrow(TypeError);
+      expect(() => registerTransform({ id: 'Bad Id', forward: (t) => t })).toThrow(RegistryError);
+      expect(() => registerTransform({ id: 'upper' })).toThrow(RegistryError);
+      expect(() => registerTransform({
+        id: 'upper',
+        forward: (t) => t,
+        params: { x: { type: 'date' } },
+      })).toThrow(RegistryError);
+    });
+
+    it('should unregister transforms', () => {
+      registerTransform({ id: 'upper', forward: (text) => text.toUpperCase() });
+      expect(unregisterTransform('upper')).toBe(true);
+      expect(hasTransform('upper')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * Hash Worker Pool Tests
+ * Test suite for running password hashing on worker threads
+ */
+
+import {
+  HashPoolError,
+  POOL_METHODS,
+  DEFAULT_POOL_SIZE,
+  createHashWorkerPool,
+} from '../src/hashWorkerPool.js';
+import { verifyPassword } from '../src/passwordHasher.js';
+
+const SLOW_ARGON2 = { memoryCost: 65536, timeCost: 4 };
+
+describe('Hash Worker Pool', () => {
+  let pool;
+
+  beforeEach(() => {
+    pool = createHashWorkerPool({ size: 2 });
+  });
+
+  afterEach(() => pool.close());
+
+  it('should default to at least one worker', () => {
+    expect(DEFAULT_POOL_SIZE).toBeGreaterThanOrEqual(1);
+    expect(pool.size).toBe(2);
+  });
+
+  it('should run passwordHasher functions', async () => {
+    const { phc } = await pool.run('hashPassword', ['myPassword123', null, 1000]);
+    expect(verifyPassword('myPassword123', phc)).toBe(true);
+    expect(await pool.run('verifyPassword', ['myPassword123', phc])).toBe(true);
+  });
+
+  it('should queue tasks beyond its size', async () => {
+    const results = await Promise.all(Array.from(
+      { length: 5 },
+      (_, index) => pool.run('hashPassword', [`password${index}`, null, 1000]),
+    ));
+    results.forEach(({ phc }, index) => {
+      expect(verifyPassword(`password${index}`, phc)).toBe(true);
+    });
+  });
+
+  it('should reject with the error the function threw', async () => {
+    await expect(pool.run('hashPasswordScrypt', ['password', null, 99]))
+      .rejects.toThrow('Cost must be a number between 4 and 31');
+    await expect(pool.run('verifyPassword', [42, 'hash'])).rejects.toThrow(TypeError);
+  });
+
+  it('should keep the class and properties of a thrown error', async () => {
+    const rejection = pool.run('hashPassword', ['password', null, 1e12]);
+    await expect(rejection).rejects.toThrow(RangeError);
+    await expect(rejection).rejects.toMatchObject({
+      name: 'RangeError',
+      code: 'ERR_OUT_OF_RANGE',
+    });
+  });
+
+  it('should only run the hashing functions', async () => {
+    expect(POOL_METHODS).toContain('hashPasswordArgon2id');
+    await expect(pool.run('checkPasswordStrength', ['password'])).rejects.toThrow(TypeError);
+    await expect(pool.run('hashPassword', 'password')).rejects.toThrow(TypeError);
+  });
+
+  it('should cancel queued and running tasks', async () => {
+    const controller = new AbortController();
+    const tasks = [1, 2, 3].map(() => pool.run(
+      'hashPasswordArgon2id',
+      ['password', SLOW_ARGON2],
+      { signal: controller.signal },
+    ));
+    controller.abort();
+    await Promise.all(tasks.map((task) => expect(task).rejects.toMatchObject({
+      name: 'AbortError',
+    })));
+    const { phc } = await pool.run('hashPassword', ['password', null, 1000]);
+    expect(phc).toMatch(/^\$pbkdf2-sha256\$/);
+  });
+
+  it('should reject tasks whose signal was already aborted', async () => {
+    await expect(pool.run('hashPassword', ['password'], { signal: AbortSignal.abort() }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('should reject pending and new tasks once closed', async () => {
+    const running = pool.run('hashPasswordArgon2id', ['password', SLOW_ARGON2]);
+    await pool.close();
+    await expect(running).rejects.toThrow(HashPoolError);
+    await expect(pool.run('hashPassword', ['password'])).rejects.toThrow('closed');
+  });
+
+  it('should throw TypeError for an invalid size', () => {
+    expect(() => createHashWorkerPool({ size: 0 })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,58 @@
+import * as vault from '../src/index.js';
+
+describe('Index', () => {
+  describe('namespaces', () => {
+    it('should expose every module under its own namespace', () => {
+      expect(Object.keys(vault)).toEqual(
+        expect.arrayContaining([
+          'caesar',
+          'rot13',
+          'base64',
+          'vigenere',
+          'passwordHasher',
+          'morse',
+          'braille',
+          'obfuscator',
+          'qr',
+          'registry',
+          'pipeline',
+          'languageModel',
+          'identifier',
+          'aead',
+          'secretStore',
+          'passwordStrength',
+          'breachedPasswords',
+          'passwordGenerator',
+          'passwordPolicy',
+          'hashWorkerPool',
+          'legacyHashes',
+        ]),
+      );
+    });
+
+    it('should keep colliding function names apart', () => {
+      expect(vault.caesar.encrypt('HELLO', 3)).toBe('KHOOR');
+      expect(vault.vigenere.encrypt('HELLOWORLD', 'KEY')).toBe('RIJVSUYVJN');
+      expect(vault.rot13.encode('HELLO')).toBe('URYYB');
+      expect(vault.base64.encode('HELLO')).toBe('SEVMTE8=');
+      expect(vault.caesar.analyze).not.toBe(vault.rot13.analyze);
+    });
+
+    it('should expose the remaining modules', () => {
+      expect(vault.morse.textToMorse('SOS')).toBe('... --- ...');
+      expect(vault.braille.textToBraille('A')).toBe('⠁');
+      expect(vault.obfuscator.reverseText('abc')).toBe('cba');
+      expect(vault.qr.extractURL('https://example.com').found).toBe(true);
+      expect(typeof vault.passwordHasher.hashPassword).toBe('function');
+    });
+  });
+
+  describe('flat exports', () => {
+    it('should keep the original non-colliding exports', () => {
+      expect(vault.encrypt('HELLO', 3)).toBe('KHOOR');
+      expect(vault.decrypt('KHOOR', 3)).toBe('HELLO');
+      expect(vault.isBase64('SEVMTE8=')).toBe(true);
+      expect(new vault.InvalidShiftError()).toBeInstanceOf(vault.CaesarCipherError);
+    });
+  });
+});
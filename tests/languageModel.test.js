@@ -0,0 +1,134 @@
+/**
+ * Language Model Tests
+ * Test suite for n-gram language profiles and fitness scoring
+ */
+
+import {
+  buildProfile,
+  loadLanguage,
+  loadLanguageFile,
+  listLanguages,
+  letterFrequencies,
+  indexOfCoincidence,
+  chiSquared,
+  ngramScore,
+  fitness,
+  averageFitness,
+  NGRAM_ORDERS,
+  LanguageModelError,
+  UnknownLanguageError,
+  BUILT_IN_LANGUAGES,
+} from '../src/languageModel.js';
+
+describe('Language Model', () => {
+  describe('built-in profiles', () => {
+    it('should list English, Spanish, German and French', () => {
+      const codes = listLanguages().map(({ code }) => code);
+      expect(codes).toEqual(expect.arrayContaining(BUILT_IN_LANGUAGES));
+    });
+
+    it('should expose letter frequencies summing to 1', () => {
+      const { frequencies, ioc } = letterFrequencies('en');
+      expect(frequencies).toHaveLength(26);
+      expect(frequencies.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1);
+      expect(frequencies[4]).toBeGreaterThan(0.1);
+      expect(ioc).toBeGreaterThan(0.06);
+    });
+
+    it('should load a profile file from disk', () => {
+      const info = loadLanguageFile(new URL('../src/languages/fr.json', import.meta.url));
+      expect(info.code).toBe('fr');
+      expect(info.name).toBe('French');
+    });
+
+    it('should throw for unknown languages', () => {
+      expect(() => fitness('HELLO', { language: 'xx' })).toThrow(UnknownLanguageError);
+    });
+  });
+
+  describe('indexOfCoincidence', () => {
+    it('should measure repeated letters', () => {
+      expect(indexOfCoincidence('AABB')).toBeCloseTo(1 / 3);
+      expect(indexOfCoincidence('ABCD')).toBe(0);
+      expect(indexOfCoincidence('A')).toBe(0);
+    });
+  });
+
+  describe('chiSquared', () => {
+    it('should be lower for English than for shifted text', () => {
+      expect(chiSquared('HELLO WORLD')).toBeLessThan(chiSquared('XQZJV KPWZY'));
+    });
+
+    it('should return 0 for text without letters', () => {
+      expect(chiSquared('123')).toBe(0);
+    });
+  });
+
+  describe('ngramScore', () => {
+    it('should score n-grams within words only', () => {
+      expect(ngramScore('THE CAT', 2).count).toBe(4);
+      expect(ngramScore('THE CAT', 4).count).toBe(0);
+      expect(ngramScore('THE CAT', 2).logLikelihood).toBeLessThan(0);
+    });
+
+    it('should fold accents onto A-Z', () => {
+      expect(ngramScore('Straße', 1).count).toBe(7);
+      expect(ngramScore('élève', 2)).toEqual(ngramScore('ELEVE', 2));
+    });
+
+    it('should reject unsupported orders', () => {
+      expect(() => ngramScore('HELLO', 5)).toThrow(LanguageModelError);
+    });
+  });
+
+  describe('fitness', () => {
+    it('should prefer natural language over its Caesar shift', () => {
+      expect(fitness('HELLO WORLD')).toBeGreaterThan(fitness('URYYB JBEYQ'));
+    });
+
+    it('should sum the log-likelihoods of every n-gram order', () => {
+      const expected = NGRAM_ORDERS
+        .map((n) => ngramScore('HELLO WORLD', n).logLikelihood)
+        .reduce((sum, logLikelihood) => sum + logLikelihood, 0);
+      expect(fitness('HELLO WORLD')).toBeCloseTo(expected, 10);
+    });
+
+    it('should prefer the matching language', () => {
+      const spanish = 'El perro corre por el parque mientras los niños juegan';
+      expect(averageFitness(spanish, { language: 'es' })).toBeGreaterThan(
+        averageFitness(spanish, { language: 'de' }),
+      );
+    });
+
+    it('should not favour longer text when averaged', () => {
+      const text = 'The weather is nice today';
+      expect(averageFitness(text)).toBeCloseTo(averageFitness(`${text} ${text}`), 0);
+      expect(averageFitness('123')).toBe(-Infinity);
+    });
+  });
+
+  describe('custom profiles', () => {
+    it('should build and register a profile from a corpus', () => {
+      const corpus = 'dat is een kat en dat is een hond';
+      const profile = buildProfile(corpus, { code: 'nl', name: 'Dutch' });
+      expect(profile.totals[1]).toBe(25);
+      expect(profile.ngrams[2].AT).toBe(3);
+
+      const info = loadLanguage(JSON.stringify(profile));
+      expect(info).toMatchObject({ code: 'nl', name: 'Dutch' });
+      expect(fitness('een kat', { language: 'nl' })).toBeGreaterThan(
+        fitness('rra xng', { language: 'nl' }),
+      );
+    });
+
+    it('should reject malformed profiles', () => {
+      expect(() => loadLanguage('{oops')).toThrow(LanguageModelError);
+      expect(() => loadLanguage({ code: 'Bad Code' })).toThrow(LanguageModelError);
+      expect(() => loadLanguage({ code: 'xx', totals: { 1: 0 }, ngrams: {} })).toThrow(
+        LanguageModelError,
+      );
+      expect(() => buildProfile('1234')).toThrow(LanguageModelError);
+      expect(() => buildProfile(42)).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Legacy Hashes Tests
+ * Test suite for verifying hashes imported from htpasswd, crypt(3), Django
+ * and Werkzeug
+ */
+
+import {
+  LEGACY_HASH_FORMATS,
+  identifyLegacyHash,
+  parseLegacyHash,
+  crypt,
+  verifyLegacyHash,
+  parseHtpasswd,
+} from '../src/legacyHashes.js';
+
+const WERKZEUG_PBKDF2 = 'pbkdf2:sha256:1000$seasalt$'
+  + '735ab3cad45279fe7940e445ab431d3bcff5bdc526d3a07e4a53de65394f0a40';
+const WERKZEUG_SCRYPT = 'scrypt:1024:8:1$abc$'
+  + '03eeba1c19e5f69f76876b8868412c1d0e7e876ae127464483e7ca17ebaac520'
+  + 'c0d0edc2298034d630cccb93ccd18e789a5ae447d09273ff3ce9d6e283bac211';
+
+// Hashes of 'myPassword123', one per format
+const SAMPLES = [
+  ['apr1', '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1'],
+  ['md5-crypt', '$1$saltstri$GbQN3rnYF2FExZ0cD2LzD/'],
+  ['htpasswd-sha1', '{SHA}ziwi8r2DRC7LRIw/abgb0HcRyoI='],
+  ['sha256-crypt', '$5$saltstring$hYhc7fkRq4TUX44hmgVYjGwnyyBuebJk4uz.s4TRD13'],
+  [
+    'sha512-crypt',
+    '$6$saltstring$CHRykIzS/vcWIT59sjBt49wNstRzrbj8Pu8J1S.eGYj8STKfStSSJqxqgYvCg1pl6Rr6F/'
+      + 'ylXXptLFKwvOSPa1',
+  ],
+  ['django-pbkdf2', 'pbkdf2_sha256$1000$seasalt$c1qzytRSef55QORFq0MdO8/1vcUm06B+SlPeZTlPCkA='],
+  ['werkzeug-pbkdf2', WERKZEUG_PBKDF2],
+  ['werkzeug-scrypt', WERKZEUG_SCRYPT],
+];
+
+// Reference vectors from Ulrich Drepper's SHA-crypt specification and glibc
+const CRYPT_VECTORS = [
+  ['Hello world!', '$1$saltstri$YMyguxXMBpd2TEZ.vS/3q1'],
+  ['Hello world!', '$5$saltstring$5B8vYYiY.CVt1RlTTf8KbXBH3hsxY/GNooZaBBGWEc5'],
+  [
+    'Hello world!',
+    '$5$rounds=10000$saltstringsaltst$3xv.VbSHBb41AL9AvLeujZkZRBAwqFMz2.opqey6IcA',
+  ],
+  [
+    'Hello world!',
+    '$6$saltstring$svn8UoSVapNtMuq1ukKS4tPQd8iKwSMHWjl/O817G3uBnIFNjnQJuesI68u4OTLiBFdcb'
+      + 'YEdFCoEOfaS35inz1',
+  ],
+  [
+    'Hello world!',
+    '$6$rounds=10000$saltstringsaltst$OW1/O6BYHV6BcXZu8QVeXbDWra3Oeqh0sbHbbMCVNSnCM/Urjm'
+      + 'M0Dp8vOuZeHBy/YTBmSK6H9qs/y3RnOaw5v.',
+  ],
+  [
+    'we have a short salt string but not a short password',
+    '$6$rounds=77777$short$WuQyW2YR.hBNpjjRhpYD/ifIw05xdfeEyQoMxIXbkvr0gge1a1x3yRULJ5CCaUe'
+      + 'OxFmtlcGZelFl5CxtgfiAc0',
+  ],
+  ['myPassword123', '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1'],
+  ['', '$apr1$x$tMwYqBfQwi3FYAr0aJc8M/'],
+];
+
+describe('Legacy Hashes', () => {
+  describe('identifyLegacyHash', () => {
+    it.each(SAMPLES)('should identify %s', (format, stored) => {
+      expect(identifyLegacyHash(stored)).toBe(format);
+    });
+
+    it('should cover every listed format', () => {
+      expect(SAMPLES.map(([format]) => format).sort()).toEqual([...LEGACY_HASH_FORMATS].sort());
+    });
+
+    it('should return null for current and unknown formats', () => {
+      expect(identifyLegacyHash('$2b$10$abcdefghijklmnopqrstuu5s2v8.iXieOjg/.AySBTTZIIVFJeBui'))
+        .toBeNull();
+      expect(identifyLegacyHash('$pbkdf2-sha256$i=1000$c2FsdA$aGFzaA')).toBeNull();
+      expect(identifyLegacyHash('abc:def:1000')).toBeNull();
+      expect(identifyLegacyHash('{SHA}not base64!')).toBeNull();
+      expect(identifyLegacyHash(null)).toBeNull();
+    });
+  });
+
+  describe('parseLegacyHash', () => {
+    it('should parse crypt(3) hashes', () => {
+      expect(parseLegacyHash('$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1')).toEqual({
+        format: 'apr1',
+        digest: 'md5',
+        salt: 'rOioh4Wh',
+        hash: 'YLc9Eq6kS87QVB9AX6XNj1',
+      });
+      expect(parseLegacyHash(CRYPT_VECTORS[2][1])).toMatchObject({
+        format: 'sha256-crypt',
+        digest: 'sha256',
+        rounds: 10000,
+        salt: 'saltstringsaltst',
+      });
+      expect(parseLegacyHash(CRYPT_VECTORS[3][1]).rounds).toBe(5000);
+    });
+
+    it('should parse Django and Werkzeug hashes', () => {
+      const django = parseLegacyHash(SAMPLES[5][1]);
+      expect(django).toMatchObject({
+        format: 'django-pbkdf2',
+        digest: 'sha256',
+        iterations: 1000,
+        salt: 'seasalt',
+      });
+      expect(django.hash).toHaveLength(32);
+
+      expect(parseLegacyHash(WERKZEUG_PBKDF2)).toMatchObject({
+        format: 'werkzeug-pbkdf2',
+        digest: 'sha256',
+        iterations: 1000,
+        salt: 'seasalt',
+      });
+      const scrypt = parseLegacyHash(WERKZEUG_SCRYPT);
+      expect(scrypt).toMatchObject({
+        format: 'werkzeug-scrypt',
+        cost: 1024,
+        blockSize: 8,
+        parallelization: 1,
+        salt: 'abc',
+      });
+      expect(scrypt.hash).toHaveLength(64);
+    });
+
+    it('should name the Werkzeug form without an iteration count', () => {
+      const stored = 'pbkdf2:sha256$seasalt$'
+        + '735ab3cad45279fe7940e445ab431d3bcff5bdc526d3a07e4a53de65394f0a40';
+      expect(identifyLegacyHash(stored)).toBe('werkzeug-pbkdf2');
+      expect(() => parseLegacyHash(stored)).toThrow('Unsupported Werkzeug hash pbkdf2:sha256$');
+      expect(() => verifyLegacyHash('myPassword123', stored)).toThrow('iteration count');
+    });
+
+    it('should throw for unrecognised hashes', () => {
+      expect(() => parseLegacyHash('$argon2id$v=19$m=64,t=1,p=1$c2FsdA$aGFzaA'))
+        .toThrow('Unrecognised legacy hash');
+      expect(() => parseLegacyHash(42)).toThrow(TypeError);
+    });
+  });
+
+  describe('crypt', () => {
+    it.each(CRYPT_VECTORS)('should reproduce the reference hash of %j', (password, expected) => {
+      expect(crypt(password, expected)).toBe(expected);
+    });
+
+    it('should accept a setting without the hash', () => {
+      expect(crypt('Hello world!', '$1$saltstri')).toBe(CRYPT_VECTORS[0][1]);
+    });
+
+    it('should truncate long salts and clamp low rounds', () => {
+      expect(crypt('the minimum number is still observed', '$6$rounds=10$roundstoolow')).toBe(
+        '$6$rounds=1000$roundstoolow$kUMsbe306n21p9R.FRkW3IGn.S9NPN0x50YhH1xhLsPuWGsUSklZt58jaTf'
+          + 'F4ZEQpyUNGc0dqbpBYYBaHHrsX.',
+      );
+      expect(crypt('Hello world!', '$1$saltstringtoolong')).toBe(CRYPT_VECTORS[0][1]);
+    });
+
+    it('should throw for unsupported settings', () => {
+      expect(() => crypt('password', '$2b$10$abc')).toThrow('Unsupported crypt setting');
+      expect(() => crypt(null, '$1$salt')).toThrow(TypeError);
+      expect(() => crypt('password', null)).toThrow(TypeError);
+    });
+  });
+
+  describe('verifyLegacyHash', () => {
+    it.each(SAMPLES)('should verify a %s hash', (format, stored) => {
+      expect(verifyLegacyHash('myPassword123', stored)).toBe(true);
+      expect(verifyLegacyHash('myPassword124', stored)).toBe(false);
+    });
+
+    it('should reject a tampered hash', () => {
+      expect(verifyLegacyHash('myPassword123', '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj2'))
+        .toBe(false);
+      expect(verifyLegacyHash('myPassword123', WERKZEUG_PBKDF2.replace('1000', '1001')))
+        .toBe(false);
+    });
+
+    it('should throw for non-string passwords', () => {
+      expect(() => verifyLegacyHash(null, SAMPLES[0][1])).toThrow(TypeError);
+    });
+
+    it('should refuse parameters that would exhaust the machine', () => {
+      expect(() => verifyLegacyHash('myPassword123', WERKZEUG_SCRYPT.replace('1024', '4194304')))
+        .toThrow('MiB limit');
+      expect(() => verifyLegacyHash('myPassword123', SAMPLES[5][1].replace('1000', '100000000')))
+        .toThrow('PBKDF2 iterations must be at most');
+      expect(() => verifyLegacyHash('myPassword123', WERKZEUG_PBKDF2.replace('1000', '100000000')))
+        .toThrow('PBKDF2 iterations must be at most');
+    });
+  });
+
+  describe('parseHtpasswd', () => {
+    it('should list users and hashes', () => {
+      const text = '# users\nalice:$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1\r\n\n'
+        + 'bob:{SHA}ziwi8r2DRC7LRIw/abgb0HcRyoI=\n';
+      expect(parseHtpasswd(text)).toEqual([
+        { user: 'alice', hash: '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1' },
+        { user: 'bob', hash: '{SHA}ziwi8r2DRC7LRIw/abgb0HcRyoI=' },
+      ]);
+    });
+
+    it('should name the line of a malformed entry', () => {
+      expect(() => parseHtpasswd('alice:{SHA}x\nbob\n')).toThrow('line 2');
+      expect(() => parseHtpasswd(null)).toThrow(TypeError);
+    });
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Password Generator Tests
+ * Test suite for random password and passphrase generation
+ */
+
+import {
+  PasswordGeneratorError,
+  CHARACTER_SETS,
+  AMBIGUOUS_CHARACTERS,
+  generatePassword,
+  generatePassphrase,
+} from '../src/passwordGenerator.js';
+import { checkPasswordStrength } from '../src/passwordHasher.js';
+
+const corpus = new URL('./fixtures/pwned-passwords', import.meta.url).pathname;
+
+describe('Password Generator', () => {
+  describe('generatePassword', () => {
+    it('should generate 16 characters from every set by default', () => {
+      const { password, entropy } = generatePassword();
+      expect(password).toHaveLength(16);
+      Object.values(CHARACTER_SETS).forEach((set) => {
+        expect([...password].some((character) => set.includes(character))).toBe(true);
+      });
+      expect(entropy).toBeGreaterThan(100);
+      expect(entropy).toBeLessThan(16 * Math.log2(94));
+    });
+
+    it('should not use Math.random', () => {
+      const { random } = Math;
+      Math.random = () => {
+        throw new Error('Math.random called');
+      };
+      try {
+        expect(() => generatePassword()).not.toThrow();
+        expect(() => generatePassphrase()).not.toThrow();
+      } finally {
+        Math.random = random;
+      }
+    });
+
+    it('should generate different passwords', () => {
+      expect(generatePassword().password).not.toBe(generatePassword().password);
+    });
+
+    it('should honour length and character sets', () => {
+      const { password, entropy } = generatePassword({
+        length: 10,
+        uppercase: false,
+        special: false,
+      });
+      expect(password).toMatch(/^[a-z0-9]{10}$/);
+      expect(password).toMatch(/[a-z]/);
+      expect(password).toMatch(/\d/);
+      expect(entropy).toBeLessThan(10 * Math.log2(36));
+    });
+
+    it('should report the exact entropy of a single set', () => {
+      expect(generatePassword({
+        length: 10,
+        lowercase: false,
+        uppercase: false,
+        special: false,
+      }).entropy).toBe(33.2);
+    });
+
+    it('should leave out ambiguous and excluded characters', () => {
+      for (let i = 0; i < 20; i += 1) {
+        const { password } = generatePassword({
+          length: 40,
+          excludeAmbiguous: true,
+          exclude: 'abc',
+        });
+        expect([...password].some((c) => `${AMBIGUOUS_CHARACTERS}abc`.includes(c))).toBe(false);
+      }
+    });
+
+    it('should satisfy checkPasswordStrength requirements', () => {
+      const requirements = { minLength: 12 };
+      for (let i = 0; i < 20; i += 1) {
+        const { password } = generatePassword({ length: 12, requirements });
+        expect(checkPasswordStrength(password, requirements).valid).toBe(true);
+      }
+    });
+
+    it('should satisfy named policies', () => {
+      const { password } = generatePassword({ requirements: { policy: 'pci-dss' } });
+      expect(checkPasswordStrength(password, { policy: 'pci-dss' }).valid).toBe(true);
+      expect(generatePassword({
+        requirements: { policy: 'nist-800-63b', maxLength: 20 },
+      }).password).toHaveLength(16);
+      expect(() => generatePassword({ length: 30, requirements: { maxLength: 20 } }))
+        .toThrow(/maximum/);
+    });
+
+    it('should default to the required minimum length when it is longer', () => {
+      expect(generatePassword({ requirements: { minLength: 24 } }).password).toHaveLength(24);
+    });
+
+    it('should reject settings that cannot meet the requirements', () => {
+      expect(() => generatePassword({ length: 8, requirements: { minLength: 12 } }))
+        .toThrow(PasswordGeneratorError);
+      expect(() => generatePassword({ special: false, requirements: {} }))
+        .toThrow(/special/);
+      expect(() => generatePassword({ length: 3 })).toThrow(/too short/);
+      expect(() => generatePassword({ numbers: false, exclude: 'abcdefghijklmnopqrstuvwxyz' }))
+        .toThrow(/lowercase character is excluded/);
+      expect(() => generatePassword({
+        lowercase: false,
+        uppercase: false,
+        numbers: false,
+        special: false,
+      })).toThrow(PasswordGeneratorError);
+    });
+
+    it('should throw TypeError for invalid options', () => {
+      expect(() => generatePassword({ length: 0 })).toThrow(TypeError);
+      expect(() => generatePassword({ length: 8.5 })).toThrow(TypeError);
+      expect(() => generatePassword({ exclude: 5 })).toThrow(TypeError);
+      expect(() => generatePassword({ requirements: null })).toThrow(TypeError);
+    });
+  });
+
+  describe('generatePassphrase', () => {
+    it('should join six EFF words by default', () => {
+      const { passphrase, entropy } = generatePassphrase();
+      expect(passphrase.split('-')).toHaveLength(6);
+      expect(passphrase).toMatch(/^[a-z-]+$/);
+      expect(entropy).toBe(77.5);
+    });
+
+    it('should honour word count, separator and capitalization', () => {
+      const { passphrase, entropy } = generatePassphrase({
+        words: 4,
+        separator: ' ',
+        capitalize: true,
+      });
+      const words = passphrase.split(' ');
+      expect(words).toHaveLength(4);
+      words.forEach((word) => expect(word).toMatch(/^[A-Z][a-z-]*$/));
+      expect(entropy).toBe(51.7);
+    });
+
+    it('should draw from a custom wordlist', () => {
+      const { passphrase, entropy } = generatePassphrase({
+        words: 3,
+        wordlist: ['alpha', 'beta', 'gamma', 'delta'],
+      });
+      passphrase.split('-').forEach((word) => {
+        expect(['alpha', 'beta', 'gamma', 'delta']).toContain(word);
+      });
+      expect(entropy).toBe(6);
+    });
+
+    it('should add the character classes the requirements need', () => {
+      for (let i = 0; i < 20; i += 1) {
+        const { passphrase } = generatePassphrase({ words: 4, separator: ' ', requirements: {} });
+        expect(checkPasswordStrength(passphrase).valid).toBe(true);
+      }
+    });
+
+    it('should count the added characters in the entropy', () => {
+      const plain = generatePassphrase({ words: 4 }).entropy;
+      const { entropy } = generatePassphrase({ words: 4, requirements: {} });
+      expect(entropy).toBeCloseTo(plain + Math.log2(10 * 4), 1);
+    });
+
+    it('should satisfy named policies', () => {
+      const { passphrase } = generatePassphrase({ words: 3, requirements: { policy: 'pci-dss' } });
+      expect(checkPasswordStrength(passphrase, { policy: 'pci-dss' }).valid).toBe(true);
+      expect(passphrase).toMatch(/\d/);
+    });
+
+    it('should avoid breached passphrases', () => {
+      const { passphrase } = generatePassphrase({
+        words: 1,
+        wordlist: ['letmein', 'unlisted'],
+        requirements: {
+          minLength: 1,
+          requireUppercase: false,
+          requireNumbers: false,
+          requireSpecial: false,
+          breachCorpus: corpus,
+        },
+      });
+      expect(passphrase).toBe('unlisted');
+    });
+
+    it('should reject requirements the words cannot reach', () => {
+      expect(() => generatePassphrase({ words: 1, requirements: { minLength: 40 } }))
+        .toThrow(PasswordGeneratorError);
+      expect(() => generatePassphrase({ wordlist: ['same', 'same'] }))
+        .toThrow(PasswordGeneratorError);
+    });
+
+    it('should throw TypeError for invalid options', () => {
+      expect(() => generatePassphrase({ words: 0 })).toThrow(TypeError);
+      expect(() => generatePassphrase({ separator: 1 })).toThrow(TypeError);
+      expect(() => generatePassphrase({ wordlist: 'alpha beta' })).toThrow(TypeError);
+      expect(() => generatePassphrase({ wordlist: ['alpha', ''] })).toThrow(TypeError);
+    });
+  });
+});
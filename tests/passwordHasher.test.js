@@ -3,16 +3,34 @@
  * Comprehensive test suite for password hashing functionality
  */
 
+import crypto from 'crypto';
+
 import {
   generateSalt,
+  deriveKey,
   hashPassword,
   verifyPassword,
+  hashPasswordScrypt,
   hashPasswordBcrypt,
+  hashPasswordArgon2id,
   verifyPasswordBcrypt,
   checkPasswordStrength,
   suggestPasswordImprovements,
   hashMultiplePasswords,
+  needsRehash,
+  verifyAndUpgrade,
+  formatPhc,
+  parsePhc,
+  hashPasswordAsync,
+  hashPasswordScryptAsync,
+  hashPasswordBcryptAsync,
+  hashPasswordArgon2idAsync,
+  verifyPasswordAsync,
+  verifyPasswordBcryptAsync,
+  verifyAndUpgradeAsync,
+  hashMultiplePasswordsAsync,
 } from '../src/passwordHasher.js';
+import { createHashWorkerPool } from '../src/hashWorkerPool.js';
 
 describe('Password Hasher', () => {
   describe('generateSalt', () => {
@@ -49,6 +67,43 @@ describe('Password Hasher', () => {
     });
   });
 
+  describe('deriveKey', () => {
+    it('should derive the same key as hashPassword for PBKDF2', () => {
+      const hashed = hashPassword('myPassword123', null, 1000);
+      const derived = deriveKey('myPassword123', { salt: hashed.salt, iterations: 1000 });
+      expect(derived.key.toString('base64')).toBe(hashed.hash);
+      expect(derived.algorithm).toBe('pbkdf2');
+      expect(derived.iterations).toBe(1000);
+    });
+
+    it('should derive the same key as hashPasswordScrypt for scrypt', () => {
+      const hashed = hashPasswordScrypt('myPassword123', null, 8);
+      const derived = deriveKey('myPassword123', {
+        algorithm: 'scrypt',
+        salt: hashed.salt,
+        cost: 8,
+      });
+      expect(derived.key.toString('base64')).toBe(hashed.hash);
+      expect(derived.cost).toBe(8);
+    });
+
+    it('should return a Buffer of the requested length and a fresh salt', () => {
+      const first = deriveKey('pw', { iterations: 1000, keyLength: 64 });
+      const second = deriveKey('pw', { iterations: 1000, keyLength: 64 });
+      expect(Buffer.isBuffer(first.key)).toBe(true);
+      expect(first.key.length).toBe(64);
+      expect(first.salt).not.toBe(second.salt);
+    });
+
+    it('should reject unknown algorithms and bad parameters', () => {
+      expect(() => deriveKey('pw', { algorithm: 'md5' })).toThrow('Algorithm must be');
+      expect(() => deriveKey('pw', { iterations: 10 })).toThrow('Iterations');
+      expect(() => deriveKey('pw', { algorithm: 'scrypt', cost: 2 })).toThrow('Cost');
+      expect(() => deriveKey('', {})).toThrow('Password');
+      expect(() => deriveKey('pw', { keyLength: 0 })).toThrow('Key length');
+    });
+  });
+
   describe('hashPassword (PBKDF2)', () => {
     it('should hash a password', () => {
       const result = hashPassword('myPassword123');
@@ -136,27 +191,77 @@ describe('Password Hasher', () => {
       const stored = `${hashed.hash}:${hashed.salt}:${hashed.iterations}`;
       expect(verifyPassword('mypassword123', stored)).toBe(false);
     });
+
+    it('should verify hashes imported from other systems', () => {
+      const werkzeug = 'pbkdf2:sha256:1000$seasalt$'
+        + '735ab3cad45279fe7940e445ab431d3bcff5bdc526d3a07e4a53de65394f0a40';
+      [
+        '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1',
+        '{SHA}ziwi8r2DRC7LRIw/abgb0HcRyoI=',
+        werkzeug,
+      ].forEach((stored) => {
+        expect(verifyPassword('myPassword123', stored)).toBe(true);
+        expect(verifyPasswordBcrypt('myPassword123', stored)).toBe(true);
+        expect(verifyPassword('wrongPassword', stored)).toBe(false);
+      });
+    });
   });
 
-  describe('hashPasswordBcrypt (scrypt)', () => {
-    it('should hash a password with bcrypt-like algorithm', () => {
-      const result = hashPasswordBcrypt('myPassword123');
+  describe('hashPasswordScrypt', () => {
+    it('should hash a password with scrypt', () => {
+      const result = hashPasswordScrypt('myPassword123');
       expect(result.hash).toBeDefined();
       expect(result.salt).toBeDefined();
       expect(result.cost).toBeDefined();
     });
 
     it('should use custom cost factor', () => {
-      const result = hashPasswordBcrypt('myPassword123', null, 12);
+      const result = hashPasswordScrypt('myPassword123', null, 12);
       expect(result.cost).toBe('12');
     });
 
     it('should generate different hashes with different salt', () => {
-      const hash1 = hashPasswordBcrypt('myPassword123');
-      const hash2 = hashPasswordBcrypt('myPassword123');
+      const hash1 = hashPasswordScrypt('myPassword123');
+      const hash2 = hashPasswordScrypt('myPassword123');
       expect(hash1.hash).not.toBe(hash2.hash);
     });
 
+    it('should throw error for cost out of range', () => {
+      expect(() => hashPasswordScrypt('password', null, 3)).toThrow();
+      expect(() => hashPasswordScrypt('password', null, 32)).toThrow();
+    });
+
+    it('should throw error for empty password', () => {
+      expect(() => hashPasswordScrypt('')).toThrow();
+    });
+  });
+
+  describe('hashPasswordBcrypt', () => {
+    it('should hash a password with bcrypt', () => {
+      const result = hashPasswordBcrypt('myPassword123', null, 4);
+      expect(result.phc).toMatch(/^\$2b\$04\$[./A-Za-z0-9]{53}$/);
+      expect(Buffer.from(result.salt, 'base64')).toHaveLength(16);
+      expect(Buffer.from(result.hash, 'base64')).toHaveLength(23);
+    });
+
+    it('should use cost 10 by default', () => {
+      const result = hashPasswordBcrypt('myPassword123');
+      expect(result.cost).toBe('10');
+      expect(result.phc.startsWith('$2b$10$')).toBe(true);
+    });
+
+    it('should match other implementations for a given salt', () => {
+      // Vector from bcryptjs; the salt is 'abcdefghijklmnopqrstuu' in bcrypt's alphabet
+      expect(hashPasswordBcrypt('password', 'cdefghijklmnopqrstuvww==', 6).phc)
+        .toBe('$2b$06$abcdefghijklmnopqrstuuNBpXtlux7FnXJE0fnrtkSXNhdOGmWHu');
+    });
+
+    it('should generate different hashes with different salt', () => {
+      const hash1 = hashPasswordBcrypt('myPassword123', null, 4);
+      const hash2 = hashPasswordBcrypt('myPassword123', null, 4);
+      expect(hash1.phc).not.toBe(hash2.phc);
+    });
+
     it('should throw error for cost out of range', () => {
       expect(() => hashPasswordBcrypt('password', null, 3)).toThrow();
       expect(() => hashPasswordBcrypt('password', null, 32)).toThrow();
@@ -170,20 +275,210 @@ describe('Password Hasher', () => {
   describe('verifyPasswordBcrypt', () => {
     it('should verify bcrypt-hashed password', () => {
       const password = 'myPassword123';
-      const hashed = hashPasswordBcrypt(password);
-      const stored = `${hashed.hash}:${hashed.salt}:${hashed.cost}`;
-      expect(verifyPasswordBcrypt(password, stored)).toBe(true);
+      const hashed = hashPasswordBcrypt(password, null, 4);
+      expect(verifyPasswordBcrypt(password, hashed.phc)).toBe(true);
     });
 
     it('should reject incorrect password', () => {
       const password = 'myPassword123';
-      const hashed = hashPasswordBcrypt(password);
+      const hashed = hashPasswordBcrypt(password, null, 4);
+      expect(verifyPasswordBcrypt('wrongPassword', hashed.phc)).toBe(false);
+    });
+
+    it('should verify $2a$ and $2y$ hashes', () => {
+      // OpenWall crypt_blowfish test vector
+      const hash = '$2a$05$CCCCCCCCCCCCCCCCCCCCC.E5YPO9kmyuRGyh0XouQYb4YMJKvyOeW';
+      expect(verifyPasswordBcrypt('U*U', hash)).toBe(true);
+      expect(verifyPasswordBcrypt('U*U', hash.replace('$2a$', '$2y$'))).toBe(true);
+      expect(verifyPasswordBcrypt('U*V', hash)).toBe(false);
+    });
+
+    it('should still verify legacy scrypt hash:salt:cost strings', () => {
+      const hashed = hashPasswordScrypt('myPassword123', null, 8);
       const stored = `${hashed.hash}:${hashed.salt}:${hashed.cost}`;
+      expect(verifyPasswordBcrypt('myPassword123', stored)).toBe(true);
       expect(verifyPasswordBcrypt('wrongPassword', stored)).toBe(false);
     });
 
     it('should throw error for invalid format', () => {
       expect(() => verifyPasswordBcrypt('password', 'invalid')).toThrow();
+      expect(() => verifyPasswordBcrypt('password', '$2b$10$tooShort'))
+        .toThrow('Invalid bcrypt hash');
+    });
+  });
+
+  describe('hashPasswordArgon2id', () => {
+    const FAST = { memoryCost: 64, timeCost: 1 };
+
+    it('should hash a password with Argon2id', () => {
+      const result = hashPasswordArgon2id('myPassword123', FAST);
+      expect(result.phc)
+        .toMatch(/^\$argon2id\$v=19\$m=64,t=1,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+      expect(result.memoryCost).toBe('64');
+      expect(result.timeCost).toBe('1');
+      expect(result.parallelism).toBe('1');
+    });
+
+    it('should match other implementations for a given salt', () => {
+      const result = hashPasswordArgon2id('password', {
+        salt: Buffer.from('saltsaltsaltsalt').toString('base64'),
+        memoryCost: 64,
+        timeCost: 2,
+        parallelism: 2,
+      });
+      expect(result.phc).toBe('$argon2id$v=19$m=64,t=2,p=2$c2FsdHNhbHRzYWx0c2FsdA$'
+        + 'MTk3uF0ASN8bPjzWOEqSyxwROScUuU0+ShGyQuHn3pU');
+    });
+
+    it('should generate different hashes with different salt', () => {
+      const hash1 = hashPasswordArgon2id('myPassword123', FAST);
+      const hash2 = hashPasswordArgon2id('myPassword123', FAST);
+      expect(hash1.hash).not.toBe(hash2.hash);
+    });
+
+    it('should throw error for invalid parameters', () => {
+      expect(() => hashPasswordArgon2id('')).toThrow();
+      expect(() => hashPasswordArgon2id('password', { memoryCost: 4 })).toThrow('memory cost');
+      expect(() => hashPasswordArgon2id('password', { ...FAST, timeCost: 0 })).toThrow('time cost');
+      expect(() => hashPasswordArgon2id('password', { ...FAST, salt: 'c2FsdA' })).toThrow('salt');
+    });
+  });
+
+  describe('PHC strings', () => {
+    // Vectors computed independently with Python's hashlib
+    const PBKDF2_VECTOR = '$pbkdf2-sha256$i=1000$c2FsdHNhbHQ$'
+      + 'E196ZhRPzw+wA84EjzHwJO1cv/MFJdO6C/sxmUeTYqY';
+    const SCRYPT_VECTOR = '$scrypt$ln=4,r=8,p=1$c2FsdHNhbHQ$'
+      + 'xdm4IMyPApeWQ+5AiPVw2L3OCnA4OBnnwWGIV2OM5+o';
+    const SCRYPT_R2_P2_VECTOR = '$scrypt$ln=4,r=2,p=2$c2FsdHNhbHQ$'
+      + 'hI6J1YJVB3Dxn0VN4m/L/mBYAsDqgjpAbfIPMPJu7M68LcuhBfXU9ZTgAxDNBwhU7qx6WVOxLgMZQp/JwJ3zNw';
+
+    it('should emit a PBKDF2 PHC string from hashPassword', () => {
+      const result = hashPassword('myPassword123', null, 1000);
+      expect(result.phc).toMatch(/^\$pbkdf2-sha256\$i=1000\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+      expect(parsePhc(result.phc).hash.toString('base64')).toBe(result.hash);
+    });
+
+    it('should emit a scrypt PHC string from hashPasswordScrypt', () => {
+      const result = hashPasswordScrypt('myPassword123', null, 8);
+      expect(result.phc).toMatch(/^\$scrypt\$ln=8,r=8,p=1\$[A-Za-z0-9+/]{22}\$[A-Za-z0-9+/]{43}$/);
+      expect(parsePhc(result.phc).salt.toString('base64')).toBe(result.salt);
+    });
+
+    it('should verify PHC strings with either verify function', () => {
+      const pbkdf2 = hashPassword('myPassword123', null, 1000).phc;
+      const scrypt = hashPasswordScrypt('myPassword123', null, 8).phc;
+      const bcrypt = hashPasswordBcrypt('myPassword123', null, 4).phc;
+      const argon2id = hashPasswordArgon2id('myPassword123', { memoryCost: 64, timeCost: 1 }).phc;
+      [verifyPassword, verifyPasswordBcrypt].forEach((verify) => {
+        [pbkdf2, scrypt, bcrypt, argon2id].forEach((stored) => {
+          expect(verify('myPassword123', stored)).toBe(true);
+          expect(verify('wrongPassword', stored)).toBe(false);
+        });
+      });
+    });
+
+    it('should verify hashes produced by other implementations', () => {
+      expect(verifyPassword('password', PBKDF2_VECTOR)).toBe(true);
+      expect(verifyPassword('password', SCRYPT_VECTOR)).toBe(true);
+      expect(verifyPassword('password', SCRYPT_R2_P2_VECTOR)).toBe(true);
+      expect(verifyPassword('Password', SCRYPT_R2_P2_VECTOR)).toBe(false);
+    });
+
+    it('should verify scrypt hashes above the default cost', () => {
+      // Python's hashlib, ln=16 needs 64 MiB
+      const stored = '$scrypt$ln=16,r=8,p=1$c2FsdHNhbHRzYWx0c2FsdA$'
+        + 'iiRaW4peCz3Auc1JYx7IMUeccOuTpUdOBNHUJo5+v6o';
+      expect(verifyPassword('myPassword123', stored)).toBe(true);
+      expect(verifyPassword('wrongPassword', stored)).toBe(false);
+      expect(hashPasswordScrypt('myPassword123', null, 16).phc).toMatch(/^\$scrypt\$ln=16,/);
+    });
+
+    it('should throw rather than mismatch for out-of-range parameters', () => {
+      expect(() => verifyPassword('pw', '$scrypt$ln=40,r=8,p=1$c2FsdA$aGFzaA'))
+        .toThrow('Cost must be');
+      expect(() => verifyPassword('pw', '$scrypt$ln=24,r=8,p=1$c2FsdA$aGFzaA'))
+        .toThrow('MiB limit');
+      expect(() => verifyPassword('pw', '$pbkdf2-sha256$i=10$c2FsdA$aGFzaA'))
+        .toThrow('Iterations must be');
+      expect(() => verifyPassword('pw', '$argon2id$v=19$m=1,t=1,p=1$c2FsdHNhbHQ$aGFzaGhhc2g'))
+        .toThrow('Argon2 memory cost');
+      expect(() => verifyPassword('pw', '$argon2id$v=19$m=64,t=0,p=1$c2FsdHNhbHQ$aGFzaGhhc2g'))
+        .toThrow('Argon2 time cost');
+      expect(() => verifyPassword('pw', '$argon2id$v=42$m=64,t=1,p=1$c2FsdHNhbHQ$aGFzaGhhc2g'))
+        .toThrow('Argon2 version');
+    });
+
+    it('should verify Argon2 hashes of every type and version', () => {
+      // Argon2 reference implementation test vectors
+      expect(verifyPassword('password', '$argon2i$v=19$m=256,t=2,p=1$c29tZXNhbHQ$'
+        + 'iekCn0Y3spW+sCcFanM2xBT63UP2sghkUoHLIUpWRS8')).toBe(true);
+      expect(verifyPassword('password', '$argon2i$m=256,t=2,p=1$c29tZXNhbHQ$'
+        + '/U3YPXYsSb3q9XxHvc0MLxur+GP960kN9j7emXX8zwY')).toBe(true);
+      const argon2d = hashPasswordArgon2id('password', { memoryCost: 64, timeCost: 1 })
+        .phc.replace('$argon2id$', '$argon2d$');
+      expect(verifyPassword('password', argon2d)).toBe(false);
+      expect(() => verifyPassword('pw', '$argon2id$v=19$m=64,p=1$c2FsdHNhbHQ$aGFzaA'))
+        .toThrow('t parameter');
+    });
+
+    it('should still verify the legacy colon format', () => {
+      const hashed = hashPassword('myPassword123', null, 1000);
+      expect(verifyPassword('myPassword123', `${hashed.hash}:${hashed.salt}:1000`)).toBe(true);
+    });
+
+    it('should reject unsupported or incomplete PHC strings', () => {
+      expect(() => verifyPassword('pw', '$md5$c2FsdA$aGFzaA'))
+        .toThrow('Unsupported hash algorithm');
+      expect(() => verifyPassword('pw', '$scrypt$r=8,p=1$c2FsdA$aGFzaA')).toThrow('ln parameter');
+      expect(() => verifyPassword('pw', '$pbkdf2-sha256$i=1000$c2FsdA')).toThrow('no salt or hash');
+    });
+
+    it('should include the PHC string in batch results', () => {
+      const [result] = hashMultiplePasswords(['pass1']);
+      expect(verifyPassword('pass1', result.phc)).toBe(true);
+    });
+  });
+
+  describe('parsePhc / formatPhc', () => {
+    it('should parse every PHC field', () => {
+      expect(parsePhc('$argon2id$v=19$m=65536,t=3,p=4$c29tZXNhbHQ$aGFzaA')).toEqual({
+        id: 'argon2id',
+        version: 19,
+        params: { m: 65536, t: 3, p: 4 },
+        salt: Buffer.from('somesalt'),
+        hash: Buffer.from('hash'),
+      });
+    });
+
+    it('should parse strings without parameters, salt or hash', () => {
+      expect(parsePhc('$scrypt')).toEqual({
+        id: 'scrypt',
+        version: null,
+        params: {},
+        salt: null,
+        hash: null,
+      });
+      expect(parsePhc('$scrypt$c2FsdA').salt).toEqual(Buffer.from('salt'));
+    });
+
+    it('should round-trip through formatPhc', () => {
+      const phc = '$argon2id$v=19$m=65536,t=3,p=4$c29tZXNhbHQ$aGFzaA';
+      expect(formatPhc(parsePhc(phc))).toBe(phc);
+      expect(formatPhc(parsePhc('$scrypt$ln=4'))).toBe('$scrypt$ln=4');
+      expect(formatPhc({ id: 'scrypt', params: { ln: 4, r: 8, p: 1 } }))
+        .toBe('$scrypt$ln=4,r=8,p=1');
+    });
+
+    it('should reject malformed strings', () => {
+      expect(() => parsePhc('pbkdf2-sha256$i=1')).toThrow('Invalid PHC string');
+      expect(() => parsePhc('$UPPER')).toThrow('Invalid PHC string');
+      expect(() => parsePhc('$scrypt$ln=4,bad$c2FsdA')).toThrow('Invalid PHC parameter');
+      expect(() => parsePhc('$scrypt$ln=4$c2FsdA==$aGFzaA')).toThrow('unpadded base64');
+      expect(() => parsePhc('$scrypt$ln=4$a$b$c')).toThrow('unpadded base64');
+      expect(() => parsePhc(42)).toThrow(TypeError);
+      expect(() => formatPhc({ id: 'Bad Id' })).toThrow('PHC id');
+      expect(() => formatPhc({ id: 'scrypt', hash: Buffer.from('x') })).toThrow('requires a salt');
     });
   });
 
@@ -245,6 +540,92 @@ describe('Password Hasher', () => {
       expect(long.score).toBeGreaterThanOrEqual(short.score);
     });
 
+    it('should score common passwords low despite passing every check', () => {
+      const result = checkPasswordStrength('Password1!');
+      expect(result.valid).toBe(true);
+      expect(result.score).toBeLessThan(50);
+      expect(result.warning).toMatch(/commonly used password/);
+    });
+
+    it('should report guesses, entropy and crack times', () => {
+      const result = checkPasswordStrength('Password1!');
+      expect(result.guesses).toBeGreaterThan(1000);
+      expect(result.entropy).toBeCloseTo(Math.log2(result.guesses), 1);
+      expect(result.crackTimes.offlineSlowHash.display).toEqual(expect.any(String));
+    });
+
+    it('should penalise passwords built from user inputs', () => {
+      const plain = checkPasswordStrength('Zebediah2024!');
+      const personal = checkPasswordStrength('Zebediah2024!', { userInputs: ['zebediah'] });
+      expect(personal.guesses).toBeLessThan(plain.guesses);
+    });
+
+    it('should reject passwords found in a breach corpus', () => {
+      const corpus = new URL('./fixtures/pwned-passwords', import.meta.url).pathname;
+      const result = checkPasswordStrength('Password1!', { breachCorpus: corpus });
+      expect(result.breaches).toBe(4372);
+      expect(result.valid).toBe(false);
+      expect(result.score).toBe(0);
+      expect(result.errors).toContain('Password has appeared in 4372 data breaches');
+    });
+
+    it('should report breaches as 0 or null when not breached or not checked', () => {
+      const corpus = new URL('./fixtures/pwned-passwords.txt', import.meta.url).pathname;
+      expect(checkPasswordStrength('Zebediah2024!', { breachCorpus: corpus }).breaches).toBe(0);
+      expect(checkPasswordStrength('Zebediah2024!').breaches).toBeNull();
+    });
+
+    it('should apply a named policy', () => {
+      const result = checkPasswordStrength('Summer2024', { policy: 'pci-dss' });
+      expect(result.policy).toBe('pci-dss');
+      expect(result.errors).toEqual(['Password must be at least 12 characters long']);
+      expect(checkPasswordStrength('Summer2024!!', { policy: 'pci-dss' }).valid).toBe(true);
+    });
+
+    it('should let options override the policy', () => {
+      const result = checkPasswordStrength('Summer2024!!', { policy: 'pci-dss', minLength: 16 });
+      expect(result.errors).toEqual(['Password must be at least 16 characters long']);
+    });
+
+    it('should enforce maximum length, repeats and forbidden words', () => {
+      const result = checkPasswordStrength('ACMEaaa rockets', {
+        policy: { name: 'acme', extends: 'nist-800-63b', minLength: 8 },
+        maxLength: 12,
+        maxRepeats: 2,
+        forbiddenWords: ['acme'],
+      });
+      expect(result.errors).toEqual([
+        'Password must be at most 12 characters long',
+        'Password must not repeat a character more than 2 times in a row',
+        'Password must not contain "acme"',
+      ]);
+    });
+
+    it('should require letters when the policy does', () => {
+      const result = checkPasswordStrength('1234-5678-9012', { policy: 'pci-dss' });
+      expect(result.errors).toContain('Password must contain at least one letter');
+    });
+
+    it('should reject recently used passwords', () => {
+      const history = [
+        hashPassword('Autumn2024xyz', null, 1000).phc,
+        hashPasswordScrypt('Winter2023abc', null, 10).phc,
+      ];
+      expect(checkPasswordStrength('Winter2023abc', { policy: 'pci-dss', history }).errors)
+        .toEqual(['Password must not match any of the last 4 passwords']);
+      expect(checkPasswordStrength('Winter2023abc', {
+        policy: 'pci-dss',
+        history,
+        historySize: 1,
+      }).valid).toBe(true);
+      expect(checkPasswordStrength('Winter2023abc!', { history }).valid).toBe(true);
+    });
+
+    it('should throw error for unknown policies', () => {
+      expect(() => checkPasswordStrength('password', { policy: 'nope' }))
+        .toThrow(/Unknown password policy/);
+    });
+
     it('should throw error for non-string input', () => {
       expect(() => checkPasswordStrength(123)).toThrow();
     });
@@ -296,6 +677,36 @@ describe('Password Hasher', () => {
       expect(suggestions.some((s) => s.includes('Mix'))).toBe(true);
     });
 
+    it('should include advice about detected patterns', () => {
+      const suggestions = suggestPasswordImprovements('Password1!');
+      expect(suggestions).toContain('This is similar to a commonly used password');
+      expect(suggestions).toContain("Capitalization doesn't help very much");
+    });
+
+    it('should follow the policy minimum length', () => {
+      const suggestions = suggestPasswordImprovements('weak', { policy: 'nist-800-63b' });
+      expect(suggestions).toContain('Increase length to at least 15 characters (currently 4)');
+      expect(suggestions.some((s) => s.includes('uppercase'))).toBe(false);
+    });
+
+    it('should follow the minLength option', () => {
+      const suggestions = suggestPasswordImprovements('Ab1!efgh', { minLength: 12 });
+      expect(suggestions).toContain('Increase length to at least 12 characters (currently 8)');
+    });
+
+    it('should suggest fixes for the other policy rules', () => {
+      const suggestions = suggestPasswordImprovements('ACMEaaa rockets', {
+        maxLength: 12,
+        maxRepeats: 2,
+        forbiddenWords: ['acme'],
+      });
+      expect(suggestions).toEqual(expect.arrayContaining([
+        'Shorten to at most 12 characters',
+        'Repeat a character at most 2 times in a row',
+        'Remove "acme"',
+      ]));
+    });
+
     it('should return empty array for strong password', () => {
       const suggestions = suggestPasswordImprovements(
         'StrongPassword123!',
@@ -327,6 +738,14 @@ describe('Password Hasher', () => {
       expect(results[0].algorithm).toBe('bcrypt');
     });
 
+    it('should support scrypt and argon2id algorithms', () => {
+      ['scrypt', 'argon2id'].forEach((algorithm) => {
+        const [result] = hashMultiplePasswords(['password'], algorithm);
+        expect(result.algorithm).toBe(algorithm);
+        expect(verifyPassword('password', result.phc)).toBe(true);
+      });
+    });
+
     it('should handle errors gracefully', () => {
       const passwords = ['valid', '', 'alsoValid'];
       const results = hashMultiplePasswords(passwords);
@@ -351,6 +770,317 @@ describe('Password Hasher', () => {
     });
   });
 
+  describe('peppers', () => {
+    const keyring = { current: 1, peppers: { 1: 'first pepper' } };
+    const rotated = { current: 2, peppers: { 1: 'first pepper', 2: Buffer.from('second pepper') } };
+
+    it('should record the pepper version in the PHC string', () => {
+      const { phc } = hashPassword('myPassword123', null, 1000, { pepper: rotated });
+      expect(phc).toMatch(/^\$pbkdf2-sha256\$i=1000,pepper=2\$/);
+      expect(parsePhc(phc).params).toEqual({ i: 1000, pepper: 2 });
+      expect(hashPasswordScrypt('myPassword123', null, 10, { pepper: 'secret' }).phc)
+        .toMatch(/^\$scrypt\$ln=10,r=8,p=1,pepper=1\$/);
+    });
+
+    it('should apply an HMAC of the password before stretching', () => {
+      const salt = generateSalt();
+      const peppered = hashPassword('myPassword123', salt, 1000, { pepper: 'secret' });
+      const hmac = crypto.createHmac('sha256', 'secret').update('myPassword123').digest();
+      const expected = crypto.pbkdf2Sync(hmac, Buffer.from(salt, 'base64'), 1000, 32, 'sha256');
+      expect(peppered.hash).toBe(expected.toString('base64'));
+      expect(peppered.hash).not.toBe(hashPassword('myPassword123', salt, 1000).hash);
+    });
+
+    it('should verify with the version the hash records', () => {
+      const { phc } = hashPasswordScrypt('myPassword123', null, 10, { pepper: keyring });
+      expect(verifyPassword('myPassword123', phc, { pepper: rotated })).toBe(true);
+      expect(verifyPasswordBcrypt('myPassword123', phc, { pepper: rotated })).toBe(true);
+      expect(verifyPassword('wrongPassword', phc, { pepper: rotated })).toBe(false);
+      expect(verifyPassword('myPassword123', phc, {
+        pepper: { current: 1, peppers: { 1: 'wrong pepper' } },
+      })).toBe(false);
+    });
+
+    it('should verify unpeppered hashes when a pepper is given', () => {
+      const { phc } = hashPassword('myPassword123', null, 1000);
+      expect(verifyPassword('myPassword123', phc, { pepper: rotated })).toBe(true);
+    });
+
+    it('should throw when the pepper is missing', () => {
+      const { phc } = hashPassword('myPassword123', null, 1000, { pepper: rotated });
+      expect(() => verifyPassword('myPassword123', phc)).toThrow(/pepper version 2/);
+      expect(() => verifyPassword('myPassword123', phc, { pepper: keyring }))
+        .toThrow('Pepper version 2 is not in the keyring');
+    });
+
+    it('should reject malformed keyrings', () => {
+      expect(() => hashPassword('password', null, 1000, { pepper: '' })).toThrow(TypeError);
+      expect(() => hashPassword('password', null, 1000, { pepper: { current: 1 } }))
+        .toThrow(TypeError);
+      expect(() => hashPassword('password', null, 1000, {
+        pepper: { current: 3, peppers: { 1: 'a' } },
+      })).toThrow(/Current pepper version 3/);
+      expect(() => hashPassword('password', null, 1000, {
+        pepper: { current: 1, peppers: { 1: 'a', first: 'b' } },
+      })).toThrow(/positive integer/);
+    });
+
+    it('should rotate peppers through verifyAndUpgrade', () => {
+      const policy = { iterations: 1000, pepper: rotated };
+      const { phc: old } = hashPassword('myPassword123', null, 1000, { pepper: keyring });
+      expect(needsRehash(old, policy)).toBe(true);
+      expect(needsRehash(old, { iterations: 1000, pepper: keyring })).toBe(false);
+      expect(needsRehash(hashPassword('myPassword123', null, 1000).phc, policy)).toBe(true);
+
+      const { valid, upgraded, phc } = verifyAndUpgrade('myPassword123', old, policy);
+      expect(valid).toBe(true);
+      expect(upgraded).toBe(true);
+      expect(parsePhc(phc).params.pepper).toBe(2);
+      expect(verifyPassword('myPassword123', phc, { pepper: rotated })).toBe(true);
+      expect(verifyAndUpgrade('myPassword123', phc, policy).upgraded).toBe(false);
+    });
+
+    it('should only pepper pbkdf2 and scrypt policies', () => {
+      expect(() => needsRehash('$2b$10$', { algorithm: 'bcrypt', pepper: keyring }))
+        .toThrow('Peppers are only supported with pbkdf2 and scrypt');
+    });
+
+    it('should check peppered password history', () => {
+      const history = [hashPassword('Autumn2024xyz', null, 1000, { pepper: keyring }).phc];
+      expect(checkPasswordStrength('Autumn2024xyz', {
+        policy: 'pci-dss',
+        history,
+        pepper: keyring,
+      }).errors).toEqual(['Password must not match any of the last 4 passwords']);
+    });
+
+    it('should pass peppers to the worker threads', async () => {
+      const { phc } = await hashPasswordAsync('myPassword123', null, 1000, { pepper: rotated });
+      expect(await verifyPasswordAsync('myPassword123', phc, { pepper: rotated })).toBe(true);
+    });
+  });
+
+  describe('async hashing', () => {
+    it('should hash without blocking the event loop', async () => {
+      let ticked = false;
+      setTimeout(() => {
+        ticked = true;
+      }, 0);
+      const { phc } = await hashPasswordAsync('myPassword123');
+      expect(ticked).toBe(true);
+      expect(verifyPassword('myPassword123', phc)).toBe(true);
+    });
+
+    it('should match the synchronous functions', async () => {
+      const salt = generateSalt();
+      expect(await hashPasswordAsync('myPassword123', salt, 1000))
+        .toEqual(hashPassword('myPassword123', salt, 1000));
+      expect(await hashPasswordScryptAsync('myPassword123', salt, 10))
+        .toEqual(hashPasswordScrypt('myPassword123', salt, 10));
+      expect(await hashPasswordBcryptAsync('myPassword123', salt, 4))
+        .toEqual(hashPasswordBcrypt('myPassword123', salt, 4));
+      const argon2Options = { salt, memoryCost: 64, timeCost: 1 };
+      expect(await hashPasswordArgon2idAsync('myPassword123', argon2Options))
+        .toEqual(hashPasswordArgon2id('myPassword123', argon2Options));
+    });
+
+    it('should verify passwords', async () => {
+      const { phc } = hashPasswordBcrypt('myPassword123', null, 4);
+      expect(await verifyPasswordAsync('myPassword123', phc)).toBe(true);
+      expect(await verifyPasswordBcryptAsync('wrongPassword', phc)).toBe(false);
+      expect(await verifyAndUpgradeAsync('myPassword123', phc, { algorithm: 'bcrypt', cost: 5 }))
+        .toMatchObject({ valid: true, upgraded: true });
+    });
+
+    it('should reject with the errors the synchronous functions throw', async () => {
+      await expect(hashPasswordAsync('')).rejects.toThrow('Password must be a non-empty string');
+      await expect(verifyPasswordAsync('password', 42)).rejects.toThrow(TypeError);
+    });
+  });
+
+  describe('hashMultiplePasswordsAsync', () => {
+    let pool;
+
+    beforeEach(() => {
+      pool = createHashWorkerPool({ size: 2 });
+    });
+
+    afterEach(() => pool.close());
+
+    it('should hash every password in input order', async () => {
+      const results = await hashMultiplePasswordsAsync(['pass1', '', 'pass3'], 'scrypt', { pool });
+      expect(results).toHaveLength(3);
+      expect(verifyPassword('pass1', results[0].phc)).toBe(true);
+      expect(results[1].error).toBe('Password must be a non-empty string');
+      expect(verifyPassword('pass3', results[2].phc)).toBe(true);
+      results.forEach((result) => {
+        expect(result.password).toBe('***masked***');
+        expect(result.algorithm).toBe('scrypt');
+      });
+    });
+
+    it('should report progress', async () => {
+      const progress = [];
+      await hashMultiplePasswordsAsync(['a', 'b', 'c'], 'bcrypt', {
+        pool,
+        concurrency: 1,
+        onProgress: (update) => progress.push(update),
+      });
+      expect(progress).toEqual([
+        { completed: 1, total: 3 },
+        { completed: 2, total: 3 },
+        { completed: 3, total: 3 },
+      ]);
+    });
+
+    it('should stop when the signal is aborted', async () => {
+      const controller = new AbortController();
+      const progress = [];
+      const batch = hashMultiplePasswordsAsync(new Array(50).fill('password'), 'pbkdf2', {
+        pool,
+        signal: controller.signal,
+        onProgress: (update) => {
+          progress.push(update);
+          controller.abort();
+        },
+      });
+      await expect(batch).rejects.toMatchObject({ name: 'AbortError' });
+      expect(progress.length).toBeLessThan(50);
+    });
+
+    it('should reject invalid arguments', async () => {
+      await expect(hashMultiplePasswordsAsync('password')).rejects.toThrow(TypeError);
+      await expect(hashMultiplePasswordsAsync([], 'md5')).rejects.toThrow(/Algorithm/);
+      await expect(hashMultiplePasswordsAsync([], 'pbkdf2', { pool, concurrency: 0 }))
+        .rejects.toThrow(TypeError);
+    });
+  });
+
+  describe('needsRehash', () => {
+    const ARGON2_FAST = { algorithm: 'argon2id', memoryCost: 64, timeCost: 1 };
+
+    it('should flag hashes with weaker parameters than the policy', () => {
+      const { phc } = hashPassword('myPassword123', null, 1000);
+      expect(needsRehash(phc, { iterations: 2000 })).toBe(true);
+      expect(needsRehash(phc, { iterations: 1000 })).toBe(false);
+    });
+
+    it('should use the default parameters of the policy algorithm', () => {
+      const { phc } = hashPassword('myPassword123', null, 1000);
+      expect(needsRehash(phc)).toBe(true);
+      expect(needsRehash('$pbkdf2-sha256$i=100000$c2FsdHNhbHQ$aGFzaA')).toBe(false);
+      expect(needsRehash('$scrypt$ln=15,r=8,p=1$c2FsdHNhbHQ$aGFzaA', { algorithm: 'scrypt' }))
+        .toBe(false);
+    });
+
+    it('should flag hashes made with another algorithm', () => {
+      const scrypt = hashPasswordScrypt('myPassword123', null, 8).phc;
+      expect(needsRehash(scrypt, { algorithm: 'scrypt', cost: 8 })).toBe(false);
+      expect(needsRehash(scrypt, { algorithm: 'bcrypt', cost: 8 })).toBe(true);
+      expect(needsRehash(scrypt, ARGON2_FAST)).toBe(true);
+    });
+
+    it('should compare bcrypt cost and every Argon2id parameter', () => {
+      const bcrypt = hashPasswordBcrypt('myPassword123', null, 4).phc;
+      expect(needsRehash(bcrypt, { algorithm: 'bcrypt', cost: 4 })).toBe(false);
+      expect(needsRehash(bcrypt, { algorithm: 'bcrypt', cost: 5 })).toBe(true);
+
+      const argon2id = hashPasswordArgon2id('myPassword123', ARGON2_FAST).phc;
+      expect(needsRehash(argon2id, ARGON2_FAST)).toBe(false);
+      expect(needsRehash(argon2id, { ...ARGON2_FAST, memoryCost: 128 })).toBe(true);
+      expect(needsRehash(argon2id, { ...ARGON2_FAST, timeCost: 2 })).toBe(true);
+      expect(needsRehash(argon2id, { ...ARGON2_FAST, parallelism: 2 })).toBe(true);
+    });
+
+    it('should flag settings a policy cannot produce', () => {
+      expect(needsRehash('$scrypt$ln=15,r=2,p=2$c2FsdHNhbHQ$aGFzaA', { algorithm: 'scrypt' }))
+        .toBe(true);
+      expect(needsRehash('$argon2id$m=64,t=1,p=1$c2FsdHNhbHQ$aGFzaA', ARGON2_FAST)).toBe(true);
+      expect(needsRehash('$argon2i$v=19$m=64,t=1,p=1$c2FsdHNhbHQ$aGFzaA', ARGON2_FAST)).toBe(true);
+    });
+
+    it('should always flag legacy colon hashes', () => {
+      const hashed = hashPassword('myPassword123');
+      expect(needsRehash(`${hashed.hash}:${hashed.salt}:${hashed.iterations}`)).toBe(true);
+    });
+
+    it('should reject invalid input', () => {
+      expect(() => needsRehash(42)).toThrow(TypeError);
+      expect(() => needsRehash('garbage')).toThrow('Invalid stored hash format');
+      expect(() => needsRehash('$md5$c2FsdA$aGFzaA')).toThrow('Unsupported hash algorithm');
+      expect(() => needsRehash('$2b$10$tooShort')).toThrow('Invalid bcrypt hash');
+      expect(() => needsRehash('$scrypt$ln=15$c2FsdA$aGFzaA', { algorithm: 'md5' }))
+        .toThrow('Algorithm must be one of');
+    });
+  });
+
+  describe('verifyAndUpgrade', () => {
+    const policy = { algorithm: 'argon2id', memoryCost: 64, timeCost: 1 };
+
+    it('should return a fresh hash under the policy for a stale hash', () => {
+      const stored = hashPassword('myPassword123', null, 1000).phc;
+      const result = verifyAndUpgrade('myPassword123', stored, policy);
+      expect(result.valid).toBe(true);
+      expect(result.upgraded).toBe(true);
+      expect(result.phc).toMatch(/^\$argon2id\$v=19\$m=64,t=1,p=1\$/);
+      expect(verifyPassword('myPassword123', result.phc)).toBe(true);
+      expect(needsRehash(result.phc, policy)).toBe(false);
+    });
+
+    it('should not upgrade when the password is wrong', () => {
+      const stored = hashPassword('myPassword123', null, 1000).phc;
+      expect(verifyAndUpgrade('wrongPassword', stored, policy))
+        .toEqual({ valid: false, upgraded: false, phc: null });
+    });
+
+    it('should not upgrade a hash that already meets the policy', () => {
+      const stored = hashPasswordArgon2id('myPassword123', policy).phc;
+      expect(verifyAndUpgrade('myPassword123', stored, policy))
+        .toEqual({ valid: true, upgraded: false, phc: null });
+    });
+
+    it('should raise PBKDF2 iterations', () => {
+      const stored = hashPassword('myPassword123', null, 1000).phc;
+      const { phc } = verifyAndUpgrade('myPassword123', stored, { iterations: 2000 });
+      expect(parsePhc(phc).params).toEqual({ i: 2000 });
+    });
+
+    it('should migrate legacy PBKDF2 and scrypt colon hashes', () => {
+      const pbkdf2 = hashPassword('myPassword123', null, 1000);
+      const scrypt = hashPasswordScrypt('myPassword123', null, 8);
+      [
+        `${pbkdf2.hash}:${pbkdf2.salt}:${pbkdf2.iterations}`,
+        `${scrypt.hash}:${scrypt.salt}:${scrypt.cost}`,
+      ].forEach((stored) => {
+        const result = verifyAndUpgrade('myPassword123', stored, policy);
+        expect(result.valid).toBe(true);
+        expect(result.upgraded).toBe(true);
+        expect(verifyAndUpgrade('wrongPassword', stored, policy).valid).toBe(false);
+      });
+    });
+
+    it('should migrate hashes imported from other systems', () => {
+      [
+        '$apr1$rOioh4Wh$YLc9Eq6kS87QVB9AX6XNj1',
+        '{SHA}ziwi8r2DRC7LRIw/abgb0HcRyoI=',
+        'pbkdf2_sha256$1000$seasalt$c1qzytRSef55QORFq0MdO8/1vcUm06B+SlPeZTlPCkA=',
+        'pbkdf2:sha256:1000$seasalt$'
+          + '735ab3cad45279fe7940e445ab431d3bcff5bdc526d3a07e4a53de65394f0a40',
+      ].forEach((stored) => {
+        expect(needsRehash(stored, policy)).toBe(true);
+        const result = verifyAndUpgrade('myPassword123', stored, policy);
+        expect(result.valid).toBe(true);
+        expect(result.upgraded).toBe(true);
+        expect(result.phc).toMatch(/^\$argon2id\$/);
+        expect(verifyAndUpgrade('wrongPassword', stored, policy).valid).toBe(false);
+      });
+    });
+
+    it('should reject a non-string password', () => {
+      expect(() => verifyAndUpgrade(null, '$2b$10$tooShort')).toThrow(TypeError);
+    });
+  });
+
   describe('Integration Tests', () => {
     it('should support full password workflow', () => {
       const password = 'MySecurePassword123!';
@@ -372,12 +1102,11 @@ describe('Password Hasher', () => {
       const password = 'MySecurePassword123!';
 
       // Hash password
-      const hashed = hashPasswordBcrypt(password);
-      const stored = `${hashed.hash}:${hashed.salt}:${hashed.cost}`;
+      const { phc } = hashPasswordBcrypt(password, null, 4);
 
       // Verify password
-      expect(verifyPasswordBcrypt(password, stored)).toBe(true);
-      expect(verifyPasswordBcrypt('wrongPassword', stored)).toBe(false);
+      expect(verifyPasswordBcrypt(password, phc)).toBe(true);
+      expect(verifyPasswordBcrypt('wrongPassword', phc)).toBe(false);
     });
 
     it('should handle multiple users', () => {
@@ -0,0 +1,193 @@
+/**
+ * Password Policy Tests
+ * Test suite for named password policy profiles
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  PolicyError,
+  UnknownPolicyError,
+  DEFAULT_POLICY,
+  BUILT_IN_POLICIES,
+  POLICY_RULES,
+  loadPolicy,
+  loadPolicyFile,
+  getPolicy,
+  listPolicies,
+  resolvePolicyOptions,
+} from '../src/passwordPolicy.js';
+
+describe('Password Policy', () => {
+  describe('getPolicy', () => {
+    it('should return the default policy by default', () => {
+      expect(getPolicy()).toMatchObject({
+        name: DEFAULT_POLICY,
+        minLength: 8,
+        maxLength: null,
+        requireUppercase: true,
+        requireLowercase: true,
+        requireLetters: false,
+        requireNumbers: true,
+        requireSpecial: true,
+        maxRepeats: null,
+        forbiddenWords: [],
+        historySize: 0,
+      });
+    });
+
+    it('should provide the NIST 800-63B profile', () => {
+      expect(getPolicy('nist-800-63b')).toMatchObject({
+        minLength: 15,
+        requireUppercase: false,
+        requireLowercase: false,
+        requireNumbers: false,
+        requireSpecial: false,
+        historySize: 0,
+      });
+    });
+
+    it('should provide the PCI-DSS profile', () => {
+      expect(getPolicy('pci-dss')).toMatchObject({
+        minLength: 12,
+        requireLetters: true,
+        requireNumbers: true,
+        requireUppercase: false,
+        requireSpecial: false,
+        historySize: 4,
+      });
+    });
+
+    it('should compile unregistered profile objects', () => {
+      const policy = getPolicy({ name: 'adhoc', minLength: 10 });
+      expect(policy.minLength).toBe(10);
+      expect(listPolicies().map(({ name }) => name)).not.toContain('adhoc');
+    });
+
+    it('should throw UnknownPolicyError for unknown names', () => {
+      expect(() => getPolicy('iso-27001')).toThrow(UnknownPolicyError);
+      expect(() => getPolicy('iso-27001')).toThrow(PolicyError);
+    });
+  });
+
+  describe('loadPolicy', () => {
+    it('should inherit rules from the extended profile', () => {
+      const policy = loadPolicy({
+        name: 'acme',
+        description: 'ACME staff',
+        extends: 'pci-dss',
+        forbiddenWords: ['acme'],
+      });
+      expect(policy).toMatchObject({
+        name: 'acme',
+        description: 'ACME staff',
+        minLength: 12,
+        historySize: 4,
+        forbiddenWords: ['acme'],
+      });
+      expect(getPolicy('acme')).toBe(policy);
+    });
+
+    it('should inherit from the default policy when nothing is extended', () => {
+      expect(loadPolicy({ name: 'longer', minLength: 10 })).toMatchObject({
+        minLength: 10,
+        requireSpecial: true,
+      });
+    });
+
+    it('should accept JSON text', () => {
+      expect(loadPolicy('{"name": "json-policy", "maxRepeats": 2}').maxRepeats).toBe(2);
+    });
+
+    it('should return frozen policies', () => {
+      const policy = loadPolicy({ name: 'frozen', forbiddenWords: ['x'] });
+      expect(Object.isFrozen(policy)).toBe(true);
+      expect(Object.isFrozen(policy.forbiddenWords)).toBe(true);
+    });
+
+    it('should reject malformed profiles', () => {
+      expect(() => loadPolicy('{not json')).toThrow(PolicyError);
+      expect(() => loadPolicy([])).toThrow(PolicyError);
+      expect(() => loadPolicy({ minLength: 8 })).toThrow(/name/);
+      expect(() => loadPolicy({ name: 'typo', minLenght: 8 })).toThrow(/minLenght/);
+      expect(() => loadPolicy({ name: 'bad', minLength: 0 })).toThrow(/minLength/);
+      expect(() => loadPolicy({ name: 'bad', maxLength: 4 })).toThrow(/maxLength/);
+      expect(() => loadPolicy({ name: 'bad', requireNumbers: 'yes' })).toThrow(/requireNumbers/);
+      expect(() => loadPolicy({ name: 'bad', maxRepeats: 0 })).toThrow(/maxRepeats/);
+      expect(() => loadPolicy({ name: 'bad', forbiddenWords: [''] })).toThrow(/forbiddenWords/);
+      expect(() => loadPolicy({ name: 'bad', historySize: -1 })).toThrow(/historySize/);
+      expect(() => loadPolicy({ name: 'bad', extends: 'missing' })).toThrow(UnknownPolicyError);
+    });
+  });
+
+  describe('loadPolicyFile', () => {
+    let directory;
+
+    beforeEach(() => {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'password-policy-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('should load every profile in a file, in order', () => {
+      const file = path.join(directory, 'policies.json');
+      fs.writeFileSync(file, JSON.stringify([
+        { name: 'team', extends: 'nist-800-63b', forbiddenWords: ['team'] },
+        { name: 'team-admin', extends: 'team', minLength: 20 },
+      ]));
+      const loaded = loadPolicyFile(file);
+      expect(loaded.map(({ name }) => name)).toEqual(['team', 'team-admin']);
+      expect(getPolicy('team-admin')).toMatchObject({
+        minLength: 20,
+        forbiddenWords: ['team'],
+      });
+    });
+
+    it('should load a single profile', () => {
+      const file = path.join(directory, 'policy.json');
+      fs.writeFileSync(file, '{"name": "single", "historySize": 3}');
+      expect(loadPolicyFile(file)[0].historySize).toBe(3);
+    });
+
+    it('should throw PolicyError for invalid JSON', () => {
+      const file = path.join(directory, 'broken.json');
+      fs.writeFileSync(file, '{"name": ');
+      expect(() => loadPolicyFile(file)).toThrow(PolicyError);
+    });
+
+    it('should pass file system errors through', () => {
+      expect(() => loadPolicyFile(path.join(directory, 'missing.json')))
+        .toThrow(expect.objectContaining({ code: 'ENOENT' }));
+    });
+  });
+
+  describe('listPolicies', () => {
+    it('should list built-in and registered policies by name', () => {
+      loadPolicy({ name: 'zz-listed', description: 'Listed last' });
+      const names = listPolicies().map(({ name }) => name);
+      expect(names).toEqual(expect.arrayContaining([...BUILT_IN_POLICIES, 'zz-listed']));
+      expect(names).toEqual([...names].sort());
+    });
+  });
+
+  describe('resolvePolicyOptions', () => {
+    it('should return the policy when no rule is overridden', () => {
+      expect(resolvePolicyOptions({ policy: 'pci-dss' })).toBe(getPolicy('pci-dss'));
+      expect(resolvePolicyOptions()).toBe(getPolicy());
+    });
+
+    it('should let individual options override the policy', () => {
+      const rules = resolvePolicyOptions({ policy: 'pci-dss', minLength: 16, userInputs: [] });
+      expect(rules).toMatchObject({ name: 'pci-dss', minLength: 16, historySize: 4 });
+      expect(Object.keys(rules)).toEqual(expect.arrayContaining(POLICY_RULES));
+    });
+
+    it('should validate overridden rules', () => {
+      expect(() => resolvePolicyOptions({ minLength: -1 })).toThrow(PolicyError);
+    });
+  });
+});
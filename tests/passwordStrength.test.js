@@ -0,0 +1,119 @@
+/**
+ * Password Strength Tests
+ * Test suite for the pattern-based password strength estimator
+ */
+
+import {
+  DICTIONARIES,
+  CRACK_TIME_SCENARIOS,
+  estimatePasswordStrength,
+} from '../src/passwordStrength.js';
+
+const patterns = (password, options) => estimatePasswordStrength(password, options)
+  .sequence.map((match) => match.pattern);
+
+describe('Password Strength', () => {
+  describe('DICTIONARIES', () => {
+    it('should list the bundled word lists', () => {
+      expect(DICTIONARIES).toEqual(['passwords', 'english', 'names', 'surnames']);
+    });
+  });
+
+  describe('estimatePasswordStrength', () => {
+    it('should rate common passwords as weak', () => {
+      const estimate = estimatePasswordStrength('password');
+      expect(estimate.score).toBe(0);
+      expect(estimate.sequence[0]).toMatchObject({
+        pattern: 'dictionary',
+        dictionary: 'passwords',
+      });
+    });
+
+    it('should see through capitals and suffixes on common passwords', () => {
+      const estimate = estimatePasswordStrength('Password1!');
+      expect(estimate.score).toBeLessThanOrEqual(1);
+      expect(estimate.guesses).toBeLessThan(1e6);
+    });
+
+    it('should rate long passphrases as strong', () => {
+      expect(estimatePasswordStrength('correct horse battery staple').score).toBe(4);
+    });
+
+    it('should detect reversed and l33t dictionary words', () => {
+      const [reversed] = estimatePasswordStrength('drowssap').sequence;
+      const [l33t] = estimatePasswordStrength('h0rse').sequence;
+      expect(reversed).toMatchObject({ pattern: 'dictionary', reversed: true });
+      expect(l33t).toMatchObject({ pattern: 'dictionary', l33t: true });
+    });
+
+    it('should detect keyboard walks', () => {
+      expect(patterns('mju7nhy6')).toEqual(['spatial', 'spatial']);
+    });
+
+    it('should detect repeats and sequences', () => {
+      expect(patterns('aaaaaaaa')).toEqual(['repeat']);
+      expect(patterns('abcdefgh')).toEqual(['sequence']);
+    });
+
+    it('should detect years and dates', () => {
+      expect(patterns('1987')).toEqual(['year']);
+      expect(patterns('13/05/1987')).toEqual(['date']);
+    });
+
+    it('should treat user inputs as a dictionary', () => {
+      const plain = estimatePasswordStrength('zebediahquill');
+      const personal = estimatePasswordStrength('zebediahquill', {
+        userInputs: ['Zebediah', 'Quill'],
+      });
+      expect(personal.guesses).toBeLessThan(plain.guesses);
+      expect(personal.sequence.map((match) => match.dictionary))
+        .toEqual(['userInputs', 'userInputs']);
+    });
+
+    it('should report entropy in bits', () => {
+      const estimate = estimatePasswordStrength('Tr0ub4dour&3');
+      expect(estimate.entropy).toBeCloseTo(Math.log2(estimate.guesses), 5);
+      expect(estimate.guessesLog10).toBeCloseTo(Math.log10(estimate.guesses), 5);
+    });
+
+    it('should estimate crack times for each scenario', () => {
+      const estimate = estimatePasswordStrength('Password1!');
+      expect(Object.keys(estimate.crackTimes)).toEqual(Object.keys(CRACK_TIME_SCENARIOS));
+      expect(estimate.crackTimes.offlineSlowHash.seconds)
+        .toBeCloseTo(estimate.guesses / CRACK_TIME_SCENARIOS.offlineSlowHash);
+      expect(estimate.crackTimes.offlineFastHash.display).toBe('less than a second');
+    });
+
+    it('should explain what made a password weak', () => {
+      expect(estimatePasswordStrength('qwertyuiop').feedback.warning)
+        .toMatch(/common password/);
+      expect(estimatePasswordStrength('abcdefgh').feedback.warning)
+        .toMatch(/Sequences/);
+      expect(estimatePasswordStrength('Password1!').feedback.suggestions)
+        .toContain("Capitalization doesn't help very much");
+    });
+
+    it('should give no feedback for strong passwords', () => {
+      expect(estimatePasswordStrength('correct horse battery staple').feedback)
+        .toEqual({ warning: '', suggestions: [] });
+    });
+
+    it('should handle the empty string', () => {
+      const estimate = estimatePasswordStrength('');
+      expect(estimate.score).toBe(0);
+      expect(estimate.sequence).toEqual([]);
+    });
+
+    it('should handle very long passwords', () => {
+      const estimate = estimatePasswordStrength('x9'.repeat(200));
+      expect(Number.isFinite(estimate.guessesLog10)).toBe(true);
+      expect(estimate.score).toBeLessThanOrEqual(4);
+    });
+
+    it('should throw TypeError for invalid input', () => {
+      expect(() => estimatePasswordStrength(123)).toThrow(TypeError);
+      expect(() => estimatePasswordStrength('secret', { userInputs: 'alice' }))
+        .toThrow(TypeError);
+    });
+  });
+});
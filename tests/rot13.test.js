@@ -1,4 +1,10 @@
-import { encode, decode, isRot13Symmetric, analyze } from '../src/rot13.js';
+import {
+  encode,
+  decode,
+  isRot13Symmetric,
+  detect,
+  analyze,
+} from '../src/rot13.js';
 
 describe('ROT13', () => {
   describe('encode', () => {
@@ -55,6 +61,33 @@ describe('ROT13', () => {
     });
   });
 
+  describe('detect', () => {
+    it('should detect ROT13-encoded English', () => {
+      const result = detect('Gur dhvpx oebja sbk whzcf bire gur ynml qbt');
+      expect(result.isRot13).toBe(true);
+      expect(result.confidence).toBeGreaterThan(0.99);
+      expect(result.decoded).toBe('The quick brown fox jumps over the lazy dog');
+    });
+
+    it('should not flag plain English', () => {
+      const result = detect('Meet me at the station at noon');
+      expect(result.isRot13).toBe(false);
+      expect(result.confidence).toBeLessThan(0.01);
+    });
+
+    it('should be undecided for text without letters', () => {
+      expect(detect('12345').confidence).toBe(0.5);
+    });
+
+    it('should accept a language', () => {
+      expect(detect(encode('Der Hund spielt im Garten'), { language: 'de' }).isRot13).toBe(true);
+    });
+
+    it('should throw for non-string input', () => {
+      expect(() => detect(null)).toThrow(TypeError);
+    });
+  });
+
   describe('analyze', () => {
     it('should analyze text properties', () => {
       const analysis = analyze('HELLO');
@@ -0,0 +1,299 @@
+/**
+ * Secret Store Tests
+ * Test suite for the file-backed encrypted secret store
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+import {
+  initStore,
+  putSecret,
+  getSecret,
+  listSecrets,
+  removeSecret,
+  rekeyStore,
+  SecretStoreError,
+  RekeyError,
+  EntryNotFoundError,
+  WrongMasterPasswordError,
+  StoreLockedError,
+} from '../src/secretStore.js';
+import { TamperedDataError } from '../src/authenticatedEncryption.js';
+
+const PASSWORD = 'correct horse battery staple';
+
+describe('Secret Store', () => {
+  let directory;
+  let file;
+
+  const readStore = () => JSON.parse(fs.readFileSync(file, 'utf8'));
+  const writeStore = (store) => fs.writeFileSync(file, JSON.stringify(store));
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'secret-store-'));
+    file = path.join(directory, 'store.json');
+    // Low scrypt cost keeps the suite fast
+    initStore(file, PASSWORD, { cost: 8, maxAttempts: 3 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  describe('initStore', () => {
+    it('should create an empty store with a master hash', () => {
+      const store = readStore();
+      expect(store.version).toBe(1);
+      expect(store.master).toMatch(/^\$scrypt\$ln=8,r=8,p=1\$/);
+      expect(store.master).not.toContain(PASSWORD);
+      expect(store.entries).toEqual({});
+      expect(store.encryption).toEqual({ cipher: 'aes-256-gcm', kdf: 'scrypt', cost: 8 });
+    });
+
+    it('should restrict the file to its owner', () => {
+      // eslint-disable-next-line no-bitwise
+      expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    });
+
+    it('should refuse to overwrite an existing file', () => {
+      expect(() => initStore(file, PASSWORD)).toThrow(SecretStoreError);
+    });
+
+    it('should reject invalid arguments', () => {
+      const other = path.join(directory, 'other.json');
+      expect(() => initStore(other, '')).toThrow(TypeError);
+      expect(() => initStore('', PASSWORD)).toThrow(TypeError);
+      expect(() => initStore(other, PASSWORD, { maxAttempts: 0 })).toThrow(SecretStoreError);
+    });
+  });
+
+  describe('putSecret / getSecret', () => {
+    it('should round-trip a secret', () => {
+      expect(putSecret(file, PASSWORD, 'github', 'ghp_abc123')).toEqual({
+        name: 'github',
+        created: true,
+      });
+      expect(getSecret(file, PASSWORD, 'github')).toBe('ghp_abc123');
+    });
+
+    it('should never write the secret in the clear', () => {
+      putSecret(file, PASSWORD, 'github', 'ghp_abc123');
+      expect(fs.readFileSync(file, 'utf8')).not.toContain('ghp_abc123');
+    });
+
+    it('should replace an existing entry and keep its creation time', () => {
+      putSecret(file, PASSWORD, 'github', 'old');
+      const { created } = readStore().entries.github;
+      expect(putSecret(file, PASSWORD, 'github', 'new').created).toBe(false);
+      expect(getSecret(file, PASSWORD, 'github')).toBe('new');
+      expect(readStore().entries.github.created).toBe(created);
+    });
+
+    it('should refuse to replace an entry when overwrite is false', () => {
+      putSecret(file, PASSWORD, 'github', 'old');
+      expect(() => putSecret(file, PASSWORD, 'github', 'new', { overwrite: false }))
+        .toThrow('already exists');
+    });
+
+    it('should accept path-like names and multi-line values', () => {
+      putSecret(file, PASSWORD, 'db/prod@eu-1', 'line one\nline two');
+      expect(getSecret(file, PASSWORD, 'db/prod@eu-1')).toBe('line one\nline two');
+    });
+
+    it('should throw EntryNotFoundError for unknown names', () => {
+      expect(() => getSecret(file, PASSWORD, 'missing')).toThrow(EntryNotFoundError);
+    });
+
+    it('should reject invalid names and values', () => {
+      expect(() => putSecret(file, PASSWORD, '../escape', 'x')).toThrow(SecretStoreError);
+      expect(() => putSecret(file, PASSWORD, 'has space', 'x')).toThrow(SecretStoreError);
+      expect(() => putSecret(file, PASSWORD, 42, 'x')).toThrow(TypeError);
+      expect(() => putSecret(file, PASSWORD, 'name', 42)).toThrow(TypeError);
+    });
+
+    it('should detect entries swapped between names', () => {
+      putSecret(file, PASSWORD, 'a', 'secret A');
+      putSecret(file, PASSWORD, 'b', 'secret B');
+      const store = readStore();
+      store.entries.a.envelope = store.entries.b.envelope;
+      writeStore(store);
+      expect(() => getSecret(file, PASSWORD, 'a')).toThrow(TamperedDataError);
+    });
+
+    it('should report a missing or corrupt store', () => {
+      const missing = path.join(directory, 'missing.json');
+      expect(() => getSecret(missing, PASSWORD, 'a')).toThrow('vault init');
+      fs.writeFileSync(file, 'not json');
+      expect(() => getSecret(file, PASSWORD, 'a')).toThrow('not a valid store');
+    });
+  });
+
+  describe('listSecrets', () => {
+    it('should list names sorted without a password', () => {
+      putSecret(file, PASSWORD, 'zeta', '1');
+      putSecret(file, PASSWORD, 'alpha', '2');
+      const entries = listSecrets(file);
+      expect(entries.map((entry) => entry.name)).toEqual(['alpha', 'zeta']);
+      expect(entries[0]).toEqual({
+        name: 'alpha',
+        created: expect.any(String),
+        updated: expect.any(String),
+      });
+    });
+
+    it('should return an empty list for a new store', () => {
+      expect(listSecrets(file)).toEqual([]);
+    });
+  });
+
+  describe('removeSecret', () => {
+    it('should delete an entry', () => {
+      putSecret(file, PASSWORD, 'github', 'x');
+      expect(removeSecret(file, PASSWORD, 'github')).toBe(true);
+      expect(listSecrets(file)).toEqual([]);
+    });
+
+    it('should require the master password', () => {
+      putSecret(file, PASSWORD, 'github', 'x');
+      expect(() => removeSecret(file, 'wrong', 'github')).toThrow(WrongMasterPasswordError);
+      expect(listSecrets(file)).toHaveLength(1);
+    });
+
+    it('should throw EntryNotFoundError for unknown names', () => {
+      expect(() => removeSecret(file, PASSWORD, 'missing')).toThrow(EntryNotFoundError);
+    });
+  });
+
+  describe('lockout', () => {
+    it('should count down the remaining attempts', () => {
+      expect(() => getSecret(file, 'wrong', 'a')).toThrow('2 attempts left');
+      expect(() => getSecret(file, 'wrong', 'a')).toThrow('1 attempt left');
+      expect(readStore().lockout.failures).toBe(2);
+    });
+
+    it('should lock the store after repeated wrong passwords', () => {
+      putSecret(file, PASSWORD, 'github', 'x');
+      expect(() => getSecret(file, 'wrong', 'github')).toThrow(WrongMasterPasswordError);
+      expect(() => getSecret(file, 'wrong', 'github')).toThrow(WrongMasterPasswordError);
+      expect(() => getSecret(file, 'wrong', 'github')).toThrow(StoreLockedError);
+
+      // Even the right password is refused while locked
+      expect(() => getSecret(file, PASSWORD, 'github')).toThrow(StoreLockedError);
+      expect(Date.parse(readStore().lockout.lockedUntil)).toBeGreaterThan(Date.now());
+    });
+
+    it('should double the delay for each failure after the lock expires', () => {
+      const store = readStore();
+      store.lockout.failures = 3;
+      store.lockout.lockedUntil = new Date(Date.now() - 1000).toISOString();
+      writeStore(store);
+
+      let error;
+      try {
+        getSecret(file, 'wrong', 'a');
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error).toBeInstanceOf(StoreLockedError);
+      const delay = error.retryAt.getTime() - Date.now();
+      expect(delay).toBeGreaterThan(55 * 1000);
+      expect(delay).toBeLessThanOrEqual(60 * 1000);
+    });
+
+    it('should reset the counter after a correct password', () => {
+      expect(() => getSecret(file, 'wrong', 'a')).toThrow(WrongMasterPasswordError);
+      putSecret(file, PASSWORD, 'a', 'x');
+      expect(readStore().lockout).toEqual(expect.objectContaining({
+        failures: 0,
+        lockedUntil: null,
+      }));
+    });
+  });
+
+  describe('rekeyStore', () => {
+    beforeEach(() => {
+      putSecret(file, PASSWORD, 'github', 'ghp_abc123');
+      putSecret(file, PASSWORD, 'db/prod', 'hunter2');
+    });
+
+    it('should change the master password and re-encrypt every entry', () => {
+      expect(rekeyStore(file, PASSWORD, { newPassword: 'n3w p4ss' })).toEqual({
+        entries: 2,
+        encryption: { cipher: 'aes-256-gcm', kdf: 'scrypt', cost: 8 },
+      });
+      expect(getSecret(file, 'n3w p4ss', 'github')).toBe('ghp_abc123');
+      expect(getSecret(file, 'n3w p4ss', 'db/prod')).toBe('hunter2');
+      expect(() => getSecret(file, PASSWORD, 'github')).toThrow(WrongMasterPasswordError);
+    });
+
+    it('should change the KDF cost and cipher while keeping the password', () => {
+      const before = readStore();
+      rekeyStore(file, PASSWORD, { cost: 9, cipher: 'chacha20-poly1305' });
+
+      const after = readStore();
+      expect(after.master).toMatch(/^\$scrypt\$ln=9,/);
+      expect(after.entries.github.envelope.kdf.cost).toBe(9);
+      expect(after.entries.github.envelope.cipher).toBe('chacha20-poly1305');
+      expect(after.entries.github.envelope.ciphertext)
+        .not.toBe(before.entries.github.envelope.ciphertext);
+      expect(after.entries.github.created).toBe(before.entries.github.created);
+      expect(getSecret(file, PASSWORD, 'github')).toBe('ghp_abc123');
+    });
+
+    it('should raise the KDF cost above the default', () => {
+      const result = rekeyStore(file, PASSWORD, { cost: 16 });
+      expect(result.encryption).toEqual({ cipher: 'aes-256-gcm', kdf: 'scrypt', cost: 16 });
+      expect(readStore().master).toMatch(/^\$scrypt\$ln=16,/);
+      expect(getSecret(file, PASSWORD, 'github')).toBe('ghp_abc123');
+    });
+
+    it('should switch entries to PBKDF2', () => {
+      const result = rekeyStore(file, PASSWORD, { kdf: 'pbkdf2', iterations: 1000 });
+      expect(result.encryption).toEqual({ cipher: 'aes-256-gcm', kdf: 'pbkdf2', iterations: 1000 });
+      expect(getSecret(file, PASSWORD, 'db/prod')).toBe('hunter2');
+    });
+
+    it('should require the current master password', () => {
+      const before = fs.readFileSync(file, 'utf8');
+      expect(() => rekeyStore(file, 'wrong', { newPassword: 'x' }))
+        .toThrow(WrongMasterPasswordError);
+      expect(readStore().entries).toEqual(JSON.parse(before).entries);
+    });
+
+    it('should leave the store untouched when an entry cannot be decrypted', () => {
+      const store = readStore();
+      store.entries['db/prod'].envelope = store.entries.github.envelope;
+      writeStore(store);
+      const before = fs.readFileSync(file, 'utf8');
+
+      expect(() => rekeyStore(file, PASSWORD, { newPassword: 'n3w p4ss' }))
+        .toThrow(TamperedDataError);
+      expect(fs.readFileSync(file, 'utf8')).toBe(before);
+      expect(fs.readdirSync(directory)).toEqual(['store.json']);
+    });
+
+    it('should leave the store untouched when the new settings are invalid', () => {
+      const before = fs.readFileSync(file, 'utf8');
+      expect(() => rekeyStore(file, PASSWORD, { cipher: 'rc4' })).toThrow(RekeyError);
+      expect(() => rekeyStore(file, PASSWORD, { cost: 2 })).toThrow('left unchanged');
+      expect(() => rekeyStore(file, PASSWORD, { newPassword: '' })).toThrow(TypeError);
+      expect(fs.readFileSync(file, 'utf8')).toBe(before);
+    });
+
+    it('should reset the lockout counter', () => {
+      expect(() => getSecret(file, 'wrong', 'github')).toThrow(WrongMasterPasswordError);
+      rekeyStore(file, PASSWORD);
+      expect(readStore().lockout.failures).toBe(0);
+    });
+  });
+
+  describe('atomic writes', () => {
+    it('should leave no temporary files behind', () => {
+      putSecret(file, PASSWORD, 'a', '1');
+      removeSecret(file, PASSWORD, 'a');
+      expect(fs.readdirSync(directory)).toEqual(['store.json']);
+    });
+  });
+});
@@ -15,6 +15,7 @@ import {
   interleaveCharacters,
   deinterleaveCharacters,
   toHomoglyph,
+  fromHomoglyph,
   calculateObfuscationStrength,
 } from '../src/textObfuscator.js';
 
@@ -317,6 +318,22 @@ describe('Text Obfuscator', () => {
     });
   });
 
+  describe('fromHomoglyph', () => {
+    it('should restore Latin letters', () => {
+      const homoglyph = toHomoglyph('Hello Mr Smith');
+      expect(homoglyph).not.toBe('Hello Mr Smith');
+      expect(fromHomoglyph(homoglyph)).toBe('Hello Mr Smith');
+    });
+
+    it('should leave other characters alone', () => {
+      expect(fromHomoglyph('Привет 123')).toBe('Пpивeт 123');
+    });
+
+    it('should throw error for non-string', () => {
+      expect(() => fromHomoglyph(123)).toThrow(TypeError);
+    });
+  });
+
   describe('calculateObfuscationStrength', () => {
     it('should calculate strength for obfuscated text', () => {
       const strength = calculateObfuscationStrength(
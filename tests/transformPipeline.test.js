@@ -0,0 +1,151 @@
+/**
+ * Transform Pipeline Tests
+ * Test suite for composable, reversible transform chains
+ */
+
+import {
+  createRecipe,
+  runPipeline,
+  reversePipeline,
+  checkReversibility,
+  serializeRecipe,
+  parseRecipe,
+  PipelineError,
+  IrreversiblePipelineError,
+  RECIPE_VERSION,
+} from '../src/transformPipeline.js';
+import { registerTransform, unregisterTransform } from '../src/cipherRegistry.js';
+
+describe('Transform Pipeline', () => {
+  const steps = [
+    { transform: 'caesar', params: { shift: 5 } },
+    { transform: 'vigenere', params: { key: 'LEMON' } },
+    'base64',
+    'reverse',
+  ];
+
+  describe('createRecipe', () => {
+    it('should normalise steps and fill in defaults', () => {
+      const recipe = createRecipe(['rot13', 'caesar']);
+      expect(recipe).toEqual({
+        version: RECIPE_VERSION,
+        steps: [
+          { transform: 'rot13', params: {} },
+          { transform: 'caesar', params: { shift: 3 } },
+        ],
+      });
+    });
+
+    it('should reject unknown transforms', () => {
+      expect(() => createRecipe(['enigma'])).toThrow(PipelineError);
+    });
+
+    it('should reject invalid params with the step number', () => {
+      expect(() => createRecipe(['rot13', { transform: 'caesar', params: { shift: 99 } }])).toThrow(
+        /Step 2 \(caesar\)/,
+      );
+    });
+
+    it('should reject malformed steps', () => {
+      expect(() => createRecipe([{}])).toThrow(PipelineError);
+      expect(() => createRecipe([{ transform: 'rot13', params: [] }])).toThrow(PipelineError);
+      expect(() => createRecipe('rot13')).toThrow(TypeError);
+    });
+  });
+
+  describe('runPipeline', () => {
+    it('should apply steps in order', () => {
+      expect(runPipeline('HELLO', ['rot13', { transform: 'caesar', params: { shift: 1 } }])).toBe(
+        'VSZZC',
+      );
+    });
+
+    it('should return the input for an empty pipeline', () => {
+      expect(runPipeline('HELLO', [])).toBe('HELLO');
+    });
+
+    it('should report which step failed', () => {
+      registerTransform({
+        id: 'explode',
+        forward: () => {
+          throw new Error('boom');
+        },
+      });
+      try {
+        expect(() => runPipeline('HELLO', ['rot13', 'explode'])).toThrow(
+          'Step 2 (explode) failed: boom',
+        );
+      } finally {
+        unregisterTransform('explode');
+      }
+    });
+
+    it('should throw for non-string input', () => {
+      expect(() => runPipeline(42, ['rot13'])).toThrow(TypeError);
+    });
+  });
+
+  describe('reversePipeline', () => {
+    it('should recover the original text', () => {
+      const recipe = createRecipe(steps);
+      const output = runPipeline('Attack at dawn!', recipe);
+      expect(output).not.toBe('Attack at dawn!');
+      expect(reversePipeline(output, recipe)).toBe('Attack at dawn!');
+    });
+
+    it('should recover uppercase text through lossy steps', () => {
+      const recipe = [{ transform: 'caesar', params: { shift: 7 } }, 'morse'];
+      expect(reversePipeline(runPipeline('SOS AT SEA', recipe), recipe)).toBe('SOS AT SEA');
+    });
+
+    it('should name the step that blocks reversal', () => {
+      const recipe = ['rot13', 'homoglyph', 'base64'];
+      expect(() => reversePipeline('abc', recipe)).toThrow(IrreversiblePipelineError);
+      try {
+        reversePipeline('abc', recipe);
+      } catch (error) {
+        expect(error.stepIndex).toBe(1);
+        expect(error.transform).toBe('homoglyph');
+      }
+    });
+  });
+
+  describe('checkReversibility', () => {
+    it('should report reversible pipelines', () => {
+      expect(checkReversibility(steps)).toEqual({
+        reversible: true,
+        lossless: true,
+        blockingStep: null,
+        lossySteps: [],
+      });
+    });
+
+    it('should report blocking and lossy steps', () => {
+      expect(checkReversibility(['morse', 'random-insert'])).toEqual({
+        reversible: false,
+        lossless: false,
+        blockingStep: { index: 1, transform: 'random-insert' },
+        lossySteps: [0, 1],
+      });
+    });
+  });
+
+  describe('serialization', () => {
+    it('should round-trip a recipe through JSON', () => {
+      const json = serializeRecipe(steps);
+      const recipe = parseRecipe(json);
+      expect(recipe).toEqual(createRecipe(steps));
+      expect(reversePipeline(runPipeline('Secret', recipe), parseRecipe(json))).toBe('Secret');
+    });
+
+    it('should reject malformed JSON', () => {
+      expect(() => parseRecipe('{not json')).toThrow(PipelineError);
+      expect(() => parseRecipe('{"steps": 3}')).toThrow(PipelineError);
+      expect(() => parseRecipe(42)).toThrow(TypeError);
+    });
+
+    it('should reject unsupported versions', () => {
+      expect(() => parseRecipe('{"version": 99, "steps": []}')).toThrow(/version/);
+    });
+  });
+});
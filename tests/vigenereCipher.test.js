@@ -3,8 +3,10 @@ import {
   decrypt,
   bruteForce,
   analyze,
+  crack,
   verify,
-  generateKey
+  generateKey,
+  MIN_CRACK_LETTERS,
 } from '../src/vigenereCipher.js';
 
 describe('Vigenère Cipher', () => {
@@ -189,6 +191,57 @@ describe('Vigenère Cipher', () => {
     });
   });
 
+  describe('crack', () => {
+    const plaintext = 'It was the best of times, it was the worst of times, it was the age of '
+      + 'wisdom, it was the age of foolishness, it was the epoch of belief, it was the '
+      + 'epoch of incredulity, it was the season of Light, it was the season of Darkness.';
+
+    it('should recover a non-dictionary key and the plaintext', () => {
+      const result = crack(encrypt(plaintext, 'QUOKKA'));
+      expect(result.key).toBe('QUOKKA');
+      expect(result.keyLength).toBe(6);
+      expect(result.plaintext).toBe(plaintext);
+      expect(result.confidence).toBeGreaterThan(0.9);
+    });
+
+    it('should recover short and single-letter keys', () => {
+      expect(crack(encrypt(plaintext, 'XZ')).key).toBe('XZ');
+      expect(crack(encrypt(plaintext, 'B')).key).toBe('B');
+    });
+
+    it('should recover long keys given enough text', () => {
+      expect(crack(encrypt(plaintext, 'CRYPTOGRAPHY')).key).toBe('CRYPTOGRAPHY');
+    });
+
+    it('should report key length evidence from IoC, Kasiski and Friedman', () => {
+      const result = crack(encrypt(plaintext, 'LEMON'));
+      expect(result.keyLengths[0].length).toBe(5);
+      expect(result.keyLengths[0].ioc).toBeGreaterThan(0.06);
+      expect(result.keyLengths[0].kasiski).toBeGreaterThan(0);
+      expect(result.friedmanEstimate).toBeGreaterThan(0);
+    });
+
+    it('should favour the Friedman estimate over multiples of the key length', () => {
+      const { keyLengths } = crack(encrypt(plaintext, 'LEMON'));
+      const double = keyLengths.find(({ length }) => length === 10);
+      expect(keyLengths[0].friedman).toBeGreaterThan(double.friedman);
+    });
+
+    it('should lower confidence when the text is too short for the key', () => {
+      const result = crack(encrypt('Meet me at the old bridge after midnight', 'CRYPTOGRAPHY'));
+      expect(result.confidence).toBeLessThan(0.5);
+    });
+
+    it('should reject input without letters', () => {
+      expect(() => crack('1234 !!')).toThrow(Error);
+      expect(() => crack(42)).toThrow(TypeError);
+    });
+
+    it('should reject input too short to analyze', () => {
+      expect(() => crack('abc')).toThrow(`at least ${MIN_CRACK_LETTERS} are needed`);
+    });
+  });
+
   describe('verify', () => {
     it('should return true for correct key', () => {
       const plaintext = 'HELLOWORLD';
@@ -240,6 +293,18 @@ describe('Vigenère Cipher', () => {
       expect(key1).not.toBe(key2);
     });
 
+    it('should not use Math.random', () => {
+      const { random } = Math;
+      Math.random = () => {
+        throw new Error('Math.random called');
+      };
+      try {
+        expect(generateKey(16)).toMatch(/^[A-Z]{16}$/);
+      } finally {
+        Math.random = random;
+      }
+    });
+
     it('should use default length of 8', () => {
       const key = generateKey();
       expect(key).toHaveLength(8);